@@ -4,8 +4,16 @@ import Constants from 'expo-constants';
 import { useState, useEffect } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { TriviaGame } from './src/components/TriviaGame';
-import { GameFilters, CricketEra, CricketCountry, QuestionStyle, GameMode } from './src/types/Question';
+import { GameFilters, CricketEra, CricketCountry, QuestionStyle, GameMode, QuestionSource } from './src/types/Question';
 import { LearnCricketScreen } from './src/screens/LearnCricketScreen';
+import { QuestionPacksScreen } from './src/screens/QuestionPacksScreen';
+import { TrophyCabinetScreen } from './src/screens/TrophyCabinetScreen';
+import { NetsPracticeScreen } from './src/screens/NetsPracticeScreen';
+import { ProfileScreen } from './src/screens/ProfileScreen';
+import { MatchReplayScreen } from './src/screens/MatchReplayScreen';
+import { AchievementToast } from './src/components/AchievementToast';
+import { getAchievementService } from './src/services/AchievementService';
+import { ChaseResult, ChaseRecord } from './src/types/Cricket';
 
 interface GameFiltersScreenProps {
   onStartGame: (filters: GameFilters) => void;
@@ -17,6 +25,7 @@ const GameFiltersScreen: React.FC<GameFiltersScreenProps> = ({ onStartGame, onBa
   const [selectedCountries, setSelectedCountries] = useState<CricketCountry[]>(['all_countries']);
   const [selectedQuestionStyle, setSelectedQuestionStyle] = useState<QuestionStyle>('facts_opinions');
   const [selectedGameMode, setSelectedGameMode] = useState<GameMode>('fixed');
+  const [selectedQuestionSource, setSelectedQuestionSource] = useState<QuestionSource>('ai');
 
   const eras = [
     { id: 'all_eras', label: 'All Eras', description: 'Questions from cricket history' },
@@ -50,6 +59,12 @@ const GameFiltersScreen: React.FC<GameFiltersScreenProps> = ({ onStartGame, onBa
     { id: 'unlimited', label: 'Unlimited Overs', description: 'Play until 5 wrong answers (5 wickets)' },
   ] as const;
 
+  const questionSources = [
+    { id: 'ai', label: 'AI Generated', description: 'Fresh questions every game (saved for offline play)' },
+    { id: 'offline_bank', label: 'Offline Question Bank', description: 'Replay saved questions - no network needed' },
+    { id: 'cricsheet_stats', label: 'Match Stats', description: 'Questions built from real Cricsheet scorecards - no AI or network needed' },
+  ] as const;
+
   const handleCountryToggle = (countryId: CricketCountry) => {
     if (countryId === 'all_countries') {
       setSelectedCountries(['all_countries']);
@@ -69,7 +84,8 @@ const GameFiltersScreen: React.FC<GameFiltersScreenProps> = ({ onStartGame, onBa
       era: selectedEra,
       countries: selectedCountries,
       questionStyle: selectedQuestionStyle,
-      gameMode: selectedGameMode
+      gameMode: selectedGameMode,
+      questionSource: selectedQuestionSource
     });
   };
 
@@ -189,6 +205,34 @@ const GameFiltersScreen: React.FC<GameFiltersScreenProps> = ({ onStartGame, onBa
         ))}
       </View>
 
+      {/* Question Source Selection */}
+      <View style={styles.filterSection}>
+        <Text style={styles.filterSectionTitle}>Question Source</Text>
+        {questionSources.map((source) => (
+          <TouchableOpacity
+            key={source.id}
+            style={[
+              styles.filterOption,
+              selectedQuestionSource === source.id && styles.selectedFilterOption
+            ]}
+            onPress={() => setSelectedQuestionSource(source.id)}
+          >
+            <Text style={[
+              styles.filterOptionTitle,
+              selectedQuestionSource === source.id && styles.selectedFilterOptionText
+            ]}>
+              {source.label}
+            </Text>
+            <Text style={[
+              styles.filterOptionDescription,
+              selectedQuestionSource === source.id && styles.selectedFilterOptionText
+            ]}>
+              {source.description}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
       {/* Action Buttons */}
       <View style={styles.filterActions}>
         <TouchableOpacity style={styles.button} onPress={handleStartGame}>
@@ -208,8 +252,9 @@ interface UserProfile {
   gamesPlayed: number;
   questionsAnswered: number;
   correctAnswers: number;
-  achievements: string[];
+  achievements: string[]; // Unlocked achievement ids (see AchievementService)
   level: number;
+  chaseRecord: ChaseRecord;
 }
 
 interface GameStats {
@@ -321,7 +366,14 @@ const DEFAULT_PROFILE: UserProfile = {
   questionsAnswered: 0,
   correctAnswers: 0,
   achievements: [],
-  level: 1
+  level: 1,
+  chaseRecord: {
+    played: 0,
+    won: 0,
+    lost: 0,
+    tied: 0,
+    highestChase: 0
+  }
 };
 
 export default function App() {
@@ -335,6 +387,7 @@ export default function App() {
   
   const [userProfile, setUserProfile] = useState<UserProfile>(DEFAULT_PROFILE);
   const [isLoading, setIsLoading] = useState(true);
+  const [showProfile, setShowProfile] = useState(false);
 
   const [currentGameStats, setCurrentGameStats] = useState<GameStats>({
     currentScore: 0,
@@ -350,13 +403,30 @@ export default function App() {
     loadUserData();
   }, []);
 
+  // Add unlocked achievements to the profile
+  useEffect(() => getAchievementService().addUnlockListener(achievement => {
+    setUserProfile(prev => {
+      if (prev.achievements.includes(achievement.id)) return prev;
+      return { ...prev, achievements: [...prev.achievements, achievement.id] };
+    });
+  }), []);
+
+  // Persist every profile change (outside the state updaters, which must stay pure),
+  // but not the default profile shown before the saved one has loaded
+  useEffect(() => {
+    if (!isLoading) {
+      saveUserProfile(userProfile);
+    }
+  }, [userProfile, isLoading]);
+
   const loadUserData = async () => {
     try {
       const savedProfile = await AsyncStorage.getItem(STORAGE_KEYS.USER_PROFILE);
       const savedFilters = await AsyncStorage.getItem(STORAGE_KEYS.GAME_FILTERS);
       
       if (savedProfile) {
-        setUserProfile(JSON.parse(savedProfile));
+        // Fill in fields added since the profile was saved
+        setUserProfile({ ...DEFAULT_PROFILE, ...JSON.parse(savedProfile) });
       }
       
       if (savedFilters) {
@@ -390,29 +460,59 @@ export default function App() {
     setCurrentScreen('game');
   };
 
+  const handleNetsPractice = () => {
+    setCurrentScreen('nets_practice');
+  };
+
+  const handleQuestionPacks = () => {
+    setCurrentScreen('question_packs');
+  };
+
+  const handleTrophyCabinet = () => {
+    setCurrentScreen('trophy_cabinet');
+  };
+
+  const handleMatchReplay = () => {
+    setCurrentScreen('match_replay');
+  };
+
+  const handlePlayPack = (packId: string) => {
+    handleStartGameWithFilters({ ...gameFilters, questionSource: 'question_pack', packId });
+  };
+
   const handleExitGame = () => {
     setCurrentScreen('home');
   };
 
   const handleProfilePress = () => {
-    Alert.alert(
-      '🏏 Cricket Profile',
-      `Level ${userProfile.level} Cricket Fan\n\n📊 Stats:\n• Games Played: ${userProfile.gamesPlayed}\n• Questions Answered: ${userProfile.questionsAnswered}\n• Accuracy: ${Math.round((userProfile.correctAnswers / userProfile.questionsAnswered) * 100)}%\n• Total Score: ${userProfile.totalScore}\n\n🏆 Achievements: ${userProfile.achievements.join(', ')}\n\n(Profile system coming soon!)`,
-      [{ text: 'Close', style: 'default' }]
-    );
+    setShowProfile(true);
   };
 
   const updateUserStats = (correct: boolean, points: number) => {
-    const newProfile = {
-      ...userProfile,
-      questionsAnswered: userProfile.questionsAnswered + 1,
-      correctAnswers: userProfile.correctAnswers + (correct ? 1 : 0),
-      totalScore: userProfile.totalScore + points,
-      level: calculateLevel(userProfile.totalScore + points)
-    };
-    
-    setUserProfile(newProfile);
-    saveUserProfile(newProfile); // Persist immediately
+    // Built from the latest profile so achievements unlocked meanwhile are kept
+    setUserProfile(prev => ({
+      ...prev,
+      questionsAnswered: prev.questionsAnswered + 1,
+      correctAnswers: prev.correctAnswers + (correct ? 1 : 0),
+      totalScore: prev.totalScore + points,
+      level: calculateLevel(prev.totalScore + points)
+    }));
+  };
+
+  const handleChaseComplete = (result: ChaseResult) => {
+    setUserProfile(prev => {
+      const record = prev.chaseRecord;
+      return {
+        ...prev,
+        chaseRecord: {
+          played: record.played + 1,
+          won: record.won + (result.outcome === 'won' ? 1 : 0),
+          lost: record.lost + (result.outcome === 'lost' ? 1 : 0),
+          tied: record.tied + (result.outcome === 'tied' ? 1 : 0),
+          highestChase: result.outcome === 'won' ? Math.max(record.highestChase, result.runs) : record.highestChase
+        }
+      };
+    });
   };
 
   const calculateLevel = (totalScore: number): number => {
@@ -420,14 +520,14 @@ export default function App() {
     return Math.floor(totalScore / 100) + 1;
   };
 
-  const updateGameStats = (correct: boolean, points: number, totalQuestions: number) => {
+  const updateGameStats = (correct: boolean, points: number, totalQuestions: number, wicket: boolean = !correct) => {
     setCurrentGameStats(prev => ({
       ...prev,
       questionsAnswered: prev.questionsAnswered + 1,
       correctAnswers: prev.correctAnswers + (correct ? 1 : 0),
       currentScore: prev.currentScore + points,
       totalQuestions: totalQuestions,
-      wicketsLost: prev.wicketsLost + (correct ? 0 : 1) // Increment wickets for wrong answers
+      wicketsLost: prev.wicketsLost + (wicket ? 1 : 0) // Wrong answers cost a wicket unless it was a free hit
     }));
   };
 
@@ -442,6 +542,21 @@ export default function App() {
     });
   };
 
+  // Shown over every screen: the profile modal and achievement toasts
+  const renderOverlays = () => (
+    <>
+      <ProfileScreen
+        visible={showProfile}
+        onClose={() => setShowProfile(false)}
+        level={userProfile.level}
+        totalScore={userProfile.totalScore}
+        chaseRecord={userProfile.chaseRecord}
+        achievementCount={userProfile.achievements.length}
+      />
+      <AchievementToast />
+    </>
+  );
+
   if (currentScreen === 'game') {
     return (
       <View style={styles.appContainer}>
@@ -461,6 +576,7 @@ export default function App() {
             onGameStart={(totalQuestions, gameMode) => resetGameStats(totalQuestions, gameMode)}
           />
         </SafeAreaView>
+        {renderOverlays()}
       </View>
     );
   }
@@ -480,6 +596,7 @@ export default function App() {
             onBack={() => setCurrentScreen('home')}
           />
         </SafeAreaView>
+        {renderOverlays()}
       </View>
     );
   }
@@ -493,8 +610,76 @@ export default function App() {
           onProfilePress={handleProfilePress} 
         />
         <SafeAreaView style={styles.gameContent}>
-          <LearnCricketScreen onExit={handleExitGame} />
+          <LearnCricketScreen onExit={handleExitGame} onChaseComplete={handleChaseComplete} />
+        </SafeAreaView>
+        {renderOverlays()}
+      </View>
+    );
+  }
+
+  if (currentScreen === 'nets_practice') {
+    return (
+      <View style={styles.appContainer}>
+        <ProfileStatusBar 
+          profile={userProfile} 
+          mode="lifetime"
+          onProfilePress={handleProfilePress} 
+        />
+        <SafeAreaView style={styles.gameContent}>
+          <NetsPracticeScreen onExit={handleExitGame} />
+        </SafeAreaView>
+        {renderOverlays()}
+      </View>
+    );
+  }
+
+  if (currentScreen === 'question_packs') {
+    return (
+      <View style={styles.appContainer}>
+        <ProfileStatusBar 
+          profile={userProfile} 
+          mode="lifetime"
+          onProfilePress={handleProfilePress} 
+        />
+        <SafeAreaView style={styles.gameContent}>
+          <QuestionPacksScreen 
+            onPlayPack={handlePlayPack}
+            onBack={() => setCurrentScreen('home')}
+          />
         </SafeAreaView>
+        {renderOverlays()}
+      </View>
+    );
+  }
+
+  if (currentScreen === 'trophy_cabinet') {
+    return (
+      <View style={styles.appContainer}>
+        <ProfileStatusBar 
+          profile={userProfile} 
+          mode="lifetime"
+          onProfilePress={handleProfilePress} 
+        />
+        <SafeAreaView style={styles.gameContent}>
+          <TrophyCabinetScreen onBack={() => setCurrentScreen('home')} />
+        </SafeAreaView>
+        {renderOverlays()}
+      </View>
+    );
+  }
+
+  if (currentScreen === 'match_replay') {
+    return (
+      <View style={styles.appContainer}>
+        <ProfileStatusBar 
+          profile={userProfile} 
+          mode="lifetime"
+          onProfilePress={handleProfilePress} 
+        />
+        <SafeAreaView style={styles.gameContent}>
+          <MatchReplayScreen onExit={handleExitGame} />
+        </SafeAreaView>
+        {renderOverlays()}
       </View>
     );
   }
@@ -531,9 +716,26 @@ export default function App() {
             <Text style={styles.secondaryButtonText}>Learn Cricket</Text>
           </TouchableOpacity>
           
+          <TouchableOpacity style={styles.secondaryButton} onPress={handleNetsPractice}>
+            <Text style={styles.secondaryButtonText}>Nets Practice</Text>
+          </TouchableOpacity>
+          
+          <TouchableOpacity style={styles.secondaryButton} onPress={handleMatchReplay}>
+            <Text style={styles.secondaryButtonText}>What Happened Next?</Text>
+          </TouchableOpacity>
+          
+          <TouchableOpacity style={styles.secondaryButton} onPress={handleQuestionPacks}>
+            <Text style={styles.secondaryButtonText}>Question Packs</Text>
+          </TouchableOpacity>
+          
+          <TouchableOpacity style={styles.secondaryButton} onPress={handleTrophyCabinet}>
+            <Text style={styles.secondaryButtonText}>Trophy Cabinet</Text>
+          </TouchableOpacity>
+          
           <StatusBar style="light" />
         </View>
       </SafeAreaView>
+      {renderOverlays()}
     </View>
   );
 }
@@ -0,0 +1,153 @@
+/**
+ * Eval Command
+ *
+ * A/B evaluation of prompt template versions and models: runs every variant
+ * through the two-phase pipeline on the same filter/category scenarios and
+ * writes a comparative report (JSON and Markdown) with validity, quality,
+ * duplicate rate, parse failures, latency and cost.
+ */
+
+import { Command } from 'commander';
+import chalk from 'chalk';
+import fs from 'fs/promises';
+import { config } from '../utils/config.js';
+import { setupCassette } from '../utils/cassette.js';
+import { parseMaxCost, startUsageTracking, printUsageSummary } from '../utils/usage-report.js';
+import { writeEvalReport, describeVariant } from '../utils/eval-report.js';
+import { getPromptEvaluator, DEFAULT_SCENARIOS } from '../services/PromptEvaluator.js';
+import { getPromptRegistry } from '../../shared/prompts/PromptRegistry.js';
+import { parsePromptSelector } from '../../shared/utils/provenance.js';
+
+/**
+ * Split a comma-separated option
+ */
+function parseList(value) {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Parse `--prompts` entries ("id@version") and check they exist
+ */
+function parsePromptVersions(values) {
+  const registry = getPromptRegistry();
+  return values.map(value => {
+    const { id, version } = parsePromptSelector(value);
+    if (!id || version === undefined || isNaN(version)) {
+      throw new Error(`Invalid prompt version: ${value} (use <template id>@<version>, e.g. questions-from-anecdotes@2)`);
+    }
+    registry.get(id, version); // Throws for unknown templates and versions
+    return { id, version };
+  });
+}
+
+/**
+ * Variants to compare: every model with every prompt version.
+ * Prompt versions of different templates are separate variants.
+ */
+function buildVariants(models, prompts) {
+  const modelChoices = models.length > 0 ? models : [null];
+  const promptChoices = prompts.length > 0 ? prompts.map(prompt => [prompt]) : [[]];
+
+  return modelChoices.flatMap(model => promptChoices.map(promptSet => ({ model, prompts: promptSet })))
+    .map((variant, index) => ({ ...variant, label: String.fromCharCode(65 + index) }));
+}
+
+/**
+ * Load scenarios from a JSON file: an array of { name, category, filters }, or an
+ * earlier eval report (its scenarios keep their search seeds, so reruns match)
+ */
+async function loadScenarios(file) {
+  if (!file) return DEFAULT_SCENARIOS;
+
+  const data = JSON.parse(await fs.readFile(file, 'utf8'));
+  const scenarios = Array.isArray(data) ? data : data.scenarios;
+  if (!Array.isArray(scenarios) || scenarios.length === 0) {
+    throw new Error(`No scenarios in ${file} (expected an array or an eval report)`);
+  }
+  scenarios.forEach((scenario, index) => {
+    if (!scenario.category) {
+      throw new Error(`Scenario ${index + 1} in ${file} has no category`);
+    }
+    scenario.name = scenario.name || `scenario-${index + 1}`;
+  });
+  return scenarios;
+}
+
+function formatPercent(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+/**
+ * Print the comparison table to the terminal
+ */
+function printComparison(report) {
+  console.log(chalk.blue('\n📊 Evaluation Results:'));
+  report.variants.forEach(variant => {
+    const { metrics } = variant;
+    console.log(chalk.bold(`\n${variant.label}. ${describeVariant(variant)}`));
+    console.log(chalk.white(`   Questions: ${metrics.questions} (${formatPercent(metrics.validRate)} valid, ` +
+      `quality ${metrics.questionQuality.toFixed(1)}), anecdote quality ${metrics.anecdoteQuality.toFixed(1)}`));
+    console.log(chalk.white(`   Duplicates: ${formatPercent(metrics.duplicateRate)}, ` +
+      `parse failures: ${formatPercent(metrics.parseFailureRate)} (${metrics.structured.failed} unrecovered)`));
+    console.log(chalk.white(`   Latency: ${metrics.avgLatencyMs}ms avg, cost: $${metrics.cost.toFixed(4)}`));
+    if (variant.fallbackScenarios?.length > 0) {
+      console.log(chalk.yellow(`   ⚠️ Answered by ${variant.servedModels.join(', ')} in ${variant.fallbackScenarios.length}/${metrics.scenarios} scenarios (fallback)`));
+    }
+    if (metrics.failedScenarios > 0) {
+      console.log(chalk.yellow(`   ⚠️ ${metrics.failedScenarios}/${metrics.scenarios} scenarios failed`));
+    }
+  });
+}
+
+export const evalCommand = new Command('eval')
+  .description('Compare prompt template versions and models on the same scenarios (A/B report)')
+  .option('-p, --prompts <list>', 'Comma-separated prompt versions to compare (e.g. questions-from-anecdotes@1,questions-from-anecdotes@2)')
+  .option('-m, --models <list>', 'Comma-separated question models to compare (model ids or fast|opus|gpt4)')
+  .option('--search-model <model>', 'Anecdote model for every variant')
+  .option('-s, --scenarios <file>', 'Scenario JSON file, or an earlier eval report to rerun its scenarios')
+  .option('-a, --anecdotes <num>', 'Anecdotes per scenario', '5')
+  .option('-q, --questions <num>', 'Target questions per scenario (default: from the anecdote count)')
+  .option('-o, --out <dir>', 'Directory for the JSON and Markdown reports', 'eval-reports')
+  .option('--record <dir>', 'Record OpenRouter requests/responses to a cassette directory')
+  .option('--replay <dir>', 'Replay recorded responses from a cassette directory (no network or API keys)')
+  .option('--max-cost <usd>', 'Stop the evaluation before its model calls could cost more than this (USD)')
+  .action(async (options) => {
+    let usage = null;
+    try {
+      parseMaxCost(options.maxCost);
+      const prompts = parsePromptVersions(parseList(options.prompts));
+      const variants = buildVariants(parseList(options.models), prompts)
+        .map(variant => ({ ...variant, searchModel: options.searchModel || null }));
+      if (variants.length < 2) {
+        throw new Error('Nothing to compare: give at least two variants with --prompts and/or --models');
+      }
+      const scenarios = await loadScenarios(options.scenarios);
+      const anecdoteCount = Math.max(parseInt(options.anecdotes, 10) || 5, 1);
+      const targetQuestions = options.questions ? Math.max(parseInt(options.questions, 10) || 1, 1) : null;
+
+      if (!config.hasLLMProvider && !options.replay) {
+        throw new Error('OpenRouter API key not configured. Set OPENROUTER_API_KEY in .env (or LLM_PROVIDER=fixture to run offline)');
+      }
+
+      const cassette = await setupCassette(options);
+      usage = startUsageTracking(options);
+
+      console.log(chalk.blue(`🧪 Evaluating ${variants.length} variants on ${scenarios.length} scenarios`));
+      const report = await getPromptEvaluator().evaluate({ variants, scenarios, anecdoteCount, targetQuestions });
+
+      printComparison(report);
+      const { jsonPath, markdownPath } = await writeEvalReport(report, options.out);
+      console.log(chalk.green('\n📄 Reports written:'));
+      console.log(chalk.gray(`   ${markdownPath}`));
+      console.log(chalk.gray(`   ${jsonPath}`));
+
+      printUsageSummary(usage);
+      cassette?.printSummary();
+    } catch (error) {
+      console.error(chalk.red('\n❌ Evaluation failed:'), error.message);
+      if (usage) {
+        printUsageSummary(usage);
+      }
+      process.exit(1);
+    }
+  });
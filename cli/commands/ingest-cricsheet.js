@@ -0,0 +1,187 @@
+/**
+ * Ingest Cricsheet Command
+ *
+ * Load Cricsheet ball-by-ball match files (https://cricsheet.org/downloads/,
+ * JSON or YAML) into the local stats store, then preview or export the stats
+ * questions generated from it. --bundle also writes the store into the app
+ * (src/data/cricketStats/stats.json), where the Match Stats game plays it offline.
+ */
+
+import { Command } from 'commander';
+import chalk from 'chalk';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { getCricketStatsService } from '../services/CricketStatsCLIAdapter.js';
+import { isCricsheetMatch, parseCricsheetMatch } from '../../shared/utils/cricsheet.js';
+import { STATS_TEMPLATE_IDS } from '../../shared/utils/stats-questions.js';
+import { describeCorrectAnswer, isChoiceFormat } from '../../shared/utils/question-formats.js';
+import { EXPORT_FORMATS, exportQuestions } from '../utils/question-export.js';
+
+const BUNDLE_FILE = fileURLToPath(new URL('../../src/data/cricketStats/stats.json', import.meta.url));
+
+const MATCH_FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Matches are parsed in batches so a full Cricsheet download never sits in memory as raw files
+const BATCH_SIZE = 200;
+
+/**
+ * List match files under a directory, in name order
+ */
+async function listMatchFiles(directory) {
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const fullPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listMatchFiles(fullPath));
+    } else if (MATCH_FILE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Read and parse one match file; null when it is not a match (README, people register)
+ */
+async function readMatchFile(file) {
+  const content = await fs.readFile(file, 'utf8');
+  const data = path.extname(file).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content);
+  if (!isCricsheetMatch(data)) return null;
+
+  return parseCricsheetMatch(data, path.basename(file, path.extname(file)));
+}
+
+/**
+ * Parse a comma-separated option into a list
+ */
+function parseList(value) {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+export const ingestCricsheetCommand = new Command('ingest-cricsheet')
+  .description('Load Cricsheet match files into the local stats store and generate stats questions from it')
+  .argument('<dir>', 'Directory of Cricsheet match files (.json, .yaml), searched recursively')
+  .option('--match-types <types>', 'Only ingest these match types (e.g. Test,ODI,T20)')
+  .option('--gender <gender>', 'Only ingest male or female matches')
+  .option('--replace', 'Clear the stats store before ingesting')
+  .option('--bundle', `Also write the store into the app (${path.relative(process.cwd(), BUNDLE_FILE)})`)
+  .option('-q, --questions <num>', 'Preview this many generated stats questions', '0')
+  .option('--templates <ids>', `Question templates to use: ${STATS_TEMPLATE_IDS.join(',')}`)
+  .option('--seed <seed>', 'Seed for question generation (same seed, same questions)')
+  .option('-o, --out <file>', 'Export the generated questions to a file')
+  .option('-f, --format <format>', `Export format: ${EXPORT_FORMATS.join('|')} (default: from --out extension, else json)`)
+  .action(async (dir, options) => {
+    const matchTypes = parseList(options.matchTypes);
+    const templates = parseList(options.templates);
+    const unknownTemplates = templates.filter(id => !STATS_TEMPLATE_IDS.includes(id));
+    if (unknownTemplates.length > 0) {
+      console.error(chalk.red(`❌ Unknown templates: ${unknownTemplates.join(', ')}`));
+      console.error(chalk.yellow(`💡 Valid templates: ${STATS_TEMPLATE_IDS.join(', ')}`));
+      process.exit(1);
+    }
+    if (options.gender && !['male', 'female'].includes(options.gender)) {
+      console.error(chalk.red(`❌ Invalid gender: ${options.gender} (use male or female)`));
+      process.exit(1);
+    }
+
+    try {
+      const service = getCricketStatsService();
+      const files = await listMatchFiles(path.resolve(dir));
+      console.log(chalk.blue(`\n📂 Found ${files.length} files in ${dir}`));
+
+      if (options.replace) {
+        await service.clear();
+        await service.save();
+        console.log(chalk.gray('   Cleared the stats store'));
+      }
+
+      const counts = { added: 0, updated: 0, skipped: 0, filtered: 0, failed: 0 };
+      let batch = [];
+      const flush = async () => {
+        const { added, updated } = await service.addMatches(batch);
+        counts.added += added;
+        counts.updated += updated;
+        batch = [];
+      };
+
+      for (const file of files) {
+        try {
+          const match = await readMatchFile(file);
+          if (!match) {
+            counts.skipped++;
+          } else if ((matchTypes.length > 0 && !matchTypes.includes(match.matchType)) ||
+            (options.gender && match.gender !== options.gender)) {
+            counts.filtered++;
+          } else {
+            batch.push(match);
+            if (batch.length >= BATCH_SIZE) await flush();
+          }
+        } catch (error) {
+          counts.failed++;
+          console.warn(chalk.yellow(`⚠️ Could not read ${path.relative(process.cwd(), file)}: ${error.message}`));
+        }
+      }
+      if (batch.length > 0) await flush();
+
+      console.log(chalk.green(`✅ Ingested ${counts.added} new and ${counts.updated} updated matches`));
+      if (counts.filtered > 0) console.log(chalk.gray(`   ${counts.filtered} matches filtered out by match type or gender`));
+      if (counts.skipped > 0) console.log(chalk.gray(`   ${counts.skipped} files were not match files`));
+      if (counts.failed > 0) console.log(chalk.yellow(`   ${counts.failed} files could not be parsed`));
+
+      const summary = await service.getSummary();
+      console.log(chalk.blue('\n📊 Stats store:'));
+      console.log(chalk.white(`   ${summary.matches} matches, ${summary.players} players, ${summary.deliveries} deliveries`));
+      if (summary.matches > 0) {
+        const types = Object.entries(summary.matchTypes).map(([type, count]) => `${count} ${type}`).join(', ');
+        console.log(chalk.white(`   ${types} (${summary.firstDate} to ${summary.lastDate})`));
+      }
+
+      if (options.bundle) {
+        await fs.mkdir(path.dirname(BUNDLE_FILE), { recursive: true });
+        await fs.writeFile(BUNDLE_FILE, JSON.stringify(service.store));
+        console.log(chalk.green(`\n📦 Bundled the store into the app: ${path.relative(process.cwd(), BUNDLE_FILE)}`));
+      }
+
+      const questionCount = Math.max(parseInt(options.questions, 10) || 0, 0);
+      if (questionCount === 0 && !options.out) return;
+
+      const questions = await service.generateQuestions({
+        count: questionCount || 10,
+        seed: options.seed ?? Date.now(),
+        templates: templates.length > 0 ? templates : undefined
+      });
+      console.log(chalk.blue(`\n🧮 Generated ${questions.length} stats questions`));
+      if (questions.length === 0) {
+        console.log(chalk.gray('   Ingest more matches: each template needs a clear-cut answer and three real alternatives'));
+      }
+
+      questions.forEach((q, idx) => {
+        console.log(chalk.bold(`\n${idx + 1}. ${q.question}`));
+        q.options.forEach((option, optionIdx) => {
+          const marker = isChoiceFormat(q) && optionIdx === q.correctAnswer ? chalk.green('✓') : ' ';
+          console.log(`   ${marker} ${String.fromCharCode(65 + optionIdx)}) ${option}`);
+        });
+        if (!isChoiceFormat(q)) {
+          console.log(chalk.green(`   ✓ ${describeCorrectAnswer(q)}`));
+        }
+        console.log(chalk.gray(`   ${q.explanation}`));
+        console.log(chalk.gray(`   ${q.stats.template} · ${q.difficulty}`));
+      });
+
+      if (options.out) {
+        const result = await exportQuestions(questions, options.out, options.format);
+        console.log(chalk.green(`\n💾 Exported ${result.count} questions (${result.format}) to ${result.filePath}`));
+        if (result.skipped.length > 0) {
+          console.warn(chalk.yellow(`⚠️ Left out questions ${result.skipped.join(', ')}: ${result.format} can't express their format`));
+        }
+      }
+    } catch (error) {
+      console.error(chalk.red('\n❌ Cricsheet ingest failed:'), error.message);
+      process.exit(1);
+    }
+  });
@@ -11,16 +11,25 @@ import inquirer from 'inquirer';
 import LearnCricketService from '../../shared/services/LearnCricketService.js';
 import { getOpenRouterService } from '../../shared/services/OpenRouterService.js';
 import { logger } from '../utils/logger.js';
+import { setupCassette } from '../utils/cassette.js';
+import { startUsageTracking, printUsageSummary } from '../utils/usage-report.js';
 
 export const learnCricketCommand = new Command('learn-cricket')
   .description('Test adaptive cricket learning questions in batch mode')
   .option('-v, --verbose', 'Show detailed information')
+  .option('--record <dir>', 'Record OpenRouter and Google Search requests/responses to a cassette directory')
+  .option('--replay <dir>', 'Replay recorded responses from a cassette directory (no network or API keys)')
+  .option('--max-cost <usd>', 'Stop before model calls could cost more than this (USD)')
   .action(async (options) => {
     console.log(chalk.green('\n🏏 Welcome to Learn Cricket - Batch Testing Mode\n'));
     console.log(chalk.cyan('This tool tests AI-generated cricket questions for beginners.'));
     console.log(chalk.cyan('You\'ll see 6 questions per over, answer all at once.\n'));
 
+    let usage = null;
     try {
+      const cassette = await setupCassette(options);
+      usage = startUsageTracking(options);
+
       const service = new LearnCricketService({
         logger: logger,
         openRouterService: getOpenRouterService()
@@ -80,8 +89,14 @@ export const learnCricketCommand = new Command('learn-cricket')
       // Final Summary
       displayFinalSummary(allQuestions, allAnswers);
 
+      printUsageSummary(usage);
+      cassette?.printSummary();
+
     } catch (error) {
       console.error(chalk.red('\n❌ Error:'), error.message);
+      if (usage) {
+        printUsageSummary(usage);
+      }
       if (options.verbose) {
         console.error(error);
       }
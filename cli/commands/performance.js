@@ -9,6 +9,8 @@ import chalk from 'chalk';
 import { getOpenRouterService } from '../../shared/services/OpenRouterService.js';
 import { GoogleSearchService } from '../services/google-search.js';
 import { PerformanceMonitor } from '../utils/performance.js';
+import { setupCassette } from '../utils/cassette.js';
+import { startUsageTracking, printUsageSummary } from '../utils/usage-report.js';
 
 export const performanceCommand = new Command('performance')
   .alias('perf')
@@ -21,8 +23,15 @@ export const performanceCommand = new Command('performance')
   .option('--legacy', 'Use legacy pipeline for testing')
   .option('--grounded', 'Use grounded pipeline for testing (default)')
   .option('--json', 'Output results as JSON')
+  .option('--record <dir>', 'Record OpenRouter and Google Search requests/responses to a cassette directory')
+  .option('--replay <dir>', 'Replay recorded responses from a cassette directory (no network or API keys)')
+  .option('--max-cost <usd>', 'Stop before model calls could cost more than this (USD)')
   .action(async (options) => {
+    let usage = null;
     try {
+      const cassette = await setupCassette(options);
+      usage = startUsageTracking(options);
+
       console.log(chalk.blue('\n🏃 Cricket Pipeline Performance Test'));
       console.log(chalk.blue('═══════════════════════════════════'));
 
@@ -44,13 +53,19 @@ export const performanceCommand = new Command('performance')
       });
 
       if (options.json) {
-        console.log(JSON.stringify(results, null, 2));
+        console.log(JSON.stringify({ ...results, usage: usage.getSummary() }, null, 2));
       } else {
         displayPerformanceResults(results, target);
+        printUsageSummary(usage);
       }
 
+      cassette?.printSummary();
+
     } catch (error) {
       console.error(chalk.red('\n❌ Performance test failed:'), error.message);
+      if (usage) {
+        printUsageSummary(usage);
+      }
       process.exit(1);
     }
   });
@@ -98,6 +113,7 @@ async function runPerformanceTest(options) {
       const result = await runSingleTest(component, openRouterService, searchService, useGrounded);
       testResults.push(result);
       process.stdout.write(result.success ? chalk.green('.') : chalk.red('x'));
+      if (openRouterService.usage.budgetExceeded) break;
     }
   } else {
     // Concurrent testing
@@ -118,10 +134,11 @@ async function runPerformanceTest(options) {
           process.stdout.write(chalk.red('x'));
         }
       });
+      if (openRouterService.usage.budgetExceeded) break;
     }
   }
 
-  console.log(chalk.cyan(' Test complete!'));
+  console.log(chalk.cyan(openRouterService.usage.budgetExceeded ? ' Stopped: budget reached' : ' Test complete!'));
   
   // Debug: Show test results
   console.log(chalk.gray(`\nDebug - Test results: ${testResults.length} tests`));
@@ -0,0 +1,144 @@
+/**
+ * Prompts Command
+ *
+ * Inspect the shared prompt template registry: list templates and their
+ * versions, show or diff a version's text, and pin a template to a version
+ * (stored in shared/prompts/pins.js, so the app renders the same version).
+ */
+
+import { Command } from 'commander';
+import chalk from 'chalk';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { getPromptRegistry } from '../../shared/prompts/PromptRegistry.js';
+import { diffLines } from '../utils/text-diff.js';
+
+const PINS_FILE = fileURLToPath(new URL('../../shared/prompts/pins.js', import.meta.url));
+
+/**
+ * Parse a version argument ("3" or "v3")
+ */
+function parseVersion(value) {
+  const version = parseInt(String(value).replace(/^v/i, ''), 10);
+  if (isNaN(version)) {
+    throw new Error(`Invalid version: ${value} (use a number such as 2 or v2)`);
+  }
+  return version;
+}
+
+/**
+ * Rewrite pins.js with the registry's current pins
+ */
+async function savePins(pins) {
+  const source = await fs.readFile(PINS_FILE, 'utf-8');
+  const entries = Object.entries(pins).sort(([a], [b]) => a.localeCompare(b));
+  const body = entries.length === 0
+    ? '{}'
+    : `{\n${entries.map(([id, version]) => `  '${id}': ${version}`).join(',\n')}\n}`;
+
+  await fs.writeFile(PINS_FILE, source.replace(/export const PROMPT_PINS = [^;]*;/, `export const PROMPT_PINS = ${body};`));
+}
+
+/**
+ * Run a subcommand action, reporting errors the same way for all of them
+ */
+function run(action) {
+  return async (...args) => {
+    try {
+      await action(...args);
+    } catch (error) {
+      console.error(chalk.red('\n❌ Prompt command failed:'), error.message);
+      process.exit(1);
+    }
+  };
+}
+
+const listCommand = new Command('list')
+  .description('List prompt templates with their versions and pins')
+  .action(run(() => {
+    const templates = getPromptRegistry().list();
+
+    console.log(chalk.blue(`\n📝 ${templates.length} prompt templates`));
+    templates.forEach(template => {
+      const pin = template.pinned !== null ? chalk.yellow(` (pinned to v${template.pinned})`) : '';
+      console.log(chalk.bold(`\n${template.id}`) + chalk.white(` v${template.active}`) + pin);
+      console.log(chalk.gray(`   ${template.description}`));
+      console.log(chalk.gray(`   Versions: ${template.versions.map(v => `v${v}`).join(', ')}`));
+    });
+  }));
+
+const showCommand = new Command('show')
+  .description('Show a template version and its variables')
+  .argument('<id>', 'Template id')
+  .argument('[version]', 'Version to show (default: active version)')
+  .action(run((id, version) => {
+    const template = getPromptRegistry().get(id, version ? parseVersion(version) : null);
+
+    console.log(chalk.blue(`\n📝 ${template.id} v${template.version}`));
+    console.log(chalk.gray(`   ${template.description}`));
+    console.log(chalk.cyan('\nVariables:'));
+    const variables = Object.entries(template.variables);
+    if (variables.length === 0) {
+      console.log(chalk.gray('   (none)'));
+    }
+    variables.forEach(([name, spec]) => {
+      const flags = [spec.required && 'required', spec.default !== undefined && `default ${JSON.stringify(spec.default)}`]
+        .filter(Boolean).join(', ');
+      console.log(chalk.white(`   ${name}: ${spec.type}`) + (flags ? chalk.gray(` (${flags})`) : ''));
+    });
+    console.log(chalk.cyan('\nTemplate:'));
+    console.log(template.template);
+  }));
+
+const diffCommand = new Command('diff')
+  .description('Diff two versions of a template')
+  .argument('<id>', 'Template id')
+  .argument('<from>', 'Older version')
+  .argument('[to]', 'Newer version (default: latest)')
+  .action(run((id, from, to) => {
+    const registry = getPromptRegistry();
+    const before = registry.get(id, parseVersion(from));
+    const versions = registry.getVersions(id);
+    const after = registry.get(id, to ? parseVersion(to) : versions[versions.length - 1].version);
+
+    console.log(chalk.blue(`\n📝 ${id}: v${before.version} → v${after.version}\n`));
+    const changes = diffLines(before.template, after.template);
+    if (changes.every(change => change.type === 'same')) {
+      console.log(chalk.gray('   No differences'));
+      return;
+    }
+    changes.forEach(({ type, line }) => {
+      if (type === 'added') console.log(chalk.green(`+ ${line}`));
+      else if (type === 'removed') console.log(chalk.red(`- ${line}`));
+      else console.log(chalk.gray(`  ${line}`));
+    });
+  }));
+
+const pinCommand = new Command('pin')
+  .description('Render a fixed version of a template instead of the latest (CLI and app)')
+  .argument('<id>', 'Template id')
+  .argument('<version>', 'Version to pin')
+  .action(run(async (id, version) => {
+    const registry = getPromptRegistry();
+    registry.pin(id, parseVersion(version));
+    await savePins(registry.getPins());
+    console.log(chalk.green(`\n📌 Pinned ${id} to v${parseVersion(version)}`));
+  }));
+
+const unpinCommand = new Command('unpin')
+  .description('Go back to rendering the latest version of a template')
+  .argument('<id>', 'Template id')
+  .action(run(async (id) => {
+    const registry = getPromptRegistry();
+    registry.unpin(id);
+    await savePins(registry.getPins());
+    console.log(chalk.green(`\n📌 ${id} now uses its latest version (v${registry.getActiveVersion(id)})`));
+  }));
+
+export const promptsCommand = new Command('prompts')
+  .description('List, show, diff and pin versioned prompt templates')
+  .addCommand(listCommand)
+  .addCommand(showCommand)
+  .addCommand(diffCommand)
+  .addCommand(pinCommand)
+  .addCommand(unpinCommand);
@@ -0,0 +1,111 @@
+/**
+ * Provenance Command
+ *
+ * Query the local question bank by where questions came from: the model that
+ * wrote them, the prompt template and version, the source anecdote, cited URLs
+ * and generation date (e.g. every question from prompt v3 with Claude Sonnet).
+ */
+
+import { Command } from 'commander';
+import chalk from 'chalk';
+import { getQuestionBankService } from '../services/QuestionBankCLIAdapter.js';
+import { parsePromptSelector } from '../../shared/utils/provenance.js';
+
+/**
+ * One-line summary of a provenance record
+ */
+export function formatProvenance(provenance) {
+  const parts = [provenance.model];
+  if (provenance.prompt) {
+    parts.push(`prompt ${provenance.prompt.id} v${provenance.prompt.version}`);
+  }
+  if (provenance.anecdote) {
+    parts.push(`from "${provenance.anecdote.title}"`);
+  }
+  if (provenance.filters?.searchSeed) {
+    parts.push(`seed ${provenance.filters.searchSeed}`);
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Count matches per model and prompt version
+ */
+function summarize(questions) {
+  const groups = new Map();
+  questions.forEach(({ provenance }) => {
+    const prompt = provenance.prompt ? `${provenance.prompt.id} v${provenance.prompt.version}` : 'unknown prompt';
+    const key = `${provenance.model} | ${prompt}`;
+    groups.set(key, (groups.get(key) || 0) + 1);
+  });
+  return [...groups.entries()].sort((a, b) => b[1] - a[1]);
+}
+
+export const provenanceCommand = new Command('provenance')
+  .description('Find saved questions by model, prompt version, anecdote, source or date')
+  .option('-m, --model <model>', 'Model id or part of it (e.g. anthropic/claude-3-sonnet, sonnet)')
+  .option('-p, --prompt <template>', 'Prompt template: <id>, <id>@<version> or v<version>')
+  .option('-a, --anecdote <idOrTitle>', 'Source anecdote id or part of its title')
+  .option('-s, --source <url>', 'Part of a cited source URL')
+  .option('--since <date>', 'Only questions generated on or after this date (YYYY-MM-DD)')
+  .option('-n, --limit <num>', 'Maximum questions to list', '20')
+  .option('--json', 'Output matching questions as JSON')
+  .action(async (options) => {
+    const { id: promptId, version: promptVersion } = parsePromptSelector(options.prompt);
+    if (options.prompt && promptVersion !== undefined && isNaN(promptVersion)) {
+      console.error(chalk.red(`❌ Invalid prompt: ${options.prompt}`));
+      console.error(chalk.yellow('💡 Use a template id, id@version (direct-questions@2) or a version (v3)'));
+      process.exit(1);
+    }
+    if (options.since && isNaN(new Date(options.since).getTime())) {
+      console.error(chalk.red(`❌ Invalid date: ${options.since}`));
+      process.exit(1);
+    }
+    const limit = Math.max(parseInt(options.limit, 10) || 20, 1);
+
+    try {
+      const questions = await getQuestionBankService().findByProvenance({
+        model: options.model,
+        promptId,
+        promptVersion,
+        anecdote: options.anecdote,
+        source: options.source,
+        since: options.since
+      });
+
+      if (options.json) {
+        console.log(JSON.stringify(questions.slice(0, limit), null, 2));
+        return;
+      }
+
+      console.log(chalk.blue(`\n🧾 ${questions.length} matching questions in the question bank`));
+      if (questions.length === 0) {
+        console.log(chalk.gray('   Only questions generated with provenance tracking can be matched'));
+        return;
+      }
+
+      summarize(questions).forEach(([group, count]) => {
+        console.log(chalk.white(`   ${count} × ${group}`));
+      });
+
+      questions.slice(0, limit).forEach((q, idx) => {
+        console.log(chalk.bold(`\n${idx + 1}. ${q.question}`));
+        console.log(chalk.gray(`   ${formatProvenance(q.provenance)}`));
+        console.log(chalk.gray(`   Generated ${q.provenance.createdAt}`));
+        q.provenance.sources.forEach(source => console.log(chalk.gray(`   🔗 ${source}`)));
+        (q.provenance.validation || []).forEach(check => {
+          console.log((check.passed ? chalk.green : chalk.yellow)(`   ${check.passed ? '✓' : '✗'} ${check.stage}` +
+            (check.confidence !== undefined && check.confidence !== null ? ` (${check.confidence}%)` : '') +
+            (check.score !== undefined ? ` (score ${check.score}, ${check.model})` : '') +
+            (check.reasked ? ' (after re-ask)' : '')));
+        });
+      });
+
+      if (questions.length > limit) {
+        console.log(chalk.gray(`\n   ...and ${questions.length - limit} more (use --limit or --json)`));
+      }
+    } catch (error) {
+      console.error(chalk.red('\n❌ Provenance query failed:'), error.message);
+      process.exit(1);
+    }
+  });
@@ -2,6 +2,9 @@
  * Search-Generate V2 Command
  *
  * Advanced two-phase pipeline: Perplexity web search → anecdote generation → question creation
+ * (plus an optional Phase 3 that fact-checks each question's claims with Google Custom Search
+ * and an optional Phase 4 where a judge model reviews each question against a rubric).
+ * Every run ends by ranking the questions A/B/C.
  * Features enhanced filtering, quality scoring, and intelligent batch processing.
  */
 
@@ -10,7 +13,17 @@ import chalk from 'chalk';
 import { config } from '../utils/config.js';
 import { getAnecdoteGenerator } from '../services/AnecdoteGenerator.js';
 import { getQuestionGenerator } from '../services/QuestionGenerator.js';
+import { getClaimVerifier } from '../services/ClaimVerifier.js';
+import { getQuestionJudge } from '../services/QuestionJudge.js';
+import { SEARCH_PROVIDERS, createSearchProvider, setSearchProvider } from '../services/search/SearchProvider.js';
 import { getEnhancedFilterSystem } from '../utils/enhanced-filters.js';
+import { getQuestionBankService } from '../services/QuestionBankCLIAdapter.js';
+import { getQuestionHistoryService } from '../services/QuestionHistoryCLIAdapter.js';
+import { setupCassette } from '../utils/cassette.js';
+import { parseMaxCost, startUsageTracking, printUsageSummary } from '../utils/usage-report.js';
+import { EXPORT_FORMATS, exportQuestions, findKahootLimitViolations, resolveExportFormat } from '../utils/question-export.js';
+import { formatProvenance } from './provenance.js';
+import { JUDGE_CRITERIA, rankQuestion, sortByRank } from '../../shared/utils/question-judging.js';
 
 /**
  * V2 Pipeline Orchestrator
@@ -33,7 +46,7 @@ class V2PipelineOrchestrator {
       console.log(chalk.blue('🚀 Starting V2 Two-Phase Pipeline...\n'));
       
       // Validate prerequisites
-      await this.validatePrerequisites();
+      await this.validatePrerequisites(options);
       
       // Phase 1: Generate anecdotes
       console.log(chalk.yellow('=== Phase 1: Anecdote Generation ==='));
@@ -45,20 +58,68 @@ class V2PipelineOrchestrator {
       
       // Phase 2: Generate questions
       console.log(chalk.yellow('\n=== Phase 2: Question Generation ==='));
-      const questions = await this.executePhase2(anecdotes, options);
+      let questions = await this.executePhase2(anecdotes, options);
       
       if (!questions.length) {
         throw new Error('No questions generated in Phase 2');
       }
       
+      // Fixture and cassette replay runs answer the same every time, so the
+      // question history is neither checked nor updated for them
+      const usesHistory = !config.usesFixtureProvider && !options.replay;
+      
+      // Drop questions earlier runs already generated (before spending searches on them)
+      if (options.dedup !== false && usesHistory) {
+        questions = await this.removeRepeatedQuestions(questions, options);
+        
+        if (!questions.length) {
+          console.warn(chalk.yellow('\n⚠️ Every generated question repeats an earlier run, so there is nothing new (use --allow-repeats to keep them)'));
+          return { anecdotes, questions, metrics: this.calculateMetrics(anecdotes, questions, Date.now() - startTime) };
+        }
+      }
+      
+      // Phase 3 (optional): verify each question's claims
+      let verification = null;
+      if (options.verifyClaims) {
+        console.log(chalk.yellow('\n=== Phase 3: Claim Verification ==='));
+        ({ questions, verification } = await this.executePhase3(questions, options));
+        
+        if (!questions.length) {
+          throw new Error('No questions passed claim verification in Phase 3');
+        }
+      }
+      
+      // Phase 4 (optional): rubric review by a judge model
+      let review = null;
+      if (options.judge) {
+        console.log(chalk.yellow('\n=== Phase 4: Judge Review ==='));
+        ({ questions, review } = await this.executePhase4(questions, options));
+      }
+      
+      // Final A/B/C ranking (on the judge review when there is one)
+      questions = this.rankQuestions(questions);
+      
+      // Persist validated questions for offline play
+      if (options.saveToBank !== false) {
+        await this.saveToQuestionBank(questions, options);
+        if (usesHistory) {
+          await this.rememberQuestions(questions);
+        }
+      }
+      
       // Results summary
       const totalTime = Date.now() - startTime;
-      this.displayResults(anecdotes, questions, totalTime, options);
+      this.displayResults(anecdotes, questions, totalTime, options, verification, review);
+      
+      // Export for quiz tools
+      if (options.out) {
+        await this.exportResults(questions, options);
+      }
       
-      return { anecdotes, questions, metrics: this.calculateMetrics(anecdotes, questions, totalTime) };
+      return { anecdotes, questions, metrics: this.calculateMetrics(anecdotes, questions, totalTime, verification, review) };
       
     } catch (error) {
-      console.error(chalk.red('\n❌ V2 Pipeline failed:'), error.message);
+      // Reported once by the caller
       throw error;
     }
   }
@@ -66,12 +127,13 @@ class V2PipelineOrchestrator {
   /**
    * Validate prerequisites for V2 pipeline
    */
-  async validatePrerequisites() {
-    if (!config.hasOpenRouter) {
-      throw new Error('OpenRouter API key not configured. Set OPENROUTER_API_KEY in .env');
+  async validatePrerequisites(options = {}) {
+    // Cassette replay serves recorded responses, so no provider is needed
+    if (!config.hasLLMProvider && !options.replay) {
+      throw new Error('OpenRouter API key not configured. Set OPENROUTER_API_KEY in .env (or LLM_PROVIDER=fixture to run offline)');
     }
     
-    console.log(chalk.gray('✓ OpenRouter configuration validated'));
+    console.log(chalk.gray(`✓ ${options.replay ? 'Cassette replay' : config.usesFixtureProvider ? 'Fixture provider' : 'OpenRouter configuration'} validated`));
     
     // Test connections
     const anecdoteConnection = await this.anecdoteGen.testConnection();
@@ -171,6 +233,158 @@ class V2PipelineOrchestrator {
     return questions;
   }
 
+  /**
+   * Execute Phase 3: Claim Verification
+   */
+  async executePhase3(questions, options) {
+    const {
+      claimThreshold = this.config.v2Pipeline.claimVerification.threshold,
+      onUnverified = 'drop',
+      claimModel = null
+    } = options;
+    
+    const verifier = getClaimVerifier();
+    if (!verifier.enabled) {
+      console.warn(chalk.yellow('⚠️ No search provider configured (Google Custom Search or --corpus) - skipping claim verification'));
+      return { questions, verification: null };
+    }
+    
+    const result = await verifier.verifyQuestions({
+      questions,
+      threshold: claimThreshold,
+      onUnverified,
+      model: claimModel
+    });
+    
+    if (options.debug) {
+      result.dropped.forEach(q => {
+        const weakest = q.verification.claims.reduce((min, c) => (c.confidence ?? 100) < (min.confidence ?? 100) ? c : min);
+        console.log(chalk.gray(`   Dropped: ${q.question} (weakest claim ${weakest.confidence}%: ${weakest.claim})`));
+      });
+    }
+    
+    return {
+      questions: result.questions,
+      verification: {
+        threshold: claimThreshold,
+        checked: questions.length,
+        dropped: result.dropped.length,
+        flagged: result.flagged.length
+      }
+    };
+  }
+
+  /**
+   * Execute Phase 4: Judge Review
+   */
+  async executePhase4(questions, options) {
+    const {
+      category = 'legendary_moments',
+      creativeModel = null,
+      judgeModel = this.config.v2Pipeline.judge.model
+    } = options;
+    
+    // A model grading its own questions is a weaker check
+    if (judgeModel === this.questionGen.selectBestCreativeModel(creativeModel)) {
+      console.warn(chalk.yellow(`⚠️ The judge (${judgeModel}) also wrote the questions - use --judge-model to pick a separate model`));
+    }
+    
+    const result = await getQuestionJudge().judgeQuestions({
+      questions,
+      category,
+      model: judgeModel
+    });
+    
+    return {
+      questions: result.questions,
+      review: {
+        model: judgeModel,
+        judged: result.judged,
+        failed: result.failed,
+        errors: result.errors
+      }
+    };
+  }
+
+  /**
+   * Rank questions A/B/C and sort them best first
+   */
+  rankQuestions(questions) {
+    return sortByRank(questions.map(q => ({ ...q, rank: rankQuestion(q) })));
+  }
+
+  /**
+   * Remove near-duplicates of questions generated by earlier runs (or earlier in this run)
+   */
+  async removeRepeatedQuestions(questions, options) {
+    const { questions: fresh, duplicates } = await getQuestionHistoryService().filterNew(questions);
+    
+    if (options.debug) {
+      duplicates.forEach(({ question, duplicateOf, similarity }) => {
+        console.log(chalk.gray(`   Repeat (${Math.round(similarity * 100)}%): ${question.question}\n     of: ${duplicateOf}`));
+      });
+    }
+    
+    return fresh;
+  }
+
+  /**
+   * Record this run's questions so later runs don't repeat them
+   */
+  async rememberQuestions(questions) {
+    try {
+      await getQuestionHistoryService().remember(questions, { source: 'search-generate' });
+    } catch (error) {
+      // Best-effort like banking
+      console.warn(chalk.yellow(`⚠️ Could not update question history: ${error.message}`));
+    }
+  }
+
+  /**
+   * Save generated questions to the local question bank
+   */
+  async saveToQuestionBank(questions, options) {
+    const {
+      era = 'all_eras',
+      countries = ['all_countries'],
+      category = 'legendary_moments'
+    } = options;
+    
+    // Questions that failed claim verification are not served in games
+    const bankable = questions.filter(q => !q.verification?.flagged);
+    
+    try {
+      const questionBank = getQuestionBankService();
+      await questionBank.addQuestions(bankable, { era, countries }, {
+        category,
+        difficulty: 'medium',
+        source: 'search-generate'
+      });
+    } catch (error) {
+      // Banking is best-effort; never fail the pipeline over it
+      console.warn(chalk.yellow(`⚠️ Could not save questions to question bank: ${error.message}`));
+    }
+  }
+
+  /**
+   * Export questions to a file (json, csv, anki, kahoot or gift)
+   */
+  async exportResults(questions, options) {
+    const result = await exportQuestions(questions, options.out, options.format);
+    console.log(chalk.green(`\n💾 Exported ${result.count} questions (${result.format}) to ${result.filePath}`));
+    if (result.skipped.length > 0) {
+      console.warn(chalk.yellow(`⚠️ Left out questions ${result.skipped.join(', ')}: ${result.format} can't express their format`));
+    }
+    
+    if (result.format === 'kahoot') {
+      const tooLong = findKahootLimitViolations(questions);
+      if (tooLong.length > 0) {
+        console.warn(chalk.yellow(`⚠️ Questions ${tooLong.join(', ')} exceed Kahoot's 120/75 character limits - shorten them before importing`));
+      }
+      console.log(chalk.gray('   Open the CSV in a spreadsheet and save it as .xlsx to import into Kahoot'));
+    }
+  }
+
   /**
    * Display anecdotes summary
    */
@@ -189,7 +403,7 @@ class V2PipelineOrchestrator {
   /**
    * Display final results
    */
-  displayResults(anecdotes, questions, totalTime, options) {
+  displayResults(anecdotes, questions, totalTime, options, verification = null, review = null) {
     console.log(chalk.green('\n🎉 V2 Pipeline Complete!'));
     console.log(chalk.blue('\n📊 Pipeline Summary:'));
     console.log(chalk.white(`   Total time: ${(totalTime / 1000).toFixed(2)}s`));
@@ -203,6 +417,19 @@ class V2PipelineOrchestrator {
     console.log(chalk.white(`   Avg anecdote quality: ${avgAnecdoteQuality.toFixed(1)}`));
     console.log(chalk.white(`   Avg question quality: ${avgQuestionQuality.toFixed(1)}`));
     
+    if (verification) {
+      console.log(chalk.white(`   Claim verification: ${verification.checked - verification.dropped - verification.flagged}/${verification.checked} passed at ${verification.threshold}%` +
+        `, ${verification.dropped} dropped, ${verification.flagged} flagged`));
+    }
+    
+    if (review) {
+      console.log(chalk.white(`   Judge review (${review.model}): ${review.judged - review.failed}/${review.judged} passed the rubric` +
+        (review.errors ? `, ${review.errors} not reviewed` : '')));
+    }
+    
+    const grades = this.countGrades(questions);
+    console.log(chalk.white(`   Ranking: ${grades.A} A, ${grades.B} B, ${grades.C} C`));
+    
     if (options.json) {
       console.log(chalk.blue('\n📋 JSON Output:'));
       console.log(JSON.stringify(questions, null, 2));
@@ -228,28 +455,63 @@ class V2PipelineOrchestrator {
       if (q.explanation) {
         console.log(chalk.cyan(`  💡 ${q.explanation}`));
       }
-      if (q.source) {
-        console.log(chalk.gray(`  🔗 Source: ${q.source}`));
+      const sources = q.provenance?.sources?.length ? q.provenance.sources : [q.source].filter(Boolean);
+      sources.forEach(source => console.log(chalk.gray(`  🔗 Source: ${source}`)));
+      if (q.provenance) {
+        console.log(chalk.gray(`  🧾 ${formatProvenance(q.provenance)}`));
       }
       if (q.qualityScore !== undefined) {
-        console.log(chalk.gray(`  📈 Quality: ${q.qualityScore.toFixed(1)}`));
+        console.log(chalk.gray(`  📈 Quality: ${q.qualityScore.toFixed(1)}` + (q.rank ? ` | Grade ${q.rank.grade} (${q.rank.score})` : '')));
+      }
+      if (q.judgement) {
+        const { score, passed, summary, scores } = q.judgement;
+        console.log((passed ? chalk.green : chalk.yellow)(`  ⚖️ Judge ${score}/100: ${summary}`));
+        JUDGE_CRITERIA
+          .filter(({ key }) => scores[key]?.score <= 3)
+          .forEach(({ key, label }) => console.log(chalk.gray(`     • ${label} ${scores[key].score}/5: ${scores[key].reason}`)));
+      }
+      if (q.verification) {
+        const { confidence, flagged } = q.verification;
+        const label = confidence === null ? 'could not be checked' : `${confidence}% confidence`;
+        console.log(flagged
+          ? chalk.yellow(`  ⚠️ Unverified: ${label}`)
+          : chalk.green(`  🔎 Verified: ${label}`));
+        if (flagged) {
+          q.verification.claims
+            .filter(claim => !claim.verified)
+            .forEach(claim => console.log(chalk.gray(`     • ${claim.claim} (${claim.confidence === null ? 'search failed' : `${claim.confidence}%`})`)));
+        }
       }
     });
   }
 
+  /**
+   * Number of questions per grade
+   */
+  countGrades(questions) {
+    const grades = { A: 0, B: 0, C: 0 };
+    questions.forEach(q => {
+      if (q.rank) grades[q.rank.grade]++;
+    });
+    return grades;
+  }
+
   /**
    * Calculate pipeline metrics
    */
-  calculateMetrics(anecdotes, questions, totalTime) {
+  calculateMetrics(anecdotes, questions, totalTime, verification = null, review = null) {
     return {
       totalTime,
       anecdoteCount: anecdotes.length,
       questionCount: questions.length,
       questionsPerAnecdote: questions.length / anecdotes.length,
       avgAnecdoteQuality: anecdotes.reduce((sum, a) => sum + (a.qualityScore || 0), 0) / anecdotes.length,
-      avgQuestionQuality: questions.reduce((sum, q) => sum + (q.qualityScore || 0), 0) / questions.length,
+      avgQuestionQuality: questions.length ? questions.reduce((sum, q) => sum + (q.qualityScore || 0), 0) / questions.length : 0,
       timePerAnecdote: totalTime / anecdotes.length,
-      timePerQuestion: totalTime / questions.length,
+      timePerQuestion: questions.length ? totalTime / questions.length : 0,
+      claimVerification: verification,
+      judgeReview: review,
+      grades: this.countGrades(questions),
       pipeline: 'v2_openrouter'
     };
   }
@@ -268,8 +530,22 @@ export const searchGenerateV2Command = new Command('search-generate')
   .option('--batch-size <num>', 'Batch size for question generation (default: auto)')
   .option('--show-anecdotes', 'Display generated anecdotes in output')
   .option('--json', 'Output questions in JSON format')
+  .option('--no-bank', 'Do not save generated questions to the local question bank')
+  .option('--allow-repeats', 'Keep questions that repeat ones generated by earlier runs')
+  .option('--verify-claims', 'Phase 3: fact-check each question claim by claim with Google Custom Search')
+  .option('--claim-threshold <num>', 'Minimum claim confidence (0-100) for a question to pass verification')
+  .option('--on-unverified <action>', 'What to do with questions below the threshold: drop|flag', 'drop')
+  .option('--corpus <dir>', 'Verify claims against a local article corpus instead of Google Custom Search')
+  .option('--judge', 'Phase 4: have a judge model review each question against the quality rubric')
+  .option('--judge-model <model>', `Judge model (default: ${config.openRouter.v2Pipeline.judge.model})`)
+  .option('-o, --out <file>', 'Export questions to a file')
+  .option('-f, --format <format>', `Export format: ${EXPORT_FORMATS.join('|')} (default: from --out extension, else json)`)
   .option('--debug', 'Enable debug output')
+  .option('--record <dir>', 'Record OpenRouter and Google Search requests/responses to a cassette directory')
+  .option('--replay <dir>', 'Replay recorded responses from a cassette directory (no network or API keys)')
+  .option('--max-cost <usd>', 'Stop the run before its model calls could cost more than this (USD)')
   .action(async (options) => {
+    let usage = null;
     try {
       // Parse options
       const era = options.era;
@@ -295,11 +571,57 @@ export const searchGenerateV2Command = new Command('search-generate')
         process.exit(1);
       }
       
+      // Validate claim verification options
+      const claimThreshold = options.claimThreshold !== undefined ? parseInt(options.claimThreshold, 10) : undefined;
+      if (claimThreshold !== undefined && (isNaN(claimThreshold) || claimThreshold < 0 || claimThreshold > 100)) {
+        console.error(chalk.red(`❌ Invalid claim threshold: ${options.claimThreshold}`));
+        console.error(chalk.yellow('💡 Use a confidence between 0 and 100'));
+        process.exit(1);
+      }
+      if (!['drop', 'flag'].includes(options.onUnverified)) {
+        console.error(chalk.red(`❌ Invalid --on-unverified action: ${options.onUnverified}`));
+        console.error(chalk.yellow('💡 Valid actions: drop, flag'));
+        process.exit(1);
+      }
+      
+      // Validate budget
+      try {
+        parseMaxCost(options.maxCost);
+      } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exit(1);
+      }
+      
+      // Validate export format
+      if (options.format && !EXPORT_FORMATS.includes(options.format)) {
+        console.error(chalk.red(`❌ Invalid export format: ${options.format}`));
+        console.error(chalk.yellow(`💡 Valid formats: ${EXPORT_FORMATS.join(', ')}`));
+        process.exit(1);
+      }
+      if (options.out) {
+        try {
+          resolveExportFormat(options.out, options.format);
+        } catch (error) {
+          console.error(chalk.red(`❌ ${error.message}`));
+          process.exit(1);
+        }
+      }
+      
       if (options.debug) {
         console.log(chalk.gray('🐛 Debug mode enabled'));
         console.log(chalk.gray(`Parameters: era=${era}, countries=${countries.join(',')}, category=${category}, anecdotes=${anecdoteCount}`));
       }
       
+      if (options.corpus) {
+        setSearchProvider(createSearchProvider({ provider: SEARCH_PROVIDERS.LOCAL, directory: options.corpus }));
+      }
+      
+      // Record or replay API traffic if requested
+      const cassette = await setupCassette(options);
+      
+      // Track token usage and cost for this run
+      usage = startUsageTracking(options);
+      
       // Execute pipeline
       const orchestrator = new V2PipelineOrchestrator();
       await orchestrator.executePipeline({
@@ -313,11 +635,28 @@ export const searchGenerateV2Command = new Command('search-generate')
         batchSize,
         showAnecdotes: options.showAnecdotes,
         json: options.json,
+        saveToBank: options.bank,
+        dedup: !options.allowRepeats,
+        verifyClaims: options.verifyClaims,
+        claimThreshold,
+        onUnverified: options.onUnverified,
+        judge: options.judge || !!options.judgeModel,
+        judgeModel: options.judgeModel,
+        replay: !!options.replay,
+        out: options.out,
+        format: options.format,
         debug: options.debug
       });
       
+      printUsageSummary(usage);
+      cassette?.printSummary();
+      
     } catch (err) {
       console.error(chalk.red('\n❌ V2 Pipeline failed:'), err.message);
+      // Show what was spent before the failure (or the budget stop)
+      if (usage) {
+        printUsageSummary(usage);
+      }
       if (options.debug) {
         console.error(chalk.gray('Stack trace:'), err.stack);
       }
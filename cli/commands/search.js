@@ -1,42 +1,52 @@
 /**
  * Search Command
  *
- * Perform a Google Custom Search and output the article results.
+ * Run a search through the active search provider (Google Custom Search, or
+ * the local article corpus with SEARCH_PROVIDER=local) and output the results.
  */
 
 import { Command } from 'commander';
 import chalk from 'chalk';
-import { google } from 'googleapis';
+import { SEARCH_PROVIDERS, createSearchProvider } from '../services/search/SearchProvider.js';
 
 export const searchCommand = new Command('search')
-  .description('Run a Google Custom Search and list cricket-related articles')
+  .description('Search for cricket-related articles (Google Custom Search or the local corpus)')
   .requiredOption('-q, --query <query>', 'Search query string')
   .option('-n, --num <number>', 'Number of results to return (1-10)', '10')
   .option('--start <index>', 'Start index of results (1-based)', '1')
   .option('--json', 'Output raw JSON of search items')
+  .option('-p, --provider <name>', `Search provider: ${Object.values(SEARCH_PROVIDERS).join('|')} (default: SEARCH_PROVIDER or google)`)
+  .option('--corpus <dir>', 'Article directory for the local provider (default: SEARCH_CORPUS_DIR)')
   .action(async (options) => {
-    const apiKey = process.env.GOOGLE_CUSTOM_SEARCH_API_KEY;
-    const cx = process.env.GOOGLE_CUSTOM_SEARCH_CX;
-    if (!apiKey || !cx) {
-      console.error(chalk.red('❌ GOOGLE_CUSTOM_SEARCH_API_KEY and GOOGLE_CUSTOM_SEARCH_CX must be set')); 
+    if (options.provider && !Object.values(SEARCH_PROVIDERS).includes(options.provider)) {
+      console.error(chalk.red(`❌ Invalid search provider: ${options.provider}`));
+      console.error(chalk.yellow(`💡 Valid providers: ${Object.values(SEARCH_PROVIDERS).join(', ')}`));
+      process.exit(1);
+    }
+
+    const provider = createSearchProvider({
+      provider: options.provider || (options.corpus ? SEARCH_PROVIDERS.LOCAL : undefined),
+      directory: options.corpus
+    });
+    if (!provider.enabled) {
+      console.error(chalk.red(provider.name === SEARCH_PROVIDERS.LOCAL
+        ? '❌ SEARCH_CORPUS_DIR (or --corpus) must be set for the local search provider'
+        : '❌ GOOGLE_CUSTOM_SEARCH_API_KEY and GOOGLE_CUSTOM_SEARCH_CX must be set'));
       process.exit(1);
     }
     const num = Math.min(Math.max(parseInt(options.num, 10) || 10, 1), 10);
     const start = Math.max(parseInt(options.start, 10) || 1, 1);
 
     console.log(chalk.blue(`
-🔍 Google Custom Search: "${options.query}" (num=${num}, start=${start})
+🔍 ${provider.name === SEARCH_PROVIDERS.LOCAL ? 'Local corpus search' : 'Google Custom Search'}: "${options.query}" (num=${num}, start=${start})
 `));
     try {
-      const customsearch = google.customsearch('v1');
-      const res = await customsearch.cse.list({
-        auth: apiKey,
-        cx,
+      const data = await provider.search({
         q: options.query,
         num,
         start,
       });
-      const items = res.data.items || [];
+      const items = data.items || [];
       if (options.json) {
         console.log(JSON.stringify(items, null, 2));
       } else {
@@ -9,7 +9,11 @@ import chalk from 'chalk';
 import inquirer from 'inquirer';
 import { GoogleSearchService } from '../services/google-search.js';
 import { getOpenRouterService } from '../../shared/services/OpenRouterService.js';
+import { INCIDENT_SCHEMA } from '../../shared/schemas/llm-output.js';
+import { renderPrompt } from '../../shared/prompts/PromptRegistry.js';
 import { PerformanceMonitor } from '../utils/performance.js';
+import { setupCassette } from '../utils/cassette.js';
+import { SEARCH_PROVIDERS, createSearchProvider, setSearchProvider } from '../services/search/SearchProvider.js';
 
 export const verifyCommand = new Command('verify')
   .description('Test web verification of cricket incidents')
@@ -18,8 +22,16 @@ export const verifyCommand = new Command('verify')
   .option('-s, --show-sources', 'Show detailed source information')
   .option('-c, --confidence <threshold>', 'Minimum confidence threshold (0-100)', '60')
   .option('--json', 'Output results as JSON')
+  .option('--corpus <dir>', 'Verify against a local article corpus instead of Google Custom Search')
+  .option('--record <dir>', 'Record OpenRouter and Google Search requests/responses to a cassette directory')
+  .option('--replay <dir>', 'Replay recorded responses from a cassette directory (no network or API keys)')
   .action(async (options) => {
     try {
+      if (options.corpus) {
+        setSearchProvider(createSearchProvider({ provider: SEARCH_PROVIDERS.LOCAL, directory: options.corpus }));
+      }
+      const cassette = await setupCassette(options);
+
       console.log(chalk.blue('\n🔍 Cricket Verification Test'));
       console.log(chalk.blue('═══════════════════════════'));
 
@@ -34,22 +46,16 @@ export const verifyCommand = new Command('verify')
         console.log(chalk.cyan('\n📝 Generating incident for verification...'));
         
         // Use OpenRouter to generate a cricket incident
-        const prompt = `Generate a specific, verifiable cricket incident that actually happened. 
-Return it in this JSON format:
-{
-  "incident": "Detailed description of the cricket incident",
-  "summary": "Brief summary (max 100 chars)"
-}`;
+        const prompt = renderPrompt('verify-incident');
         
-        const response = await openRouterService.callOpenRouterAPI({
+        const { data } = await openRouterService.requestStructured({
           model: openRouterService.models.creative.claude3Sonnet,
-          messages: [{ role: 'user', content: prompt }],
+          messages: [{ role: 'user', content: prompt.text }],
           temperature: 0.7,
           max_tokens: 500
-        });
+        }, INCIDENT_SCHEMA);
         
-        const content = response.choices[0].message.content;
-        incident = openRouterService.extractJSONFromContent(content);
+        incident = data;
         console.log(chalk.gray(`Generated: "${incident.summary}"`));
       } else if (options.incident) {
         // Use provided incident
@@ -84,6 +90,8 @@ Return it in this JSON format:
         }
       );
 
+      cassette?.printSummary();
+
     } catch (error) {
       console.error(chalk.red('\n❌ Verification failed:'), error.message);
       process.exit(1);
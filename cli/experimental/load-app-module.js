@@ -0,0 +1,34 @@
+/**
+ * Load App Modules
+ *
+ * Lets the experimental checks require the app's TypeScript modules (src/)
+ * under Node. ts-node compiles them to CommonJS without type-checking; the
+ * Expo tsconfig targets the bundler, so it is skipped.
+ */
+
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const require = createRequire(import.meta.url);
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+let registered = false;
+
+/**
+ * Require an app module
+ * @param {string} modulePath - Path from the repository root, e.g. 'src/services/ChaseService.ts'
+ */
+export function loadAppModule(modulePath) {
+  if (!registered) {
+    require('ts-node').register({
+      cwd: ROOT_DIR,
+      transpileOnly: true,
+      skipProject: true,
+      moduleTypes: { 'src/**/*.ts': 'cjs' },
+      compilerOptions: { module: 'commonjs', esModuleInterop: true },
+    });
+    registered = true;
+  }
+  return require(path.join(ROOT_DIR, modulePath));
+}
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Test Chase Results
+ *
+ * Checks the outcome and margin Chase mode reports for second innings
+ * that end in a win, a loss, a tie or without a result.
+ */
+
+import assert from 'node:assert/strict';
+import chalk from 'chalk';
+import { MATCH_FORMATS } from '../../shared/config/constants.js';
+import { loadAppModule } from './load-app-module.js';
+
+const { default: ChaseService } = loadAppModule('src/services/ChaseService.ts');
+
+const chase = (target) => ({
+  source: 'opposition',
+  teamName: 'AI XI',
+  firstInnings: { runs: target - 1, wickets: 6, overs: '5.0', runRate: 0, overRuns: [] },
+  target
+});
+
+const innings = ({ runs, wickets, balls }) => ({
+  runs,
+  wickets,
+  balls,
+  overs: `${Math.floor(balls / 6)}.${balls % 6}`,
+  currentOver: Math.floor(balls / 6),
+  currentBall: balls % 6,
+  boundaries: { fours: 0, sixes: 0 },
+  dotBalls: 0,
+  singles: 0,
+  strikeRate: 0,
+  runRate: 0,
+  ballResults: []
+});
+
+const cases = [
+  {
+    name: 'A chase won early counts wickets and balls left',
+    format: MATCH_FORMATS.sprint,
+    target: 41,
+    state: { runs: 45, wickets: 3, balls: 20 },
+    outcome: 'won',
+    margin: 'Won by 7 wickets (10 balls left)'
+  },
+  {
+    name: 'A chase won with one ball and one wicket left uses the singular',
+    format: MATCH_FORMATS.sprint,
+    target: 41,
+    state: { runs: 42, wickets: 9, balls: 29 },
+    outcome: 'won',
+    margin: 'Won by 1 wicket (1 ball left)'
+  },
+  {
+    name: 'A chase won off the last ball has no balls left to mention',
+    format: MATCH_FORMATS.sprint,
+    target: 41,
+    state: { runs: 41, wickets: 2, balls: 30 },
+    outcome: 'won',
+    margin: 'Won by 8 wickets'
+  },
+  {
+    name: 'Falling short when the overs run out loses by the runs needed to tie',
+    format: MATCH_FORMATS.sprint,
+    target: 41,
+    state: { runs: 30, wickets: 4, balls: 30 },
+    outcome: 'lost',
+    margin: 'Lost by 10 runs'
+  },
+  {
+    name: 'A one run defeat uses the singular',
+    format: MATCH_FORMATS.sprint,
+    target: 41,
+    state: { runs: 39, wickets: 4, balls: 30 },
+    outcome: 'lost',
+    margin: 'Lost by 1 run'
+  },
+  {
+    name: 'Being bowled out ends the chase before the overs run out',
+    format: MATCH_FORMATS.learn,
+    target: 20,
+    state: { runs: 10, wickets: 5, balls: 7 },
+    outcome: 'lost',
+    margin: 'Lost by 9 runs'
+  },
+  {
+    name: 'Finishing level with the first innings is a tie',
+    format: MATCH_FORMATS.sprint,
+    target: 41,
+    state: { runs: 40, wickets: 7, balls: 30 },
+    outcome: 'tied',
+    margin: 'Match tied'
+  },
+  {
+    name: 'An innings cut short with overs and wickets left has no result',
+    format: MATCH_FORMATS.sprint,
+    target: 41,
+    state: { runs: 20, wickets: 2, balls: 12 },
+    outcome: 'no_result',
+    margin: 'No result'
+  }
+];
+
+const chaseService = new ChaseService();
+let failed = 0;
+for (const testCase of cases) {
+  try {
+    const result = chaseService.getChaseResult(chase(testCase.target), innings(testCase.state), testCase.format);
+    assert.equal(result.outcome, testCase.outcome);
+    assert.equal(result.margin, testCase.margin);
+    assert.equal(result.formatId, testCase.format.id);
+    console.log(chalk.green(`✓ ${testCase.name}`));
+  } catch (error) {
+    failed++;
+    console.log(chalk.red(`✗ ${testCase.name}`));
+    console.log(chalk.gray(error.message));
+  }
+}
+
+if (failed > 0) {
+  console.log(chalk.red(`\n${failed} of ${cases.length} chase result checks failed`));
+  process.exit(1);
+}
+console.log(chalk.green(`\nAll ${cases.length} chase result checks passed`));
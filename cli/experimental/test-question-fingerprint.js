@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Test Question Fingerprints
+ *
+ * Checks the near-duplicate rules on pairs of questions that must (or must
+ * not) be treated as the same question.
+ */
+
+import assert from 'node:assert/strict';
+import chalk from 'chalk';
+import { findNearDuplicates } from '../../shared/utils/question-fingerprint.js';
+
+const trueFalse = (question, correctAnswer = 0) => ({
+  question,
+  format: 'true_false',
+  options: ['True', 'False'],
+  correctAnswer
+});
+
+const cases = [
+  {
+    name: 'Two true statements about the same player are different questions',
+    questions: [
+      trueFalse('Sachin Tendulkar scored 100 international centuries.'),
+      trueFalse('Sachin Tendulkar captained Mumbai Indians in the IPL.')
+    ],
+    duplicates: 0
+  },
+  {
+    name: 'A reworded true/false statement is still caught by its wording',
+    questions: [
+      trueFalse('Sachin Tendulkar scored 100 international centuries.'),
+      trueFalse('Sachin Tendulkar scored 100 international centuries in his career.')
+    ],
+    duplicates: 1
+  },
+  {
+    name: 'Same answer about the same names is the same multiple choice question',
+    questions: [
+      {
+        question: 'Who captained India to the 2011 World Cup title?',
+        options: ['MS Dhoni', 'Sourav Ganguly', 'Virat Kohli', 'Rahul Dravid'],
+        correctAnswer: 0
+      },
+      {
+        question: 'Which captain lifted the World Cup for India in 2011?',
+        options: ['Rahul Dravid', 'MS Dhoni', 'Anil Kumble', 'Kapil Dev'],
+        correctAnswer: 1
+      }
+    ],
+    duplicates: 1
+  }
+];
+
+let failed = 0;
+for (const testCase of cases) {
+  try {
+    assert.equal(findNearDuplicates(testCase.questions).length, testCase.duplicates);
+    console.log(chalk.green(`✓ ${testCase.name}`));
+  } catch (error) {
+    failed++;
+    console.log(chalk.red(`✗ ${testCase.name}`));
+    console.log(chalk.gray(error.message));
+  }
+}
+
+if (failed > 0) {
+  console.log(chalk.red(`\n${failed} of ${cases.length} fingerprint checks failed`));
+  process.exit(1);
+}
+console.log(chalk.green(`\nAll ${cases.length} fingerprint checks passed`));
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * Test Review Schedule
+ *
+ * Checks the SM-2 intervals Nets Practice reviews come back after, for
+ * sequences of graded reviews (quality 0-5) starting from a new review.
+ */
+
+import assert from 'node:assert/strict';
+import chalk from 'chalk';
+import { loadAppModule } from './load-app-module.js';
+
+const { advanceSchedule } = loadAppModule('src/services/LearningContextService.ts');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-01-01T09:00:00Z');
+
+/**
+ * Days until each review comes back, or 'mastered' once the last interval is passed
+ */
+function reviewIntervals(qualities, schedule = { step: 0, easeFactor: 2.5, dueAt: NOW.toISOString(), reviews: 0, lapses: 0 }) {
+  const intervals = [];
+  for (const quality of qualities) {
+    schedule = advanceSchedule(schedule, quality, NOW);
+    if (!schedule) {
+      intervals.push('mastered');
+      break;
+    }
+    intervals.push(Math.round((new Date(schedule.dueAt).getTime() - NOW.getTime()) / DAY_MS));
+  }
+  return { intervals, schedule };
+}
+
+const cases = [
+  {
+    name: 'Perfect reviews stretch the 3, 7 and 21 day intervals and then master the review',
+    run: () => {
+      assert.deepEqual(reviewIntervals([5, 5, 5, 5]).intervals, [3, 8, 24, 'mastered']);
+    }
+  },
+  {
+    name: 'Hesitant passes (quality 3) shrink the intervals',
+    run: () => {
+      assert.deepEqual(reviewIntervals([3, 3, 3]).intervals, [3, 6, 17]);
+    }
+  },
+  {
+    name: 'A miss starts again from 1 day and counts a lapse',
+    run: () => {
+      const { intervals, schedule } = reviewIntervals([5, 5, 1]);
+      assert.deepEqual(intervals, [3, 8, 1]);
+      assert.equal(schedule.step, 0);
+      assert.equal(schedule.lapses, 1);
+      assert.equal(schedule.reviews, 3);
+    }
+  },
+  {
+    name: 'The ease factor never drops below 1.3',
+    run: () => {
+      const { schedule } = reviewIntervals([0, 0, 0, 0, 0, 0]);
+      assert.equal(schedule.easeFactor, 1.3);
+      assert.deepEqual(reviewIntervals([3, 3, 3], schedule).intervals, [2, 4, 11]);
+    }
+  },
+  {
+    name: 'Other fields of the review are kept',
+    run: () => {
+      const { schedule } = reviewIntervals([4], { step: 0, easeFactor: 2.5, dueAt: NOW.toISOString(), reviews: 0, lapses: 0, topic: 'Ashes' });
+      assert.equal(schedule.topic, 'Ashes');
+      assert.equal(schedule.lastReviewedAt, NOW.toISOString());
+    }
+  }
+];
+
+let failed = 0;
+for (const testCase of cases) {
+  try {
+    testCase.run();
+    console.log(chalk.green(`✓ ${testCase.name}`));
+  } catch (error) {
+    failed++;
+    console.log(chalk.red(`✗ ${testCase.name}`));
+    console.log(chalk.gray(error.message));
+  }
+}
+
+if (failed > 0) {
+  console.log(chalk.red(`\n${failed} of ${cases.length} review schedule checks failed`));
+  process.exit(1);
+}
+console.log(chalk.green(`\nAll ${cases.length} review schedule checks passed`));
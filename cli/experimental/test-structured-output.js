@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+
+/**
+ * Test Structured Output
+ *
+ * Checks the JSON repair of malformed model answers, schema validation of
+ * structured answers and the single re-ask of requestStructured, using a
+ * stub provider that replays canned answers.
+ */
+
+import assert from 'node:assert/strict';
+import chalk from 'chalk';
+import { parseLooseJSON } from '../../shared/utils/json-repair.js';
+import { parseStructuredOutput, buildReaskMessage } from '../../shared/utils/structured-output.js';
+import { QUESTION_LIST_SCHEMA, JUDGEMENT_SCHEMA } from '../../shared/schemas/llm-output.js';
+import OpenRouterService from '../../shared/services/OpenRouterService.js';
+
+const question = (text = 'Who captained India to the 2011 World Cup title?') => ({
+  question: text,
+  options: ['MS Dhoni', 'Sourav Ganguly', 'Virat Kohli', 'Rahul Dravid'],
+  correctAnswer: 0,
+  explanation: 'MS Dhoni led India to the title at the Wankhede.'
+});
+
+const invalidQuestion = { ...question(), options: ['MS Dhoni', 'Virat Kohli'] };
+
+/**
+ * Service whose provider answers with the given contents in turn (an Error is thrown).
+ * No fallback chains, so every call is one request to the stub.
+ */
+function createStubService(answers) {
+  const requests = [];
+  const provider = {
+    name: 'stub',
+    async complete(params) {
+      requests.push(params);
+      const answer = answers[requests.length - 1];
+      if (answer instanceof Error) throw answer;
+      return { model: params.model, choices: [{ message: { content: answer } }] };
+    }
+  };
+  const service = new OpenRouterService(null, { provider, fallbackChains: {} });
+  service.log = () => {};
+  return { service, requests };
+}
+
+const request = { model: 'openai/gpt-4o-mini', messages: [{ role: 'user', content: 'Write cricket trivia' }] };
+
+const cases = [
+  {
+    name: 'Trailing commas, single quotes and unquoted keys are repaired',
+    run: () => {
+      const { value, repaired } = parseLooseJSON("[{question: 'Who won in 1983?', options: ['India', 'West Indies',],},]");
+      assert.equal(repaired, true);
+      assert.deepEqual(value, [{ question: 'Who won in 1983?', options: ['India', 'West Indies'] }]);
+    }
+  },
+  {
+    name: 'Smart quotes, apostrophes and raw newlines inside strings are repaired',
+    run: () => {
+      const { value } = parseLooseJSON("{“summary”: 'Don't bowl\nshort'}");
+      assert.deepEqual(value, { summary: "Don't bowl\nshort" });
+    }
+  },
+  {
+    name: 'JSON is found inside prose and code fences',
+    run: () => {
+      const { value } = parseLooseJSON('Here are the questions:\n```json\n[{"a": 1}]\n```\nEnjoy!', { expect: 'array' });
+      assert.deepEqual(value, [{ a: 1 }]);
+    }
+  },
+  {
+    name: 'A truncated array keeps its complete elements and drops the cut-off one',
+    run: () => {
+      const { value } = parseLooseJSON('[{"a": 1}, {"b": 2}, {"c": "cut o');
+      assert.deepEqual(value, [{ a: 1 }, { b: 2 }]);
+    }
+  },
+  {
+    name: 'Valid JSON is parsed without repair',
+    run: () => {
+      assert.deepEqual(parseLooseJSON('{"a": [1, 2]}'), { value: { a: [1, 2] }, repaired: false });
+    }
+  },
+  {
+    name: 'A response without JSON is an error',
+    run: () => {
+      assert.throws(() => parseLooseJSON('Sorry, I cannot help with that.', { expect: 'array' }), /No JSON array found/);
+    }
+  },
+  {
+    name: 'A list wrapped in an object is unwrapped and invalid elements are dropped',
+    run: () => {
+      const result = parseStructuredOutput(JSON.stringify({ items: [question(), invalidQuestion] }), QUESTION_LIST_SCHEMA);
+      assert.equal(result.data.length, 1);
+      assert.equal(result.errors.length, 1);
+    }
+  },
+  {
+    name: 'An invalid object answer has no data',
+    run: () => {
+      const result = parseStructuredOutput('{"summary": "Fine"}', JUDGEMENT_SCHEMA);
+      assert.equal(result.data, null);
+      assert.ok(result.errors.length > 0);
+    }
+  },
+  {
+    name: 'The re-ask message lists at most ten errors',
+    run: () => {
+      const errors = Array.from({ length: 12 }, (_, index) => `error ${index + 1}`);
+      const message = buildReaskMessage(QUESTION_LIST_SCHEMA, errors);
+      assert.match(message, /- error 10\n- \.\.\.and 2 more/);
+      assert.doesNotMatch(message, /error 11/);
+      assert.match(message, /corrected JSON array only/);
+    }
+  },
+  {
+    name: 'A valid answer is kept without a re-ask',
+    run: async () => {
+      const { service, requests } = createStubService([JSON.stringify([question()])]);
+      const result = await service.requestStructured(request, QUESTION_LIST_SCHEMA);
+      assert.equal(requests.length, 1);
+      assert.equal(result.reasked, false);
+      assert.equal(result.data.length, 1);
+    }
+  },
+  {
+    name: 'An invalid answer is re-asked with its errors and the better answer is kept',
+    run: async () => {
+      const { service, requests } = createStubService([
+        JSON.stringify([invalidQuestion]),
+        JSON.stringify([question(), question('Who scored the first ODI double century?')])
+      ]);
+      const result = await service.requestStructured(request, QUESTION_LIST_SCHEMA);
+      assert.equal(requests.length, 2);
+      assert.match(requests[1].messages.at(-1).content, /Problems found/);
+      assert.equal(result.reasked, true);
+      assert.equal(result.data.length, 2);
+    }
+  },
+  {
+    name: 'A worse re-ask answer leaves the first answer in place',
+    run: async () => {
+      const { service } = createStubService([
+        JSON.stringify([question(), invalidQuestion]),
+        'Sorry, here is nothing useful'
+      ]);
+      const result = await service.requestStructured(request, QUESTION_LIST_SCHEMA);
+      assert.equal(result.reasked, false);
+      assert.equal(result.data.length, 1);
+    }
+  },
+  {
+    name: 'A failed re-ask keeps the valid part of the first answer',
+    run: async () => {
+      const { service } = createStubService([JSON.stringify([question(), invalidQuestion]), new Error('Bad request')]);
+      const result = await service.requestStructured(request, QUESTION_LIST_SCHEMA);
+      assert.equal(result.data.length, 1);
+      assert.equal(result.errors.length, 1);
+    }
+  },
+  {
+    name: 'No valid data after the re-ask is an error',
+    run: async () => {
+      const { service } = createStubService([JSON.stringify([invalidQuestion]), JSON.stringify([invalidQuestion])]);
+      await assert.rejects(service.requestStructured(request, QUESTION_LIST_SCHEMA), /Invalid trivia_questions after re-ask/);
+      assert.equal(service.structuredStats.failed, 1);
+    }
+  }
+];
+
+let failed = 0;
+for (const testCase of cases) {
+  try {
+    await testCase.run();
+    console.log(chalk.green(`✓ ${testCase.name}`));
+  } catch (error) {
+    failed++;
+    console.log(chalk.red(`✗ ${testCase.name}`));
+    console.log(chalk.gray(error.message));
+  }
+}
+
+if (failed > 0) {
+  console.log(chalk.red(`\n${failed} of ${cases.length} structured output checks failed`));
+  process.exit(1);
+}
+console.log(chalk.green(`\nAll ${cases.length} structured output checks passed`));
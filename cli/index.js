@@ -17,6 +17,13 @@ import { searchGenerateV2Command as searchGenerateCommand } from './commands/sea
 import { speedTestCommand } from './experimental/speed-test.js';
 import { learnCricketCommand } from './commands/learn-cricket.js';
 import { learnCricketFastCommand } from './commands/learn-cricket-fast.js';
+import { provenanceCommand } from './commands/provenance.js';
+import { promptsCommand } from './commands/prompts.js';
+import { evalCommand } from './commands/eval.js';
+import { ingestCricsheetCommand } from './commands/ingest-cricsheet.js';
+import { configureLLMProvider } from './utils/llm-provider.js';
+import { setRequestPolicy } from '../shared/services/OpenRouterService.js';
+import { config } from './utils/config.js';
 
 const program = new Command();
 
@@ -32,8 +39,15 @@ program
   .name('cricket-cli')
   .description('CLI tool for testing AI-powered cricket question generation with web verification')
   .version('1.0.0')
-  .hook('preAction', () => {
+  .hook('preAction', (thisCommand, actionCommand) => {
     console.log(header);
+    const options = actionCommand.opts();
+    // `search`, `provenance`, `ingest-cricsheet`, `prompts` and `verify` (without --generate)
+    // never call an LLM, so they can run offline (against a local search corpus or the question bank)
+    const searchOnly = ['search', 'provenance', 'ingest-cricsheet'].includes(actionCommand.name()) ||
+      actionCommand.parent?.name() === 'prompts' ||
+      (actionCommand.name() === 'verify' && !options.generate);
+    config.validateEnvironment({ offline: !!options.replay || searchOnly });
   });
 
 // Add commands
@@ -44,6 +58,10 @@ program.addCommand(speedTestCommand); // Speed testing
 program.addCommand(verifyCommand);
 program.addCommand(searchCommand);
 program.addCommand(performanceCommand);
+program.addCommand(provenanceCommand);
+program.addCommand(promptsCommand);
+program.addCommand(evalCommand);
+program.addCommand(ingestCricsheetCommand);
 
 // Help command override
 program.helpCommand('help [command]');
@@ -52,6 +70,10 @@ program.helpCommand('help [command]');
 program.exitOverride();
 
 try {
+  // Select the LLM provider (live OpenRouter or offline fixtures) before any command runs
+  await configureLLMProvider();
+  // Timeouts, retries and concurrency for every model request
+  setRequestPolicy(config.openRouter.performance);
   program.parse();
 } catch (err) {
   console.error(chalk.red('\n❌ Error:'), err.message);
@@ -119,6 +119,9 @@ export class AnecdoteGenerator {
    * Enhance filters using the advanced filter system
    */
   enhanceFilters(filters, category) {
+    // Filters with a search seed are already enhanced (e.g. `eval` scenarios shared by variants)
+    if (filters.searchSeed) return filters;
+
     console.log(chalk.gray('🎯 Applying enhanced filter system...'));
     return this.filterSystem.generateEnhancedFilters(filters, category);
   }
@@ -0,0 +1,213 @@
+/**
+ * ClaimVerifier - Phase 3 of V2 Pipeline (optional)
+ *
+ * Breaks each generated question into atomic factual claims, checks every claim
+ * through the search service (Google or the local corpus) and scores it. A
+ * question is only as trustworthy as its weakest claim, so questions whose lowest
+ * claim confidence falls below the threshold are dropped (or kept and flagged)
+ * instead of shipping as fact.
+ */
+
+import chalk from 'chalk';
+import { getOpenRouterService } from '../../shared/services/OpenRouterService.js';
+import { GoogleSearchService } from './google-search.js';
+import { config } from '../utils/config.js';
+import { withValidation } from '../../shared/utils/provenance.js';
+import { describeCorrectAnswer } from '../../shared/utils/question-formats.js';
+
+// Capitalized words that start sentences rather than name things
+const NON_NAME_WORDS = new Set([
+  'The', 'In', 'On', 'At', 'During', 'When', 'After', 'Before', 'With', 'Which', 'Who',
+  'What', 'His', 'Her', 'Their', 'This', 'That', 'Only', 'And', 'But', 'For'
+]);
+
+export class ClaimVerifier {
+  constructor() {
+    this.openRouter = getOpenRouterService();
+    this.searchService = new GoogleSearchService();
+    this.config = config.openRouter.v2Pipeline.claimVerification;
+  }
+
+  /**
+   * Whether claims can be checked (search provider configured or replayed)
+   */
+  get enabled() {
+    return this.searchService.enabled;
+  }
+
+  /**
+   * Verify questions claim by claim
+   * @param {Object} options - Verification options
+   * @param {Array} options.questions - Phase 2 questions
+   * @param {number} options.threshold - Minimum question confidence (0-100)
+   * @param {'drop' | 'flag'} options.onUnverified - Drop questions below the threshold, or keep them flagged
+   * @param {string} options.model - Claim extraction model (optional)
+   * @returns {Promise<{ questions: Array, dropped: Array, flagged: Array }>}
+   */
+  async verifyQuestions(options) {
+    const {
+      questions = [],
+      threshold = this.config.threshold,
+      onUnverified = 'drop',
+      model = null
+    } = options;
+
+    console.log(chalk.blue(`🔎 Phase 3: Verifying claims in ${questions.length} questions (threshold: ${threshold}%)...`));
+
+    const kept = [];
+    const dropped = [];
+    const flagged = [];
+
+    // One question at a time keeps search usage predictable
+    for (const [index, question] of questions.entries()) {
+      const verification = await this.verifyQuestion(question, threshold, model);
+      const verifiedQuestion = withValidation({ ...question, verification }, 'claims', verification.verified, {
+        confidence: verification.confidence,
+        threshold
+      });
+
+      const label = verification.confidence === null ? 'unchecked' : `${verification.confidence}%`;
+      console.log(chalk.gray(`   ${index + 1}/${questions.length} ${verification.claims.length} claims, confidence ${label}`));
+
+      if (verification.verified) {
+        kept.push(verifiedQuestion);
+      } else if (onUnverified === 'flag' || verification.confidence === null) {
+        // Questions that could not be checked at all are flagged, never dropped
+        verifiedQuestion.verification.flagged = true;
+        kept.push(verifiedQuestion);
+        flagged.push(verifiedQuestion);
+      } else {
+        dropped.push(verifiedQuestion);
+      }
+    }
+
+    console.log(chalk.green(`✅ Verified ${kept.length - flagged.length} questions` +
+      (flagged.length ? `, flagged ${flagged.length}` : '') +
+      (dropped.length ? `, dropped ${dropped.length}` : '')));
+
+    return { questions: kept, dropped, flagged };
+  }
+
+  /**
+   * Verify a single question
+   */
+  async verifyQuestion(question, threshold, model) {
+    const claims = await this.getClaims(question, model);
+    const results = await Promise.all(claims.map(claim => this.verifyClaim(claim)));
+
+    const scored = results.filter(result => result.confidence !== null);
+    const confidence = scored.length > 0
+      ? Math.min(...scored.map(result => result.confidence))
+      : null;
+
+    return {
+      confidence,
+      threshold,
+      verified: confidence !== null && confidence >= threshold,
+      claims: results.map(result => ({ ...result, verified: result.confidence !== null && result.confidence >= threshold })),
+      checkedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get a question's claims from the LLM, falling back to splitting the explanation
+   */
+  async getClaims(question, model) {
+    const { maxClaimsPerQuestion } = this.config;
+
+    try {
+      const claims = await this.openRouter.extractClaims(question, model);
+      if (claims.length > 0) {
+        return claims.slice(0, maxClaimsPerQuestion);
+      }
+    } catch (error) {
+      console.warn(chalk.yellow(`   ⚠️ Claim extraction failed, using explanation sentences: ${error.message}`));
+    }
+
+    return this.extractClaimsHeuristically(question).slice(0, maxClaimsPerQuestion);
+  }
+
+  /**
+   * Answer statement plus one claim per explanation sentence
+   */
+  extractClaimsHeuristically(question) {
+    const answer = describeCorrectAnswer(question);
+    const answerClaim = `${question.question.replace(/\?\s*$/, '')}: ${answer}`;
+
+    const sentences = (question.explanation || '')
+      .split(/(?<=[.!])\s+/)
+      .map(sentence => sentence.trim())
+      .filter(sentence => sentence.length > 20);
+
+    return [answerClaim, ...sentences];
+  }
+
+  /**
+   * Search for a claim and score how well the results support it
+   */
+  async verifyClaim(claim) {
+    const searchResults = await this.searchService.searchCricketIncident(claim, { includeContext: true });
+
+    if (!searchResults.success) {
+      return { claim, confidence: null, error: searchResults.error, sources: [] };
+    }
+
+    // Search confidence rates the sources; support checks they mention the claim's names and numbers
+    const support = this.calculateSupport(claim, searchResults.items);
+    const confidence = Math.round(searchResults.confidence * (0.5 + 0.5 * support));
+
+    return {
+      claim,
+      confidence,
+      searchConfidence: searchResults.confidence,
+      support: Math.round(support * 100),
+      sources: searchResults.items.slice(0, 3).map(item => ({
+        title: item.title,
+        link: item.link,
+        score: item.score
+      }))
+    };
+  }
+
+  /**
+   * Share of the claim's names and numbers that appear in the top results
+   */
+  calculateSupport(claim, items) {
+    const terms = this.extractClaimTerms(claim);
+    if (terms.length === 0 || items.length === 0) {
+      return items.length > 0 ? 1 : 0;
+    }
+
+    const resultText = items.slice(0, 5)
+      .map(item => `${item.title} ${item.snippet}`)
+      .join(' ')
+      .toLowerCase();
+
+    const found = terms.filter(term => resultText.includes(term.toLowerCase()));
+    return found.length / terms.length;
+  }
+
+  /**
+   * Names and numbers a supporting source should mention
+   */
+  extractClaimTerms(claim) {
+    const numbers = (claim.match(/\b\d[\d,.]*\d\b|\b\d\b/g) || []);
+    const names = (claim.match(/\b[A-Z][a-zA-Z']{2,}\b/g) || [])
+      .map(name => name.replace(/'s$/, ''))
+      .filter(name => !NON_NAME_WORDS.has(name));
+
+    return [...new Set([...numbers, ...names])];
+  }
+}
+
+// Export singleton getter
+let claimVerifierInstance = null;
+
+export const getClaimVerifier = () => {
+  if (!claimVerifierInstance) {
+    claimVerifierInstance = new ClaimVerifier();
+  }
+  return claimVerifierInstance;
+};
+
+export default ClaimVerifier;
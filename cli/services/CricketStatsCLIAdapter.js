@@ -0,0 +1,35 @@
+/**
+ * CLI Adapter for Cricket Stats Service
+ *
+ * Wraps the shared CricketStatsService with file-based storage and chalk logging.
+ */
+
+import chalk from 'chalk';
+import CricketStatsService from '../../shared/services/CricketStatsService.js';
+import { FileStorage } from '../utils/file-storage.js';
+import { config } from '../utils/config.js';
+
+// Create logger with chalk for CLI
+const cliLogger = {
+  info: (msg) => console.log(chalk.blue(`📊 ${msg}`)),
+  warn: (msg) => console.log(chalk.yellow(`⚠️  ${msg}`)),
+  error: (msg, error) => console.error(chalk.red(`❌ ${msg}`), error || ''),
+  success: (msg) => console.log(chalk.green(`✅ ${msg}`)),
+};
+
+let cricketStatsInstance = null;
+
+/**
+ * Get Cricket Stats service configured for CLI (persists under the CLI data directory)
+ */
+export function getCricketStatsService() {
+  if (!cricketStatsInstance) {
+    cricketStatsInstance = new CricketStatsService({
+      storage: new FileStorage(config.storage.dataDir),
+      logger: cliLogger
+    });
+  }
+  return cricketStatsInstance;
+}
+
+export default getCricketStatsService;
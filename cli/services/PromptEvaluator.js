@@ -0,0 +1,313 @@
+/**
+ * Prompt Evaluator
+ *
+ * Runs two or more variants (prompt template versions and/or models) through
+ * the two-phase pipeline on the same filter/category scenarios and scores what
+ * each produced:
+ * - question validity (QuestionValidator) and quality (QuestionGenerator.calculateQuestionQuality)
+ * - anecdote quality (AnecdoteGenerator.calculateQualityScore)
+ * - near-duplicate rate, structured-output parse failures, latency and cost
+ *
+ * Scenario filters are enhanced once and shared by every variant, and the
+ * report keeps them, so a later eval can rerun exactly the same scenarios.
+ * Runs whose questions were written by a fallback model instead of the
+ * variant's are flagged, since their scores are not the variant model's.
+ */
+
+import chalk from 'chalk';
+import { getAnecdoteGenerator } from './AnecdoteGenerator.js';
+import { getQuestionGenerator } from './QuestionGenerator.js';
+import { getOpenRouterService } from '../../shared/services/OpenRouterService.js';
+import { getPromptRegistry } from '../../shared/prompts/PromptRegistry.js';
+import { QuestionValidator } from '../../shared/utils/question-validator.js';
+import { findNearDuplicates } from '../../shared/utils/question-fingerprint.js';
+import { getEnhancedFilterSystem } from '../utils/enhanced-filters.js';
+import { describeVariant } from '../utils/eval-report.js';
+
+// Used when no scenario file is given: one scenario per main category
+export const DEFAULT_SCENARIOS = [
+  { name: 'legendary-moments-modern', category: 'legendary_moments', filters: { era: 'modern_era', countries: ['all_countries'] } },
+  { name: 'player-stories-golden-age', category: 'player_stories', filters: { era: 'golden_age', countries: ['england', 'australia'] } },
+  { name: 'records-stats-all-eras', category: 'records_stats', filters: { era: 'all_eras', countries: ['all_countries'] } },
+  { name: 'cultural-impact-world-cup', category: 'cultural_impact', filters: { era: 'world_cup_era', countries: ['india', 'west_indies'] } }
+];
+
+/**
+ * Mean of a list of numbers (0 when empty)
+ */
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Share of a total (0 when the total is 0)
+ */
+function rate(count, total) {
+  return total > 0 ? count / total : 0;
+}
+
+/**
+ * Whether the model that answered is the one requested (OpenRouter may add a
+ * dated suffix, e.g. anthropic/claude-3-sonnet-20240229)
+ */
+function isRequestedModel(requested, served) {
+  return served === requested || served.startsWith(`${requested}-`);
+}
+
+export class PromptEvaluator {
+  constructor() {
+    this.anecdoteGen = getAnecdoteGenerator();
+    this.questionGen = getQuestionGenerator();
+    this.openRouter = getOpenRouterService();
+    this.registry = getPromptRegistry();
+    this.filterSystem = getEnhancedFilterSystem();
+  }
+
+  /**
+   * Evaluate variants on the same scenarios
+   * @param {Object} options
+   * @param {Array<{ label: string, model?: string, searchModel?: string, prompts?: Array<{ id: string, version: number }> }>} options.variants
+   * @param {Array<{ name: string, category: string, filters?: Object }>} options.scenarios
+   * @param {number} [options.anecdoteCount] - Anecdotes per scenario
+   * @param {number} [options.targetQuestions] - Questions per scenario (default: from the anecdote count)
+   * @returns {Promise<Object>} Report with per-variant metrics and per-scenario runs
+   */
+  async evaluate({ variants, scenarios, anecdoteCount = 5, targetQuestions = null }) {
+    const prepared = this.prepareScenarios(scenarios);
+    const settings = { anecdoteCount, targetQuestions };
+    const results = [];
+
+    for (const variant of variants) {
+      if (this.openRouter.usage.budgetExceeded) {
+        console.log(chalk.yellow(`⚠️ Budget reached - skipping variant ${variant.label}`));
+        break;
+      }
+      const setup = describeVariant({ model: this.resolveModel(variant), prompts: variant.prompts || [] });
+      console.log(chalk.yellow(`\n=== Variant ${variant.label}: ${setup} ===`));
+      const result = await this.evaluateVariant(variant, prepared, settings);
+      if (result.fallbackScenarios.length > 0) {
+        console.log(chalk.yellow(`⚠️ Variant ${variant.label}: ${result.fallbackScenarios.length} scenarios were answered by ` +
+          `${result.servedModels.filter(model => !isRequestedModel(result.model, model)).join(', ')} instead of ${result.model}`));
+      }
+      results.push(result);
+    }
+
+    return {
+      createdAt: new Date().toISOString(),
+      settings,
+      scenarios: prepared,
+      variants: results
+    };
+  }
+
+  /**
+   * Enhance each scenario's filters once so every variant gets the same search context.
+   * Filters that already carry a search seed (from an earlier report) are kept.
+   */
+  prepareScenarios(scenarios) {
+    return scenarios.map(scenario => {
+      const filters = scenario.filters || {};
+      return {
+        ...scenario,
+        filters: filters.searchSeed ? filters : this.filterSystem.generateEnhancedFilters(filters, scenario.category)
+      };
+    });
+  }
+
+  /**
+   * Question-writing model a variant runs with
+   */
+  resolveModel(variant) {
+    return this.questionGen.selectBestCreativeModel(variant.model || null);
+  }
+
+  /**
+   * Run every scenario with a variant's prompt versions pinned
+   */
+  async evaluateVariant(variant, scenarios, settings) {
+    const savedPins = this.registry.getPins();
+    const runs = [];
+
+    try {
+      (variant.prompts || []).forEach(prompt => this.registry.pin(prompt.id, prompt.version));
+
+      for (const scenario of scenarios) {
+        if (this.openRouter.usage.budgetExceeded) break;
+        runs.push(await this.runScenario(variant, scenario, settings));
+      }
+    } finally {
+      this.registry.setPins(savedPins);
+    }
+
+    const model = this.resolveModel(variant);
+    return {
+      label: variant.label,
+      model,
+      // Models that actually wrote the questions (fallbacks included)
+      servedModels: [...new Set(runs.flatMap(run => run.servedModels))],
+      fallbackScenarios: runs
+        .filter(run => run.servedModels.some(served => !isRequestedModel(model, served)))
+        .map(run => run.scenario),
+      searchModel: variant.searchModel || null,
+      prompts: (variant.prompts || []).map(({ id, version }) => ({ id, version })),
+      metrics: this.scoreRuns(runs),
+      runs: runs.map(run => this.summarizeRun(run))
+    };
+  }
+
+  /**
+   * Generate anecdotes and questions for one scenario, recording latency,
+   * cost and structured-output outcomes
+   */
+  async runScenario(variant, scenario, settings) {
+    const usageBefore = this.openRouter.usage.getSummary();
+    const structuredBefore = { ...this.openRouter.structuredStats };
+    const startTime = Date.now();
+    let anecdotes = [];
+    let questions = [];
+    let error = null;
+
+    try {
+      anecdotes = await this.anecdoteGen.generateAnecdotes({
+        filters: scenario.filters,
+        category: scenario.category,
+        count: settings.anecdoteCount,
+        model: variant.searchModel || null
+      });
+      questions = await this.questionGen.generateQuestions({
+        anecdotes,
+        category: scenario.category,
+        filters: scenario.filters,
+        targetQuestions: settings.targetQuestions,
+        model: variant.model || null
+      });
+    } catch (runError) {
+      error = runError.message;
+      console.log(chalk.red(`❌ ${scenario.name} failed: ${error}`));
+    }
+
+    const usageAfter = this.openRouter.usage.getSummary();
+    const structured = {};
+    Object.keys(structuredBefore).forEach(key => {
+      structured[key] = this.openRouter.structuredStats[key] - structuredBefore[key];
+    });
+
+    return {
+      scenario: scenario.name,
+      latencyMs: Date.now() - startTime,
+      error,
+      anecdotes,
+      questions,
+      servedModels: [...new Set(questions.map(question => question.provenance?.model).filter(Boolean))],
+      structured,
+      calls: usageAfter.calls - usageBefore.calls,
+      tokens: usageAfter.totalTokens - usageBefore.totalTokens,
+      cost: usageAfter.cost - usageBefore.cost
+    };
+  }
+
+  /**
+   * Score a question with the validator and the pipeline's quality score
+   */
+  scoreQuestion(question) {
+    const validation = QuestionValidator.validateQuestion(question);
+    return {
+      valid: validation.isValid,
+      errors: validation.errors,
+      quality: this.questionGen.calculateQuestionQuality(question)
+    };
+  }
+
+  /**
+   * Metrics for one scenario run
+   */
+  scoreRun(run) {
+    const scores = run.questions.map(question => this.scoreQuestion(question));
+    return {
+      anecdotes: run.anecdotes.length,
+      anecdoteQuality: average(run.anecdotes.map(anecdote => this.anecdoteGen.calculateQualityScore(anecdote))),
+      questions: run.questions.length,
+      validRate: rate(scores.filter(score => score.valid).length, scores.length),
+      questionQuality: average(scores.map(score => score.quality)),
+      duplicateRate: rate(findNearDuplicates(run.questions).length, run.questions.length),
+      parseFailureRate: rate(run.structured.invalid, run.structured.requests)
+    };
+  }
+
+  /**
+   * Metrics for all of a variant's runs
+   */
+  scoreRuns(runs) {
+    const questions = runs.flatMap(run => run.questions);
+    const anecdotes = runs.flatMap(run => run.anecdotes);
+    const scores = questions.map(question => this.scoreQuestion(question));
+    const structured = runs.reduce((totals, run) => {
+      Object.entries(run.structured).forEach(([key, value]) => {
+        totals[key] = (totals[key] || 0) + value;
+      });
+      return totals;
+    }, { requests: 0, repaired: 0, invalid: 0, failed: 0 });
+    const cost = runs.reduce((sum, run) => sum + run.cost, 0);
+
+    return {
+      scenarios: runs.length,
+      failedScenarios: runs.filter(run => run.error).length,
+      anecdotes: anecdotes.length,
+      anecdoteQuality: average(anecdotes.map(anecdote => this.anecdoteGen.calculateQualityScore(anecdote))),
+      questions: questions.length,
+      validRate: rate(scores.filter(score => score.valid).length, scores.length),
+      questionQuality: average(scores.map(score => score.quality)),
+      // Near-duplicates across all of the variant's questions, not just within a scenario
+      duplicateRate: rate(findNearDuplicates(questions).length, questions.length),
+      structured,
+      parseFailureRate: rate(structured.invalid, structured.requests),
+      unrecoveredParseRate: rate(structured.failed, structured.requests),
+      avgLatencyMs: Math.round(average(runs.map(run => run.latencyMs))),
+      maxLatencyMs: Math.max(0, ...runs.map(run => run.latencyMs)),
+      calls: runs.reduce((sum, run) => sum + run.calls, 0),
+      tokens: runs.reduce((sum, run) => sum + run.tokens, 0),
+      cost,
+      costPerQuestion: questions.length > 0 ? cost / questions.length : null
+    };
+  }
+
+  /**
+   * Report entry for a run: its metrics and the scored questions
+   */
+  summarizeRun(run) {
+    return {
+      scenario: run.scenario,
+      error: run.error,
+      servedModels: run.servedModels,
+      latencyMs: run.latencyMs,
+      calls: run.calls,
+      tokens: run.tokens,
+      cost: run.cost,
+      metrics: this.scoreRun(run),
+      questions: run.questions.map(question => {
+        const { valid, errors, quality } = this.scoreQuestion(question);
+        return {
+          question: question.question,
+          options: question.options,
+          correctAnswer: question.correctAnswer,
+          anecdote: question.provenance?.anecdote?.title || null,
+          quality,
+          valid,
+          errors
+        };
+      })
+    };
+  }
+}
+
+// Singleton instance management
+let promptEvaluatorInstance = null;
+
+export const getPromptEvaluator = () => {
+  if (!promptEvaluatorInstance) {
+    promptEvaluatorInstance = new PromptEvaluator();
+  }
+  return promptEvaluatorInstance;
+};
+
+export default PromptEvaluator;
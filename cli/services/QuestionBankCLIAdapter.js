@@ -0,0 +1,38 @@
+/**
+ * CLI Adapter for Question Bank Service
+ * 
+ * Wraps the shared QuestionBankService with file-based storage and chalk logging.
+ */
+
+import chalk from 'chalk';
+import QuestionBankService from '../../shared/services/QuestionBankService.js';
+import { FileStorage } from '../utils/file-storage.js';
+import { config } from '../utils/config.js';
+
+// Create logger with chalk for CLI
+const cliLogger = {
+  info: (msg) => console.log(chalk.blue(`🏦 ${msg}`)),
+  warn: (msg) => console.log(chalk.yellow(`⚠️  ${msg}`)),
+  error: (msg, error) => console.error(chalk.red(`❌ ${msg}`), error || ''),
+  success: (msg) => console.log(chalk.green(`✅ ${msg}`)),
+};
+
+let questionBankInstance = null;
+
+/**
+ * Get Question Bank service configured for CLI (persists under the CLI data directory)
+ */
+export function getQuestionBankService() {
+  if (!questionBankInstance) {
+    const { dataDir, questionBank } = config.storage;
+
+    questionBankInstance = new QuestionBankService({
+      storage: new FileStorage(dataDir),
+      repeatWindow: questionBank.repeatWindow,
+      logger: cliLogger
+    });
+  }
+  return questionBankInstance;
+}
+
+export default getQuestionBankService;
@@ -8,6 +8,7 @@
 import chalk from 'chalk';
 import { getOpenRouterService } from '../../shared/services/OpenRouterService.js';
 import { config } from '../utils/config.js';
+import { collectSources } from '../../shared/utils/provenance.js';
 
 export class QuestionGenerator {
   constructor() {
@@ -239,16 +240,40 @@ export class QuestionGenerator {
    * Enhance question with metadata and quality metrics
    */
   enhanceQuestion(question, sourceAnecdotes) {
+    const sourceAnecdote = this.findSourceAnecdote(question, sourceAnecdotes);
+
     return {
       ...question,
       id: `question_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`,
       questionLength: question.question.length,
       answerComplexity: this.calculateAnswerComplexity(question.options),
-      sourceAnecdoteId: this.findSourceAnecdoteId(question, sourceAnecdotes),
+      sourceAnecdoteId: sourceAnecdote?.id || null,
       qualityScore: this.calculateQuestionQuality(question),
       generatedAt: new Date().toISOString(),
       phase: 'question_generation',
-      pipeline: 'v2_openrouter'
+      pipeline: 'v2_openrouter',
+      provenance: this.buildProvenance(question.provenance, sourceAnecdote)
+    };
+  }
+
+  /**
+   * Extend a question's provenance with its source anecdote: the anecdote's
+   * filter and seed values, the model and prompt that wrote it, and its sources
+   */
+  buildProvenance(provenance, anecdote) {
+    if (!provenance || !anecdote) return provenance;
+
+    const anecdoteProvenance = anecdote.provenance || {};
+    return {
+      ...provenance,
+      filters: { ...anecdoteProvenance.filters, ...provenance.filters },
+      anecdote: {
+        id: anecdote.id,
+        title: anecdote.title,
+        model: anecdoteProvenance.model || null,
+        prompt: anecdoteProvenance.prompt || null
+      },
+      sources: collectSources(provenance.sources || [], anecdote.sources || [])
     };
   }
 
@@ -267,7 +292,12 @@ export class QuestionGenerator {
   /**
    * Find which anecdote was likely the source for this question
    */
-  findSourceAnecdoteId(question, anecdotes) {
+  findSourceAnecdote(question, anecdotes) {
+    // The model names the anecdote it used when it follows the prompt
+    const byTitle = question.anecdoteRef &&
+      anecdotes.find(anecdote => anecdote.title?.toLowerCase() === question.anecdoteRef.toLowerCase());
+    if (byTitle) return byTitle;
+
     // Simple matching based on shared keywords
     const questionWords = question.question.toLowerCase().split(/\s+/);
     const significantWords = questionWords.filter(word => word.length > 4);
@@ -282,7 +312,7 @@ export class QuestionGenerator {
       
       if (score > bestScore) {
         bestScore = score;
-        bestMatch = anecdote.id;
+        bestMatch = anecdote;
       }
     });
     
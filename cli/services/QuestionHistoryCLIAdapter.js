@@ -0,0 +1,40 @@
+/**
+ * CLI Adapter for Question History Service
+ * 
+ * Wraps the shared QuestionHistoryService with file-based storage and chalk logging,
+ * so every CLI run remembers the questions earlier runs generated.
+ */
+
+import chalk from 'chalk';
+import QuestionHistoryService from '../../shared/services/QuestionHistoryService.js';
+import { FileStorage } from '../utils/file-storage.js';
+import { config } from '../utils/config.js';
+
+// Create logger with chalk for CLI
+const cliLogger = {
+  info: (msg) => console.log(chalk.blue(`🧬 ${msg}`)),
+  warn: (msg) => console.log(chalk.yellow(`⚠️  ${msg}`)),
+  error: (msg, error) => console.error(chalk.red(`❌ ${msg}`), error || ''),
+  success: (msg) => console.log(chalk.green(`✅ ${msg}`)),
+};
+
+let questionHistoryInstance = null;
+
+/**
+ * Get Question History service configured for CLI (persists under the CLI data directory)
+ */
+export function getQuestionHistoryService() {
+  if (!questionHistoryInstance) {
+    const { dataDir, questionHistory } = config.storage;
+
+    questionHistoryInstance = new QuestionHistoryService({
+      storage: new FileStorage(dataDir),
+      threshold: questionHistory.threshold,
+      maxEntries: questionHistory.maxEntries,
+      logger: cliLogger
+    });
+  }
+  return questionHistoryInstance;
+}
+
+export default getQuestionHistoryService;
@@ -0,0 +1,111 @@
+/**
+ * QuestionJudge - Phase 4 of V2 Pipeline (optional)
+ *
+ * Has a separate judge model review each question against a rubric: factual
+ * plausibility, a single unambiguous correct answer, distractor plausibility,
+ * explanation quality and category fit. Every criterion gets a 1-5 score and a
+ * reason. The judgement is stored on the question and feeds its A/B/C rank
+ * (shared/utils/question-judging.js) in place of the keyword and length
+ * heuristics alone.
+ */
+
+import chalk from 'chalk';
+import { getOpenRouterService } from '../../shared/services/OpenRouterService.js';
+import { config } from '../utils/config.js';
+import { withValidation } from '../../shared/utils/provenance.js';
+import { scoreJudgement, findFailedCriteria } from '../../shared/utils/question-judging.js';
+
+export class QuestionJudge {
+  constructor() {
+    this.openRouter = getOpenRouterService();
+    this.config = config.openRouter.v2Pipeline.judge;
+  }
+
+  /**
+   * Review questions one by one
+   * @param {Object} options - Review options
+   * @param {Array} options.questions - Questions to review
+   * @param {string} options.category - Category the questions were written for
+   * @param {string} options.model - Judge model (optional)
+   * @returns {Promise<{ questions: Array, judged: number, failed: number, errors: number }>}
+   *   Questions with a `judgement` (null when the review itself failed)
+   */
+  async judgeQuestions(options) {
+    const {
+      questions = [],
+      category = 'legendary_moments',
+      model = this.config.model
+    } = options;
+
+    console.log(chalk.blue(`⚖️ Phase 4: Reviewing ${questions.length} questions with ${model}...`));
+
+    const reviewed = [];
+    let failed = 0;
+    let errors = 0;
+
+    // One question at a time keeps the judge's cost predictable under --max-cost
+    for (const [index, question] of questions.entries()) {
+      const judgement = await this.judgeQuestion(question, category, model);
+
+      if (!judgement) {
+        errors++;
+        reviewed.push({ ...question, judgement: null });
+        continue;
+      }
+
+      if (!judgement.passed) failed++;
+      reviewed.push(withValidation({ ...question, judgement }, 'judge', judgement.passed, {
+        score: judgement.score,
+        model: judgement.model
+      }));
+
+      const failures = judgement.failedCriteria.length ? ` - fails ${judgement.failedCriteria.join(', ')}` : '';
+      console.log(chalk.gray(`   ${index + 1}/${questions.length} judge score ${judgement.score}${failures}`));
+    }
+
+    console.log(chalk.green(`✅ Reviewed ${questions.length - errors} questions` +
+      (failed ? `, ${failed} failed the rubric` : '') +
+      (errors ? `, ${errors} could not be reviewed` : '')));
+
+    return { questions: reviewed, judged: questions.length - errors, failed, errors };
+  }
+
+  /**
+   * Review a single question
+   * @returns {Promise<Object | null>} Judgement, or null when the judge gave no usable answer
+   */
+  async judgeQuestion(question, category, model) {
+    try {
+      const { scores, summary, model: judgeModel, prompt } = await this.openRouter.judgeQuestion(question, { category, model });
+      const failedCriteria = findFailedCriteria(scores);
+
+      return {
+        score: scoreJudgement(scores),
+        passed: failedCriteria.length === 0,
+        failedCriteria,
+        scores,
+        summary,
+        model: judgeModel,
+        prompt,
+        judgedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      // A spent budget stops the run; anything else leaves the question on its heuristic score
+      if (error.budgetExceeded) throw error;
+      console.warn(chalk.yellow(`   ⚠️ Judge review failed: ${error.message}`));
+      return null;
+    }
+  }
+}
+
+// Export singleton getter
+let questionJudgeInstance = null;
+
+export const getQuestionJudge = () => {
+  if (!questionJudgeInstance) {
+    questionJudgeInstance = new QuestionJudge();
+  }
+  return questionJudgeInstance;
+};
+
+export default QuestionJudge;
@@ -3,18 +3,40 @@
  * 
  * Provides web search capabilities to verify AI-generated cricket incidents
  * and enhance question accuracy through real-world validation.
+ * Searches go through the active search provider (Google Custom Search or a
+ * local article corpus - see search/SearchProvider.js) and are scored here.
  */
 
-import { google } from 'googleapis';
 import chalk from 'chalk';
 import { config } from '../utils/config.js';
+import { getSearchProvider } from './search/SearchProvider.js';
+
+// Optional wrapper around search calls (cassette record/replay)
+let searchTransportFactory = null;
+
+/**
+ * Wrap all future search calls
+ * @param {(list: Function) => { list: Function, offline?: boolean }} factory - Receives the live search call
+ */
+export function setSearchTransport(factory) {
+  searchTransportFactory = factory;
+}
 
 export class GoogleSearchService {
-  constructor() {
-    this.customsearch = google.customsearch('v1');
+  /**
+   * @param {Object} [options]
+   * @param {import('./search/SearchProvider.js').SearchProvider} [options.provider] - Search backend (defaults to the active provider)
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || getSearchProvider();
     this.config = config.googleSearch;
     this.cricketContext = config.cricketContext;
-    this.enabled = !!(this.config.apiKey && this.config.searchEngineId);
+
+    const list = async (params) => ({ data: await this.provider.search(params) });
+    this.transport = searchTransportFactory ? searchTransportFactory(list) : { list };
+
+    // Offline transports (replay) work without a configured provider
+    this.enabled = this.provider.enabled || !!this.transport.offline;
   }
 
   /**
@@ -22,10 +44,11 @@ export class GoogleSearchService {
    */
   async searchCricketIncident(incident, options = {}) {
     if (!this.enabled) {
-      console.log(chalk.yellow(`   ⚠️  Search skipped - Google Custom Search not configured`));
+      const reason = this.provider.name === 'local' ? 'Local search corpus not configured' : 'Google Custom Search not configured';
+      console.log(chalk.yellow(`   ⚠️  Search skipped - ${reason}`));
       return {
         success: false,
-        error: 'Google Custom Search not configured',
+        error: reason,
         items: [],
         confidence: 0,
         skipped: true
@@ -37,15 +60,13 @@ export class GoogleSearchService {
       console.log(chalk.gray(`   🔍 Searching: "${searchQuery}"`));
 
       const searchParams = {
-        auth: this.config.apiKey,
-        cx: this.config.searchEngineId,
         q: searchQuery,
         num: this.config.maxResults,
         safe: 'active',
         ...options.searchParams
       };
 
-      const response = await this.customsearch.cse.list(searchParams);
+      const response = await this.transport.list(searchParams);
       const results = this.processSearchResults(response.data, incident);
 
       console.log(chalk.gray(`   📊 Found ${results.items.length} results`));
@@ -184,6 +205,11 @@ export class GoogleSearchService {
     const { trustedSources } = this.cricketContext;
     const domain = this.extractDomain(url);
 
+    // Articles from the curated local corpus that have no original URL
+    if (url.startsWith('file:')) {
+      return 0.8;
+    }
+
     // Check against trusted cricket sources
     for (const source of trustedSources) {
       if (domain.includes(source)) {
@@ -0,0 +1,45 @@
+/**
+ * Google Custom Search Provider
+ *
+ * Web search through the Custom Search JSON API (googleapis).
+ * Implements the search provider interface (see SearchProvider.js).
+ */
+
+import { google } from 'googleapis';
+
+class GoogleSearchProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.apiKey] - Custom Search API key
+   * @param {string} [options.searchEngineId] - Programmable Search Engine ID (cx)
+   */
+  constructor(options = {}) {
+    this.name = 'google';
+    this.apiKey = options.apiKey;
+    this.searchEngineId = options.searchEngineId;
+    this.customsearch = google.customsearch('v1');
+  }
+
+  /**
+   * Whether API credentials are configured
+   */
+  get enabled() {
+    return !!(this.apiKey && this.searchEngineId);
+  }
+
+  /**
+   * Run a search
+   * @param {Object} params - Custom Search parameters (q, num, start, safe, ...)
+   * @returns {Promise<Object>} Custom Search response body (`items`, `searchInformation`)
+   */
+  async search(params) {
+    const response = await this.customsearch.cse.list({
+      auth: this.apiKey,
+      cx: this.searchEngineId,
+      ...params
+    });
+    return response.data;
+  }
+}
+
+export default GoogleSearchProvider;
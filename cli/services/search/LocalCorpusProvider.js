@@ -0,0 +1,233 @@
+/**
+ * Local Corpus Search Provider
+ *
+ * Full-text search over a directory of curated cricket articles, ranked with
+ * BM25. Lets `verify`, `search` and claim verification run offline.
+ *
+ * Supported files (searched recursively):
+ * - Markdown (.md, .markdown): title from front matter `title:` or the first `# heading`;
+ *   original article URL from front matter `url:` or `source:`
+ * - HTML (.html, .htm): title from <title> or <h1>; URL from the canonical link or og:url
+ * - JSON (.json): one article or an array of articles with `title`, `url`/`link`
+ *   and `content`/`text`/`body`
+ *
+ * Results use the Custom Search response shape, so GoogleSearchService scores
+ * them exactly like web results. Articles without a URL link to their file.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { BM25Index } from '../../utils/bm25.js';
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" };
+
+class LocalCorpusProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.directory] - Corpus directory
+   * @param {string[]} [options.extensions] - File extensions to index
+   * @param {number} [options.snippetLength] - Maximum snippet length
+   */
+  constructor(options = {}) {
+    this.name = 'local';
+    this.directory = options.directory ? path.resolve(options.directory) : null;
+    this.extensions = options.extensions || ['.md', '.markdown', '.html', '.htm', '.json'];
+    this.snippetLength = options.snippetLength || 200;
+    this.index = null;
+  }
+
+  /**
+   * Whether a corpus directory is configured
+   */
+  get enabled() {
+    return !!this.directory;
+  }
+
+  /**
+   * Run a search
+   * @param {Object} params - Custom Search style parameters (q, num, start)
+   * @returns {Promise<Object>} Custom Search style response body (`items`, `searchInformation`)
+   */
+  async search(params) {
+    const startTime = Date.now();
+    const index = await this.loadIndex();
+
+    const num = params.num || 10;
+    const start = Math.max(params.start || 1, 1);
+    const ranked = index.search(params.q || '');
+
+    const items = ranked
+      .slice(start - 1, start - 1 + num)
+      .map(({ document, matchedTerms }) => ({
+        title: document.title,
+        link: document.link,
+        displayLink: this.getDisplayLink(document.link),
+        snippet: this.buildSnippet(document.text, matchedTerms)
+      }));
+
+    return {
+      items,
+      searchInformation: {
+        totalResults: String(ranked.length),
+        searchTime: (Date.now() - startTime) / 1000
+      }
+    };
+  }
+
+  /**
+   * Build the index on first use
+   */
+  async loadIndex() {
+    if (this.index) return this.index;
+
+    if (!this.directory) {
+      throw new Error('Local search corpus not configured (set SEARCH_CORPUS_DIR)');
+    }
+
+    const files = await this.listFiles(this.directory).catch(error => {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Search corpus directory not found: ${this.directory}`);
+      }
+      throw error;
+    });
+
+    const index = new BM25Index();
+    for (const file of files) {
+      const documents = this.parseFile(file, await fs.readFile(file, 'utf8'));
+      // Titles count twice so headline matches rank first
+      documents.forEach(document => index.add(document, `${document.title} ${document.title} ${document.text}`));
+    }
+
+    this.index = index;
+    return index;
+  }
+
+  /**
+   * List indexable files under a directory
+   */
+  async listFiles(directory) {
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const fullPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.listFiles(fullPath));
+      } else if (this.extensions.includes(path.extname(entry.name).toLowerCase())) {
+        files.push(fullPath);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Parse a corpus file into documents ({ title, link, text })
+   */
+  parseFile(file, content) {
+    const extension = path.extname(file).toLowerCase();
+    const fileLink = pathToFileURL(file).href;
+    const fallbackTitle = path.basename(file, extension).replace(/[-_]+/g, ' ');
+
+    if (extension === '.json') {
+      const data = JSON.parse(content);
+      const articles = Array.isArray(data) ? data : [data];
+      return articles
+        .filter(article => article && typeof article === 'object')
+        .map((article, i) => ({
+          title: article.title || (articles.length > 1 ? `${fallbackTitle} #${i + 1}` : fallbackTitle),
+          link: article.url || article.link || (articles.length > 1 ? `${fileLink}#${i + 1}` : fileLink),
+          text: this.normalizeWhitespace(article.content || article.text || article.body || article.snippet || '')
+        }));
+    }
+
+    if (extension === '.html' || extension === '.htm') {
+      const title = content.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] ||
+        content.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i)?.[1];
+      const url = content.match(/<link[^>]+rel=["']canonical["'][^>]*href=["']([^"']+)["']/i)?.[1] ||
+        content.match(/<meta[^>]+property=["']og:url["'][^>]*content=["']([^"']+)["']/i)?.[1];
+
+      return [{
+        title: title ? this.stripHtml(title) : fallbackTitle,
+        link: url || fileLink,
+        text: this.stripHtml(content.replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, ' '))
+      }];
+    }
+
+    // Markdown
+    const frontMatter = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    const fields = {};
+    (frontMatter?.[1] || '').split(/\r?\n/).forEach(line => {
+      const field = line.match(/^(\w+):\s*(.*)$/);
+      if (field) fields[field[1].toLowerCase()] = field[2].replace(/^["']|["']$/g, '').trim();
+    });
+
+    const body = frontMatter ? content.slice(frontMatter[0].length) : content;
+    const heading = body.match(/^#\s+(.+)$/m)?.[1];
+
+    return [{
+      title: fields.title || heading || fallbackTitle,
+      link: fields.url || fields.source || fileLink,
+      text: this.stripMarkdown(body)
+    }];
+  }
+
+  /**
+   * Pick the passage with the most query terms as the snippet
+   */
+  buildSnippet(text, matchedTerms) {
+    const sentences = text.split(/(?<=[.!?])\s+/);
+    const terms = matchedTerms.map(term => term.toLowerCase());
+
+    let bestIndex = 0;
+    let bestHits = -1;
+    sentences.forEach((sentence, i) => {
+      const lower = sentence.toLowerCase();
+      const hits = terms.filter(term => lower.includes(term)).length;
+      if (hits > bestHits) {
+        bestHits = hits;
+        bestIndex = i;
+      }
+    });
+
+    // Add following sentences while they fit
+    let snippet = sentences[bestIndex] || '';
+    for (let i = bestIndex + 1; i < sentences.length && snippet.length + sentences[i].length < this.snippetLength; i++) {
+      snippet += ` ${sentences[i]}`;
+    }
+
+    return snippet.length > this.snippetLength
+      ? `${snippet.substring(0, this.snippetLength - 3).trim()}...`
+      : snippet;
+  }
+
+  getDisplayLink(link) {
+    try {
+      const url = new URL(link);
+      return url.protocol === 'file:' ? path.basename(url.pathname) : url.hostname;
+    } catch {
+      return link;
+    }
+  }
+
+  stripHtml(html) {
+    return this.normalizeWhitespace(html
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&(#?\w+);/g, (entity, name) => HTML_ENTITIES[name.toLowerCase()] ?? entity));
+  }
+
+  stripMarkdown(markdown) {
+    return this.normalizeWhitespace(markdown
+      .replace(/```[\s\S]*?```/g, ' ')
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/^#+\s+(.+)$/gm, '$1.')
+      .replace(/[*_`>|]/g, ' '));
+  }
+
+  normalizeWhitespace(text) {
+    return String(text).replace(/\s+/g, ' ').trim();
+  }
+}
+
+export default LocalCorpusProvider;
@@ -0,0 +1,74 @@
+/**
+ * Search Provider Layer
+ *
+ * One interface for the search backends used by GoogleSearchService, the
+ * `search` command and claim verification. Providers take Custom Search style
+ * parameters and return a Custom Search style response body, so results are
+ * scored the same way whichever backend served them.
+ *
+ * Providers:
+ * - google: Google Custom Search (default, needs API key and engine ID)
+ * - local: BM25 full-text index over a directory of articles (offline)
+ *
+ * Select with SEARCH_PROVIDER; the local corpus is read from SEARCH_CORPUS_DIR.
+ */
+
+import GoogleSearchProvider from './GoogleSearchProvider.js';
+import LocalCorpusProvider from './LocalCorpusProvider.js';
+import { config } from '../../utils/config.js';
+
+/**
+ * @typedef {Object} SearchProvider
+ * @property {string} name - Provider identifier
+ * @property {boolean} enabled - Whether the provider is configured
+ * @property {(params: Object) => Promise<Object>} search - Run a search; resolves to `{ items, searchInformation }`
+ */
+
+export const SEARCH_PROVIDERS = {
+  GOOGLE: 'google',
+  LOCAL: 'local',
+};
+
+/**
+ * Create a provider instance
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Provider name (defaults to the environment setting)
+ * @param {string} [options.directory] - Corpus directory for the local provider
+ * @returns {SearchProvider}
+ */
+export function createSearchProvider(options = {}) {
+  const providerName = options.provider || config.searchProvider;
+
+  if (providerName === SEARCH_PROVIDERS.LOCAL) {
+    return new LocalCorpusProvider({
+      ...config.localCorpus,
+      directory: options.directory || config.localCorpus.directory
+    });
+  }
+
+  return new GoogleSearchProvider(config.googleSearch);
+}
+
+// Active provider shared by all search callers
+let activeProvider = null;
+
+/**
+ * Get the active provider, creating it from the environment on first use
+ * @returns {SearchProvider}
+ */
+export function getSearchProvider() {
+  if (!activeProvider) {
+    activeProvider = createSearchProvider();
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the active provider
+ * @param {SearchProvider} provider
+ */
+export function setSearchProvider(provider) {
+  activeProvider = provider;
+}
+
+export { GoogleSearchProvider, LocalCorpusProvider };
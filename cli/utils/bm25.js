@@ -0,0 +1,103 @@
+/**
+ * BM25 Full-Text Index
+ *
+ * Small in-memory Okapi BM25 index used by the local search corpus.
+ * Documents are tokenized once when added; queries are scored against
+ * per-term document frequencies.
+ */
+
+// Common English words that carry no search signal
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'had', 'has', 'have', 'he',
+  'his', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'their', 'this', 'to',
+  'was', 'were', 'which', 'who', 'with'
+]);
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(term => term && !STOP_WORDS.has(term));
+}
+
+export class BM25Index {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.k1] - Term frequency saturation
+   * @param {number} [options.b] - Document length normalization
+   */
+  constructor(options = {}) {
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.documents = [];
+    this.documentFrequency = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.documents.length;
+  }
+
+  /**
+   * Add a document
+   * @param {*} document - Returned as-is from search()
+   * @param {string} text - Text to index
+   */
+  add(document, text) {
+    const terms = tokenize(text);
+    const termFrequency = new Map();
+    terms.forEach(term => termFrequency.set(term, (termFrequency.get(term) || 0) + 1));
+
+    termFrequency.forEach((_, term) => {
+      this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+    });
+
+    this.documents.push({ document, termFrequency, length: terms.length });
+    this.totalLength += terms.length;
+  }
+
+  /**
+   * Inverse document frequency (BM25+ style, never negative)
+   */
+  idf(term) {
+    const frequency = this.documentFrequency.get(term) || 0;
+    return Math.log(1 + (this.documents.length - frequency + 0.5) / (frequency + 0.5));
+  }
+
+  /**
+   * Rank documents for a query
+   * @param {string} query
+   * @returns {Array<{ document: *, score: number, matchedTerms: string[] }>} Matching documents, best first
+   */
+  search(query) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0 || this.documents.length === 0) return [];
+
+    const averageLength = this.totalLength / this.documents.length;
+
+    return this.documents
+      .map(({ document, termFrequency, length }) => {
+        let score = 0;
+        const matchedTerms = [];
+
+        queryTerms.forEach(term => {
+          const frequency = termFrequency.get(term);
+          if (!frequency) return;
+
+          matchedTerms.push(term);
+          const normalization = this.k1 * (1 - this.b + this.b * (length / averageLength));
+          score += this.idf(term) * (frequency * (this.k1 + 1)) / (frequency + normalization);
+        });
+
+        return { document, score, matchedTerms };
+      })
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+}
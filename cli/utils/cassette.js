@@ -0,0 +1,182 @@
+/**
+ * Cassette Record/Replay for CLI Pipelines
+ *
+ * `--record <dir>` captures every OpenRouter and search provider
+ * request/response pair to disk; `--replay <dir>` serves them back so a run can
+ * be reproduced exactly, offline and for free.
+ *
+ * Layout: <dir>/<kind>/<sequence>-<hash>.json, one interaction per file.
+ * Requests are matched by a normalized request hash. If a prompt changed since
+ * recording (e.g. a random search seed), the next unplayed interaction of the
+ * same kind is replayed instead and a warning is printed.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { CassetteProvider, getLLMProvider, setLLMProvider } from '../../shared/providers/LLMProvider.js';
+import { LLM_CASSETTE_KIND } from '../../shared/providers/CassetteProvider.js';
+import { hashLLMRequest, hashString, stableStringify } from '../../shared/utils/request-hash.js';
+import { setSearchTransport } from '../services/google-search.js';
+
+export const SEARCH_CASSETTE_KIND = 'google-search';
+
+export class Cassette {
+  /**
+   * @param {string} directory - Cassette directory
+   * @param {'record' | 'replay'} mode
+   */
+  constructor(directory, mode) {
+    this.directory = directory;
+    this.mode = mode;
+    this.sequence = 0;
+    this.interactions = [];
+    this.stats = { recorded: 0, exact: 0, fallback: 0 };
+  }
+
+  /**
+   * Hash a request for lookup
+   */
+  keyFor(kind, request) {
+    return kind === LLM_CASSETTE_KIND
+      ? hashLLMRequest(request)
+      : hashString(stableStringify(request));
+  }
+
+  /**
+   * Load recorded interactions (replay mode)
+   */
+  async load() {
+    const kinds = await fs.readdir(this.directory).catch(error => {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Cassette directory not found: ${this.directory}`);
+      }
+      throw error;
+    });
+
+    for (const kind of kinds) {
+      const kindDir = path.join(this.directory, kind);
+      if (!(await fs.stat(kindDir)).isDirectory()) continue;
+
+      const files = (await fs.readdir(kindDir)).filter(file => file.endsWith('.json'));
+      for (const file of files) {
+        const interaction = JSON.parse(await fs.readFile(path.join(kindDir, file), 'utf8'));
+        this.interactions.push({ ...interaction, kind, played: false });
+      }
+    }
+
+    this.interactions.sort((a, b) => a.sequence - b.sequence);
+  }
+
+  /**
+   * Store a request/response pair (record mode)
+   */
+  async record(kind, request, response) {
+    // Sequence reflects the order requests completed in
+    const sequence = ++this.sequence;
+    const key = this.keyFor(kind, request);
+    const kindDir = path.join(this.directory, kind);
+    const fileName = `${String(sequence).padStart(4, '0')}-${key}.json`;
+
+    await fs.mkdir(kindDir, { recursive: true });
+    await fs.writeFile(
+      path.join(kindDir, fileName),
+      JSON.stringify({ sequence, key, recordedAt: new Date().toISOString(), request, response }, null, 2),
+      'utf8'
+    );
+
+    this.stats.recorded++;
+  }
+
+  /**
+   * Find the recorded response for a request (replay mode)
+   */
+  async replay(kind, request) {
+    const key = this.keyFor(kind, request);
+    const ofKind = this.interactions.filter(interaction => interaction.kind === kind);
+
+    // 1. Next unplayed exact match, or the last exact match if all were played
+    const exactMatches = ofKind.filter(interaction => interaction.key === key);
+    let interaction = exactMatches.find(candidate => !candidate.played) || exactMatches[exactMatches.length - 1];
+
+    if (interaction) {
+      this.stats.exact++;
+    } else {
+      // 2. Request changed since recording - fall back to recorded order
+      interaction = ofKind.find(candidate => !candidate.played);
+      if (!interaction) {
+        throw new Error(`No recorded ${kind} response for request ${key} in cassette ${this.directory}`);
+      }
+      this.stats.fallback++;
+      console.warn(chalk.yellow(`   ⚠️  Cassette: no exact match for ${kind} request ${key}, replaying #${interaction.sequence} (request differs from recording)`));
+    }
+
+    interaction.played = true;
+    return interaction.response;
+  }
+
+  /**
+   * Wrap a search provider call with recording or replay
+   * (credentials are added by the provider, so params never contain them)
+   */
+  createSearchTransport(list) {
+    if (this.mode === 'replay') {
+      return {
+        offline: true,
+        list: async (params) => ({ data: await this.replay(SEARCH_CASSETTE_KIND, params) })
+      };
+    }
+
+    return {
+      list: async (params) => {
+        const response = await list(params);
+        await this.record(SEARCH_CASSETTE_KIND, params, response.data);
+        return response;
+      }
+    };
+  }
+
+  /**
+   * Print what was recorded or replayed
+   */
+  printSummary() {
+    if (this.mode === 'record') {
+      console.log(chalk.gray(`\n📼 Cassette: recorded ${this.stats.recorded} interactions to ${this.directory}`));
+      return;
+    }
+
+    const summary = `\n📼 Cassette: replayed ${this.stats.exact + this.stats.fallback} interactions from ${this.directory} ` +
+      `(${this.stats.exact} exact, ${this.stats.fallback} by order)`;
+    console.log(this.stats.fallback > 0 ? chalk.yellow(summary) : chalk.gray(summary));
+  }
+}
+
+/**
+ * Set up record/replay from `--record <dir>` / `--replay <dir>` command options
+ * @returns {Promise<Cassette | null>} Active cassette, or null for a normal live run
+ */
+export async function setupCassette(options) {
+  if (options.record && options.replay) {
+    throw new Error('Use either --record or --replay, not both');
+  }
+
+  if (!options.record && !options.replay) {
+    return null;
+  }
+
+  const mode = options.record ? 'record' : 'replay';
+  const cassette = new Cassette(path.resolve(options.record || options.replay), mode);
+
+  if (mode === 'replay') {
+    await cassette.load();
+  }
+
+  setLLMProvider(new CassetteProvider({
+    cassette,
+    provider: mode === 'record' ? getLLMProvider() : undefined
+  }));
+  setSearchTransport((list) => cassette.createSearchTransport(list));
+
+  console.log(chalk.gray(`📼 ${mode === 'record' ? 'Recording to' : 'Replaying from'} cassette ${cassette.directory}`));
+  return cassette;
+}
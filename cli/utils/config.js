@@ -6,19 +6,24 @@
 
 import dotenv from 'dotenv';
 import chalk from 'chalk';
+import path from 'path';
+import { LLM_PROVIDERS, getConfiguredProviderName } from '../../shared/providers/LLMProvider.js';
 
 // Load environment variables
 dotenv.config();
 
 export class Config {
-  constructor() {
-    this.validateEnvironment();
-  }
-
   /**
-   * Validate required environment variables
+   * Validate required environment variables (called before each command runs)
+   * @param {Object} [options]
+   * @param {boolean} [options.offline] - Command replays a cassette, so no API keys are needed
    */
-  validateEnvironment() {
+  validateEnvironment(options = {}) {
+    // Fixture provider and cassette replay serve recorded responses - no API keys needed
+    if (this.usesFixtureProvider || options.offline) {
+      return;
+    }
+
     // Check for Gemini API key (required for generation)
     const geminiKey = process.env.GEMINI_API_KEY || process.env.EXPO_PUBLIC_GEMINI_API_KEY;
     if (!geminiKey) {
@@ -29,10 +34,15 @@ export class Config {
       process.exit(1);
     }
 
-    // Check for Google Search keys (optional - warn if missing)
-    const hasGoogleSearch = process.env.GOOGLE_CUSTOM_SEARCH_API_KEY &&
-      (process.env.GOOGLE_CUSTOM_SEARCH_ENGINE_ID || process.env.GOOGLE_CUSTOM_SEARCH_CX);
-    if (!hasGoogleSearch) {
+    // Check the search backend (optional - warn if missing)
+    if (this.searchProvider === 'local') {
+      if (!this.localCorpus.directory) {
+        console.warn(chalk.yellow('\n⚠️  Local search corpus not configured:'));
+        console.warn(chalk.gray('   • SEARCH_CORPUS_DIR (missing)'));
+        console.warn(chalk.cyan('   📝 Web verification will be skipped. Generation and basic testing will still work.\n'));
+      }
+    } else if (!(process.env.GOOGLE_CUSTOM_SEARCH_API_KEY &&
+      (process.env.GOOGLE_CUSTOM_SEARCH_ENGINE_ID || process.env.GOOGLE_CUSTOM_SEARCH_CX))) {
       console.warn(chalk.yellow('\n⚠️  Google Custom Search not configured:'));
       console.warn(chalk.gray('   • GOOGLE_CUSTOM_SEARCH_API_KEY (missing)'));
       console.warn(chalk.gray('   • GOOGLE_CUSTOM_SEARCH_CX (or GOOGLE_CUSTOM_SEARCH_ENGINE_ID) (missing)'));
@@ -69,6 +79,25 @@ export class Config {
     };
   }
 
+  /**
+   * Get the configured search backend name (google or local)
+   */
+  get searchProvider() {
+    const provider = (process.env.SEARCH_PROVIDER || '').toLowerCase();
+    return provider === 'local' ? 'local' : 'google';
+  }
+
+  /**
+   * Get local search corpus configuration (SEARCH_PROVIDER=local)
+   */
+  get localCorpus() {
+    return {
+      directory: process.env.SEARCH_CORPUS_DIR,
+      extensions: ['.md', '.markdown', '.html', '.htm', '.json'],
+      snippetLength: 200
+    };
+  }
+
   /**
    * Get performance targets
    */
@@ -126,12 +155,19 @@ export class Config {
           opus: 'anthropic/claude-3-opus'                 // Premium (slower but best quality)
         }
       },
-      // Speed optimization settings
+      // Speed optimization settings (applied to every request by the shared OpenRouterService;
+      // fallback chains per purpose live in shared/config/ai-models.js)
       performance: {
         enableParallelProcessing: true,
         maxConcurrentRequests: 3,
         timeoutMs: 30000,           // 30s timeout per request
-        retryAttempts: 1            // Minimal retries for speed
+        retryAttempts: 1,           // Minimal retries for speed (429/5xx/timeouts only)
+        backoffBaseMs: 1000,        // Exponential backoff with jitter between retries
+        backoffMaxMs: 10000,
+        circuitBreaker: {
+          failureThreshold: 3,      // Skip a model after this many failed requests in a row
+          cooldownMs: 60000         // ...for this long
+        }
       },
       // V2 pipeline configuration
       v2Pipeline: {
@@ -144,17 +180,63 @@ export class Config {
           min: 1,
           max: 2,
           target: 1.5
+        },
+        // Phase 3 (optional): claim-level fact verification
+        claimVerification: {
+          threshold: 50,          // Minimum confidence (0-100) for a question to pass
+          maxClaimsPerQuestion: 3 // Each claim costs one Custom Search query
+        },
+        // Phase 4 (optional): rubric review by a judge model, feeding the A/B/C ranking
+        judge: {
+          model: 'openai/gpt-4o'  // A different model family from the default question writer
         }
       }
     };
   }
 
+  /**
+   * Get local storage configuration (question bank and other on-disk data)
+   */
+  get storage() {
+    return {
+      dataDir: process.env.CRICKET_TRIVIA_DATA_DIR || path.resolve(process.cwd(), '.cricket-trivia'),
+      questionBank: {
+        repeatWindow: 3 // Never repeat a question within this many games
+      },
+      questionHistory: {
+        threshold: 0.75, // Similarity (0-1) at which a new question repeats an earlier one
+        maxEntries: 5000 // Oldest generated questions are forgotten beyond this
+      }
+    };
+  }
+
   /**
    * Check if OpenRouter is configured
    */
   get hasOpenRouter() {
     return !!process.env.OPENROUTER_API_KEY;
   }
+
+  /**
+   * Get the configured LLM provider name (openrouter or fixture)
+   */
+  get llmProvider() {
+    return getConfiguredProviderName();
+  }
+
+  /**
+   * Check if the offline fixture provider is selected
+   */
+  get usesFixtureProvider() {
+    return this.llmProvider === LLM_PROVIDERS.FIXTURE;
+  }
+
+  /**
+   * Check if an LLM provider is usable (OpenRouter key or offline fixtures)
+   */
+  get hasLLMProvider() {
+    return this.hasOpenRouter || this.usesFixtureProvider;
+  }
 }
 
 export const config = new Config();
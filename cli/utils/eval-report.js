@@ -0,0 +1,167 @@
+/**
+ * Evaluation Reports
+ *
+ * Formats `eval` results (see services/PromptEvaluator.js) as a comparative
+ * Markdown report and writes it next to the full JSON report.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// Comparison columns: metric key, heading, formatter and which direction is better
+const COMPARISON_COLUMNS = [
+  { key: 'questions', title: 'Questions', format: value => String(value), better: 'higher' },
+  { key: 'validRate', title: 'Valid', format: formatPercent, better: 'higher' },
+  { key: 'questionQuality', title: 'Question quality', format: value => value.toFixed(1), better: 'higher' },
+  { key: 'anecdoteQuality', title: 'Anecdote quality', format: value => value.toFixed(1), better: 'higher' },
+  { key: 'duplicateRate', title: 'Duplicates', format: formatPercent, better: 'lower' },
+  { key: 'parseFailureRate', title: 'Parse failures', format: formatPercent, better: 'lower' },
+  { key: 'avgLatencyMs', title: 'Avg latency', format: formatDuration, better: 'lower' },
+  { key: 'cost', title: 'Cost', format: formatUsd, better: 'lower' }
+];
+
+function formatPercent(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+function formatDuration(ms) {
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+}
+
+function formatUsd(cost) {
+  return `$${cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
+/**
+ * Escape a value for a Markdown table cell
+ */
+function cell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function table(headers, rows) {
+  return [
+    `| ${headers.map(cell).join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+  ].join('\n');
+}
+
+/**
+ * Best value of each comparison column across variants
+ */
+function findBestValues(variants) {
+  const best = {};
+  COMPARISON_COLUMNS.forEach(({ key, better }) => {
+    const values = variants.map(variant => variant.metrics[key]);
+    best[key] = better === 'higher' ? Math.max(...values) : Math.min(...values);
+  });
+  return best;
+}
+
+/**
+ * One-line description of a variant's model and pinned prompt versions
+ */
+export function describeVariant(variant) {
+  const prompts = variant.prompts.map(prompt => `${prompt.id}@${prompt.version}`);
+  return [variant.model, ...prompts].join(' · ');
+}
+
+/**
+ * Comparative Markdown report
+ * @param {Object} report - PromptEvaluator.evaluate result
+ */
+export function formatEvalMarkdown(report) {
+  const { variants, scenarios, settings } = report;
+  const best = variants.length > 1 ? findBestValues(variants) : {};
+  const lines = [
+    `# Prompt Evaluation`,
+    '',
+    `Generated ${report.createdAt}. ${variants.length} variants × ${scenarios.length} scenarios, ` +
+      `${settings.anecdoteCount} anecdotes per scenario. Best value per column in bold; ` +
+      '⚠️ marks variants with questions written by a fallback model.',
+    '',
+    '## Comparison',
+    '',
+    table(
+      ['Variant', 'Setup', ...COMPARISON_COLUMNS.map(column => column.title)],
+      variants.map(variant => [
+        variant.fallbackScenarios?.length ? `${variant.label} ⚠️` : variant.label,
+        describeVariant(variant),
+        ...COMPARISON_COLUMNS.map(({ key, format }) => {
+          const text = format(variant.metrics[key]);
+          return variant.metrics[key] === best[key] ? `**${text}**` : text;
+        })
+      ])
+    ),
+    '',
+    '## Scenarios',
+    '',
+    table(
+      ['Scenario', 'Category', 'Era', 'Countries', 'Search seed'],
+      scenarios.map(scenario => [
+        scenario.name,
+        scenario.category,
+        scenario.filters.era || 'all_eras',
+        (scenario.filters.countries || []).join(', ') || 'all_countries',
+        scenario.filters.searchSeed || ''
+      ])
+    )
+  ];
+
+  variants.forEach(variant => {
+    const { metrics } = variant;
+    lines.push(
+      '',
+      `## Variant ${variant.label}: ${describeVariant(variant)}`,
+      '',
+      ...(variant.fallbackScenarios?.length
+        ? [`- ⚠️ Fallback: questions for ${variant.fallbackScenarios.join(', ')} were written by ` +
+          `${variant.servedModels.join(', ')}, not only ${variant.model}, so these scores are not ${variant.model}'s alone`]
+        : []),
+      `- Structured requests: ${metrics.structured.requests} (${metrics.structured.repaired} repaired, ` +
+        `${metrics.structured.invalid} re-asked, ${metrics.structured.failed} unrecovered)`,
+      `- Model calls: ${metrics.calls}, ${metrics.tokens.toLocaleString()} tokens, ${formatUsd(metrics.cost)}` +
+        (metrics.costPerQuestion !== null ? ` (${formatUsd(metrics.costPerQuestion)} per question)` : ''),
+      `- Latency: ${formatDuration(metrics.avgLatencyMs)} average, ${formatDuration(metrics.maxLatencyMs)} slowest scenario`,
+      '',
+      table(
+        ['Scenario', 'Model', 'Anecdotes', 'Questions', 'Valid', 'Quality', 'Duplicates', 'Parse failures', 'Latency', 'Cost', 'Error'],
+        variant.runs.map(run => [
+          run.scenario,
+          (run.servedModels || []).join(', '),
+          run.metrics.anecdotes,
+          run.metrics.questions,
+          formatPercent(run.metrics.validRate),
+          run.metrics.questionQuality.toFixed(1),
+          formatPercent(run.metrics.duplicateRate),
+          formatPercent(run.metrics.parseFailureRate),
+          formatDuration(run.latencyMs),
+          formatUsd(run.cost),
+          run.error || ''
+        ])
+      )
+    );
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write the JSON and Markdown reports
+ * @param {Object} report - PromptEvaluator.evaluate result
+ * @param {string} outDir - Directory for the reports
+ * @returns {Promise<{ jsonPath: string, markdownPath: string }>}
+ */
+export async function writeEvalReport(report, outDir) {
+  const dir = path.resolve(outDir);
+  const baseName = `eval-${report.createdAt.replace(/[:.]/g, '-')}`;
+  const jsonPath = path.join(dir, `${baseName}.json`);
+  const markdownPath = path.join(dir, `${baseName}.md`);
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(jsonPath, JSON.stringify(report, null, 2), 'utf8');
+  await fs.writeFile(markdownPath, formatEvalMarkdown(report), 'utf8');
+
+  return { jsonPath, markdownPath };
+}
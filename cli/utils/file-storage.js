@@ -0,0 +1,52 @@
+/**
+ * File Storage Utility
+ *
+ * AsyncStorage-compatible key/value storage backed by JSON files on disk,
+ * so shared services can persist data from the CLI the same way the app does.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export class FileStorage {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Resolve the file path for a storage key
+   */
+  filePath(key) {
+    const safeKey = key.replace(/[^a-zA-Z0-9_-]/g, '_');
+    return path.join(this.directory, `${safeKey}.json`);
+  }
+
+  /**
+   * Read a stored value (null if missing)
+   */
+  async getItem(key) {
+    try {
+      return await fs.readFile(this.filePath(key), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Write a value, creating the storage directory if needed
+   */
+  async setItem(key, value) {
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(this.filePath(key), value, 'utf8');
+  }
+
+  /**
+   * Delete a stored value
+   */
+  async removeItem(key) {
+    await fs.rm(this.filePath(key), { force: true });
+  }
+}
+
+export default FileStorage;
@@ -0,0 +1,57 @@
+/**
+ * LLM Provider Setup for the CLI
+ *
+ * Selects the shared LLM provider before any command runs. With
+ * LLM_PROVIDER=fixture the CLI replays recorded responses instead of calling
+ * OpenRouter, loading them from LLM_FIXTURES_DIR when set.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import {
+  FixtureProvider,
+  LLM_PROVIDERS,
+  getConfiguredProviderName,
+  setLLMProvider
+} from '../../shared/providers/LLMProvider.js';
+import { DEFAULT_LLM_FIXTURES } from '../../shared/fixtures/llm-responses.js';
+import { logger } from './logger.js';
+
+/**
+ * Load every fixture from the *.json files in a directory
+ * (each file holds one fixture or an array of fixtures)
+ */
+export async function loadFixtureDirectory(directory) {
+  const files = (await fs.readdir(directory))
+    .filter(file => file.endsWith('.json'))
+    .sort();
+
+  const fixtures = [];
+  for (const file of files) {
+    const content = JSON.parse(await fs.readFile(path.join(directory, file), 'utf8'));
+    const entries = Array.isArray(content) ? content : [content];
+    entries.forEach((entry, index) => {
+      fixtures.push({ name: entries.length > 1 ? `${file}#${index}` : file, ...entry });
+    });
+  }
+
+  return fixtures;
+}
+
+/**
+ * Install the fixture provider when LLM_PROVIDER=fixture
+ * (the OpenRouter provider is created lazily on first use otherwise)
+ */
+export async function configureLLMProvider() {
+  if (getConfiguredProviderName() !== LLM_PROVIDERS.FIXTURE) return;
+
+  const directory = process.env.LLM_FIXTURES_DIR;
+  const fixtures = directory
+    ? await loadFixtureDirectory(path.resolve(directory))
+    : DEFAULT_LLM_FIXTURES;
+
+  setLLMProvider(new FixtureProvider({ fixtures, logger }));
+
+  console.log(chalk.gray(`🧪 Using fixture LLM provider (${fixtures.length} recorded responses${directory ? ` from ${directory}` : ''})`));
+}
@@ -0,0 +1,343 @@
+/**
+ * Question Export Utility
+ *
+ * Writes generated questions to files for quiz tools:
+ * - json: full records
+ * - csv: one row per question (spreadsheets)
+ * - anki: tab-separated notes for Anki's "Import File"
+ * - kahoot: CSV laid out like Kahoot's spreadsheet template (save as .xlsx to import)
+ * - gift: Moodle GIFT text format
+ *
+ * Questions in formats a tool can't express (shared/utils/question-formats.js)
+ * are left out of that export: Kahoot takes single and multiple choice and
+ * true/false, GIFT everything but ordering.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { describeCorrectAnswer, isChoiceFormat, pickFormatFields, questionFormat, QUESTION_FORMATS } from '../../shared/utils/question-formats.js';
+
+export const EXPORT_FORMATS = ['json', 'csv', 'anki', 'kahoot', 'gift'];
+
+// Kahoot rejects longer text in its spreadsheet import
+const KAHOOT_LIMITS = { question: 120, answer: 75 };
+const KAHOOT_TIME_LIMIT = 20;
+
+// Exports are text files, so Kahoot's .xlsx template is made by saving the CSV from a spreadsheet
+const XLSX_ERROR = 'Exports are text files and cannot be written as .xlsx: use --out <file>.csv --format kahoot, then save it as .xlsx in a spreadsheet';
+
+const OPTION_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+// Answer weights (percent) Moodle accepts when importing GIFT; it rejects others such as 33.333
+const MOODLE_GRADE_FRACTIONS = [100, 90, 83.33333, 80, 75, 70, 66.66667, 60, 50, 40, 33.33333, 30, 25, 20,
+  16.66667, 14.28571, 12.5, 11.11111, 10, 5];
+
+/**
+ * Moodle's weight for one of `count` equal shares of the credit (undefined when it has none)
+ */
+function moodleShare(count) {
+  return MOODLE_GRADE_FRACTIONS.find(fraction => Math.abs(fraction - 100 / count) < 0.001);
+}
+
+// Which questions each export format can express (the rest get all of them)
+const EXPORTABLE = {
+  kahoot: record => record.format === 'multiple_choice' || record.format === 'true_false' ||
+    (record.format === 'multi_select' && record.options.length <= 4),
+  gift: record => record.format !== 'ordering' &&
+    (record.format !== 'multi_select' || moodleShare(record.correctAnswers.length) !== undefined)
+};
+
+/**
+ * Infer an export format from a file extension (defaults to json)
+ */
+export function inferExportFormat(filePath) {
+  const extension = path.extname(filePath).toLowerCase().replace('.', '');
+  if (extension === 'xlsx') {
+    throw new Error(XLSX_ERROR);
+  }
+  if (extension === 'gift') return 'gift';
+  if (extension === 'csv') return 'csv';
+  if (extension === 'txt') return 'anki';
+  return 'json';
+}
+
+/**
+ * Letters of the right option(s): "B", "A, C" (multi-select) or "C, A, B"
+ * (ordering); empty for formats without options
+ */
+function answerLetters(question) {
+  switch (questionFormat(question)) {
+    case 'multi_select':
+      return question.correctAnswers.map(index => OPTION_LETTERS[index]).join(', ');
+    case 'ordering':
+      return question.correctOrder.map(index => OPTION_LETTERS[index]).join(', ');
+    default:
+      return isChoiceFormat(question) ? OPTION_LETTERS[question.correctAnswer] : '';
+  }
+}
+
+/**
+ * Normalize a pipeline question into the fields every format exports
+ */
+function toExportRecord(question, index) {
+  return {
+    number: index + 1,
+    id: question.id || null,
+    format: questionFormat(question),
+    question: question.question,
+    options: question.options || [],
+    correctAnswer: question.correctAnswer ?? null,
+    ...pickFormatFields(question),
+    correctAnswerLetter: answerLetters(question),
+    correctAnswerText: describeCorrectAnswer(question),
+    explanation: question.explanation || '',
+    sourceAnecdoteId: question.sourceAnecdoteId || null,
+    qualityScore: typeof question.qualityScore === 'number'
+      ? Math.round(question.qualityScore * 10) / 10
+      : null,
+    source: question.source || null,
+    verificationConfidence: question.verification ? question.verification.confidence : null,
+    unverified: !!question.verification?.flagged,
+    grade: question.rank ? question.rank.grade : null,
+    judgeScore: question.judgement ? question.judgement.score : null,
+    judgement: question.judgement || null,
+    provenance: question.provenance || null
+  };
+}
+
+/**
+ * Quote a CSV field when needed (RFC 4180)
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+  return values.map(csvField).join(',');
+}
+
+/**
+ * Escape text for Anki's HTML fields (tabs and newlines would break the row)
+ */
+function ankiField(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\t/g, ' ')
+    .replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Escape GIFT control characters
+ */
+function giftText(text) {
+  return String(text || '').replace(/([~=#{}:\\])/g, '\\$1').replace(/\r?\n/g, ' ');
+}
+
+function formatJson(records) {
+  return JSON.stringify(records, null, 2) + '\n';
+}
+
+function formatCsv(records) {
+  const header = csvRow([
+    'Number', 'Format', 'Question', ...OPTION_LETTERS.map(letter => `Option ${letter}`),
+    'Correct Answer', 'Correct Answer Text', 'Explanation', 'Source Anecdote ID', 'Quality Score', 'Source',
+    'Verification Confidence', 'Unverified', 'Grade', 'Judge Score', 'Model', 'Prompt'
+  ]);
+
+  const rows = records.map(record => csvRow([
+    record.number,
+    record.format,
+    record.question,
+    ...OPTION_LETTERS.map((letter, i) => record.options[i]),
+    record.correctAnswerLetter,
+    record.correctAnswerText,
+    record.explanation,
+    record.sourceAnecdoteId,
+    record.qualityScore,
+    record.source,
+    record.verificationConfidence,
+    record.unverified ? 'yes' : '',
+    record.grade,
+    record.judgeScore,
+    record.provenance?.model,
+    record.provenance?.prompt ? `${record.provenance.prompt.id}@${record.provenance.prompt.version}` : ''
+  ]));
+
+  return [header, ...rows].join('\r\n') + '\r\n';
+}
+
+function formatAnki(records) {
+  const lines = [
+    '#separator:tab',
+    '#html:true',
+    '#columns:Front\tBack\tTags',
+    '#tags column:3'
+  ];
+
+  records.forEach(record => {
+    let front = ankiField(record.question);
+    if (record.format !== 'multiple_choice') front += `<br><i>${QUESTION_FORMATS[record.format].label}</i>`;
+    if (record.options.length > 0) {
+      front += '<br><br>' + record.options.map((option, i) => `${OPTION_LETTERS[i]}. ${ankiField(option)}`).join('<br>');
+    }
+    if (record.format === 'match_pairs') {
+      front += '<br><br>' + record.pairs.map(pair => ankiField(pair.left)).join('<br>') +
+        '<br><br>' + record.pairs.map(pair => ankiField(pair.right)).sort().join('<br>');
+    }
+
+    const letters = record.correctAnswerLetter ? `${record.correctAnswerLetter}. ` : '';
+    let back = `<b>${letters}${ankiField(record.correctAnswerText)}</b>`;
+    if (record.explanation) back += `<br><br>${ankiField(record.explanation)}`;
+    if (record.source) back += `<br><br><small>${ankiField(record.source)}</small>`;
+
+    const tags = ['cricket-trivia', record.sourceAnecdoteId].filter(Boolean).join(' ');
+    lines.push([front, back, tags].join('\t'));
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+function formatKahoot(records) {
+  const header = csvRow([
+    'Question - max 120 characters',
+    'Answer 1 - max 75 characters',
+    'Answer 2 - max 75 characters',
+    'Answer 3 - max 75 characters',
+    'Answer 4 - max 75 characters',
+    'Time limit (sec) – 5, 10, 20, 30, 60, 90, 120, or 240 secs',
+    'Correct answer(s) - choose at least one'
+  ]);
+
+  const rows = records.map(record => csvRow([
+    record.question,
+    ...OPTION_LETTERS.slice(0, 4).map((letter, i) => record.options[i]),
+    KAHOOT_TIME_LIMIT,
+    record.format === 'multi_select'
+      ? record.correctAnswers.map(index => index + 1).join(',')
+      : record.correctAnswer + 1
+  ]));
+
+  return [header, ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * The answer lines inside a GIFT question's braces
+ */
+function giftAnswers(record) {
+  switch (record.format) {
+    case 'true_false':
+      return `  ${record.correctAnswer === 0 ? 'TRUE' : 'FALSE'}`;
+    case 'multi_select': {
+      // Right picks share the credit, a wrong pick cancels it
+      const weight = moodleShare(record.correctAnswers.length);
+      return record.options
+        .map((option, i) => `  ~%${record.correctAnswers.includes(i) ? weight : -100}%${giftText(option)}`)
+        .join('\n');
+    }
+    case 'numeric':
+      return `  #${record.numericAnswer}:${record.tolerance}`;
+    case 'match_pairs':
+      return record.pairs.map(pair => `  =${giftText(pair.left)} -> ${giftText(pair.right)}`).join('\n');
+    default:
+      return record.options
+        .map((option, i) => `  ${i === record.correctAnswer ? '=' : '~'}${giftText(option)}`)
+        .join('\n');
+  }
+}
+
+function formatGift(records) {
+  return records.map(record => {
+    const title = `Q${record.number}${record.sourceAnecdoteId ? ` ${record.sourceAnecdoteId}` : ''}`;
+    const answers = giftAnswers(record);
+    const feedback = record.explanation ? `\n  ####${giftText(record.explanation)}` : '';
+
+    return `::${giftText(title)}:: ${giftText(record.question)} {\n${answers}${feedback}\n}`;
+  }).join('\n\n') + '\n';
+}
+
+const FORMATTERS = {
+  json: formatJson,
+  csv: formatCsv,
+  anki: formatAnki,
+  kahoot: formatKahoot,
+  gift: formatGift
+};
+
+/**
+ * Find questions that exceed Kahoot's text limits
+ */
+export function findKahootLimitViolations(questions) {
+  return questions
+    .map((question, index) => ({ question, number: index + 1 }))
+    .filter(({ question }) =>
+      question.question.length > KAHOOT_LIMITS.question ||
+      question.options.some(option => option.length > KAHOOT_LIMITS.answer)
+    )
+    .map(({ number }) => number);
+}
+
+/**
+ * Find questions an export format can't express (left out of the export)
+ * @param {Array<Object>} questions - Pipeline questions
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {number[]} Question numbers (1-based)
+ */
+export function findUnsupportedQuestions(questions, format) {
+  const exportable = EXPORTABLE[format] || (() => true);
+  return questions
+    .map(toExportRecord)
+    .filter(record => !exportable(record))
+    .map(record => record.number);
+}
+
+/**
+ * Render questions in an export format, leaving out those it can't express
+ * @param {Array<Object>} questions - Pipeline questions
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {string}
+ */
+export function formatQuestions(questions, format) {
+  const formatter = FORMATTERS[format];
+  if (!formatter) {
+    throw new Error(`Unknown export format: ${format} (valid: ${EXPORT_FORMATS.join(', ')})`);
+  }
+
+  const exportable = EXPORTABLE[format] || (() => true);
+  return formatter(questions.map(toExportRecord).filter(exportable));
+}
+
+/**
+ * Export format for an output file: the given format, else one inferred from
+ * the extension. Check it before a run so a bad --out fails before any model calls.
+ * @param {string} filePath
+ * @param {string} [format]
+ * @returns {string}
+ */
+export function resolveExportFormat(filePath, format) {
+  if (path.extname(filePath).toLowerCase() === '.xlsx') {
+    throw new Error(XLSX_ERROR);
+  }
+  return format || inferExportFormat(filePath);
+}
+
+/**
+ * Write questions to a file
+ * @param {Array<Object>} questions - Pipeline questions
+ * @param {string} filePath - Output file
+ * @param {string} [format] - Export format (inferred from the extension when omitted)
+ * @returns {Promise<{ filePath: string, format: string, count: number, skipped: number[] }>} skipped: numbers of questions left out
+ */
+export async function exportQuestions(questions, filePath, format) {
+  const exportFormat = resolveExportFormat(filePath, format);
+  const content = formatQuestions(questions, exportFormat);
+  const skipped = findUnsupportedQuestions(questions, exportFormat);
+  const resolvedPath = path.resolve(filePath);
+
+  await fs.mkdir(path.dirname(resolvedPath), { recursive: true });
+  await fs.writeFile(resolvedPath, content, 'utf8');
+
+  return { filePath: resolvedPath, format: exportFormat, count: questions.length - skipped.length, skipped };
+}
@@ -0,0 +1,48 @@
+/**
+ * Line Diff
+ *
+ * Minimal line-based diff (longest common subsequence) for comparing prompt
+ * template versions in the terminal.
+ */
+
+/**
+ * Diff two texts line by line
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{ type: 'same' | 'added' | 'removed', line: string }>}
+ */
+export function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      changes.push({ type: 'same', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      changes.push({ type: 'removed', line: a[i++] });
+    } else {
+      changes.push({ type: 'added', line: b[j++] });
+    }
+  }
+  while (i < a.length) changes.push({ type: 'removed', line: a[i++] });
+  while (j < b.length) changes.push({ type: 'added', line: b[j++] });
+
+  return changes;
+}
+
+export default diffLines;
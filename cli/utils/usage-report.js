@@ -0,0 +1,74 @@
+/**
+ * Usage Reporting for CLI Runs
+ *
+ * Starts per-run token/cost tracking on the shared OpenRouterService (with an
+ * optional `--max-cost` budget) and prints the run's cost summary.
+ */
+
+import chalk from 'chalk';
+import { getOpenRouterService } from '../../shared/services/OpenRouterService.js';
+
+/**
+ * Parse a `--max-cost <usd>` option
+ * @returns {number | null} Budget in USD, or null when not set
+ */
+export function parseMaxCost(value) {
+  if (value === undefined) return null;
+
+  const maxCost = parseFloat(value);
+  if (isNaN(maxCost) || maxCost <= 0) {
+    throw new Error(`Invalid --max-cost: ${value} (use a USD amount such as 0.50)`);
+  }
+  return maxCost;
+}
+
+/**
+ * Reset usage tracking for a new run and apply its budget.
+ * Call after the LLM provider is set up (e.g. after setupCassette).
+ * @param {Object} options - Command options (reads `maxCost`)
+ * @returns {import('../../shared/utils/usage-tracker.js').default} The run's usage tracker
+ */
+export function startUsageTracking(options = {}) {
+  const usage = getOpenRouterService().usage;
+  usage.reset();
+  usage.setBudget(parseMaxCost(options.maxCost));
+  return usage;
+}
+
+/**
+ * Format a USD amount with enough precision for small runs
+ */
+function formatCost(cost) {
+  return `$${cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
+/**
+ * Print the run's token usage and cost, overall and per model
+ */
+export function printUsageSummary(usage) {
+  const summary = usage.getSummary();
+
+  console.log(chalk.blue('\n💰 Token Usage & Cost:'));
+  if (summary.calls === 0) {
+    console.log(chalk.gray('   No model calls'));
+  } else {
+    console.log(chalk.white(`   Calls: ${summary.calls}`));
+    console.log(chalk.white(`   Tokens: ${summary.totalTokens.toLocaleString()} ` +
+      `(${summary.promptTokens.toLocaleString()} prompt, ${summary.completionTokens.toLocaleString()} completion)`));
+    console.log(chalk.white(`   Cost: ${formatCost(summary.cost)}` +
+      (summary.maxCost !== null ? ` of ${formatCost(summary.maxCost)} budget` : '')));
+
+    summary.byModel.forEach(model => {
+      console.log(chalk.gray(`     ${model.model}: ${model.calls} calls, ` +
+        `${(model.promptTokens + model.completionTokens).toLocaleString()} tokens, ${formatCost(model.cost)}`));
+    });
+
+    if (summary.estimated) {
+      console.log(chalk.gray('   Some responses had no usage data; their tokens are estimated from text length'));
+    }
+  }
+
+  if (summary.budgetExceeded) {
+    console.log(chalk.yellow(`   ⚠️ Budget of ${formatCost(summary.maxCost)} reached - requests that could overspend were not sent`));
+  }
+}
@@ -31,6 +31,27 @@ export const AI_MODELS = {
   }
 };
 
+// Ordered fallback chains per purpose: when a model fails (after retries) or its
+// circuit is open, the request moves on to the next model in its chain
+export const FALLBACK_CHAINS = {
+  search: ['perplexity/sonar', 'openai/gpt-4o-mini:online'],
+  creative: ['anthropic/claude-3-sonnet', 'openai/gpt-4o-mini'],
+  fast: ['openai/gpt-3.5-turbo', 'openai/gpt-4o-mini', 'anthropic/claude-3-haiku'],
+};
+
+// How each model request is sent (the CLI overrides these from config.openRouter.performance)
+export const REQUEST_POLICY = {
+  timeoutMs: 30000,          // Abort a request after this long
+  retryAttempts: 1,          // Retries per model on 429/5xx/timeouts before falling back
+  maxConcurrentRequests: 3,  // Requests in flight at once; the rest wait their turn
+  backoffBaseMs: 1000,       // First retry waits up to this long (doubling each retry)
+  backoffMaxMs: 10000,
+  circuitBreaker: {
+    failureThreshold: 3,     // Consecutive failed requests before a model is skipped
+    cooldownMs: 60000,       // How long it is skipped for
+  },
+};
+
 // Model performance characteristics
 export const MODEL_SPECS = {
   'openai/gpt-3.5-turbo': {
@@ -63,6 +84,64 @@ export const MODEL_SPECS = {
   }
 };
 
+// Token prices in USD per million tokens (OpenRouter list prices; web search
+// surcharges on :online and Perplexity models are not included)
+export const MODEL_PRICING = {
+  'openai/gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+  'openai/gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'openai/gpt-4o-mini:online': { prompt: 0.15, completion: 0.6 },
+  'openai/gpt-4o': { prompt: 2.5, completion: 10 },
+  'openai/gpt-4o:online': { prompt: 2.5, completion: 10 },
+  'openai/gpt-4-turbo': { prompt: 10, completion: 30 },
+  'openai/gpt-4': { prompt: 30, completion: 60 },
+  'perplexity/sonar': { prompt: 1, completion: 1 },
+  'perplexity/sonar-pro': { prompt: 3, completion: 15 },
+  'perplexity/sonar-reasoning': { prompt: 1, completion: 5 },
+  'perplexity/sonar-reasoning-pro': { prompt: 2, completion: 8 },
+  'anthropic/claude-3-haiku': { prompt: 0.25, completion: 1.25 },
+  'anthropic/claude-3-sonnet': { prompt: 3, completion: 15 },
+  'anthropic/claude-3-sonnet:online': { prompt: 3, completion: 15 },
+  'anthropic/claude-3-opus': { prompt: 15, completion: 75 },
+  'meta-llama/llama-3.1-8b-instruct:free': { prompt: 0, completion: 0 },
+};
+
+// Models missing from the price table are costed like the most expensive one,
+// so a budget is never exceeded by an unpriced model
+const UNKNOWN_MODEL_PRICING = { prompt: 15, completion: 75 };
+
+/**
+ * Price per million tokens for a model
+ */
+export function getModelPricing(model) {
+  return MODEL_PRICING[model] || UNKNOWN_MODEL_PRICING;
+}
+
+/**
+ * Cost in USD of a request with the given token counts
+ */
+export function estimateCost(model, promptTokens, completionTokens) {
+  const pricing = getModelPricing(model);
+  return (promptTokens * pricing.prompt + completionTokens * pricing.completion) / 1000000;
+}
+
+// Models that accept a JSON Schema `response_format`; other models get the
+// schema in the prompt only and their answers are repaired and validated
+export const STRUCTURED_OUTPUT_MODELS = [
+  'openai/gpt-4o-mini',
+  'openai/gpt-4o-mini:online',
+  'openai/gpt-4o',
+  'openai/gpt-4o:online',
+  'perplexity/sonar',
+  'perplexity/sonar-pro',
+];
+
+/**
+ * Whether a model can be sent a JSON Schema `response_format`
+ */
+export function supportsStructuredOutput(model) {
+  return STRUCTURED_OUTPUT_MODELS.includes(model);
+}
+
 // Get model from environment or use default
 export function getLearnCricketModel() {
   // Check environment variable (works for both CLI and UI)
@@ -89,4 +168,11 @@ export default {
   MODEL_SPECS,
   getLearnCricketModel,
   TOKEN_LIMITS,
+  FALLBACK_CHAINS,
+  REQUEST_POLICY,
+  MODEL_PRICING,
+  getModelPricing,
+  estimateCost,
+  STRUCTURED_OUTPUT_MODELS,
+  supportsStructuredOutput,
 };
\ No newline at end of file
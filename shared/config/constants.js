@@ -28,6 +28,42 @@ export const LEARN_CRICKET_CONSTANTS = {
   }
 };
 
+// Match formats - one question per ball, generated over by over as the innings goes on
+export const MATCH_FORMATS = {
+  learn: {
+    id: 'learn',
+    name: 'Learn Cricket',
+    description: '2 overs, 5 wickets - the classic learning session',
+    overs: 2,
+    wickets: 5,
+    powerplayOvers: 0,
+  },
+  sprint: {
+    id: 'sprint',
+    name: '5-Over Sprint',
+    description: '5 overs, 10 wickets, 1-over powerplay',
+    overs: 5,
+    wickets: 10,
+    powerplayOvers: 1,
+  },
+  t20: {
+    id: 't20',
+    name: 'T20',
+    description: '20 overs, 10 wickets, 6-over powerplay',
+    overs: 20,
+    wickets: 10,
+    powerplayOvers: 6,
+  },
+  odi: {
+    id: 'odi',
+    name: 'ODI',
+    description: '50 overs, 10 wickets, 10-over powerplay',
+    overs: 50,
+    wickets: 10,
+    powerplayOvers: 10,
+  },
+};
+
 export const SCORING_RULES = {
   // Time-based scoring (milliseconds)
   FAST_RESPONSE: 3000,    // Under 3 seconds = 6 runs
@@ -58,6 +94,7 @@ export const isUIEnvironment = () => {
 
 export default {
   LEARN_CRICKET_CONSTANTS,
+  MATCH_FORMATS,
   SCORING_RULES,
   isCliEnvironment,
   isUIEnvironment,
@@ -0,0 +1,635 @@
+/**
+ * Default LLM Fixtures
+ *
+ * Recorded responses served by the fixture provider when no fixture
+ * directory is given. Covers every prompt the CLI and app send, so both run
+ * end-to-end offline. Matching rules are described in FixtureProvider.js.
+ */
+
+const DIRECT_QUESTION_PROMPT = 'high-quality cricket trivia questions';
+
+const LEGENDARY_MOMENTS_QUESTIONS = [
+  {
+    question: 'During the 1983 World Cup final at Lord\'s, which India captain ran back from mid-wicket to take the famous catch that dismissed Viv Richards?',
+    options: ['Kapil Dev', 'Sunil Gavaskar', 'Mohinder Amarnath', 'Ravi Shastri'],
+    correctAnswer: 0,
+    explanation: 'Kapil Dev sprinted back to hold a skier off Madan Lal. Richards was in full flow, and his wicket swung the final as India defended just 183 to beat West Indies by 43 runs.',
+    category: 'legendary_moments',
+    difficulty: 'medium'
+  },
+  {
+    question: 'When the 2019 World Cup final at Lord\'s ended level after both the match and the Super Over were tied, how was England declared the winner?',
+    options: ['More boundaries scored', 'A bowl-out', 'Fewer wickets lost', 'A coin toss'],
+    correctAnswer: 0,
+    explanation: 'England and New Zealand tied on 241 and again in the Super Over. England won on the boundary count rule, 26 to 17, which was later replaced by repeated Super Overs.',
+    category: 'legendary_moments',
+    difficulty: 'medium'
+  },
+  {
+    question: 'During the 1981 Headingley Test, which England all-rounder made a famous unbeaten 149 after England were made to follow on against Australia?',
+    options: ['Ian Botham', 'Bob Willis', 'Graham Gooch', 'Mike Brearley'],
+    correctAnswer: 0,
+    explanation: 'Botham\'s counter-attack set Australia 130 to win. Bob Willis then took 8 for 43 and England won by 18 runs, only the second Test win by a side following on.',
+    category: 'legendary_moments',
+    difficulty: 'medium'
+  }
+];
+
+const PLAYER_STORIES_QUESTIONS = [
+  {
+    question: 'Which batsman was bowled for a duck in his final Test innings at The Oval in 1948, leaving his career average at 99.94?',
+    options: ['Don Bradman', 'Jack Hobbs', 'Wally Hammond', 'Len Hutton'],
+    correctAnswer: 0,
+    explanation: 'Bradman needed just four runs to finish with a Test average of 100, but Eric Hollies bowled him second ball with a googly. His 99.94 remains the most famous number in cricket.',
+    category: 'player_stories',
+    difficulty: 'medium'
+  },
+  {
+    question: 'Which Sri Lankan off-spinner took his 800th Test wicket with the very last ball he bowled in Test cricket, at Galle in 2010?',
+    options: ['Muttiah Muralitharan', 'Rangana Herath', 'Chaminda Vaas', 'Ajantha Mendis'],
+    correctAnswer: 0,
+    explanation: 'Muralitharan arrived at his farewell Test needing eight wickets to reach 800. He dismissed Pragyan Ojha with his final delivery, a record no bowler has come close to since.',
+    category: 'player_stories',
+    difficulty: 'medium'
+  },
+  {
+    question: 'Which fast bowler, nicknamed the "Rawalpindi Express", was clocked at 161.3 km/h against England during the 2003 World Cup?',
+    options: ['Shoaib Akhtar', 'Brett Lee', 'Shane Bond', 'Wasim Akram'],
+    correctAnswer: 0,
+    explanation: 'Shoaib Akhtar became the first bowler officially recorded above 100 mph in an international match when he hit 161.3 km/h to Nick Knight in Cape Town.',
+    category: 'player_stories',
+    difficulty: 'medium'
+  }
+];
+
+const RECORDS_STATS_QUESTIONS = [
+  {
+    question: 'Which batsman holds the record for the highest individual Test innings, an unbeaten 400 against England in Antigua in 2004?',
+    options: ['Brian Lara', 'Matthew Hayden', 'Mahela Jayawardene', 'Virender Sehwag'],
+    correctAnswer: 0,
+    explanation: 'Lara reclaimed the record from Matthew Hayden, who had made 380 only six months earlier. Lara had also held the previous record of 375, set on the same ground in 1994.',
+    category: 'records_stats',
+    difficulty: 'easy'
+  },
+  {
+    question: 'Which England off-spinner took all ten wickets in an innings, and 19 in the match, against Australia at Old Trafford in 1956?',
+    options: ['Jim Laker', 'Tony Lock', 'Fred Trueman', 'Derek Underwood'],
+    correctAnswer: 0,
+    explanation: 'Laker finished with 19 for 90, still the best match figures in first-class cricket. His spin partner Tony Lock took the only other wicket.',
+    category: 'records_stats',
+    difficulty: 'easy'
+  },
+  {
+    question: 'Which opener scored 264 against Sri Lanka at Eden Gardens in 2014, the highest individual score in ODI cricket?',
+    options: ['Rohit Sharma', 'Martin Guptill', 'Virender Sehwag', 'Chris Gayle'],
+    correctAnswer: 0,
+    explanation: 'Rohit Sharma hit 33 fours and 9 sixes in Kolkata. It was his second ODI double century, and he later became the first player to score three of them.',
+    category: 'records_stats',
+    difficulty: 'easy'
+  }
+];
+
+const CULTURAL_IMPACT_QUESTIONS = [
+  {
+    question: 'Which 2001 Bollywood film, about villagers who challenge British officers to a cricket match to escape a tax, was nominated for an Academy Award?',
+    options: ['Lagaan', 'Iqbal', 'Dil Chahta Hai', 'Swades'],
+    correctAnswer: 0,
+    explanation: 'Lagaan starred Aamir Khan and was nominated for Best Foreign Language Film. Its climactic match in colonial India made it one of the best-known cricket films ever.',
+    category: 'cultural_impact',
+    difficulty: 'medium'
+  },
+  {
+    question: 'Which T20 league, launched in India in 2008, changed cricket\'s economics with its televised player auction for city franchises?',
+    options: ['Indian Premier League', 'Big Bash League', 'Caribbean Premier League', 'The Hundred'],
+    correctAnswer: 0,
+    explanation: 'The Indian Premier League turned players into auction headliners and made franchise cricket a global industry. Its broadcast deals rank among the most valuable in world sport.',
+    category: 'cultural_impact',
+    difficulty: 'medium'
+  }
+];
+
+const RULES_FORMATS_QUESTIONS = [
+  {
+    question: 'In a men\'s One Day International (ODI), what is the maximum number of overs each side can bat?',
+    options: ['50 overs', '40 overs', '60 overs', '20 overs'],
+    correctAnswer: 0,
+    explanation: 'ODIs have been played over 50 overs per side since the late 1980s. Earlier matches, including the first three World Cups, used 60-over innings.',
+    category: 'rules_formats',
+    difficulty: 'easy'
+  },
+  {
+    question: 'In Test cricket, what can the side batting first ask its opponent to do after gaining a first-innings lead of at least 200 runs?',
+    options: ['Follow on', 'Declare', 'Forfeit', 'Retire out'],
+    correctAnswer: 0,
+    explanation: 'The follow-on makes the trailing side bat again straight away. The captain of the leading side chooses whether to enforce it, usually to save time in a five-day match.',
+    category: 'rules_formats',
+    difficulty: 'easy'
+  }
+];
+
+const TUTORIAL_QUESTIONS = [
+  {
+    question: 'How many players does each cricket team have on the field at one time?',
+    options: ['11 players', '9 players', '12 players', '15 players'],
+    correctAnswer: 0,
+    explanation: 'A cricket team fields eleven players. The batting side only has two batsmen in the middle at once, one at each end of the pitch.',
+    category: 'tutorial',
+    difficulty: 'easy'
+  },
+  {
+    question: 'In cricket, how many legal deliveries does a bowler send down in one over?',
+    options: ['Six balls', 'Four balls', 'Eight balls', 'Ten balls'],
+    correctAnswer: 0,
+    explanation: 'An over is six legal balls. Wides and no-balls do not count towards the six, so they have to be bowled again.',
+    category: 'tutorial',
+    difficulty: 'easy'
+  },
+  {
+    question: 'What does LBW stand for in cricket?',
+    options: ['Leg Before Wicket', 'Long Ball Wide', 'Last Batsman Walks', 'Low Bounce Warning'],
+    correctAnswer: 0,
+    explanation: 'LBW means leg before wicket. A batsman is out if the ball hits the pad when it would otherwise have gone on to hit the stumps.',
+    category: 'tutorial',
+    difficulty: 'easy'
+  },
+  {
+    question: 'How many runs does a batsman score when the ball clears the boundary rope without bouncing?',
+    options: ['Six runs', 'Four runs', 'Five runs', 'Eight runs'],
+    correctAnswer: 0,
+    explanation: 'Clearing the boundary on the full is worth six runs. If the ball bounces or rolls over the rope first, it is a four.',
+    category: 'tutorial',
+    difficulty: 'easy'
+  },
+  {
+    question: 'How many stumps make up one wicket in cricket?',
+    options: ['Three stumps', 'Two stumps', 'Four stumps', 'One stump'],
+    correctAnswer: 0,
+    explanation: 'Each wicket has three stumps with two bails resting on top. There is a wicket at each end of the pitch.',
+    category: 'tutorial',
+    difficulty: 'easy'
+  },
+  {
+    question: 'What is the name for the dismissal when a fielder breaks the wicket while the batsman is short of the crease during a run?',
+    options: ['Run out', 'Stumped', 'Caught', 'Hit wicket'],
+    correctAnswer: 0,
+    explanation: 'A run out happens when the batsmen are running between the wickets and the fielding side breaks the stumps before the batsman makes his ground.',
+    category: 'tutorial',
+    difficulty: 'easy'
+  },
+  {
+    question: 'In cricket, what does it mean when a batsman is out for a "duck"?',
+    options: ['Out without scoring', 'Out first ball of the match', 'Out hit by the ball', 'Out after scoring 100'],
+    correctAnswer: 0,
+    explanation: 'A duck is a score of zero. Being out to the first ball faced is called a golden duck.',
+    category: 'tutorial',
+    difficulty: 'easy'
+  },
+  {
+    question: 'How long is a cricket pitch from one set of stumps to the other?',
+    options: ['22 yards', '18 yards', '25 yards', '30 yards'],
+    correctAnswer: 0,
+    explanation: 'The pitch is 22 yards (about 20.12 metres) long, a length that has been used since the earliest Laws of Cricket.',
+    category: 'tutorial',
+    difficulty: 'easy'
+  },
+  {
+    question: 'What is an over called when the bowler concedes no runs at all?',
+    options: ['A maiden over', 'A dead over', 'A golden over', 'A clean sweep'],
+    correctAnswer: 0,
+    explanation: 'A maiden over is one in which no runs are scored off the bat and no wides or no-balls are conceded.',
+    category: 'tutorial',
+    difficulty: 'easy'
+  },
+  {
+    question: 'What does an umpire mean when he raises one index finger after a bowler appeals?',
+    options: ['The batsman is out', 'One run is awarded', 'One ball is left in the over', 'A free hit is next'],
+    correctAnswer: 0,
+    explanation: 'A raised index finger is the signal for out. If the umpire does not give the batsman out, he simply says "not out" or shakes his head.',
+    category: 'tutorial',
+    difficulty: 'easy'
+  }
+];
+
+const LEARN_CRICKET_FIRST_OVER = [
+  {
+    question: 'Cricket is played between two teams. How many players are in each team\'s playing eleven?',
+    options: ['11 players', '9 players', '13 players', '15 players'],
+    correctAnswer: 0,
+    explanation: 'Each side fields eleven players, which is why a team is often called "the XI".',
+    topic: 'basic rules',
+    difficulty: 'beginner'
+  },
+  {
+    question: 'When a batsman hits the ball and it rolls over the boundary rope, how many runs are scored?',
+    options: ['Four runs', 'Six runs', 'Two runs', 'One run'],
+    correctAnswer: 0,
+    explanation: 'A ball that reaches the boundary along the ground or after bouncing is worth four runs. Clearing it on the full is worth six.',
+    topic: 'scoring system',
+    difficulty: 'beginner'
+  },
+  {
+    question: 'Which fielder stands directly behind the stumps at the batsman\'s end wearing gloves and pads?',
+    options: ['Wicketkeeper', 'Slip', 'Gully', 'Square leg'],
+    correctAnswer: 0,
+    explanation: 'The wicketkeeper is the only fielder allowed to wear gloves. They catch deliveries the batsman misses and can stump or run out batsmen.',
+    topic: 'field positions',
+    difficulty: 'beginner'
+  },
+  {
+    question: 'What is a "yorker" in cricket?',
+    options: ['A full delivery aimed at the batsman\'s feet', 'A short ball aimed at the head', 'A slow spinning delivery', 'A ball bowled underarm'],
+    correctAnswer: 0,
+    explanation: 'A yorker pitches right at the batsman\'s toes or the base of the stumps, making it very hard to hit. It is a key weapon at the end of limited-overs innings.',
+    topic: 'cricket terminology',
+    difficulty: 'beginner'
+  },
+  {
+    question: 'What happens when a bowler oversteps the crease and bowls a no-ball?',
+    options: ['The batting side gets an extra run and the ball is bowled again', 'The bowler is banned for the over', 'The batsman is out', 'Nothing happens'],
+    correctAnswer: 0,
+    explanation: 'A no-ball adds one run to the batting side and does not count as one of the six balls in the over. In limited-overs cricket the next ball is also a free hit.',
+    topic: 'basic rules',
+    difficulty: 'beginner'
+  },
+  {
+    question: 'Which of these is the longest format of international cricket?',
+    options: ['Test cricket', 'One Day Internationals', 'T20 Internationals', 'The Hundred'],
+    correctAnswer: 0,
+    explanation: 'Test matches last up to five days, with each side batting twice. ODIs are 50 overs per side and T20s are 20 overs per side.',
+    topic: 'match formats',
+    difficulty: 'beginner'
+  }
+];
+
+const LEARN_CRICKET_LATER_OVERS = [
+  {
+    question: 'A batsman is given out LBW. What does LBW mean?',
+    options: ['Leg before wicket', 'Left behind wicket', 'Long ball wide', 'Late bat withdrawal'],
+    correctAnswer: 0,
+    explanation: 'LBW is given when the ball hits the batsman\'s body, usually the pad, and would have gone on to hit the stumps.',
+    topic: 'basic rules',
+    difficulty: 'beginner'
+  },
+  {
+    question: 'What is a "maiden over"?',
+    options: ['An over with no runs conceded', 'The first over of a match', 'An over with a wicket', 'An over bowled by a debutant'],
+    correctAnswer: 0,
+    explanation: 'A maiden is an over where the bowler gives away no runs. Bowling maidens builds pressure on the batting side.',
+    topic: 'cricket terminology',
+    difficulty: 'beginner'
+  },
+  {
+    question: 'How far apart are the two sets of stumps on a cricket pitch?',
+    options: ['22 yards', '18 yards', '26 yards', '30 yards'],
+    correctAnswer: 0,
+    explanation: 'The pitch is 22 yards long, roughly 20 metres. Batsmen run this distance for every run they complete.',
+    topic: 'equipment',
+    difficulty: 'beginner'
+  },
+  {
+    question: 'What type of bowler mainly relies on making the ball turn sharply after it bounces?',
+    options: ['Spin bowler', 'Fast bowler', 'Swing bowler', 'Seam bowler'],
+    correctAnswer: 0,
+    explanation: 'Spin bowlers bowl slowly and use their fingers or wrist to make the ball turn off the pitch. Off-spin and leg-spin are the two main types.',
+    topic: 'bowling types',
+    difficulty: 'beginner'
+  },
+  {
+    question: 'In limited-overs cricket, what is the "powerplay"?',
+    options: ['Overs with fielding restrictions', 'Overs where runs count double', 'The final over of the match', 'A break for drinks'],
+    correctAnswer: 0,
+    explanation: 'During a powerplay only a few fielders may stand outside the inner circle, which encourages attacking batting.',
+    topic: 'match formats',
+    difficulty: 'beginner'
+  },
+  {
+    question: 'Which batting shot is played with a straight bat back past the bowler?',
+    options: ['Straight drive', 'Pull shot', 'Sweep shot', 'Square cut'],
+    correctAnswer: 0,
+    explanation: 'The straight drive is played with a full, vertical swing of the bat, sending the ball back down the ground past the bowler.',
+    topic: 'batting techniques',
+    difficulty: 'beginner'
+  }
+];
+
+const ANECDOTES_KAPIL_BOTHAM = [
+  {
+    title: 'Kapil Dev\'s 175 at Tunbridge Wells',
+    story: 'At the 1983 World Cup, India collapsed to 17 for 5 against Zimbabwe at Tunbridge Wells and faced elimination. Captain Kapil Dev walked out and played one of the greatest one-day innings ever, smashing an unbeaten 175 from 138 balls with 16 fours and 6 sixes. India reached 266 for 8 and won by 31 runs. A BBC strike meant the innings was never filmed, so it lives on only in the memories of those at the ground. India went on to win the tournament.',
+    key_facts: ['India were 17 for 5', 'Kapil Dev made 175 not out from 138 balls', 'India won by 31 runs', 'No television footage exists because of a BBC strike'],
+    sources: ['https://en.wikipedia.org/wiki/Kapil_Dev'],
+    tags: ['comeback', 'historic', 'world cup']
+  },
+  {
+    title: 'Botham\'s Ashes at Headingley',
+    story: 'In the third Test of the 1981 Ashes, England followed on and slumped to 135 for 7, still 92 runs behind. Bookmakers offered 500 to 1 on an England win. Ian Botham then launched a stunning counter-attack, finishing unbeaten on 149 and setting Australia 130 to win. Bob Willis charged in from the Kirkstall Lane end and took 8 for 43 as Australia were bowled out for 111. England won by 18 runs, only the second time a team following on had won a Test.',
+    key_facts: ['Bookmakers offered odds of 500 to 1 on England', 'Ian Botham scored 149 not out', 'Bob Willis took 8 for 43', 'England won by 18 runs after following on'],
+    sources: ['https://en.wikipedia.org/wiki/Ian_Botham'],
+    tags: ['comeback', 'drama', 'ashes']
+  }
+];
+
+const ANECDOTES_LAKER_STOKES = [
+  {
+    title: 'Jim Laker\'s 19 Wickets at Old Trafford',
+    story: 'In the fourth Test of the 1956 Ashes, England off-spinner Jim Laker produced the most remarkable bowling performance in history. On a dry, turning Old Trafford pitch he took 9 for 37 in Australia\'s first innings and then all ten for 53 in the second. His match figures of 19 for 90 have never been matched in first-class cricket. Remarkably, his spin partner Tony Lock bowled 69 overs in the match and took just one wicket. England won by an innings and 170 runs to retain the Ashes.',
+    key_facts: ['Laker took 19 for 90 in the match', 'He took all ten wickets in the second innings', 'Tony Lock took the only other wicket', 'England won by an innings and 170 runs'],
+    sources: ['https://en.wikipedia.org/wiki/Jim_Laker'],
+    tags: ['record', 'historic', 'ashes']
+  },
+  {
+    title: 'Ben Stokes and the Headingley Miracle',
+    story: 'Chasing 359 to win the third Test of the 2019 Ashes, England were 286 for 9 with only Jack Leach for company. Ben Stokes then took control, farming the strike and hitting sixes at will while Leach survived 17 balls. The pair added 76 for the last wicket, with Leach contributing a single. Stokes finished unbeaten on 135 and hit the winning boundary to seal a one-wicket victory. Only two days earlier England had been bowled out for 67 in their first innings.',
+    key_facts: ['England chased 359 to win', 'The last-wicket stand was worth 76 runs', 'Jack Leach scored just 1 not out', 'Ben Stokes made 135 not out'],
+    sources: ['https://en.wikipedia.org/wiki/Ben_Stokes'],
+    tags: ['comeback', 'drama', 'ashes']
+  }
+];
+
+const ANECDOTES_KUMBLE_BRADMAN = [
+  {
+    title: 'Anil Kumble\'s Perfect Ten in Delhi',
+    story: 'Against Pakistan at the Feroz Shah Kotla in February 1999, India set a target of 420. Pakistan\'s openers put on 101 without loss before leg-spinner Anil Kumble struck. In a spell that lasted the rest of the innings, Kumble took every wicket to finish with 10 for 74. His team-mates famously avoided taking wickets at the other end so he could complete the feat. He became only the second bowler, after Jim Laker, to take all ten wickets in a Test innings.',
+    key_facts: ['Pakistan were chasing 420', 'Pakistan\'s openers added 101 first', 'Kumble finished with 10 for 74', 'Only Jim Laker had done it before in Tests'],
+    sources: ['https://en.wikipedia.org/wiki/Anil_Kumble'],
+    tags: ['record', 'historic', 'spin']
+  },
+  {
+    title: 'Bradman\'s Final Duck',
+    story: 'Don Bradman walked out at The Oval in August 1948 for what everyone knew would be his final Test innings. He needed just four runs to retire with a Test batting average of exactly 100. The England players gave him three cheers as he reached the crease. Second ball, leg-spinner Eric Hollies bowled him with a googly for a duck. Australia won by an innings, so Bradman never batted again, and his career average of 99.94 became the most famous number in the sport.',
+    key_facts: ['Bradman needed four runs for an average of 100', 'Eric Hollies bowled him second ball', 'He was out for a duck', 'His final average was 99.94'],
+    sources: ['https://en.wikipedia.org/wiki/Don_Bradman'],
+    tags: ['farewell', 'historic', 'drama']
+  }
+];
+
+const ANECDOTE_QUESTIONS = [
+  {
+    question: 'With India reeling at 17 for 5 against Zimbabwe at the 1983 World Cup, how many runs did captain Kapil Dev score in his unbeaten rescue act?',
+    options: ['175', '138', '124', '201'],
+    correctAnswer: 0,
+    explanation: 'Kapil Dev\'s 175 not out from 138 balls took India to 266 for 8 and a 31-run win. No footage exists because of a BBC strike.',
+    source: 'https://en.wikipedia.org/wiki/Kapil_Dev',
+    anecdoteRef: 'Kapil Dev\'s 175 at Tunbridge Wells'
+  },
+  {
+    question: 'Before Ian Botham\'s 149 not out in the 1981 Headingley Test, what odds did bookmakers offer on an England win?',
+    options: ['500 to 1', '100 to 1', '50 to 1', '1,000 to 1'],
+    correctAnswer: 0,
+    explanation: 'England were following on and seven wickets down when the 500 to 1 odds were posted. Botham\'s hundred and Bob Willis\'s 8 for 43 won the match by 18 runs.',
+    source: 'https://en.wikipedia.org/wiki/Ian_Botham',
+    anecdoteRef: 'Botham\'s Ashes at Headingley'
+  },
+  {
+    question: 'Jim Laker took 19 wickets in the 1956 Old Trafford Test. Which England spinner took the only other Australian wicket?',
+    options: ['Tony Lock', 'Johnny Wardle', 'Fred Titmus', 'Ray Illingworth'],
+    correctAnswer: 0,
+    explanation: 'Tony Lock bowled 69 overs in the match for a single wicket while Laker finished with 19 for 90, the best match figures in first-class history.',
+    source: 'https://en.wikipedia.org/wiki/Jim_Laker',
+    anecdoteRef: 'Jim Laker\'s 19 Wickets at Old Trafford'
+  },
+  {
+    question: 'During Ben Stokes\'s match-winning 135 not out at Headingley in 2019, how many runs did last man Jack Leach contribute?',
+    options: ['1 run', '17 runs', '9 runs', '0 runs'],
+    correctAnswer: 0,
+    explanation: 'Leach faced 17 balls for his single while Stokes scored the bulk of a 76-run last-wicket stand to win by one wicket.',
+    source: 'https://en.wikipedia.org/wiki/Ben_Stokes',
+    anecdoteRef: 'Ben Stokes and the Headingley Miracle'
+  },
+  {
+    question: 'When Anil Kumble took all ten Pakistan wickets in Delhi in 1999, what were his innings figures?',
+    options: ['10 for 74', '10 for 53', '10 for 66', '10 for 88'],
+    correctAnswer: 0,
+    explanation: 'Kumble\'s 10 for 74 came after Pakistan\'s openers had put on 101. Jim Laker\'s 10 for 53 in 1956 was the only previous all-ten in Tests.',
+    source: 'https://en.wikipedia.org/wiki/Anil_Kumble',
+    anecdoteRef: 'Anil Kumble\'s Perfect Ten in Delhi'
+  },
+  {
+    question: 'Which England leg-spinner bowled Don Bradman for a duck in his final Test innings at The Oval in 1948?',
+    options: ['Eric Hollies', 'Doug Wright', 'Jim Laker', 'Alec Bedser'],
+    correctAnswer: 0,
+    explanation: 'Hollies bowled Bradman second ball with a googly. Bradman needed four runs to average 100 and finished on 99.94.',
+    source: 'https://en.wikipedia.org/wiki/Don_Bradman',
+    anecdoteRef: 'Bradman\'s Final Duck'
+  }
+];
+
+const ADAPTIVE_QUESTIONS = [
+  {
+    question: 'When a batsman is caught by the wicketkeeper after edging the ball, what is this dismissal called?',
+    options: ['Caught behind', 'Stumped', 'Run out', 'Hit wicket'],
+    correctAnswer: 0,
+    explanation: 'An edge carried to the wicketkeeper is recorded as caught, and is commonly called caught behind because the keeper stands behind the stumps.'
+  },
+  {
+    question: 'What is the name of the famous urn contested in Test series between England and Australia?',
+    options: ['The Ashes', 'The Wisden Trophy', 'The Border-Gavaskar Trophy', 'The Frank Worrell Trophy'],
+    correctAnswer: 0,
+    explanation: 'The Ashes began after Australia beat England at The Oval in 1882 and a newspaper printed a mock obituary for English cricket.'
+  }
+];
+
+// Claim extraction for the anecdote questions (search-generate --verify-claims)
+const CLAIM_PROMPT = 'Extract the atomic factual claims';
+
+const QUESTION_CLAIMS = [
+  {
+    name: 'claims-kapil-dev',
+    questionText: 'how many runs did captain Kapil Dev score',
+    claims: [
+      'Kapil Dev scored 175 not out against Zimbabwe at the 1983 World Cup.',
+      'India were 17 for 5 when Kapil Dev came in to bat against Zimbabwe at Tunbridge Wells in 1983.',
+      'India beat Zimbabwe by 31 runs at Tunbridge Wells in the 1983 World Cup.'
+    ]
+  },
+  {
+    name: 'claims-botham-odds',
+    questionText: 'what odds did bookmakers offer on an England win',
+    claims: [
+      'Bookmakers offered odds of 500 to 1 on England winning the 1981 Headingley Test against Australia.',
+      'Ian Botham scored 149 not out in the 1981 Headingley Test.',
+      'Bob Willis took 8 for 43 as England beat Australia by 18 runs at Headingley in 1981.'
+    ]
+  },
+  {
+    name: 'claims-laker-lock',
+    questionText: 'Which England spinner took the only other Australian wicket',
+    claims: [
+      'Tony Lock took the only Australian wicket not taken by Jim Laker in the 1956 Old Trafford Test.',
+      'Jim Laker took 19 wickets for 90 runs in the 1956 Old Trafford Test against Australia.'
+    ]
+  },
+  {
+    name: 'claims-stokes-leach',
+    questionText: 'how many runs did last man Jack Leach contribute',
+    claims: [
+      'Jack Leach scored 1 not out while Ben Stokes made 135 not out to win the 2019 Headingley Test.',
+      'Ben Stokes and Jack Leach added 76 for the last wicket as England beat Australia by one wicket at Headingley in 2019.'
+    ]
+  },
+  {
+    name: 'claims-kumble-ten',
+    questionText: 'what were his innings figures',
+    claims: [
+      'Anil Kumble took 10 for 74 against Pakistan in the 1999 Delhi Test.',
+      'Jim Laker was the only bowler before Anil Kumble to take all ten wickets in a Test innings, with 10 for 53 in 1956.'
+    ]
+  },
+  {
+    name: 'claims-bradman-hollies',
+    questionText: 'bowled Don Bradman for a duck',
+    claims: [
+      'Eric Hollies bowled Don Bradman for a duck in his final Test innings at The Oval in 1948.',
+      'Don Bradman finished his Test career with a batting average of 99.94.'
+    ]
+  }
+];
+
+// Judge reviews of the anecdote questions (search-generate --judge)
+const JUDGE_PROMPT = 'You are reviewing a multiple-choice cricket trivia question';
+
+const rubricScore = (score, reason) => ({ score, reason });
+
+const QUESTION_JUDGEMENTS = [
+  {
+    name: 'judge-kumble-ten',
+    questionText: 'what were his innings figures',
+    judgement: {
+      factualPlausibility: rubricScore(5, 'Kumble took 10 for 74 against Pakistan at Delhi in 1999.'),
+      singleCorrectAnswer: rubricScore(5, 'Only 10 for 74 matches the Delhi innings.'),
+      distractorPlausibility: rubricScore(3, '10 for 53 is Laker\'s famous all-ten, which fans may spot as a decoy rather than a real alternative.'),
+      explanationQuality: rubricScore(5, 'Explains the figures and links them to Laker\'s earlier all-ten.'),
+      categoryFit: rubricScore(5, 'A legendary bowling feat.'),
+      summary: 'Solid question; one distractor gives itself away to well-read fans.'
+    }
+  },
+  {
+    name: 'judge-stokes-leach',
+    questionText: 'how many runs did last man Jack Leach contribute',
+    judgement: {
+      factualPlausibility: rubricScore(5, 'Leach made 1 not out in the 76-run last-wicket stand at Headingley in 2019.'),
+      singleCorrectAnswer: rubricScore(4, '17 is the number of balls Leach faced, which a careless reader could argue about.'),
+      distractorPlausibility: rubricScore(4, 'All four run totals are believable for a number eleven.'),
+      explanationQuality: rubricScore(4, 'Gives the balls faced and the stand but not the target England chased.'),
+      categoryFit: rubricScore(5, 'One of the best-known finishes in Test cricket.'),
+      summary: 'Good question built on a memorable detail.'
+    }
+  }
+];
+
+const DEFAULT_JUDGEMENT = {
+  factualPlausibility: rubricScore(5, 'The question, answer and explanation match the recorded facts.'),
+  singleCorrectAnswer: rubricScore(5, 'Exactly one option fits the question.'),
+  distractorPlausibility: rubricScore(4, 'The wrong options are believable to a cricket fan.'),
+  explanationQuality: rubricScore(4, 'The explanation confirms the answer with useful context.'),
+  categoryFit: rubricScore(5, 'Fits the category.'),
+  summary: 'Clear, well-sourced question.'
+};
+
+export const DEFAULT_LLM_FIXTURES = [
+  {
+    name: 'test-connection',
+    match: { promptIncludes: 'Test connection' },
+    content: 'OK'
+  },
+  {
+    name: 'direct-questions-legendary-moments',
+    match: { promptIncludes: [DIRECT_QUESTION_PROMPT, 'Category: legendary moments'] },
+    content: LEGENDARY_MOMENTS_QUESTIONS
+  },
+  {
+    name: 'direct-questions-player-stories',
+    match: { promptIncludes: [DIRECT_QUESTION_PROMPT, 'Category: player stories'] },
+    content: PLAYER_STORIES_QUESTIONS
+  },
+  {
+    name: 'direct-questions-records-stats',
+    match: { promptIncludes: [DIRECT_QUESTION_PROMPT, 'Category: records stats'] },
+    content: RECORDS_STATS_QUESTIONS
+  },
+  {
+    name: 'direct-questions-cultural-impact',
+    match: { promptIncludes: [DIRECT_QUESTION_PROMPT, 'Category: cultural impact'] },
+    content: CULTURAL_IMPACT_QUESTIONS
+  },
+  {
+    name: 'direct-questions-rules-formats',
+    match: { promptIncludes: [DIRECT_QUESTION_PROMPT, 'Category: rules formats'] },
+    content: RULES_FORMATS_QUESTIONS
+  },
+  {
+    name: 'direct-questions-tutorial',
+    match: { promptIncludes: [DIRECT_QUESTION_PROMPT, 'basic cricket concepts'] },
+    content: TUTORIAL_QUESTIONS
+  },
+  {
+    name: 'direct-questions',
+    match: { promptIncludes: DIRECT_QUESTION_PROMPT },
+    content: [...LEGENDARY_MOMENTS_QUESTIONS, ...PLAYER_STORIES_QUESTIONS]
+  },
+  {
+    name: 'learn-cricket-first-over',
+    match: { promptIncludes: ['cricket educational questions for beginners', 'FIRST OVER'] },
+    content: LEARN_CRICKET_FIRST_OVER
+  },
+  {
+    name: 'learn-cricket-nets-practice',
+    match: { promptIncludes: ['cricket educational questions for beginners', 'NETS PRACTICE'] },
+    content: LEARN_CRICKET_LATER_OVERS
+  },
+  {
+    name: 'learn-cricket-later-overs',
+    match: { promptIncludes: ['cricket educational questions for beginners', "based on the user's recent performance"] },
+    content: LEARN_CRICKET_LATER_OVERS
+  },
+  {
+    name: 'anecdotes-kapil-botham',
+    match: { promptIncludes: 'cricket anecdotes with web search' },
+    content: ANECDOTES_KAPIL_BOTHAM
+  },
+  {
+    name: 'anecdotes-laker-stokes',
+    match: { promptIncludes: 'cricket anecdotes with web search' },
+    content: ANECDOTES_LAKER_STOKES
+  },
+  {
+    name: 'anecdotes-kumble-bradman',
+    match: { promptIncludes: 'cricket anecdotes with web search' },
+    content: ANECDOTES_KUMBLE_BRADMAN
+  },
+  {
+    name: 'anecdote-questions',
+    match: { promptIncludes: 'Create cricket trivia from these anecdotes' },
+    content: ANECDOTE_QUESTIONS
+  },
+  {
+    name: 'adaptive-questions',
+    match: { promptIncludes: 'cricket trivia question(s) with these requirements' },
+    content: ADAPTIVE_QUESTIONS
+  },
+  ...QUESTION_CLAIMS.map(({ name, questionText, claims }) => ({
+    name,
+    match: { promptIncludes: [CLAIM_PROMPT, questionText] },
+    content: claims
+  })),
+  ...QUESTION_JUDGEMENTS.map(({ name, questionText, judgement }) => ({
+    name,
+    match: { promptIncludes: [JUDGE_PROMPT, questionText] },
+    content: judgement
+  })),
+  {
+    name: 'judge-default',
+    match: { promptIncludes: JUDGE_PROMPT },
+    content: DEFAULT_JUDGEMENT
+  },
+  {
+    name: 'verify-incident',
+    match: { promptIncludes: 'Generate a specific, verifiable cricket incident' },
+    content: {
+      incident: 'In the 1983 World Cup final at Lord\'s, India defended a total of 183 to beat West Indies by 43 runs, with captain Kapil Dev taking a running catch to dismiss Viv Richards.',
+      summary: 'India beat West Indies by 43 runs in the 1983 World Cup final'
+    }
+  }
+];
+
+export default DEFAULT_LLM_FIXTURES;
@@ -0,0 +1,347 @@
+/**
+ * Prompt Template Registry
+ *
+ * Every prompt sent to a model is a named, versioned template with typed
+ * variables (see templates.js), rendered by the same code in the CLI and the
+ * app. Services ask for a template by id and get the pinned version (pins.js)
+ * or the latest one, so a prompt change can be reviewed as a new version and
+ * rolled back by pinning without touching service code.
+ *
+ * Template syntax (a small Handlebars subset):
+ * - `{{name}}`, `{{a.b}}` - a variable (lists are joined with ", ")
+ * - `{{name | fallback}}` - the fallback text when the variable is empty
+ * - `{{#if name}}...{{else}}...{{/if}}` - render when the variable is non-empty
+ * - `{{#each name}}...{{/each}}` - repeat per list item; `{{this}}` is the item,
+ *   `{{@number}}` its 1-based position and `{{field}}` a field of an object item
+ * Block tags on a line of their own remove that line from the output.
+ */
+
+import { PROMPT_TEMPLATES } from './templates.js';
+import { PROMPT_PINS } from './pins.js';
+
+const VARIABLE_TYPES = ['string', 'number', 'boolean', 'string[]', 'object', 'object[]'];
+
+const TAG_PATTERN = /\{\{\s*(#if|#each|\/if|\/each|else)?\s*([\w.@]*)\s*(?:\|\s*([^}]*?)\s*)?\}\}/g;
+
+/**
+ * Split a template into text, variable and block tokens. Block tags alone on
+ * their line take the whole line with them.
+ */
+function tokenize(source) {
+  const tokens = [];
+  let cursor = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    const [tag, block, name, fallback] = match;
+    let start = match.index;
+    let end = start + tag.length;
+
+    if (block) {
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      const newline = source.indexOf('\n', end);
+      const lineEnd = newline === -1 ? source.length : newline + 1;
+      if (lineStart >= cursor && !source.slice(lineStart, start).trim() && !source.slice(end, lineEnd).trim()) {
+        start = lineStart;
+        end = lineEnd;
+      }
+    }
+
+    if (start > cursor) {
+      tokens.push({ type: 'text', value: source.slice(cursor, start) });
+    }
+    tokens.push(block ? { type: block, name } : { type: 'variable', name, fallback });
+    cursor = end;
+    TAG_PATTERN.lastIndex = end;
+  }
+
+  if (cursor < source.length) {
+    tokens.push({ type: 'text', value: source.slice(cursor) });
+  }
+  return tokens;
+}
+
+/**
+ * Nest block tokens into a tree
+ */
+function parse(tokens, id) {
+  const root = [];
+  const stack = [{ nodes: root }];
+
+  tokens.forEach(token => {
+    const current = stack[stack.length - 1];
+    if (token.type === '#if' || token.type === '#each') {
+      const node = { type: token.type.slice(1), name: token.name, nodes: [], elseNodes: [] };
+      current.nodes.push(node);
+      stack.push({ node, nodes: node.nodes });
+    } else if (token.type === 'else') {
+      if (!current.node || current.node.type !== 'if') {
+        throw new Error(`Prompt template ${id}: {{else}} outside {{#if}}`);
+      }
+      current.nodes = current.node.elseNodes;
+    } else if (token.type === '/if' || token.type === '/each') {
+      if (!current.node || `/${current.node.type}` !== token.type) {
+        throw new Error(`Prompt template ${id}: unexpected {{${token.type}}}`);
+      }
+      stack.pop();
+    } else {
+      current.nodes.push(token);
+    }
+  });
+
+  if (stack.length > 1) {
+    throw new Error(`Prompt template ${id}: unclosed {{#${stack[stack.length - 1].node.type}}}`);
+  }
+  return root;
+}
+
+/**
+ * Look a dotted path up through the scopes, innermost first
+ */
+function lookup(scopes, path) {
+  if (path === 'this') return scopes[0].this;
+  if (path === '@number') return scopes[0]['@number'];
+
+  const [head, ...rest] = path.split('.');
+  const scope = scopes.find(candidate => candidate && typeof candidate === 'object' && head in candidate);
+  if (!scope) return undefined;
+
+  return rest.reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), scope[head]);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === false || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+function renderNodes(nodes, scopes) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.value;
+
+    const value = lookup(scopes, node.name);
+    if (node.type === 'variable') {
+      if (isEmpty(value)) return node.fallback ?? '';
+      return Array.isArray(value) ? value.join(', ') : String(value);
+    }
+    if (node.type === 'if') {
+      return renderNodes(isEmpty(value) ? node.elseNodes : node.nodes, scopes);
+    }
+    // each
+    return (Array.isArray(value) ? value : []).map((item, index) => {
+      const itemScope = { this: item, '@number': index + 1 };
+      const itemFields = item && typeof item === 'object' && !Array.isArray(item) ? item : null;
+      return renderNodes(node.nodes, [itemScope, itemFields, ...scopes]);
+    }).join('');
+  }).join('');
+}
+
+/**
+ * Check a value against a declared variable type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'string[]':
+      return Array.isArray(value) && value.every(item => typeof item === 'string');
+    case 'object[]':
+      return Array.isArray(value) && value.every(item => item && typeof item === 'object');
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+export class PromptRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.templates] - Template definitions
+   * @param {Object<string, number>} [options.pins] - Template id -> pinned version
+   */
+  constructor(options = {}) {
+    this.templates = new Map(); // id -> versions, ascending
+    this.pins = {};
+
+    (options.templates || []).forEach(template => this.register(template));
+    this.setPins(options.pins || {});
+  }
+
+  /**
+   * Add a template version
+   * @param {{ id: string, version: number, description?: string, variables?: Object, template: string }} template
+   */
+  register(template) {
+    const { id, version } = template;
+    if (!id || !Number.isInteger(version) || version < 1 || typeof template.template !== 'string') {
+      throw new Error(`Invalid prompt template ${id || '(no id)'}@${version}: needs an id, a positive integer version and template text`);
+    }
+    Object.entries(template.variables || {}).forEach(([name, spec]) => {
+      if (!VARIABLE_TYPES.includes(spec.type)) {
+        throw new Error(`Prompt template ${id}@${version}: variable ${name} has unknown type ${spec.type}`);
+      }
+    });
+
+    const versions = this.templates.get(id) || [];
+    if (versions.some(existing => existing.version === version)) {
+      throw new Error(`Prompt template ${id}@${version} is already registered`);
+    }
+
+    const entry = {
+      description: '',
+      variables: {},
+      ...template,
+      nodes: parse(tokenize(template.template), `${id}@${version}`)
+    };
+    this.templates.set(id, [...versions, entry].sort((a, b) => a.version - b.version));
+  }
+
+  /**
+   * Versions of a template, oldest first
+   */
+  getVersions(id) {
+    const versions = this.templates.get(id);
+    if (!versions) {
+      throw new Error(`Unknown prompt template: ${id} (known: ${[...this.templates.keys()].join(', ')})`);
+    }
+    return versions;
+  }
+
+  /**
+   * Version used when a service renders the template: the pin, else the latest
+   */
+  getActiveVersion(id) {
+    const versions = this.getVersions(id);
+    return this.pins[id] ?? versions[versions.length - 1].version;
+  }
+
+  /**
+   * Get a template definition (the active version when none is given)
+   */
+  get(id, version = null) {
+    const wanted = version ?? this.getActiveVersion(id);
+    const template = this.getVersions(id).find(candidate => candidate.version === wanted);
+    if (!template) {
+      throw new Error(`Prompt template ${id} has no version ${wanted} (versions: ${this.getVersions(id).map(t => t.version).join(', ')})`);
+    }
+    return template;
+  }
+
+  /**
+   * Summary of every template
+   * @returns {Array<{ id: string, description: string, versions: number[], latest: number, pinned: number | null, active: number }>}
+   */
+  list() {
+    return [...this.templates.keys()].sort().map(id => {
+      const versions = this.getVersions(id).map(template => template.version);
+      return {
+        id,
+        description: this.get(id).description,
+        versions,
+        latest: versions[versions.length - 1],
+        pinned: this.pins[id] ?? null,
+        active: this.getActiveVersion(id)
+      };
+    });
+  }
+
+  /**
+   * Use a fixed version of a template instead of the latest
+   */
+  pin(id, version) {
+    this.get(id, version); // Throws for unknown templates and versions
+    this.pins = { ...this.pins, [id]: version };
+  }
+
+  unpin(id) {
+    this.getVersions(id);
+    const { [id]: _removed, ...rest } = this.pins;
+    this.pins = rest;
+  }
+
+  getPins() {
+    return { ...this.pins };
+  }
+
+  /**
+   * Replace all pins (pins to templates this registry doesn't know are ignored)
+   */
+  setPins(pins) {
+    this.pins = {};
+    Object.entries(pins).forEach(([id, version]) => {
+      if (this.templates.has(id) && this.getVersions(id).some(template => template.version === version)) {
+        this.pins[id] = version;
+      }
+    });
+  }
+
+  /**
+   * Check variables against a template's declarations and apply defaults
+   */
+  resolveVariables(template, variables) {
+    const errors = [];
+    const resolved = {};
+
+    Object.entries(template.variables).forEach(([name, spec]) => {
+      const value = variables[name] ?? spec.default;
+      if (value === undefined || value === null) {
+        if (spec.required) errors.push(`${name} is required`);
+        return;
+      }
+      if (!matchesType(value, spec.type)) {
+        errors.push(`${name} must be ${spec.type}`);
+        return;
+      }
+      resolved[name] = value;
+    });
+
+    Object.keys(variables).forEach(name => {
+      if (!(name in template.variables) && variables[name] !== undefined) {
+        errors.push(`${name} is not a variable of this template`);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Prompt template ${template.id}@${template.version}: ${errors.join('; ')}`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Render a template
+   * @param {string} id
+   * @param {Object} [variables]
+   * @param {Object} [options]
+   * @param {number} [options.version] - Render this version instead of the active one
+   * @returns {{ id: string, version: number, text: string }}
+   */
+  render(id, variables = {}, options = {}) {
+    const template = this.get(id, options.version);
+    const resolved = this.resolveVariables(template, variables);
+
+    return {
+      id,
+      version: template.version,
+      text: renderNodes(template.nodes, [resolved])
+    };
+  }
+}
+
+// Singleton instance management
+let promptRegistryInstance = null;
+
+/**
+ * Get the shared registry with the bundled templates and pins
+ */
+export const getPromptRegistry = () => {
+  if (!promptRegistryInstance) {
+    promptRegistryInstance = new PromptRegistry({ templates: PROMPT_TEMPLATES, pins: PROMPT_PINS });
+  }
+  return promptRegistryInstance;
+};
+
+/**
+ * Render a template with the shared registry
+ */
+export const renderPrompt = (id, variables, options) => getPromptRegistry().render(id, variables, options);
+
+export default PromptRegistry;
@@ -0,0 +1,13 @@
+/**
+ * Pinned Prompt Template Versions
+ *
+ * Template id -> version to render instead of the latest (e.g. to roll a prompt
+ * change back). Shared by the CLI and the app; written by
+ * `cricket-trivia prompts pin <id> <version>` and `prompts unpin <id>`.
+ */
+
+export const PROMPT_PINS = {
+  'questions-from-anecdotes': 1
+};
+
+export default PROMPT_PINS;
@@ -0,0 +1,571 @@
+/**
+ * Prompt Templates
+ *
+ * Every prompt the CLI and the app send to a model, rendered by PromptRegistry.
+ * Never edit a released version's text: add the changed prompt as a new version
+ * of the same id so question provenance keeps pointing at the wording that was
+ * actually used, and old versions stay available for `prompts diff` and pins.
+ *
+ * Variable types: string, number, boolean, string[], object, object[]
+ */
+
+export const PROMPT_TEMPLATES = [
+  {
+    id: 'direct-questions',
+    version: 1,
+    description: 'Trivia questions generated directly from a category and filters',
+    variables: {
+      count: { type: 'number', default: 5 },
+      category: { type: 'string' },
+      categoryLabel: { type: 'string' },
+      difficulty: { type: 'string' },
+      era: { type: 'string' },
+      countries: { type: 'string[]' },
+      tutorial: { type: 'boolean', default: false }
+    },
+    template: `Generate {{count}} high-quality cricket trivia questions.
+
+{{#if categoryLabel}}
+Category: {{categoryLabel}}
+{{/if}}
+{{#if difficulty}}
+Difficulty: {{difficulty}}
+{{/if}}
+{{#if era}}
+Era: {{era}}
+{{/if}}
+{{#if countries}}
+Countries: {{countries}}
+{{/if}}
+
+Instructions:
+1. Generate engaging cricket trivia questions that are factually accurate
+2. Each question should have 4 options with only 1 correct answer
+3. Include interesting explanations that provide context
+4. {{#if tutorial}}Focus on basic cricket concepts suitable for beginners{{else}}Include fascinating cricket stories and facts{{/if}}
+
+Return a JSON array with this structure:
+[
+  {
+    "question": "The question text",
+    "options": ["Option A", "Option B", "Option C", "Option D"],
+    "correctAnswer": 0,
+    "explanation": "Detailed explanation with interesting context",
+    "category": "{{category | general}}",
+    "difficulty": "{{difficulty | medium}}"
+  }
+]`
+  },
+  {
+    id: 'formatted-questions',
+    version: 1,
+    description: 'Trivia questions in a format other than four-option multiple choice (see shared/utils/question-formats.js)',
+    variables: {
+      count: { type: 'number', default: 2 },
+      format: { type: 'string', required: true },
+      trueFalse: { type: 'boolean', default: false },
+      multiSelect: { type: 'boolean', default: false },
+      ordering: { type: 'boolean', default: false },
+      numeric: { type: 'boolean', default: false },
+      matchPairs: { type: 'boolean', default: false },
+      category: { type: 'string' },
+      categoryLabel: { type: 'string' },
+      difficulty: { type: 'string' },
+      era: { type: 'string' },
+      countries: { type: 'string[]' }
+    },
+    template: `Generate {{count}} high-quality cricket trivia questions in the "{{format}}" format.
+
+{{#if categoryLabel}}
+Category: {{categoryLabel}}
+{{/if}}
+{{#if difficulty}}
+Difficulty: {{difficulty}}
+{{/if}}
+{{#if era}}
+Era: {{era}}
+{{/if}}
+{{#if countries}}
+Countries: {{countries}}
+{{/if}}
+
+Format:
+{{#if trueFalse}}
+A statement about cricket the player judges true or false. Make false statements plausible: change one detail of a real fact rather than inventing something absurd. The question text is the statement itself.
+{{/if}}
+{{#if multiSelect}}
+4 to 6 options of which at least two, but not all, are correct. List the indexes of every correct option in "correctAnswers". The question must make clear that more than one option applies.
+{{/if}}
+{{#if ordering}}
+3 to 6 items to arrange, such as captains chronologically or grounds by capacity. The question must name the order wanted (earliest first, highest first). Give "options" in a scrambled order and "correctOrder" as the option indexes in the right order.
+{{/if}}
+{{#if numeric}}
+A question whose answer is a single number from the record books, such as runs in an innings or wickets in a series. Give the exact figure in "numericAnswer", a "tolerance" within which a guess counts as right (about 5% of the answer, 0 when only the exact figure will do) and the "unit" (runs, wickets, years). Leave out "options".
+{{/if}}
+{{#if matchPairs}}
+3 to 5 pairs to match, such as players to their countries or grounds to their cities. Give them as "pairs" with a "left" and a "right" item, every right item different. Leave out "options".
+{{/if}}
+
+Instructions:
+1. Generate engaging cricket trivia questions that are factually accurate
+2. Every question must have exactly one right answer in its format
+3. Include interesting explanations that provide context
+
+Return a JSON array with this structure:
+[
+  {
+    "format": "{{format}}",
+    "question": "The question text",
+{{#if trueFalse}}
+    "options": ["True", "False"],
+    "correctAnswer": 0,
+{{/if}}
+{{#if multiSelect}}
+    "options": ["Option A", "Option B", "Option C", "Option D"],
+    "correctAnswers": [0, 2],
+{{/if}}
+{{#if ordering}}
+    "options": ["Item B", "Item C", "Item A"],
+    "correctOrder": [2, 0, 1],
+{{/if}}
+{{#if numeric}}
+    "numericAnswer": 154,
+    "tolerance": 8,
+    "unit": "runs",
+{{/if}}
+{{#if matchPairs}}
+    "pairs": [{"left": "Player", "right": "Country"}, {"left": "Player", "right": "Country"}, {"left": "Player", "right": "Country"}],
+{{/if}}
+    "explanation": "Detailed explanation with interesting context",
+    "category": "{{category | general}}",
+    "difficulty": "{{difficulty | medium}}"
+  }
+]`
+  },
+  {
+    id: 'anecdotes',
+    version: 1,
+    description: 'Cricket anecdotes with sources from a web-search model',
+    variables: {
+      count: { type: 'number', default: 10 },
+      searchContext: { type: 'string', required: true }
+    },
+    template: `Generate {{count}} cricket anecdotes with web search. Context: {{searchContext}}
+
+Each anecdote needs:
+- Engaging title
+- 150-250 word dramatic story with specific details
+- 3-5 key facts for trivia questions
+- Source citations
+- Unique incident (no duplicates)
+
+JSON format:
+[{"title":"Title","story":"Story with drama and facts","key_facts":["Fact1","Fact2","Fact3"],"sources":["URL1"],"tags":["drama","historic"]}]
+
+Generate {{count}} diverse cricket anecdotes:`
+  },
+  {
+    id: 'questions-from-anecdotes',
+    version: 1,
+    description: 'Trivia questions written from researched anecdotes',
+    variables: {
+      anecdotes: { type: 'object[]', required: true } // { title, story, facts: string[] }
+    },
+    template: `Create cricket trivia from these anecdotes. Generate 1-2 questions per anecdote focusing on dramatic moments and verifiable facts.
+
+ANECDOTES:
+{{#each anecdotes}}
+{{@number}}. {{title}}
+{{story}}
+Facts: {{facts}}
+
+{{/each}}
+JSON format:
+[{"question":"Dramatic context + specific question?","options":["A","B","C","D"],"correctAnswer":0,"explanation":"Brief context","source":"URL","anecdoteRef":"Title"}]
+
+Requirements: 4 plausible options, test specific knowledge, maintain source attribution. Generate engaging trivia now:`
+  },
+  {
+    id: 'questions-from-anecdotes',
+    version: 2,
+    description: 'Trivia questions written from researched anecdotes, each tied to one listed fact',
+    variables: {
+      anecdotes: { type: 'object[]', required: true } // { title, story, facts: string[] }
+    },
+    template: `Create cricket trivia from these anecdotes. Generate 1-2 questions per anecdote, each built on one of its listed facts.
+
+ANECDOTES:
+{{#each anecdotes}}
+{{@number}}. {{title}}
+{{story}}
+Facts: {{facts}}
+
+{{/each}}
+JSON format:
+[{"question":"Dramatic context + specific question?","options":["A","B","C","D"],"correctAnswer":0,"explanation":"Brief context","source":"URL","anecdoteRef":"Title"}]
+
+Requirements:
+- The correct answer must be stated in the anecdote's facts or story; skip facts you cannot turn into a clear question
+- Never give the answer away in the question's wording
+- Wrong options must be the same kind of answer as the right one (players for a player, grounds for a ground, years close to the real year)
+- Two questions from the same anecdote must test different facts
+- The explanation names the fact the question was built on; keep the anecdote's source URL
+
+Generate engaging trivia now:`
+  },
+  {
+    id: 'claim-extraction',
+    version: 1,
+    description: 'Atomic factual claims of a question, for claim verification',
+    variables: {
+      question: { type: 'string', required: true },
+      answer: { type: 'string', required: true },
+      explanation: { type: 'string', default: '' }
+    },
+    template: `Extract the atomic factual claims from this cricket trivia question.
+
+QUESTION: {{question}}
+CORRECT ANSWER: {{answer}}
+EXPLANATION: {{explanation}}
+
+Each claim must be one checkable fact (a name, number, date, venue or result), written as a self-contained sentence that names the players, teams and match involved. The first claim must state the correct answer to the question. Skip opinions.
+
+JSON format:
+["Claim 1","Claim 2"]
+
+Return at most 4 claims:`
+  },
+  {
+    id: 'question-judge',
+    version: 1,
+    description: 'Rubric review of a generated question by a judge model',
+    variables: {
+      question: { type: 'string', required: true },
+      options: { type: 'string[]', required: true }, // Lettered: "A. Option"
+      answer: { type: 'string', required: true },    // Lettered correct option
+      explanation: { type: 'string', default: '' },
+      category: { type: 'string', required: true }
+    },
+    template: `You are reviewing a multiple-choice cricket trivia question before it is published. Grade it strictly against the rubric.
+
+CATEGORY: {{category}}
+QUESTION: {{question}}
+OPTIONS:
+{{#each options}}
+{{this}}
+{{/each}}
+MARKED CORRECT: {{answer}}
+EXPLANATION: {{explanation | (none)}}
+
+RUBRIC (score each criterion 1-5, where 1 is unacceptable and 5 is excellent):
+- factualPlausibility: the question, marked answer and explanation agree with cricket history as you know it; nothing is invented or contradicted
+- singleCorrectAnswer: exactly one option is correct and the wording leaves no room to argue for another
+- distractorPlausibility: the wrong options are believable to a cricket fan and none is obviously wrong or joke filler
+- explanationQuality: the explanation confirms the answer and adds useful context
+- categoryFit: the question belongs in the category
+
+Give a one-sentence reason for every score, naming the problem when the score is 3 or less.
+
+JSON format:
+{"factualPlausibility":{"score":5,"reason":"..."},"singleCorrectAnswer":{"score":5,"reason":"..."},"distractorPlausibility":{"score":4,"reason":"..."},"explanationQuality":{"score":4,"reason":"..."},"categoryFit":{"score":5,"reason":"..."},"summary":"One-line verdict"}
+
+Return only the JSON object:`
+  },
+  {
+    id: 'learn-cricket-system',
+    version: 1,
+    description: 'System message for Learn Cricket questions',
+    variables: {},
+    template: `You are a cricket education expert creating questions for beginners learning cricket basics.
+Your goal is to help new players understand the fundamentals of cricket through clear, educational questions.
+Focus on accuracy, use simple language, and ensure questions teach important concepts about how cricket works.`
+  },
+  {
+    id: 'learn-cricket-over',
+    version: 1,
+    description: 'One over of Learn Cricket questions: first over, adaptive over or Nets Practice',
+    variables: {
+      questionsPerOver: { type: 'number', required: true },
+      overNumber: { type: 'number', default: 1 },
+      totalOvers: { type: 'number', required: true },
+      firstOver: { type: 'boolean', default: false },
+      topics: { type: 'string[]', default: [] },
+      focusTopics: { type: 'string[]', default: [] },
+      performance: { type: 'object' }, // { correct, total, accuracyPercent, correctTopics, incorrectTopics }
+      struggling: { type: 'boolean', default: false },
+      excelling: { type: 'boolean', default: false },
+      previousQuestions: { type: 'string[]', default: [] },
+      seenQuestions: { type: 'string[]', default: [] }
+    },
+    template: `Generate {{questionsPerOver}} cricket educational questions for beginners.
+
+{{#if focusTopics}}
+This is a NETS PRACTICE session revising topics the user has struggled with.
+
+Topics to revise:
+{{#each focusTopics}}
+- {{this}}
+{{/each}}
+
+Requirements:
+1. Spread the questions across the topics above
+2. Approach each topic from a different angle than a typical first question about it
+3. Use clear, simple language suitable for beginners
+4. Explanations should correct the most common misunderstanding of the topic
+5. Set each question's "topic" to the exact topic name from the list above that it revises
+{{else}}
+{{#if firstOver}}
+This is the FIRST OVER. Create {{questionsPerOver}} diverse questions covering different aspects of cricket basics.
+
+Topics to cover:
+{{#each topics}}
+- {{this}}
+{{/each}}
+
+Requirements:
+1. Each question should teach a fundamental cricket concept
+2. Use clear, simple language suitable for beginners
+3. Questions should be factual and educational
+4. Include brief context in each question
+5. Make options plausible but clearly distinguishable
+6. Explanations should reinforce learning
+{{else}}
+This is OVER {{overNumber}} of {{totalOvers}}. Generate {{questionsPerOver}} new questions based on the user's recent performance.
+
+{{#if performance}}
+Performance Summary:
+- Correct answers: {{performance.correct}}/{{performance.total}} ({{performance.accuracyPercent}}%)
+- Topics answered correctly: {{performance.correctTopics | None}}
+- Topics answered incorrectly: {{performance.incorrectTopics | None}}
+
+{{#if struggling}}
+The user struggled recently. Make questions slightly easier and focus on the topics they got wrong.
+{{else}}
+{{#if excelling}}
+The user has been doing well. Include some intermediate-level questions while maintaining educational value.
+{{else}}
+The user showed moderate understanding. Mix reinforcement of missed topics with new concepts.
+{{/if}}
+{{/if}}
+{{/if}}
+
+Previous questions to avoid repetition:
+{{#each previousQuestions}}
+{{@number}}. {{this}}
+{{/each}}
+{{/if}}
+{{/if}}
+{{#if seenQuestions}}
+
+The user has already seen these questions. Do not repeat or rephrase them:
+{{#each seenQuestions}}
+{{@number}}. {{this}}
+{{/each}}
+{{/if}}
+
+Return EXACTLY {{questionsPerOver}} questions in this JSON format:
+[
+  {
+    "question": "Educational question with context",
+    "options": ["Option A", "Option B", "Option C", "Option D"],
+    "correctAnswer": 0,
+    "explanation": "Clear explanation of why this answer is correct and what it teaches",
+    "topic": "topic category",
+    "difficulty": "beginner"
+  }
+]
+
+Ensure the JSON is valid and contains exactly {{questionsPerOver}} question objects.`
+  },
+  {
+    id: 'learn-cricket-over',
+    version: 2,
+    description: 'One over of Learn Cricket questions, optionally mixing in other question formats',
+    variables: {
+      questionsPerOver: { type: 'number', required: true },
+      overNumber: { type: 'number', default: 1 },
+      totalOvers: { type: 'number', required: true },
+      firstOver: { type: 'boolean', default: false },
+      topics: { type: 'string[]', default: [] },
+      focusTopics: { type: 'string[]', default: [] },
+      performance: { type: 'object' }, // { correct, total, accuracyPercent, correctTopics, incorrectTopics }
+      struggling: { type: 'boolean', default: false },
+      excelling: { type: 'boolean', default: false },
+      previousQuestions: { type: 'string[]', default: [] },
+      seenQuestions: { type: 'string[]', default: [] },
+      formats: { type: 'boolean', default: false },
+      trueFalse: { type: 'boolean', default: false },
+      multiSelect: { type: 'boolean', default: false },
+      ordering: { type: 'boolean', default: false },
+      numeric: { type: 'boolean', default: false },
+      matchPairs: { type: 'boolean', default: false }
+    },
+    template: `Generate {{questionsPerOver}} cricket educational questions for beginners.
+
+{{#if focusTopics}}
+This is a NETS PRACTICE session revising topics the user has struggled with.
+
+Topics to revise:
+{{#each focusTopics}}
+- {{this}}
+{{/each}}
+
+Requirements:
+1. Spread the questions across the topics above
+2. Approach each topic from a different angle than a typical first question about it
+3. Use clear, simple language suitable for beginners
+4. Explanations should correct the most common misunderstanding of the topic
+5. Set each question's "topic" to the exact topic name from the list above that it revises
+{{else}}
+{{#if firstOver}}
+This is the FIRST OVER. Create {{questionsPerOver}} diverse questions covering different aspects of cricket basics.
+
+Topics to cover:
+{{#each topics}}
+- {{this}}
+{{/each}}
+
+Requirements:
+1. Each question should teach a fundamental cricket concept
+2. Use clear, simple language suitable for beginners
+3. Questions should be factual and educational
+4. Include brief context in each question
+5. Make options plausible but clearly distinguishable
+6. Explanations should reinforce learning
+{{else}}
+This is OVER {{overNumber}} of {{totalOvers}}. Generate {{questionsPerOver}} new questions based on the user's recent performance.
+
+{{#if performance}}
+Performance Summary:
+- Correct answers: {{performance.correct}}/{{performance.total}} ({{performance.accuracyPercent}}%)
+- Topics answered correctly: {{performance.correctTopics | None}}
+- Topics answered incorrectly: {{performance.incorrectTopics | None}}
+
+{{#if struggling}}
+The user struggled recently. Make questions slightly easier and focus on the topics they got wrong.
+{{else}}
+{{#if excelling}}
+The user has been doing well. Include some intermediate-level questions while maintaining educational value.
+{{else}}
+The user showed moderate understanding. Mix reinforcement of missed topics with new concepts.
+{{/if}}
+{{/if}}
+{{/if}}
+
+Previous questions to avoid repetition:
+{{#each previousQuestions}}
+{{@number}}. {{this}}
+{{/each}}
+{{/if}}
+{{/if}}
+{{#if seenQuestions}}
+
+The user has already seen these questions. Do not repeat or rephrase them:
+{{#each seenQuestions}}
+{{@number}}. {{this}}
+{{/each}}
+{{/if}}
+{{#if formats}}
+
+Question formats:
+Most questions should be multiple choice as shown below. Up to two questions may use one of these formats instead, where it suits the topic; set "format" on those questions:
+{{#if trueFalse}}
+- "true_false": a statement to judge. "options": ["True", "False"], "correctAnswer": 0 for true or 1 for false
+{{/if}}
+{{#if multiSelect}}
+- "multi_select": 4 options of which two or three are correct. "correctAnswers": indexes of every correct option, e.g. [0, 2]
+{{/if}}
+{{#if ordering}}
+- "ordering": 3 or 4 steps or items to put in order, named in the question. "options" in a scrambled order and "correctOrder": option indexes in the right order, e.g. [2, 0, 1]
+{{/if}}
+{{#if numeric}}
+- "numeric": a number to guess. "numericAnswer": the exact figure, "tolerance": how far off still counts, "unit": e.g. "balls". No "options"
+{{/if}}
+{{#if matchPairs}}
+- "match_pairs": 3 or 4 terms to match to their meanings. "pairs": [{"left": "Term", "right": "Meaning"}, ...]. No "options"
+{{/if}}
+{{/if}}
+
+Return EXACTLY {{questionsPerOver}} questions in this JSON format:
+[
+  {
+    "question": "Educational question with context",
+    "options": ["Option A", "Option B", "Option C", "Option D"],
+    "correctAnswer": 0,
+    "explanation": "Clear explanation of why this answer is correct and what it teaches",
+    "topic": "topic category",
+    "difficulty": "beginner"
+  }
+]
+
+Ensure the JSON is valid and contains exactly {{questionsPerOver}} question objects.`
+  },
+  {
+    id: 'adaptive-question-system',
+    version: 1,
+    description: 'System message for adaptive in-game questions',
+    variables: {},
+    template: 'You are a cricket education expert creating adaptive learning questions.'
+  },
+  {
+    id: 'adaptive-question',
+    version: 1,
+    description: 'In-game questions adapted to the player\'s level and weak areas',
+    variables: {
+      count: { type: 'number', default: 1 },
+      categoryDescription: { type: 'string', required: true },
+      difficulty: { type: 'string', default: 'medium' },
+      beginner: { type: 'boolean', default: false },
+      advanced: { type: 'boolean', default: false },
+      weakAreas: { type: 'string[]', default: [] },
+      focusAreas: { type: 'string[]', default: [] },
+      previousQuestions: { type: 'string[]', default: [] }
+    },
+    template: `Generate {{count}} cricket trivia question(s) with these requirements:
+
+{{#if beginner}}
+PLAYER LEVEL: Beginner - Use simple language, provide more context, focus on fundamentals
+{{/if}}
+{{#if advanced}}
+PLAYER LEVEL: Advanced - Include nuanced details, lesser-known facts
+{{/if}}
+{{#if weakAreas}}
+FOCUS AREAS: Emphasize these topics where player needs improvement: {{weakAreas}}
+{{/if}}
+{{#if focusAreas}}
+TOPICS TO EMPHASIZE: {{focusAreas}}
+{{/if}}
+
+CATEGORY: {{categoryDescription}}
+DIFFICULTY: {{difficulty}}
+
+AVOID REPETITION: Do not create questions similar to these recent ones:
+{{#each previousQuestions}}
+{{@number}}. {{this}}
+{{/each}}
+
+FORMAT: Return ONLY a JSON array:
+[{
+  "question": "Engaging question with context",
+  "options": ["A", "B", "C", "D"],
+  "correctAnswer": 0,
+  "explanation": "Educational explanation"
+}]
+
+Make questions educational and engaging for learning cricket.`
+  },
+  {
+    id: 'verify-incident',
+    version: 1,
+    description: 'A real cricket incident for the verify command to fact-check',
+    variables: {},
+    template: `Generate a specific, verifiable cricket incident that actually happened.
+Return it in this JSON format:
+{
+  "incident": "Detailed description of the cricket incident",
+  "summary": "Brief summary (max 100 chars)"
+}`
+  }
+];
+
+export default PROMPT_TEMPLATES;
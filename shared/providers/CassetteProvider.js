@@ -0,0 +1,52 @@
+/**
+ * Cassette LLM Provider
+ *
+ * Records or replays chat completions through a cassette store.
+ * - record: forwards each request to the wrapped provider and stores the request/response pair
+ * - replay: serves the stored response instead of calling a model (no network, no API key)
+ *
+ * The cassette store is platform-specific (the CLI keeps one on disk) and must provide
+ * `mode`, `record(kind, request, response)` and `replay(kind, request)`.
+ */
+
+// Interaction kind used for LLM requests in a cassette
+export const LLM_CASSETTE_KIND = 'openrouter';
+
+class CassetteProvider {
+  /**
+   * @param {Object} options
+   * @param {{ mode: 'record' | 'replay', record: Function, replay: Function }} options.cassette
+   * @param {import('./LLMProvider.js').LLMProvider} [options.provider] - Live provider (record mode only)
+   */
+  constructor(options) {
+    this.cassette = options.cassette;
+    this.provider = options.provider || null;
+    this.name = `cassette-${this.cassette.mode}`;
+
+    if (this.cassette.mode === 'record' && !this.provider) {
+      throw new Error('Recording a cassette requires a live LLM provider');
+    }
+  }
+
+  /**
+   * Send (record) or replay a chat completion request
+   */
+  async complete(params, options = {}) {
+    if (this.cassette.mode === 'replay') {
+      return this.cassette.replay(LLM_CASSETTE_KIND, params);
+    }
+
+    const response = await this.provider.complete(params, options);
+    await this.cassette.record(LLM_CASSETTE_KIND, params, response);
+    return response;
+  }
+
+  /**
+   * Replay is always available; recording depends on the wrapped provider
+   */
+  async isAvailable() {
+    return this.cassette.mode === 'replay' || this.provider.isAvailable();
+  }
+}
+
+export default CassetteProvider;
@@ -0,0 +1,171 @@
+/**
+ * Fixture LLM Provider
+ *
+ * Deterministic, offline provider that replays recorded responses instead of
+ * calling a model. Used by CI and offline demos; needs no network or API key.
+ *
+ * A fixture is matched to a request in this order:
+ * 1. `key` - exact request hash (see hashLLMRequest)
+ * 2. `match` - model and/or text the prompt must contain; the most specific match wins
+ *
+ * Fixture format:
+ * {
+ *   "name": "direct-questions",
+ *   "key": "optional request hash",
+ *   "match": { "model": "openai/gpt-3.5-turbo", "promptIncludes": ["cricket trivia"] },
+ *   "content": "Response text, or any JSON value (serialized on replay)",
+ *   "response": { ...optional full API response, used as-is... }
+ * }
+ */
+
+import { hashLLMRequest } from '../utils/request-hash.js';
+
+class FixtureProvider {
+  /**
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.fixtures] - Recorded responses
+   * @param {Object} [options.logger]
+   */
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.fixtures = [];
+    this.logger = options.logger || {
+      info: (msg) => console.log(msg),
+      warn: (msg) => console.warn(msg),
+      error: (msg) => console.error(msg),
+      success: (msg) => console.log(msg),
+    };
+
+    // Rotation counters so repeated requests cycle through equally good fixtures
+    this.rotation = new Map();
+
+    this.addFixtures(options.fixtures || []);
+  }
+
+  /**
+   * Register more fixtures (later fixtures never override earlier exact keys)
+   */
+  addFixtures(fixtures) {
+    fixtures.forEach(fixture => {
+      if (!fixture || (fixture.content === undefined && !fixture.response)) {
+        this.logger.warn(`Skipping fixture without content: ${fixture?.name || 'unnamed'}`);
+        return;
+      }
+      this.fixtures.push(fixture);
+    });
+  }
+
+  /**
+   * Replay the recorded response for a chat completion request
+   * @param {Object} params - OpenAI-style request body
+   * @returns {Promise<Object>} OpenAI-style response with a `choices` array
+   */
+  async complete(params) {
+    const fixture = this.findFixture(params);
+
+    if (!fixture) {
+      throw new Error(`No fixture matches request (model: ${params.model}, key: ${hashLLMRequest(params)})`);
+    }
+
+    return this.buildResponse(fixture, params);
+  }
+
+  /**
+   * Find the fixture for a request
+   */
+  findFixture(params) {
+    const key = hashLLMRequest(params);
+    const exact = this.fixtures.find(fixture => fixture.key === key);
+    if (exact) return exact;
+
+    const prompt = (params.messages || [])
+      .map(message => message.content)
+      .join('\n')
+      .toLowerCase();
+
+    let bestScore = 0;
+    let candidates = [];
+
+    this.fixtures.forEach(fixture => {
+      const score = this.scoreMatch(fixture.match, params.model, prompt);
+      if (score === 0) return;
+
+      if (score > bestScore) {
+        bestScore = score;
+        candidates = [fixture];
+      } else if (score === bestScore) {
+        candidates.push(fixture);
+      }
+    });
+
+    if (candidates.length === 0) return null;
+
+    // Cycle deterministically through equally specific fixtures
+    const groupKey = candidates.map(fixture => fixture.name).join('|');
+    const index = this.rotation.get(groupKey) || 0;
+    this.rotation.set(groupKey, index + 1);
+
+    return candidates[index % candidates.length];
+  }
+
+  /**
+   * Score how specifically a fixture's match rules fit a request (0 = no match)
+   */
+  scoreMatch(match, model, prompt) {
+    if (!match) return 0;
+
+    // An empty match object is a catch-all
+    let score = 1;
+
+    if (match.model) {
+      if (match.model !== model) return 0;
+      score++;
+    }
+
+    const includes = Array.isArray(match.promptIncludes)
+      ? match.promptIncludes
+      : match.promptIncludes ? [match.promptIncludes] : [];
+
+    for (const text of includes) {
+      if (!prompt.includes(text.toLowerCase())) return 0;
+      score++;
+    }
+
+    return score;
+  }
+
+  /**
+   * Build an OpenRouter-shaped response from a fixture
+   */
+  buildResponse(fixture, params) {
+    if (fixture.response) {
+      return fixture.response;
+    }
+
+    const content = typeof fixture.content === 'string'
+      ? fixture.content
+      : JSON.stringify(fixture.content, null, 2);
+
+    // No usage: token counts are estimated from the text, so fixture runs
+    // preview what a live run would cost
+    return {
+      id: `fixture-${fixture.name || 'response'}`,
+      model: params.model,
+      provider: 'fixture',
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content },
+        finish_reason: 'stop'
+      }]
+    };
+  }
+
+  /**
+   * Fixtures are always available once loaded
+   */
+  async isAvailable() {
+    return this.fixtures.length > 0;
+  }
+}
+
+export default FixtureProvider;
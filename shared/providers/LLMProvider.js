@@ -0,0 +1,98 @@
+/**
+ * Shared LLM Provider Layer
+ *
+ * One interface for every chat-completion backend used by CLI and UI.
+ * Services call `provider.complete(params)` with an OpenAI-style request body
+ * and receive an OpenAI-style response, regardless of where it came from.
+ *
+ * Providers:
+ * - openrouter: live OpenRouter API (default, needs an API key)
+ * - fixture: recorded responses replayed offline (no network, no API key)
+ * - cassette: records or replays a run through a cassette store (CLI --record / --replay)
+ *
+ * Select with LLM_PROVIDER (CLI) or EXPO_PUBLIC_LLM_PROVIDER (UI).
+ */
+
+import OpenRouterProvider from './OpenRouterProvider.js';
+import FixtureProvider from './FixtureProvider.js';
+import CassetteProvider from './CassetteProvider.js';
+import { DEFAULT_LLM_FIXTURES } from '../fixtures/llm-responses.js';
+
+/**
+ * @typedef {Object} LLMProvider
+ * @property {string} name - Provider identifier
+ * @property {(params: Object, options?: { signal?: AbortSignal }) => Promise<Object>} complete - Send a chat completion request (providers that can, stop on abort)
+ * @property {() => Promise<boolean>} isAvailable - Whether the provider can serve requests
+ * @property {string} [apiKey] - API key, for providers that need one
+ */
+
+export const LLM_PROVIDERS = {
+  OPENROUTER: 'openrouter',
+  FIXTURE: 'fixture',
+};
+
+/**
+ * Get the provider name configured in the environment
+ */
+export function getConfiguredProviderName() {
+  // Check environment variable (works for both CLI and UI)
+  const envProvider = process.env.LLM_PROVIDER ||
+                      process.env.EXPO_PUBLIC_LLM_PROVIDER;
+
+  if (envProvider && Object.values(LLM_PROVIDERS).includes(envProvider.toLowerCase())) {
+    return envProvider.toLowerCase();
+  }
+
+  return LLM_PROVIDERS.OPENROUTER;
+}
+
+/**
+ * Create a provider instance
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Provider name (defaults to the environment setting)
+ * @param {string} [options.apiKey] - OpenRouter API key (defaults to the environment)
+ * @param {Array<Object>} [options.fixtures] - Recorded responses for the fixture provider
+ * @param {Object} [options.logger]
+ * @returns {LLMProvider}
+ */
+export function createLLMProvider(options = {}) {
+  const providerName = options.provider || getConfiguredProviderName();
+
+  if (providerName === LLM_PROVIDERS.FIXTURE) {
+    return new FixtureProvider({
+      fixtures: options.fixtures || DEFAULT_LLM_FIXTURES,
+      logger: options.logger
+    });
+  }
+
+  const apiKey = options.apiKey || process.env.OPENROUTER_API_KEY || process.env.EXPO_PUBLIC_OPENROUTER_API_KEY;
+  if (!apiKey) {
+    throw new Error('OPENROUTER_API_KEY or EXPO_PUBLIC_OPENROUTER_API_KEY environment variable is required (or set LLM_PROVIDER=fixture to run offline)');
+  }
+
+  return new OpenRouterProvider({ apiKey });
+}
+
+// Active provider shared by all services
+let activeProvider = null;
+
+/**
+ * Get the active provider, creating it from the environment on first use
+ * @returns {LLMProvider}
+ */
+export function getLLMProvider() {
+  if (!activeProvider) {
+    activeProvider = createLLMProvider();
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the active provider (e.g. fixtures loaded from disk by the CLI)
+ * @param {LLMProvider} provider
+ */
+export function setLLMProvider(provider) {
+  activeProvider = provider;
+}
+
+export { OpenRouterProvider, FixtureProvider, CassetteProvider };
@@ -0,0 +1,84 @@
+/**
+ * OpenRouter LLM Provider
+ *
+ * Sends chat completion requests to the OpenRouter API.
+ * Implements the shared LLM provider interface (see LLMProvider.js).
+ */
+
+import { isCliEnvironment } from '../config/constants.js';
+
+const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
+
+// Cheap model used for availability checks
+const AVAILABILITY_CHECK_MODEL = 'openai/gpt-3.5-turbo';
+
+class OpenRouterProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.apiKey] - OpenRouter API key
+   * @param {string} [options.baseUrl] - Chat completions endpoint
+   * @param {string} [options.title] - Value for the X-Title header
+   */
+  constructor(options = {}) {
+    this.name = 'openrouter';
+    this.apiKey = options.apiKey;
+    this.baseUrl = options.baseUrl || OPENROUTER_API_URL;
+    this.title = options.title || 'Cricket Trivia Generator';
+  }
+
+  /**
+   * Send a chat completion request
+   * @param {Object} params - OpenAI-style request body (model, messages, temperature, max_tokens)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request (timeouts)
+   * @returns {Promise<Object>} OpenAI-style response with a `choices` array
+   */
+  async complete(params, options = {}) {
+    const response = await fetch(this.baseUrl, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json',
+        'HTTP-Referer': isCliEnvironment() ? 'https://github.com/cricket-trivia' : 'https://cricket-trivia-app.com',
+        'X-Title': this.title
+      },
+      body: JSON.stringify(params),
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      const error = new Error(`OpenRouter API error: ${response.status} - ${body}`);
+      // Status and Retry-After let callers decide whether to retry or fall back
+      error.status = response.status;
+      const retryAfter = Number(response.headers.get('retry-after'));
+      if (retryAfter > 0) {
+        error.retryAfterMs = retryAfter * 1000;
+      }
+      throw error;
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Check that the API key works with a minimal request
+   */
+  async isAvailable(model = AVAILABILITY_CHECK_MODEL) {
+    if (!this.apiKey) return false;
+
+    try {
+      await this.complete({
+        model,
+        messages: [{ role: 'user', content: 'test' }],
+        max_tokens: 1
+      });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+export { OPENROUTER_API_URL };
+export default OpenRouterProvider;
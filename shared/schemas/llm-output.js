@@ -0,0 +1,179 @@
+/**
+ * Model Output Schemas
+ *
+ * JSON Schemas for every structured answer requested from a model: trivia
+ * questions (multiple choice and the other question formats), Learn Cricket
+ * questions, anecdotes, claims, judge reviews and incidents. The same schema
+ * is sent as `response_format` to models that support it and used to validate
+ * (and re-ask for) the answer from any model.
+ *
+ * Each output schema is `{ name, schema }`; list outputs have an array root
+ * whose elements are validated one by one.
+ */
+
+const NON_EMPTY_STRING = { type: 'string', minLength: 1 };
+
+const QUESTION_PROPERTIES = {
+  question: { type: 'string', minLength: 10 },
+  options: { type: 'array', items: NON_EMPTY_STRING, minItems: 4, maxItems: 4 },
+  correctAnswer: { type: 'integer', minimum: 0, maximum: 3 },
+  explanation: NON_EMPTY_STRING,
+};
+
+export const QUESTION_LIST_SCHEMA = {
+  name: 'trivia_questions',
+  schema: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        ...QUESTION_PROPERTIES,
+        category: { type: 'string' },
+        difficulty: { type: 'string' },
+        source: { type: 'string' },
+        anecdoteRef: { type: 'string' },
+      },
+      required: ['question', 'options', 'correctAnswer', 'explanation'],
+    },
+  },
+};
+
+export const LEARN_CRICKET_QUESTION_LIST_SCHEMA = {
+  name: 'learn_cricket_questions',
+  schema: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        ...QUESTION_PROPERTIES,
+        topic: { type: 'string' },
+        difficulty: { type: 'string', enum: ['beginner', 'intermediate', 'advanced'] },
+      },
+      required: ['question', 'options', 'correctAnswer', 'explanation'],
+    },
+  },
+};
+
+// Every answer field any question format uses (shared/utils/question-formats.js).
+// The schema subset has no oneOf, so which fields a format needs is checked by
+// QuestionValidator once the question is parsed.
+const FORMATTED_QUESTION_PROPERTIES = {
+  format: { type: 'string', enum: ['multiple_choice', 'true_false', 'multi_select', 'ordering', 'numeric', 'match_pairs'] },
+  question: { type: 'string', minLength: 10 },
+  options: { type: 'array', items: NON_EMPTY_STRING, maxItems: 6 },
+  correctAnswer: { type: 'integer', minimum: 0, maximum: 3 },
+  correctAnswers: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 5 }, minItems: 1 },
+  correctOrder: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 5 }, minItems: 3 },
+  numericAnswer: { type: 'number' },
+  tolerance: { type: 'number', minimum: 0 },
+  unit: { type: 'string' },
+  pairs: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: { left: NON_EMPTY_STRING, right: NON_EMPTY_STRING },
+      required: ['left', 'right'],
+    },
+    minItems: 3,
+    maxItems: 5,
+  },
+  explanation: NON_EMPTY_STRING,
+};
+
+export const FORMATTED_QUESTION_LIST_SCHEMA = {
+  name: 'formatted_trivia_questions',
+  schema: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        ...FORMATTED_QUESTION_PROPERTIES,
+        category: { type: 'string' },
+        difficulty: { type: 'string' },
+        source: { type: 'string' },
+      },
+      required: ['format', 'question', 'explanation'],
+    },
+  },
+};
+
+// Learn Cricket overs that mix in other formats (LearnCricketService `formats` option)
+export const LEARN_CRICKET_FORMATTED_QUESTION_LIST_SCHEMA = {
+  name: 'learn_cricket_formatted_questions',
+  schema: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        ...FORMATTED_QUESTION_PROPERTIES,
+        topic: { type: 'string' },
+        difficulty: { type: 'string', enum: ['beginner', 'intermediate', 'advanced'] },
+      },
+      required: ['question', 'explanation'],
+    },
+  },
+};
+
+export const ANECDOTE_LIST_SCHEMA = {
+  name: 'cricket_anecdotes',
+  schema: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        title: NON_EMPTY_STRING,
+        story: { type: 'string', minLength: 50 },
+        key_facts: { type: 'array', items: NON_EMPTY_STRING, minItems: 1 },
+        sources: { type: 'array', items: { type: 'string' } },
+        tags: { type: 'array', items: { type: 'string' } },
+      },
+      required: ['title', 'story', 'key_facts'],
+    },
+  },
+};
+
+export const CLAIM_LIST_SCHEMA = {
+  name: 'question_claims',
+  schema: {
+    type: 'array',
+    items: NON_EMPTY_STRING,
+  },
+};
+
+const RUBRIC_SCORE = {
+  type: 'object',
+  properties: {
+    score: { type: 'integer', minimum: 1, maximum: 5 },
+    reason: NON_EMPTY_STRING,
+  },
+  required: ['score', 'reason'],
+};
+
+// Criteria match JUDGE_CRITERIA in shared/utils/question-judging.js
+export const JUDGEMENT_SCHEMA = {
+  name: 'question_judgement',
+  schema: {
+    type: 'object',
+    properties: {
+      factualPlausibility: RUBRIC_SCORE,
+      singleCorrectAnswer: RUBRIC_SCORE,
+      distractorPlausibility: RUBRIC_SCORE,
+      explanationQuality: RUBRIC_SCORE,
+      categoryFit: RUBRIC_SCORE,
+      summary: NON_EMPTY_STRING,
+    },
+    required: ['factualPlausibility', 'singleCorrectAnswer', 'distractorPlausibility', 'explanationQuality', 'categoryFit', 'summary'],
+  },
+};
+
+export const INCIDENT_SCHEMA = {
+  name: 'cricket_incident',
+  schema: {
+    type: 'object',
+    properties: {
+      incident: { type: 'string', minLength: 10 },
+      summary: { type: 'string', minLength: 1 },
+    },
+    required: ['incident', 'summary'],
+  },
+};
@@ -0,0 +1,275 @@
+/**
+ * Shared Cricket Stats Service
+ *
+ * Local store of real match data ingested from Cricsheet: players, matches,
+ * innings (batting and bowling cards) and ball-by-ball deliveries. Stats
+ * questions are generated from it by template (shared/utils/stats-questions.js),
+ * so they have ground truth and need no LLM call, and innings are replayed ball
+ * by ball for the "What happened next?" game (shared/utils/match-replay.js).
+ *
+ * Players are stored once in a people table and referenced by index from
+ * matches, cards and delivery tuples, which keeps the store compact.
+ * Works with both CLI and UI through an injected AsyncStorage-style storage
+ * adapter, or with a store passed in directly (the app's bundled copy).
+ */
+
+import { DELIVERY_FIELDS } from '../utils/cricsheet.js';
+import { generateStatsQuestions } from '../utils/stats-questions.js';
+import { buildReplay, listReplayMatches } from '../utils/match-replay.js';
+
+const STORAGE_KEY = 'cricket_stats';
+const STORE_VERSION = 1;
+
+// Delivery tuple fields that hold players
+const DELIVERY_PLAYER_FIELDS = ['batter', 'nonStriker', 'bowler', 'playerOut']
+  .map(field => DELIVERY_FIELDS.indexOf(field));
+
+class CricketStatsService {
+  /**
+   * @param {Object} [options]
+   * @param {{ getItem: (key: string) => Promise<string | null>, setItem: (key: string, value: string) => Promise<void> }} [options.storage] - AsyncStorage-compatible adapter
+   * @param {Object} [options.store] - Store to serve instead of loading one from storage
+   * @param {Object} [options.logger]
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || null;
+    this.logger = options.logger || {
+      info: (msg) => console.log(msg),
+      warn: (msg) => console.warn(msg),
+      error: (msg) => console.error(msg),
+      success: (msg) => console.log(msg),
+    };
+
+    this.store = this.createEmptyStore();
+    this.loading = null;
+    this.personIndex = new Map();
+
+    if (options.store) {
+      this.setStore(options.store);
+      this.loading = Promise.resolve();
+    }
+  }
+
+  /**
+   * Create an empty store structure
+   */
+  createEmptyStore() {
+    return {
+      version: STORE_VERSION,
+      updatedAt: null,
+      people: [],
+      matches: []
+    };
+  }
+
+  /**
+   * Replace the store (e.g. with a bundled copy) and rebuild the people lookup
+   */
+  setStore(store) {
+    this.store = {
+      ...this.createEmptyStore(),
+      ...store,
+      people: Array.isArray(store?.people) ? store.people : [],
+      matches: Array.isArray(store?.matches) ? store.matches : []
+    };
+    this.personIndex = new Map(this.store.people.map((person, index) => [person.id, index]));
+  }
+
+  /**
+   * Load the store from storage (only once per instance). Callers that arrive
+   * while it is loading wait for the same read.
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.readFromStorage();
+    }
+    return this.loading;
+  }
+
+  /**
+   * Read the stored matches into memory
+   */
+  async readFromStorage() {
+    if (!this.storage) return;
+
+    try {
+      const stored = await this.storage.getItem(STORAGE_KEY);
+      if (stored) {
+        this.setStore(JSON.parse(stored));
+      }
+    } catch (error) {
+      this.logger.error(`Failed to load cricket stats: ${error.message}`);
+    }
+  }
+
+  /**
+   * Persist the store to storage
+   */
+  async save() {
+    if (!this.storage) return;
+
+    try {
+      await this.storage.setItem(STORAGE_KEY, JSON.stringify(this.store));
+    } catch (error) {
+      this.logger.error(`Failed to save cricket stats: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove every match and player (the next save writes an empty store)
+   */
+  async clear() {
+    await this.load();
+    this.setStore(this.createEmptyStore());
+  }
+
+  /**
+   * Add parsed Cricsheet matches (shared/utils/cricsheet.js), replacing earlier copies
+   * of the same match, and save the store
+   * @param {Array<Object>} matches - parseCricsheetMatch results
+   * @returns {Promise<{ added: number, updated: number }>}
+   */
+  async addMatches(matches) {
+    await this.load();
+
+    const positions = new Map(this.store.matches.map((match, index) => [match.id, index]));
+    let added = 0;
+    let updated = 0;
+
+    matches.forEach(match => {
+      const stored = this.compactMatch(match);
+      if (positions.has(stored.id)) {
+        this.store.matches[positions.get(stored.id)] = stored;
+        updated++;
+      } else {
+        positions.set(stored.id, this.store.matches.length);
+        this.store.matches.push(stored);
+        added++;
+      }
+    });
+
+    if (added + updated > 0) {
+      this.store.updatedAt = new Date().toISOString();
+      await this.save();
+    }
+
+    return { added, updated };
+  }
+
+  /**
+   * Index of a player in the people table, adding them if needed.
+   * Registry ids keep apart players who share a name.
+   */
+  personFor(name, playerIds) {
+    if (name === null || name === undefined) return null;
+
+    const id = playerIds[name] || `name:${name}`;
+    if (!this.personIndex.has(id)) {
+      this.personIndex.set(id, this.store.people.length);
+      this.store.people.push({ id, name });
+    }
+    return this.personIndex.get(id);
+  }
+
+  /**
+   * Swap player names in a parsed match for people table indexes
+   */
+  compactMatch(match) {
+    const { playerIds = {}, ...record } = match;
+    const person = name => this.personFor(name, playerIds);
+
+    return {
+      ...record,
+      playerOfMatch: record.playerOfMatch.map(person),
+      innings: record.innings.map(innings => ({
+        ...innings,
+        batting: innings.batting.map(card => ({
+          ...card,
+          player: person(card.player),
+          dismissal: card.dismissal && {
+            ...card.dismissal,
+            bowler: person(card.dismissal.bowler),
+            fielders: card.dismissal.fielders.map(person)
+          }
+        })),
+        bowling: innings.bowling.map(card => ({ ...card, player: person(card.player) })),
+        deliveries: innings.deliveries.map(tuple => tuple.map((value, index) =>
+          DELIVERY_PLAYER_FIELDS.includes(index) ? person(value) : value))
+      }))
+    };
+  }
+
+  /**
+   * Player name for a people table index
+   */
+  getPlayerName(index) {
+    return this.store.people[index]?.name ?? null;
+  }
+
+  /**
+   * All stored matches
+   */
+  async getMatches() {
+    await this.load();
+    return this.store.matches;
+  }
+
+  /**
+   * Store contents at a glance
+   */
+  async getSummary() {
+    await this.load();
+
+    const { matches, people } = this.store;
+    const matchTypes = {};
+    matches.forEach(match => {
+      const type = match.matchType || 'unknown';
+      matchTypes[type] = (matchTypes[type] || 0) + 1;
+    });
+    const dates = matches.map(match => match.date).filter(Boolean).sort();
+
+    return {
+      matches: matches.length,
+      players: people.length,
+      deliveries: matches.reduce((sum, match) =>
+        sum + match.innings.reduce((total, innings) => total + innings.deliveries.length, 0), 0),
+      matchTypes,
+      firstDate: dates[0] || null,
+      lastDate: dates[dates.length - 1] || null,
+      updatedAt: this.store.updatedAt
+    };
+  }
+
+  /**
+   * Generate stats questions from the store
+   * @param {Object} [options] - See generateStatsQuestions
+   * @returns {Promise<Array<Object>>} Trivia questions
+   */
+  async generateQuestions(options = {}) {
+    await this.load();
+    return generateStatsQuestions(this.store, options);
+  }
+
+  /**
+   * Matches that can be replayed ball by ball, knockouts first
+   */
+  async getReplayMatches() {
+    await this.load();
+    return listReplayMatches(this.store);
+  }
+
+  /**
+   * Ball-by-ball replay of one innings, with the key deliveries to predict
+   * @param {string} matchId
+   * @param {number} inningsIndex
+   * @param {Object} [options] - See buildReplay
+   * @returns {Promise<Object | null>}
+   */
+  async getReplay(matchId, inningsIndex, options = {}) {
+    await this.load();
+    return buildReplay(this.store, matchId, inningsIndex, options);
+  }
+}
+
+export default CricketStatsService;
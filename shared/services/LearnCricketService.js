@@ -8,6 +8,15 @@
 import { getLearnCricketModel, TOKEN_LIMITS } from '../config/ai-models.js';
 import { CRICKET_TOPICS, getRandomTopics } from '../config/cricket-topics.js';
 import { LEARN_CRICKET_CONSTANTS } from '../config/constants.js';
+import { LEARN_CRICKET_QUESTION_LIST_SCHEMA, LEARN_CRICKET_FORMATTED_QUESTION_LIST_SCHEMA } from '../schemas/llm-output.js';
+import { renderPrompt } from '../prompts/PromptRegistry.js';
+import {
+  formatPromptFlags,
+  isAnswerCorrect,
+  normalizeFormatQuestion,
+  pickFormatFields,
+  validateFormat
+} from '../utils/question-formats.js';
 
 class LearnCricketService {
   constructor(options = {}) {
@@ -34,23 +43,34 @@ class LearnCricketService {
     
     // Use shared topics
     this.topics = CRICKET_TOPICS;
+
+    // Optional QuestionHistoryService - questions the player has already seen are replaced
+    this.questionHistory = options.questionHistory || null;
+
+    // Question formats an over may mix in besides multiple choice (shared/utils/question-formats.js).
+    // The CLI reads answers as option letters, so only the app asks for more.
+    this.formats = (options.formats || []).filter(format => format !== 'multiple_choice');
   }
 
   /**
    * Generate questions for an over
    * @param {Object} context - Generation context
-   * @param {number} context.overNumber - Current over (1 or 2)
-   * @param {Array} context.previousQuestions - Questions from previous over
-   * @param {Array} context.previousAnswers - User's answers from previous over
-   * @param {Object} context.performance - Performance metrics from previous over
+   * @param {number} context.overNumber - Over to generate (1-based)
+   * @param {number} [context.totalOvers] - Overs in the innings (match format)
+   * @param {Array} [context.previousQuestions] - Recently answered questions
+   * @param {Array} [context.previousAnswers] - User's answers to those questions
+   * @param {Object} [context.performance] - Performance metrics for those questions
+   * @param {string[]} [context.focusTopics] - Topics to revise (Nets Practice) instead of a normal over
    * @returns {Promise<Array>} Array of 6 questions
    */
   async generateOverQuestions(context = {}) {
     const { 
       overNumber = 1, 
+      totalOvers = LEARN_CRICKET_CONSTANTS.TOTAL_OVERS,
       previousQuestions = [], 
       previousAnswers = [],
-      performance = null 
+      performance = null,
+      focusTopics = []
     } = context;
 
     try {
@@ -60,30 +80,12 @@ class LearnCricketService {
         throw new Error('OpenRouterService not initialized');
       }
       
-      const prompt = this.buildLearnCricketPrompt({
-        overNumber,
-        previousQuestions,
-        previousAnswers,
-        performance
-      });
+      const promptContext = { overNumber, totalOvers, previousQuestions, previousAnswers, performance, focusTopics };
+      let questions = await this.requestQuestions(promptContext);
 
-      const response = await this.openRouterService.callOpenRouterAPI({
-        model: this.model,
-        messages: [
-          {
-            role: 'system',
-            content: this.getSystemPrompt()
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.7,
-        max_tokens: TOKEN_LIMITS[this.model] || 1500
-      });
-
-      const questions = this.parseQuestionResponse(response);
+      if (this.questionHistory) {
+        questions = await this.replaceSeenQuestions(questions, promptContext);
+      }
       
       if (questions.length !== LEARN_CRICKET_CONSTANTS.QUESTIONS_PER_OVER) {
         this.logger.warn(`Expected ${LEARN_CRICKET_CONSTANTS.QUESTIONS_PER_OVER} questions but got ${questions.length}`);
@@ -97,175 +99,125 @@ class LearnCricketService {
   }
 
   /**
-   * Get system prompt for cricket education
+   * Ask the model for an over's questions and parse them
    */
-  getSystemPrompt() {
-    return `You are a cricket education expert creating questions for beginners learning cricket basics. 
-Your goal is to help new players understand the fundamentals of cricket through clear, educational questions.
-Focus on accuracy, use simple language, and ensure questions teach important concepts about how cricket works.`;
+  async requestQuestions(promptContext) {
+    const prompt = this.buildLearnCricketPrompt(promptContext);
+
+    const { data } = await this.openRouterService.requestStructured({
+      model: this.model,
+      messages: [
+        {
+          role: 'system',
+          content: this.getSystemPrompt()
+        },
+        {
+          role: 'user',
+          content: prompt.text
+        }
+      ],
+      temperature: 0.7,
+      max_tokens: TOKEN_LIMITS[this.model] || 1500
+    }, this.formats.length > 0 ? LEARN_CRICKET_FORMATTED_QUESTION_LIST_SCHEMA : LEARN_CRICKET_QUESTION_LIST_SCHEMA);
+
+    return this.parseQuestionResponse(data);
   }
 
   /**
-   * Build prompt for question generation
+   * Drop near-duplicates of questions the player has already seen and ask once
+   * more for replacements. Repeats only fill the over if no fresh questions come back.
    */
-  buildLearnCricketPrompt({ overNumber, previousQuestions, previousAnswers, performance }) {
-    let prompt = `Generate ${LEARN_CRICKET_CONSTANTS.QUESTIONS_PER_OVER} cricket educational questions for beginners.\n\n`;
-
-    if (overNumber === 1) {
-      // First over - diverse topics
-      const selectedTopics = getRandomTopics(LEARN_CRICKET_CONSTANTS.QUESTIONS_PER_OVER);
-      
-      prompt += `This is the FIRST OVER. Create ${LEARN_CRICKET_CONSTANTS.QUESTIONS_PER_OVER} diverse questions covering different aspects of cricket basics.
-      
-Topics to cover:
-${selectedTopics.map(t => `- ${t}`).join('\n')}
-
-Requirements:
-1. Each question should teach a fundamental cricket concept
-2. Use clear, simple language suitable for beginners
-3. Questions should be factual and educational
-4. Include brief context in each question
-5. Make options plausible but clearly distinguishable
-6. Explanations should reinforce learning`;
-
-    } else {
-      // Second over - adaptive based on performance
-      prompt += `This is the SECOND OVER. Generate ${LEARN_CRICKET_CONSTANTS.QUESTIONS_PER_OVER} new questions based on the user's performance in Over 1.\n\n`;
-      
-      if (performance) {
-        prompt += `Performance Summary:
-- Correct answers: ${performance.correct}/${performance.total} (${Math.round(performance.accuracy * 100)}%)
-- Topics answered correctly: ${performance.correctTopics.join(', ') || 'None'}
-- Topics answered incorrectly: ${performance.incorrectTopics.join(', ') || 'None'}\n\n`;
-
-        const { PERFORMANCE_THRESHOLDS } = LEARN_CRICKET_CONSTANTS;
-        
-        if (performance.accuracy < PERFORMANCE_THRESHOLDS.NEEDS_PRACTICE) {
-          prompt += `The user struggled in Over 1. Make questions slightly easier and focus on the topics they got wrong.\n`;
-        } else if (performance.accuracy > PERFORMANCE_THRESHOLDS.EXCELLENT) {
-          prompt += `The user did well in Over 1. Include some intermediate-level questions while maintaining educational value.\n`;
-        } else {
-          prompt += `The user showed moderate understanding. Mix reinforcement of missed topics with new concepts.\n`;
-        }
-      }
+  async replaceSeenQuestions(questions, promptContext) {
+    const needed = LEARN_CRICKET_CONSTANTS.QUESTIONS_PER_OVER;
+    const firstPass = await this.questionHistory.filterNew(questions);
+    if (firstPass.duplicates.length === 0 || firstPass.questions.length >= needed) {
+      return firstPass.questions;
+    }
 
-      prompt += `\nPrevious questions to avoid repetition:\n`;
-      previousQuestions.forEach((q, i) => {
-        prompt += `${i + 1}. ${q.question}\n`;
+    let fresh = firstPass.questions;
+    try {
+      const replacements = await this.requestQuestions({
+        ...promptContext,
+        seenQuestions: firstPass.duplicates.map(duplicate => duplicate.question)
       });
+      fresh = (await this.questionHistory.filterNew([...fresh, ...replacements])).questions;
+    } catch (error) {
+      this.logger.warn(`Could not replace repeated questions: ${error.message}`);
     }
 
-    prompt += `\n\nReturn EXACTLY ${LEARN_CRICKET_CONSTANTS.QUESTIONS_PER_OVER} questions in this JSON format:
-[
-  {
-    "question": "Educational question with context",
-    "options": ["Option A", "Option B", "Option C", "Option D"],
-    "correctAnswer": 0,
-    "explanation": "Clear explanation of why this answer is correct and what it teaches",
-    "topic": "topic category",
-    "difficulty": "beginner"
-  }
-]
-
-Ensure the JSON is valid and contains exactly ${LEARN_CRICKET_CONSTANTS.QUESTIONS_PER_OVER} question objects.`;
+    if (fresh.length < needed) {
+      this.logger.warn(`Only ${fresh.length} new questions available, repeating ${needed - fresh.length}`);
+      fresh = [...fresh, ...firstPass.duplicates.map(duplicate => duplicate.question)];
+    }
 
-    return prompt;
+    return fresh.slice(0, needed);
   }
 
   /**
-   * Parse response from AI model
+   * Get system prompt for cricket education
    */
-  parseQuestionResponse(response) {
-    try {
-      const content = response.choices[0]?.message?.content;
-      if (!content) {
-        throw new Error('No content in response');
-      }
-
-      // Extract JSON from response using multiple strategies
-      let questions = null;
-      
-      // Strategy 1: Direct parse if response is already JSON
-      try {
-        questions = JSON.parse(content);
-      } catch (e) {
-        // Continue to other strategies
-      }
-
-      // Strategy 2: Find JSON array with regex
-      if (!questions) {
-        const jsonMatch = content.match(/\[[\s\S]*\]/);
-        if (jsonMatch) {
-          try {
-            questions = JSON.parse(jsonMatch[0]);
-          } catch (e) {
-            // Continue to next strategy
-          }
-        }
-      }
-
-      // Strategy 3: Extract from code block
-      if (!questions) {
-        const codeBlockMatch = content.match(/```(?:json)?\s*(\[[\s\S]*?\])\s*```/);
-        if (codeBlockMatch) {
-          try {
-            questions = JSON.parse(codeBlockMatch[1]);
-          } catch (e) {
-            // Continue to next strategy
-          }
-        }
-      }
-
-      // Strategy 4: Manual extraction between brackets
-      if (!questions) {
-        const startIndex = content.indexOf('[');
-        const endIndex = content.lastIndexOf(']');
-        
-        if (startIndex !== -1 && endIndex !== -1 && endIndex > startIndex) {
-          const jsonStr = content.substring(startIndex, endIndex + 1);
-          try {
-            const cleanedJson = jsonStr
-              .replace(/[\u0000-\u001F\u007F-\u009F]/g, '')
-              .replace(/,\s*([}\]])/g, '$1')
-              .replace(/([{,]\s*)(\w+):/g, '$1"$2":')
-              .replace(/:\s*'([^']*)'/g, ': "$1"');
-            
-            questions = JSON.parse(cleanedJson);
-          } catch (e) {
-            throw new Error('Failed to parse JSON after all strategies');
-          }
-        }
-      }
-
-      if (!Array.isArray(questions)) {
-        throw new Error('Response is not an array of questions');
-      }
+  getSystemPrompt() {
+    return renderPrompt('learn-cricket-system').text;
+  }
 
-      // Validate and enhance questions
-      const validQuestions = questions
-        .filter(q => q && q.question && q.options && Array.isArray(q.options))
-        .map((q, index) => ({
-          id: `learn-${Date.now()}-${index}`,
-          question: q.question,
-          options: q.options,
-          correctAnswer: typeof q.correctAnswer === 'number' ? q.correctAnswer : 0,
-          explanation: q.explanation || 'No explanation provided',
-          topic: q.topic || this.topics[index % this.topics.length],
-          difficulty: q.difficulty || 'beginner',
-          category: 'tutorial'
-        }));
+  /**
+   * Render the prompt for an over's questions
+   * @returns {{ id: string, version: number, text: string }}
+   */
+  buildLearnCricketPrompt({ overNumber, totalOvers = LEARN_CRICKET_CONSTANTS.TOTAL_OVERS, previousQuestions = [], previousAnswers, performance, focusTopics = [], seenQuestions = [] }) {
+    const { QUESTIONS_PER_OVER, PERFORMANCE_THRESHOLDS } = LEARN_CRICKET_CONSTANTS;
+    // First over - diverse topics (Nets Practice uses the focus topics instead)
+    const firstOver = focusTopics.length === 0 && overNumber === 1;
+
+    return renderPrompt('learn-cricket-over', {
+      questionsPerOver: QUESTIONS_PER_OVER,
+      overNumber,
+      totalOvers,
+      firstOver,
+      topics: firstOver ? getRandomTopics(QUESTIONS_PER_OVER) : [],
+      focusTopics,
+      performance: performance ? {
+        correct: performance.correct,
+        total: performance.total,
+        accuracyPercent: Math.round(performance.accuracy * 100),
+        correctTopics: performance.correctTopics,
+        incorrectTopics: performance.incorrectTopics
+      } : undefined,
+      struggling: !!performance && performance.accuracy < PERFORMANCE_THRESHOLDS.NEEDS_PRACTICE,
+      excelling: !!performance && performance.accuracy > PERFORMANCE_THRESHOLDS.EXCELLENT,
+      previousQuestions: previousQuestions.map(q => q.question),
+      seenQuestions: seenQuestions.map(q => q.question),
+      formats: this.formats.length > 0,
+      ...formatPromptFlags(this.formats)
+    });
+  }
 
-      if (validQuestions.length === 0) {
-        throw new Error('No valid questions found in response');
+  /**
+   * Turn validated model output into Learn Cricket questions
+   * @param {Object[]} questions - Elements matching LEARN_CRICKET_QUESTION_LIST_SCHEMA
+   */
+  parseQuestionResponse(questions) {
+    const parsed = questions.map((q, index) => normalizeFormatQuestion({
+      id: `learn-${Date.now()}-${index}`,
+      question: q.question,
+      options: q.options,
+      correctAnswer: q.correctAnswer,
+      ...pickFormatFields(q),
+      explanation: q.explanation,
+      topic: q.topic || this.topics[index % this.topics.length],
+      difficulty: q.difficulty || 'beginner',
+      category: 'tutorial'
+    })).filter(q => {
+      // The schema can't tell which answer fields a format needs
+      const errors = validateFormat(q);
+      if (errors.length > 0) {
+        this.logger.warn(`Dropped a ${q.format || 'multiple_choice'} question: ${errors.join(', ')}`);
       }
+      return errors.length === 0;
+    });
 
-      this.logger.success(`Successfully parsed ${validQuestions.length} questions`);
-      return validQuestions;
-
-    } catch (error) {
-      this.logger.error('Error parsing questions:', error.message);
-      throw new Error('Failed to parse question response: ' + error.message);
-    }
+    this.logger.success(`Successfully parsed ${parsed.length} questions`);
+    return parsed;
   }
 
   /**
@@ -273,14 +225,14 @@ Ensure the JSON is valid and contains exactly ${LEARN_CRICKET_CONSTANTS.QUESTION
    */
   calculatePerformance(questions, userAnswers) {
     const correct = questions.reduce((count, q, i) => {
-      return count + (q.correctAnswer === userAnswers[i] ? 1 : 0);
+      return count + (isAnswerCorrect(q, userAnswers[i]) ? 1 : 0);
     }, 0);
 
     const correctTopics = [];
     const incorrectTopics = [];
 
     questions.forEach((q, i) => {
-      if (q.correctAnswer === userAnswers[i]) {
+      if (isAnswerCorrect(q, userAnswers[i])) {
         if (!correctTopics.includes(q.topic)) {
           correctTopics.push(q.topic);
         }
@@ -5,9 +5,35 @@
  * Provides access to various AI models through OpenRouter API including:
  * - Perplexity Sonar for web-aware search and anecdote generation
  * - Claude/GPT-4 for creative writing and question generation
+ *
+ * Every request gets a timeout, retries with backoff on 429/5xx, falls back
+ * along the model chain for its purpose, and skips models whose circuit is open.
+ * Token usage and cost of every call are recorded in `usage`, which can also
+ * enforce a spending budget.
  */
 
 import { isCliEnvironment } from '../config/constants.js';
+import { FALLBACK_CHAINS, REQUEST_POLICY, supportsStructuredOutput } from '../config/ai-models.js';
+import { getLLMProvider, OpenRouterProvider } from '../providers/LLMProvider.js';
+import CircuitBreaker from '../utils/circuit-breaker.js';
+import UsageTracker from '../utils/usage-tracker.js';
+import { isRetryableError, isFatalError, getBackoffDelay, sleep } from '../utils/retry.js';
+import {
+  toResponseFormat,
+  parseStructuredOutput,
+  countStructuredData,
+  buildReaskMessage,
+} from '../utils/structured-output.js';
+import {
+  QUESTION_LIST_SCHEMA,
+  FORMATTED_QUESTION_LIST_SCHEMA,
+  ANECDOTE_LIST_SCHEMA,
+  CLAIM_LIST_SCHEMA,
+  JUDGEMENT_SCHEMA,
+} from '../schemas/llm-output.js';
+import { createProvenance, pickFilterValues, collectSources } from '../utils/provenance.js';
+import { renderPrompt } from '../prompts/PromptRegistry.js';
+import { formatPromptFlags, normalizeFormatQuestion } from '../utils/question-formats.js';
 
 // Dynamic import for CLI-specific dependencies
 let chalk;
@@ -24,10 +50,30 @@ if (isCliEnvironment()) {
 }
 
 class OpenRouterService {
-  constructor(apiKey) {
+  /**
+   * @param {string} [apiKey] - OpenRouter API key (ignored when a provider is given)
+   * @param {Object} [options]
+   * @param {import('../providers/LLMProvider.js').LLMProvider} [options.provider] - LLM provider to send requests through
+   * @param {Object} [options.requestPolicy] - Overrides for REQUEST_POLICY (timeouts, retries, concurrency)
+   * @param {Object} [options.fallbackChains] - Model chains per purpose (defaults to FALLBACK_CHAINS)
+   */
+  constructor(apiKey, options = {}) {
     this.apiKey = apiKey;
-    this.baseUrl = 'https://openrouter.ai/api/v1/chat/completions';
+    this.provider = options.provider || new OpenRouterProvider({ apiKey });
     this.filterSystem = enhancedFilterSystem;
+    this.fallbackChains = options.fallbackChains || FALLBACK_CHAINS;
+    this.setRequestPolicy(options.requestPolicy);
+
+    // Requests waiting for a free slot (maxConcurrentRequests)
+    this.activeRequests = 0;
+    this.requestQueue = [];
+
+    // Tokens and cost per call, with an optional budget
+    this.usage = new UsageTracker();
+
+    // How structured answers parsed: first answers that needed JSON repair or failed
+    // validation, and requests left without valid data after the re-ask
+    this.structuredStats = { requests: 0, repaired: 0, invalid: 0, failed: 0 };
     
     // Model configurations
     this.models = {
@@ -63,56 +109,285 @@ class OpenRouterService {
   }
 
   /**
-   * Generic method to call OpenRouter API (for UI compatibility)
+   * Apply request settings (timeouts, retries, concurrency, circuit breaker).
+   * Resets the circuit breaker.
+   * @param {Object} [policy] - Overrides for REQUEST_POLICY
    */
-  async callOpenRouterAPI(params) {
-    const response = await fetch(this.baseUrl, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': isCliEnvironment() ? 'https://github.com/cricket-trivia' : 'https://cricket-trivia-app.com',
-        'X-Title': 'Cricket Trivia Generator'
-      },
-      body: JSON.stringify(params)
+  setRequestPolicy(policy = {}) {
+    this.requestPolicy = {
+      ...REQUEST_POLICY,
+      ...policy,
+      circuitBreaker: { ...REQUEST_POLICY.circuitBreaker, ...policy.circuitBreaker },
+    };
+    this.circuitBreaker = new CircuitBreaker(this.requestPolicy.circuitBreaker);
+  }
+
+  /**
+   * Generic method to send a chat completion through the active LLM provider.
+   * Falls back along the chain for the request's purpose when a model keeps failing.
+   * @param {Object} params - OpenAI-style request body
+   * @param {Object} [options]
+   * @param {'search' | 'creative' | 'fast'} [options.purpose] - Fallback chain to use (inferred from the model otherwise)
+   */
+  async callOpenRouterAPI(params, options = {}) {
+    const chain = this.getModelChain(params.model, options.purpose);
+    const available = chain.filter(model => this.circuitBreaker.canRequest(model));
+    // With every circuit open, try the requested model rather than fail without a request
+    const models = available.length > 0 ? available : [params.model];
+
+    await this.acquireRequestSlot();
+    try {
+      let lastError;
+      for (const [index, model] of models.entries()) {
+        const request = { ...params, model };
+        // Fallback models without structured outputs rely on the prompt and validation
+        if (request.response_format && !supportsStructuredOutput(model)) {
+          delete request.response_format;
+        }
+        // Refuses the request (without a fallback) when it could exceed the budget
+        const reservation = this.usage.reserve(request);
+        try {
+          const response = await this.callModelWithRetries(request);
+          this.circuitBreaker.recordSuccess(model);
+          this.usage.recordResponse(request, response);
+          // Provenance needs to know which model of the chain answered
+          return response.model ? response : { ...response, model };
+        } catch (error) {
+          lastError = error;
+          if (isFatalError(error)) throw error;
+
+          // Only failures of the model itself count; a bad request (400) says nothing about its health
+          if (isRetryableError(error)) {
+            this.circuitBreaker.recordFailure(model);
+          }
+          const next = models[index + 1];
+          if (next) {
+            this.log('yellow', `⚠️ ${model} failed (${error.message}), falling back to ${next}`);
+          }
+        } finally {
+          this.usage.release(reservation);
+        }
+      }
+      throw lastError;
+    } finally {
+      this.releaseRequestSlot();
+    }
+  }
+
+  /**
+   * Send a request whose answer must match an output schema (shared/schemas/llm-output.js).
+   * The schema goes out as `response_format` to models that support it; the answer is
+   * repaired and validated, and the model is re-asked once with the validation errors.
+   * @param {Object} params - OpenAI-style request body
+   * @param {{ name: string, schema: Object }} outputSchema
+   * @param {Object} [options] - Passed to callOpenRouterAPI
+   * @returns {Promise<{ data: any, response: Object, errors: string[], repaired: boolean, reasked: boolean }>}
+   *   Valid data (the valid elements, for lists), the errors of whatever had to be dropped,
+   *   and whether the kept answer needed JSON repair or came from the re-ask
+   */
+  async requestStructured(params, outputSchema, options = {}) {
+    const request = { ...params, response_format: toResponseFormat(outputSchema) };
+
+    let response = await this.callOpenRouterAPI(request, options);
+    const content = this.getResponseContent(response);
+    let result = parseStructuredOutput(content, outputSchema);
+    let reasked = false;
+    this.structuredStats.requests++;
+    if (result.repaired) {
+      this.structuredStats.repaired++;
+      this.log('gray', `   Repaired malformed JSON from ${response.model || params.model}`);
+    }
+
+    if (result.errors.length > 0) {
+      this.structuredStats.invalid++;
+      this.log('yellow', `⚠️ ${outputSchema.name} failed validation (${result.errors.length} errors), re-asking once:`);
+      result.errors.slice(0, 3).forEach(error => this.log('gray', `   ${error}`));
+
+      try {
+        const reaskResponse = await this.callOpenRouterAPI({
+          ...request,
+          messages: [
+            ...params.messages,
+            { role: 'assistant', content },
+            { role: 'user', content: buildReaskMessage(outputSchema, result.errors) },
+          ],
+        }, options);
+        const reask = parseStructuredOutput(this.getResponseContent(reaskResponse), outputSchema);
+
+        // Keep whichever attempt produced more usable data
+        if (countStructuredData(reask) >= countStructuredData(result)) {
+          response = reaskResponse;
+          result = reask;
+          reasked = true;
+        }
+      } catch (error) {
+        // A failed re-ask still leaves the valid part of the first answer
+        if (countStructuredData(result) === 0) {
+          this.structuredStats.failed++;
+          throw error;
+        }
+        this.log('yellow', `⚠️ Re-ask failed (${error.message}), keeping the valid part of the first answer`);
+      }
+    }
+
+    if (countStructuredData(result) === 0) {
+      this.structuredStats.failed++;
+      throw new Error(`Invalid ${outputSchema.name} after re-ask: ${result.errors.slice(0, 3).join('; ')}`);
+    }
+    if (result.errors.length > 0) {
+      this.log('yellow', `⚠️ Dropped invalid ${outputSchema.name} entries: ${result.errors.slice(0, 3).join('; ')}`);
+    }
+
+    return { data: result.data, response, errors: result.errors, repaired: result.repaired, reasked };
+  }
+
+  /**
+   * Provenance for the output of a structured request, starting with its schema validation
+   * @param {Object} result - requestStructured result
+   * @param {{ id: string, version: number }} prompt - Rendered prompt template
+   * @param {Object} filters - Result of pickFilterValues
+   */
+  createOutputProvenance(result, prompt, filters) {
+    return createProvenance({
+      model: result.response.model,
+      prompt,
+      filters,
+      validation: [{
+        stage: 'schema',
+        passed: true,
+        repaired: result.repaired,
+        reasked: result.reasked,
+        droppedErrors: result.errors.slice(0, 5),
+        checkedAt: new Date().toISOString()
+      }]
     });
-    
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`OpenRouter API error: ${response.status} - ${error}`);
+  }
+
+  /**
+   * Text of a chat completion's first choice
+   */
+  getResponseContent(response) {
+    const content = response?.choices?.[0]?.message?.content;
+    if (!content) {
+      throw new Error('No content in API response');
     }
-    
-    return response.json();
+    return content;
   }
 
   /**
-   * Generate cricket trivia questions directly (similar to Gemini service)
+   * The requested model followed by the rest of its purpose's fallback chain
+   */
+  getModelChain(model, purpose) {
+    const chainPurpose = purpose || Object.keys(this.models).find(group =>
+      Object.values(this.models[group]).includes(model) || (this.fallbackChains[group] || []).includes(model));
+    const chain = this.fallbackChains[chainPurpose] || [];
+
+    return [model, ...chain.filter(fallback => fallback !== model)];
+  }
+
+  /**
+   * Send a request to one model, retrying 429/5xx/timeouts with exponential backoff and jitter
+   */
+  async callModelWithRetries(params) {
+    const { retryAttempts, backoffBaseMs, backoffMaxMs } = this.requestPolicy;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.callModelWithTimeout(params);
+      } catch (error) {
+        if (attempt >= retryAttempts || !isRetryableError(error)) throw error;
+
+        const delay = getBackoffDelay(attempt, {
+          baseMs: backoffBaseMs,
+          maxMs: backoffMaxMs,
+          retryAfterMs: error.retryAfterMs,
+        });
+        this.log('gray', `   Retrying ${params.model} in ${delay}ms (${error.message})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Send a request to one model, aborting it after timeoutMs
+   */
+  async callModelWithTimeout(params) {
+    const { timeoutMs } = this.requestPolicy;
+    const controller = new AbortController();
+    let timer;
+
+    // Providers that ignore the abort signal still stop being waited on
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        const error = new Error(`Request to ${params.model} timed out after ${timeoutMs}ms`);
+        error.timeout = true;
+        reject(error);
+      }, timeoutMs);
+    });
+
+    try {
+      return await Promise.race([
+        this.provider.complete(params, { signal: controller.signal }),
+        timeout,
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Wait for one of the maxConcurrentRequests slots
+   */
+  async acquireRequestSlot() {
+    if (this.activeRequests < this.requestPolicy.maxConcurrentRequests) {
+      this.activeRequests++;
+      return;
+    }
+    // The releasing request hands its slot straight to us
+    await new Promise(resolve => this.requestQueue.push(resolve));
+  }
+
+  /**
+   * Free a slot, handing it to the next waiting request
+   */
+  releaseRequestSlot() {
+    const next = this.requestQueue.shift();
+    if (next) {
+      next();
+    } else {
+      this.activeRequests--;
+    }
+  }
+
+  /**
+   * Generate cricket trivia questions directly (similar to Gemini service).
+   * Pass `format` (shared/utils/question-formats.js) for questions other than
+   * four-option multiple choice.
    */
   async generateQuestions(request) {
     try {
-      const { category, difficulty, count = 5, filters, model } = request;
+      const { category, difficulty, count = 5, filters, model, format = 'multiple_choice' } = request;
+      const formatted = format !== 'multiple_choice';
       
       // Build prompt for direct question generation
-      const prompt = this.buildDirectQuestionPrompt(request);
+      const prompt = formatted ? this.buildFormattedQuestionPrompt(request) : this.buildDirectQuestionPrompt(request);
       const selectedModel = model || this.defaultCreativeModel;
       
       this.log('blue', `🎯 Using ${selectedModel} for direct question generation...`);
       
-      const response = await this.callOpenRouterAPI({
+      const result = await this.requestStructured({
         model: selectedModel,
-        messages: [{ role: 'user', content: prompt }],
+        messages: [{ role: 'user', content: prompt.text }],
         temperature: 0.8,
         max_tokens: 2000
-      });
-      
-      if (!response.choices || !response.choices[0] || !response.choices[0].message) {
-        this.log('red', 'Invalid response structure:', JSON.stringify(response));
-        throw new Error('Invalid response structure from OpenRouter');
-      }
+      }, formatted ? FORMATTED_QUESTION_LIST_SCHEMA : QUESTION_LIST_SCHEMA);
       
-      const content = response.choices[0].message.content;
-      this.log('blue', 'Response content:', content.substring(0, 200) + '...');
-      const questions = this.parseQuestionResponse(content);
+      const provenance = this.createOutputProvenance(result, prompt,
+        pickFilterValues(filters, { category, difficulty, format: formatted ? format : undefined }));
+      // The model may slip into another format; the question keeps the one that was asked for
+      const data = formatted ? result.data.map(q => normalizeFormatQuestion({ ...q, format })) : result.data;
+      const questions = this.addQuestionMetadata(data, provenance);
       
       // Filter to requested count
       return questions.slice(0, count);
@@ -124,50 +399,42 @@ class OpenRouterService {
   }
 
   /**
-   * Build prompt for direct question generation
+   * Render the prompt for direct question generation
+   * @returns {{ id: string, version: number, text: string }}
    */
   buildDirectQuestionPrompt(request) {
     const { category, difficulty, count = 5, filters } = request;
-    
-    let prompt = `Generate ${count} high-quality cricket trivia questions.\n\n`;
-    
-    if (category && category !== 'tutorial') {
-      prompt += `Category: ${category.replace(/_/g, ' ')}\n`;
-    }
-    
-    if (difficulty) {
-      prompt += `Difficulty: ${difficulty}\n`;
-    }
-    
-    if (filters) {
-      if (filters.era && filters.era !== 'all_eras') {
-        prompt += `Era: ${filters.era.replace(/_/g, ' ')}\n`;
-      }
-      if (filters.countries && filters.countries.length > 0 && !filters.countries.includes('all_countries')) {
-        prompt += `Countries: ${filters.countries.join(', ')}\n`;
-      }
-    }
-    
-    prompt += `
-Instructions:
-1. Generate engaging cricket trivia questions that are factually accurate
-2. Each question should have 4 options with only 1 correct answer
-3. Include interesting explanations that provide context
-4. ${category === 'tutorial' ? 'Focus on basic cricket concepts suitable for beginners' : 'Include fascinating cricket stories and facts'}
-
-Return a JSON array with this structure:
-[
-  {
-    "question": "The question text",
-    "options": ["Option A", "Option B", "Option C", "Option D"],
-    "correctAnswer": 0,
-    "explanation": "Detailed explanation with interesting context",
-    "category": "${category || 'general'}",
-    "difficulty": "${difficulty || 'medium'}"
+    const countries = filters?.countries || [];
+
+    return renderPrompt('direct-questions', {
+      count,
+      category,
+      categoryLabel: category && category !== 'tutorial' ? category.replace(/_/g, ' ') : undefined,
+      difficulty,
+      era: filters?.era && filters.era !== 'all_eras' ? filters.era.replace(/_/g, ' ') : undefined,
+      countries: countries.includes('all_countries') ? [] : countries,
+      tutorial: category === 'tutorial'
+    });
   }
-]`;
-    
-    return prompt;
+
+  /**
+   * Render the prompt for questions in a format other than multiple choice
+   * @returns {{ id: string, version: number, text: string }}
+   */
+  buildFormattedQuestionPrompt(request) {
+    const { category, difficulty, count = 5, filters, format } = request;
+    const countries = filters?.countries || [];
+
+    return renderPrompt('formatted-questions', {
+      count,
+      format,
+      ...formatPromptFlags([format]),
+      category,
+      categoryLabel: category && category !== 'tutorial' ? category.replace(/_/g, ' ') : undefined,
+      difficulty,
+      era: filters?.era && filters.era !== 'all_eras' ? filters.era.replace(/_/g, ' ') : undefined,
+      countries: countries.includes('all_countries') ? [] : countries
+    });
   }
 
   /**
@@ -210,14 +477,21 @@ Return a JSON array with this structure:
   async generateAnecdoteBatch(request, model) {
     const prompt = this.buildOptimizedAnecdotePrompt(request);
     
-    const response = await this.callOpenRouterAPI({
+    const result = await this.requestStructured({
       model,
-      messages: [{ role: 'user', content: prompt }],
+      messages: [{ role: 'user', content: prompt.text }],
       temperature: 0.7,
       max_tokens: 2000
-    });
+    }, ANECDOTE_LIST_SCHEMA);
     
-    return this.parseAnecdoteResponse(response);
+    const provenance = this.createOutputProvenance(result, prompt,
+      pickFilterValues(request.filters, { category: request.category }));
+    
+    this.log('green', `✅ Parsed ${result.data.length} valid anecdotes`);
+    return result.data.map(anecdote => ({
+      ...anecdote,
+      provenance: { ...provenance, sources: collectSources(anecdote.sources || []) }
+    }));
   }
 
   /**
@@ -230,18 +504,16 @@ Return a JSON array with this structure:
       
       this.log('blue', `✍️ Using ${model} for question generation...`);
       
-      const response = await this.callOpenRouterAPI({
+      const result = await this.requestStructured({
         model,
-        messages: [{ role: 'user', content: prompt }],
+        messages: [{ role: 'user', content: prompt.text }],
         temperature: 0.8,
         max_tokens: 4000
-      });
+      }, QUESTION_LIST_SCHEMA);
       
-      const content = response.choices[0]?.message?.content;
-      if (!content) {
-        throw new Error('No content in response');
-      }
-      return this.parseQuestionResponse(content);
+      const provenance = this.createOutputProvenance(result, prompt,
+        pickFilterValues(request.filters, { category: request.category }));
+      return this.addQuestionMetadata(result.data, provenance);
     } catch (error) {
       console.error('Error generating questions:', error);
       throw new Error('Failed to generate questions via OpenRouter');
@@ -249,7 +521,78 @@ Return a JSON array with this structure:
   }
 
   /**
-   * Build optimized prompt for anecdote generation
+   * Extract the atomic factual claims a question relies on (Phase 3 verification)
+   * @param {Object} question - Trivia question with options, correctAnswer and explanation
+   * @param {string} [model] - Model override (defaults to a fast model)
+   * @returns {Promise<string[]>} Self-contained claims
+   */
+  async extractClaims(question, model = null) {
+    const { data: claims } = await this.requestStructured({
+      model: model || this.models.fast.gpt4Mini,
+      messages: [{ role: 'user', content: this.buildClaimExtractionPrompt(question).text }],
+      temperature: 0,
+      max_tokens: 500
+    }, CLAIM_LIST_SCHEMA);
+
+    return claims.map(claim => claim.trim());
+  }
+
+  /**
+   * Review a question against the judge rubric (shared/utils/question-judging.js)
+   * @param {Object} question - Trivia question with options, correctAnswer and explanation
+   * @param {Object} options
+   * @param {string} options.category - Category the question was written for
+   * @param {string} [options.model] - Judge model (defaults to a fast model)
+   * @returns {Promise<{ scores: Object, summary: string, model: string, prompt: { id: string, version: number } }>}
+   */
+  async judgeQuestion(question, { category, model = null }) {
+    const prompt = this.buildJudgePrompt(question, category);
+    const { data, response } = await this.requestStructured({
+      model: model || this.models.fast.gpt4Mini,
+      messages: [{ role: 'user', content: prompt.text }],
+      temperature: 0,
+      max_tokens: 600
+    }, JUDGEMENT_SCHEMA);
+
+    const { summary, ...scores } = data;
+    return {
+      scores,
+      summary: summary.trim(),
+      model: response.model,
+      prompt: { id: prompt.id, version: prompt.version }
+    };
+  }
+
+  /**
+   * Render the prompt for a judge review
+   * @returns {{ id: string, version: number, text: string }}
+   */
+  buildJudgePrompt(question, category) {
+    const letter = index => String.fromCharCode(65 + index);
+    return renderPrompt('question-judge', {
+      question: question.question,
+      options: question.options.map((option, index) => `${letter(index)}. ${option}`),
+      answer: `${letter(question.correctAnswer)}. ${question.options[question.correctAnswer]}`,
+      explanation: question.explanation || '',
+      category: String(category).replace(/_/g, ' ')
+    });
+  }
+
+  /**
+   * Render the prompt for claim extraction
+   * @returns {{ id: string, version: number, text: string }}
+   */
+  buildClaimExtractionPrompt(question) {
+    return renderPrompt('claim-extraction', {
+      question: question.question,
+      answer: String(question.options[question.correctAnswer]),
+      explanation: question.explanation || ''
+    });
+  }
+
+  /**
+   * Render the prompt for anecdote generation
+   * @returns {{ id: string, version: number, text: string }}
    */
   buildOptimizedAnecdotePrompt(request) {
     const { filters, category, count = 10 } = request;
@@ -257,41 +600,22 @@ Return a JSON array with this structure:
     // Generate focused search context
     const searchContext = this.generateEnhancedSearchContext(filters, category);
     
-    return `Generate ${count} cricket anecdotes with web search. Context: ${searchContext}
-
-Each anecdote needs:
-- Engaging title
-- 150-250 word dramatic story with specific details
-- 3-5 key facts for trivia questions
-- Source citations
-- Unique incident (no duplicates)
-
-JSON format:
-[{"title":"Title","story":"Story with drama and facts","key_facts":["Fact1","Fact2","Fact3"],"sources":["URL1"],"tags":["drama","historic"]}]
-
-Generate ${count} diverse cricket anecdotes:`;
+    return renderPrompt('anecdotes', { count, searchContext });
   }
 
   /**
-   * Build prompt for question generation
+   * Render the prompt for question generation from anecdotes
+   * @returns {{ id: string, version: number, text: string }}
    */
   buildQuestionPrompt(request) {
-    const { anecdotes, category, filters } = request;
-    
     // Streamlined anecdote presentation
-    const anecdoteText = anecdotes.map((a, i) => 
-      `${i + 1}. ${a.title}\n${a.story}\nFacts: ${a.key_facts.slice(0, 3).join(', ')}`
-    ).join('\n\n');
-    
-    return `Create cricket trivia from these anecdotes. Generate 1-2 questions per anecdote focusing on dramatic moments and verifiable facts.
-
-ANECDOTES:
-${anecdoteText}
+    const anecdotes = request.anecdotes.map(a => ({
+      title: a.title,
+      story: a.story,
+      facts: a.key_facts.slice(0, 3)
+    }));
 
-JSON format:
-[{"question":"Dramatic context + specific question?","options":["A","B","C","D"],"correctAnswer":0,"explanation":"Brief context","source":"URL","anecdoteRef":"Title"}]
-
-Requirements: 4 plausible options, test specific knowledge, maintain source attribution. Generate engaging trivia now:`;
+    return renderPrompt('questions-from-anecdotes', { anecdotes });
   }
 
   /**
@@ -335,180 +659,16 @@ Requirements: 4 plausible options, test specific knowledge, maintain source attr
   }
 
   /**
-   * Parse anecdote response from API
+   * Add ids, generation metadata and provenance to validated questions
    */
-  parseAnecdoteResponse(response) {
-    try {
-      const content = response.choices[0]?.message?.content;
-      if (!content) {
-        throw new Error('No content in API response');
-      }
-      
-      this.log('gray', '🔍 Debug - Raw anecdote response:');
-      this.log('gray', content.substring(0, 300) + '...');
-      
-      // Try multiple JSON extraction strategies
-      let anecdotes = this.extractJSONFromContent(content);
-      
-      if (!Array.isArray(anecdotes)) {
-        throw new Error('Parsed anecdote content is not an array');
-      }
-      
-      this.log('green', `✅ Successfully parsed ${anecdotes.length} anecdotes from response`);
-      
-      // Validate anecdote structure
-      const validAnecdotes = anecdotes.filter(a => {
-        const isValid = a.title && a.story && a.key_facts;
-        if (!isValid) {
-          this.log('yellow', `⚠️ Filtering out invalid anecdote: ${JSON.stringify(a).substring(0, 100)}...`);
-        }
-        return isValid;
-      });
-      
-      this.log('green', `✅ Returning ${validAnecdotes.length} valid anecdotes`);
-      return validAnecdotes;
-      
-    } catch (error) {
-      this.log('red', 'Error parsing anecdote response:', error.message);
-      throw new Error(`Failed to parse anecdote response: ${error.message}`);
-    }
-  }
-
-  /**
-   * Parse question response from API
-   */
-  parseQuestionResponse(content) {
-    try {
-      // Content is already extracted and passed directly
-      if (!content) {
-        throw new Error('No content in API response');
-      }
-      
-      this.log('gray', '🔍 Debug - Raw response content:');
-      this.log('gray', content.substring(0, 500) + '...');
-      
-      // Extract JSON from content
-      let questions = this.extractJSONFromContent(content);
-      
-      if (!Array.isArray(questions)) {
-        throw new Error('Parsed content is not an array');
-      }
-      
-      this.log('green', `✅ Successfully parsed ${questions.length} questions from response`);
-      
-      // Validate question structure and add metadata
-      const validQuestions = questions
-        .filter(q => {
-          const isValid = q.question && 
-            Array.isArray(q.options) && 
-            q.options.length === 4 &&
-            typeof q.correctAnswer === 'number';
-          
-          if (!isValid) {
-            this.log('yellow', `⚠️ Filtering out invalid question: ${JSON.stringify(q).substring(0, 100)}...`);
-          }
-          
-          return isValid;
-        })
-        .map(q => ({
-          ...q,
-          id: `${Date.now()}-${Math.random().toString(36).substring(2, 7)}`,
-          generatedAt: new Date(),
-          model: 'openrouter'
-        }));
-      
-      this.log('green', `✅ Returning ${validQuestions.length} valid questions`);
-      return validQuestions;
-      
-    } catch (error) {
-      this.log('red', 'Error parsing question response:', error.message);
-      throw new Error(`Failed to parse question response: ${error.message}`);
-    }
-  }
-
-  /**
-   * Extract JSON from content with multiple strategies
-   */
-  extractJSONFromContent(content) {
-    let result = null;
-    
-    // Strategy 1: Look for JSON array with brackets (handle content before JSON)
-    let jsonMatch = content.match(/\[[\s\S]*\]/);
-    if (jsonMatch) {
-      try {
-        // Clean the JSON string before parsing
-        let jsonStr = jsonMatch[0];
-        // Remove any trailing content after the last ]
-        const lastBracketIndex = jsonStr.lastIndexOf(']');
-        if (lastBracketIndex !== -1) {
-          jsonStr = jsonStr.substring(0, lastBracketIndex + 1);
-        }
-        result = JSON.parse(jsonStr);
-        if (result) return result;
-      } catch (e) {
-        this.log('yellow', '⚠️ Strategy 1 failed, trying strategy 2...');
-      }
-    }
-    
-    // Strategy 2: Look for JSON code block
-    const codeBlockMatch = content.match(/```json\s*(\[[\s\S]*?\])\s*```/);
-    if (codeBlockMatch) {
-      try {
-        result = JSON.parse(codeBlockMatch[1]);
-        if (result) return result;
-      } catch (e) {
-        this.log('yellow', '⚠️ Strategy 2 failed, trying strategy 3...');
-      }
-    }
-    
-    // Strategy 3: Clean and extract JSON more aggressively
-    const startIndex = content.indexOf('[');
-    const endIndex = content.lastIndexOf(']');
-    
-    if (startIndex !== -1 && endIndex !== -1 && endIndex > startIndex) {
-      const jsonStr = content.substring(startIndex, endIndex + 1);
-      try {
-        result = JSON.parse(jsonStr);
-        if (result) return result;
-      } catch (e) {
-        this.log('yellow', '⚠️ Strategy 3 failed, trying strategy 4...');
-      }
-    }
-    
-    // Strategy 4: Try to parse numbered list format
-    const numberedListMatch = content.match(/\d+\.\s+[^?]+\?[\s\S]+?(?=\d+\.|$)/g);
-    if (numberedListMatch && numberedListMatch.length > 0) {
-      try {
-        const questions = [];
-        for (const match of numberedListMatch) {
-          // Extract question parts from numbered format
-          const questionMatch = match.match(/\d+\.\s+([^?]+\?)/);
-          const optionsMatch = match.match(/[A-D]\.\s+([^\n]+)/g);
-          const answerMatch = match.match(/Correct Answer:\s*([A-D])/i);
-          const explanationMatch = match.match(/Explanation:\s*([^]+?)(?=Source:|$)/i);
-          
-          if (questionMatch && optionsMatch && optionsMatch.length === 4) {
-            questions.push({
-              question: questionMatch[1].trim(),
-              options: optionsMatch.map(opt => opt.replace(/^[A-D]\.\s*/, '').trim()),
-              correctAnswer: answerMatch ? answerMatch[1].charCodeAt(0) - 65 : 0,
-              explanation: explanationMatch ? explanationMatch[1].trim() : '',
-              category: 'general',
-              difficulty: 'medium'
-            });
-          }
-        }
-        if (questions.length > 0) {
-          this.log('yellow', `📝 Parsed ${questions.length} questions from numbered format`);
-          return questions;
-        }
-      } catch (e) {
-        this.log('yellow', '⚠️ Strategy 4 failed');
-      }
-    }
-    
-    this.log('red', '❌ All JSON parsing strategies failed');
-    throw new Error(`No valid JSON found. Content preview: ${content.substring(0, 200)}...`);
+  addQuestionMetadata(questions, provenance) {
+    return questions.map(q => ({
+      ...q,
+      id: `${Date.now()}-${Math.random().toString(36).substring(2, 7)}`,
+      generatedAt: new Date(),
+      model: 'openrouter',
+      provenance: { ...provenance, sources: collectSources(q.source || []) }
+    }));
   }
 
   /**
@@ -553,18 +713,30 @@ Requirements: 4 plausible options, test specific knowledge, maintain source attr
 
 // Singleton instance management
 let openRouterServiceInstance = null;
+let requestPolicyOverrides = {};
+
+/**
+ * Override request settings (e.g. from the CLI's config.openRouter.performance)
+ * for the shared instance, whether or not it has been created yet
+ */
+export const setRequestPolicy = (policy) => {
+  requestPolicyOverrides = policy;
+  if (openRouterServiceInstance) {
+    openRouterServiceInstance.setRequestPolicy(policy);
+  }
+};
 
 /**
  * Get or create OpenRouterService instance
  */
 export const getOpenRouterService = () => {
   if (!openRouterServiceInstance) {
-    // Support both CLI and UI environments
-    const apiKey = process.env.OPENROUTER_API_KEY || process.env.EXPO_PUBLIC_OPENROUTER_API_KEY;
-    if (!apiKey) {
-      throw new Error('OPENROUTER_API_KEY or EXPO_PUBLIC_OPENROUTER_API_KEY environment variable is required');
-    }
-    openRouterServiceInstance = new OpenRouterService(apiKey);
+    // Provider is chosen from the environment (LLM_PROVIDER / EXPO_PUBLIC_LLM_PROVIDER)
+    const provider = getLLMProvider();
+    openRouterServiceInstance = new OpenRouterService(provider.apiKey || null, {
+      provider,
+      requestPolicy: requestPolicyOverrides
+    });
   }
   return openRouterServiceInstance;
 };
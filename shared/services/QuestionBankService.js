@@ -0,0 +1,312 @@
+/**
+ * Shared Question Bank Service
+ *
+ * Platform-agnostic local store of validated trivia questions.
+ * Every question is saved with its category, era, countries and difficulty so
+ * games can be served fully offline, filtered by the player's game filters.
+ * Works with both CLI and UI through an injected AsyncStorage-style storage adapter.
+ */
+
+import { matchesProvenance } from '../utils/provenance.js';
+
+const STORAGE_KEY = 'cricket_question_bank';
+const BANK_VERSION = 1;
+
+// Default number of recent games a question is kept out of rotation for
+const DEFAULT_REPEAT_WINDOW = 3;
+
+class QuestionBankService {
+  /**
+   * @param {Object} [options]
+   * @param {{ getItem: (key: string) => Promise<string | null>, setItem: (key: string, value: string) => Promise<void> }} [options.storage] - AsyncStorage-compatible adapter
+   * @param {number} [options.repeatWindow] - Never repeat a question within this many games
+   * @param {Object} [options.logger]
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || null;
+    this.repeatWindow = options.repeatWindow ?? DEFAULT_REPEAT_WINDOW;
+    this.logger = options.logger || {
+      info: (msg) => console.log(msg),
+      warn: (msg) => console.warn(msg),
+      error: (msg) => console.error(msg),
+      success: (msg) => console.log(msg),
+    };
+
+    this.bank = this.createEmptyBank();
+    this.loading = null;
+  }
+
+  /**
+   * Create an empty bank structure
+   */
+  createEmptyBank() {
+    return {
+      version: BANK_VERSION,
+      questions: [],
+      recentGames: []
+    };
+  }
+
+  /**
+   * Load the bank from storage (only once per instance). Callers that arrive
+   * while it is loading wait for the same read rather than see an empty bank.
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.readFromStorage();
+    }
+    return this.loading;
+  }
+
+  /**
+   * Read the stored bank into memory
+   */
+  async readFromStorage() {
+    if (!this.storage) return;
+
+    try {
+      const stored = await this.storage.getItem(STORAGE_KEY);
+      if (stored) {
+        const parsed = JSON.parse(stored);
+        this.bank = {
+          ...this.createEmptyBank(),
+          ...parsed,
+          questions: Array.isArray(parsed.questions) ? parsed.questions : [],
+          recentGames: Array.isArray(parsed.recentGames) ? parsed.recentGames : []
+        };
+      }
+    } catch (error) {
+      this.logger.error(`Failed to load question bank: ${error.message}`);
+    }
+  }
+
+  /**
+   * Persist the bank to storage
+   */
+  async save() {
+    if (!this.storage) return;
+
+    try {
+      await this.storage.setItem(STORAGE_KEY, JSON.stringify(this.bank));
+    } catch (error) {
+      this.logger.error(`Failed to save question bank: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save validated questions with the filters they were generated for
+   * @param {Array<Object>} questions - Validated trivia questions
+   * @param {Object} [filters] - Game filters used for generation (era, countries)
+   * @param {Object} [meta] - Extra metadata (category, difficulty, source)
+   * @returns {Promise<number>} Number of questions newly added
+   */
+  async addQuestions(questions, filters = {}, meta = {}) {
+    await this.load();
+
+    const knownTexts = new Set(this.bank.questions.map(entry => this.normalizeText(entry.question.question)));
+    let added = 0;
+
+    questions.forEach(question => {
+      if (!question || !question.question) return;
+
+      const normalized = this.normalizeText(question.question);
+      if (knownTexts.has(normalized)) return;
+      knownTexts.add(normalized);
+
+      this.bank.questions.push(this.createEntry(question, filters, meta));
+      added++;
+    });
+
+    if (added > 0) {
+      await this.save();
+      this.logger.success(`Saved ${added} questions to the question bank (${this.bank.questions.length} total)`);
+    }
+
+    return added;
+  }
+
+  /**
+   * Build a bank entry from a question and its generation context
+   */
+  createEntry(question, filters, meta) {
+    const countries = Array.isArray(filters.countries) && filters.countries.length > 0
+      ? filters.countries
+      : ['all_countries'];
+
+    return {
+      id: question.id || `bank_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`,
+      question: {
+        ...question,
+        generatedAt: question.generatedAt instanceof Date
+          ? question.generatedAt.toISOString()
+          : question.generatedAt || new Date().toISOString()
+      },
+      category: question.category || meta.category || 'legendary_moments',
+      era: filters.era || 'all_eras',
+      countries,
+      difficulty: question.difficulty || meta.difficulty || 'medium',
+      source: meta.source || 'unknown',
+      savedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Draw questions for a new game, honouring filters and the repeat window
+   * @param {Object} [filters] - Player's game filters
+   * @param {number} [count]
+   * @param {Object} [options]
+   * @param {Array<string>} [options.categories] - Restrict to these categories
+   * @param {string} [options.difficulty] - Restrict to one difficulty
+   * @param {Array<string>} [options.excludeIds] - Leave out these questions (e.g. ones already in the game)
+   * @returns {Promise<Array<Object>>} Trivia questions, shuffled
+   */
+  async drawQuestions(filters = {}, count = 10, options = {}) {
+    await this.load();
+
+    const recentIds = this.getRecentlyPlayedIds();
+    const excludedIds = new Set(options.excludeIds || []);
+    const candidates = this.bank.questions.filter(entry =>
+      !recentIds.has(entry.id) &&
+      !excludedIds.has(entry.id) &&
+      this.matchesFilters(entry, filters) &&
+      (!options.categories || options.categories.includes(entry.category)) &&
+      (!options.difficulty || entry.difficulty === options.difficulty)
+    );
+
+    return this.shuffle(candidates)
+      .slice(0, count)
+      .map(entry => this.toQuestion(entry));
+  }
+
+  /**
+   * Record the questions served in a finished (or abandoned) game
+   * @param {Array<string>} questionIds
+   */
+  async recordGame(questionIds) {
+    await this.load();
+
+    if (!questionIds || questionIds.length === 0) return;
+
+    this.bank.recentGames.push(questionIds);
+    if (this.bank.recentGames.length > this.repeatWindow) {
+      this.bank.recentGames = this.bank.recentGames.slice(-this.repeatWindow);
+    }
+
+    await this.save();
+  }
+
+  /**
+   * Get IDs of questions played in the last N games
+   */
+  getRecentlyPlayedIds() {
+    const window = this.repeatWindow > 0 ? this.bank.recentGames.slice(-this.repeatWindow) : [];
+    return new Set(window.flat());
+  }
+
+  /**
+   * Check whether a bank entry matches the player's filters
+   */
+  matchesFilters(entry, filters) {
+    const { era, countries } = filters;
+
+    if (era && era !== 'all_eras' && entry.era !== era) {
+      return false;
+    }
+
+    if (countries && countries.length > 0 && !countries.includes('all_countries')) {
+      return entry.countries.some(country => countries.includes(country));
+    }
+
+    return true;
+  }
+
+  /**
+   * Convert a bank entry back into a playable question
+   */
+  toQuestion(entry) {
+    return {
+      ...entry.question,
+      id: entry.id,
+      category: entry.category,
+      difficulty: entry.difficulty,
+      generatedAt: new Date(entry.question.generatedAt)
+    };
+  }
+
+  /**
+   * Find saved questions by provenance, newest first
+   * @param {Object} query - See matchesProvenance (model, promptId, promptVersion, anecdote, source, since)
+   * @returns {Promise<Array<Object>>} Trivia questions with their provenance
+   */
+  async findByProvenance(query = {}) {
+    await this.load();
+
+    return this.bank.questions
+      .filter(entry => matchesProvenance(entry.question, query))
+      .sort((a, b) => String(b.question.provenance.createdAt).localeCompare(String(a.question.provenance.createdAt)))
+      .map(entry => this.toQuestion(entry));
+  }
+
+  /**
+   * Count questions available for the given filters (ignores the repeat window)
+   */
+  async countQuestions(filters = {}) {
+    await this.load();
+    return this.bank.questions.filter(entry => this.matchesFilters(entry, filters)).length;
+  }
+
+  /**
+   * Get a summary of the bank contents
+   */
+  async getStats() {
+    await this.load();
+
+    const byCategory = {};
+    const byEra = {};
+    this.bank.questions.forEach(entry => {
+      byCategory[entry.category] = (byCategory[entry.category] || 0) + 1;
+      byEra[entry.era] = (byEra[entry.era] || 0) + 1;
+    });
+
+    return {
+      totalQuestions: this.bank.questions.length,
+      gamesTracked: this.bank.recentGames.length,
+      repeatWindow: this.repeatWindow,
+      byCategory,
+      byEra
+    };
+  }
+
+  /**
+   * Remove every question and game record
+   */
+  async clear() {
+    // Let a read in progress finish first so it can't bring the old bank back
+    await this.load();
+    this.bank = this.createEmptyBank();
+    await this.save();
+  }
+
+  /**
+   * Normalize question text for duplicate detection
+   */
+  normalizeText(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+
+  /**
+   * Fisher-Yates shuffle (returns a new array)
+   */
+  shuffle(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+}
+
+export { STORAGE_KEY as QUESTION_BANK_STORAGE_KEY, DEFAULT_REPEAT_WINDOW };
+export default QuestionBankService;
@@ -0,0 +1,222 @@
+/**
+ * Shared Question History Service
+ *
+ * Remembers the questions a player has seen (app) or a pipeline has generated
+ * (CLI) as fingerprints, and rejects new questions that are near-duplicates of
+ * anything in that history - or of each other - before they are served.
+ * Works with both CLI and UI through an injected AsyncStorage-style storage adapter.
+ */
+
+import {
+  createFingerprint,
+  compareFingerprints,
+  DEFAULT_SIMILARITY_THRESHOLD
+} from '../utils/question-fingerprint.js';
+
+const DEFAULT_STORAGE_KEY = 'cricket_question_history';
+const HISTORY_VERSION = 1;
+
+// Oldest entries are forgotten beyond this many questions
+const DEFAULT_MAX_ENTRIES = 2000;
+
+class QuestionHistoryService {
+  /**
+   * @param {Object} [options]
+   * @param {{ getItem: (key: string) => Promise<string | null>, setItem: (key: string, value: string) => Promise<void> }} [options.storage] - AsyncStorage-compatible adapter
+   * @param {string} [options.storageKey] - Storage key for this history
+   * @param {number} [options.threshold] - Similarity (0-1) at which questions count as duplicates
+   * @param {number} [options.maxEntries] - Maximum questions remembered
+   * @param {Object} [options.logger]
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || null;
+    this.storageKey = options.storageKey || DEFAULT_STORAGE_KEY;
+    this.threshold = options.threshold ?? DEFAULT_SIMILARITY_THRESHOLD;
+    this.maxEntries = options.maxEntries ?? DEFAULT_MAX_ENTRIES;
+    this.logger = options.logger || {
+      info: (msg) => console.log(msg),
+      warn: (msg) => console.warn(msg),
+      error: (msg) => console.error(msg),
+      success: (msg) => console.log(msg),
+    };
+
+    this.history = this.createEmptyHistory();
+    this.loading = null;
+  }
+
+  /**
+   * Create an empty history structure
+   */
+  createEmptyHistory() {
+    return {
+      version: HISTORY_VERSION,
+      entries: []
+    };
+  }
+
+  /**
+   * Load the history from storage (only once per instance). Callers that
+   * arrive while it is loading wait for the same read.
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.readFromStorage();
+    }
+    return this.loading;
+  }
+
+  /**
+   * Read the stored history into memory
+   */
+  async readFromStorage() {
+    if (!this.storage) return;
+
+    try {
+      const stored = await this.storage.getItem(this.storageKey);
+      if (stored) {
+        const parsed = JSON.parse(stored);
+        this.history = {
+          ...this.createEmptyHistory(),
+          ...parsed,
+          entries: Array.isArray(parsed.entries) ? parsed.entries : []
+        };
+      }
+    } catch (error) {
+      this.logger.error(`Failed to load question history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Persist the history to storage
+   */
+  async save() {
+    if (!this.storage) return;
+
+    try {
+      await this.storage.setItem(this.storageKey, JSON.stringify(this.history));
+    } catch (error) {
+      this.logger.error(`Failed to save question history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the remembered question most similar to a question
+   * @param {Object} question
+   * @returns {Promise<{ entry: Object, similarity: number } | null>} Closest match at or above the threshold
+   */
+  async findDuplicate(question) {
+    await this.load();
+    return this.findMatch(createFingerprint(question), this.history.entries);
+  }
+
+  /**
+   * Closest candidate at or above the threshold
+   */
+  findMatch(fingerprint, candidates) {
+    let best = null;
+
+    candidates.forEach(candidate => {
+      const similarity = compareFingerprints(fingerprint, candidate.fingerprint);
+      if (similarity >= this.threshold && (!best || similarity > best.similarity)) {
+        best = { entry: candidate, similarity };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Split questions into new ones and near-duplicates of the history or of
+   * earlier questions in the same list. Nothing is remembered yet.
+   * @param {Array<Object>} questions
+   * @returns {Promise<{ questions: Array<Object>, duplicates: Array<{ question: Object, duplicateOf: string, similarity: number }> }>}
+   */
+  async filterNew(questions) {
+    await this.load();
+
+    const fresh = [];
+    const duplicates = [];
+    const batch = [];
+
+    questions.forEach(question => {
+      if (!question || !question.question) return;
+
+      const fingerprint = createFingerprint(question);
+      const match = this.findMatch(fingerprint, this.history.entries) || this.findMatch(fingerprint, batch);
+
+      if (match) {
+        duplicates.push({ question, duplicateOf: match.entry.question, similarity: Math.round(match.similarity * 100) / 100 });
+        return;
+      }
+
+      batch.push({ question: question.question, fingerprint });
+      fresh.push(question);
+    });
+
+    if (duplicates.length > 0) {
+      this.logger.info(`Rejected ${duplicates.length} near-duplicate question${duplicates.length === 1 ? '' : 's'}`);
+    }
+
+    return { questions: fresh, duplicates };
+  }
+
+  /**
+   * Remember questions as seen or generated
+   * @param {Array<Object>} questions
+   * @param {Object} [meta] - Extra metadata stored with each entry (e.g. source)
+   * @returns {Promise<number>} Number of questions newly remembered
+   */
+  async remember(questions, meta = {}) {
+    await this.load();
+
+    const known = new Set(this.history.entries.map(entry => entry.question));
+    const now = new Date().toISOString();
+    let added = 0;
+
+    questions.forEach(question => {
+      if (!question || !question.question || known.has(question.question)) return;
+      known.add(question.question);
+
+      this.history.entries.push({
+        question: question.question,
+        fingerprint: createFingerprint(question),
+        seenAt: now,
+        ...meta
+      });
+      added++;
+    });
+
+    if (added === 0) return 0;
+
+    // Forget the oldest questions once the history is full
+    if (this.history.entries.length > this.maxEntries) {
+      this.history.entries = this.history.entries.slice(-this.maxEntries);
+    }
+
+    await this.save();
+    return added;
+  }
+
+  /**
+   * Number of remembered questions
+   */
+  async getSize() {
+    await this.load();
+    return this.history.entries.length;
+  }
+
+  /**
+   * Forget all remembered questions
+   */
+  async clear() {
+    // Let a read in progress finish first so it can't bring the old history back
+    await this.load();
+    this.history = this.createEmptyHistory();
+    await this.save();
+    this.logger.info('Question history cleared');
+  }
+}
+
+export { DEFAULT_STORAGE_KEY as QUESTION_HISTORY_STORAGE_KEY, DEFAULT_MAX_ENTRIES };
+export default QuestionHistoryService;
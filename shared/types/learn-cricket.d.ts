@@ -2,11 +2,24 @@
  * TypeScript definitions for Learn Cricket shared service
  */
 
+/** Question formats (shared/utils/question-formats.js) */
+export type QuestionFormat = 'multiple_choice' | 'true_false' | 'multi_select' | 'ordering' | 'numeric' | 'match_pairs';
+
+/** Option index, option indexes, guess or pair indexes, depending on the format */
+export type QuestionAnswer = number | number[];
+
 export interface LearnCricketQuestion {
   id: string;
   question: string;
   options: string[];
-  correctAnswer: number;
+  correctAnswer?: number;  // multiple_choice and true_false
+  format?: QuestionFormat;
+  correctAnswers?: number[];
+  correctOrder?: number[];
+  numericAnswer?: number;
+  tolerance?: number;
+  unit?: string;
+  pairs?: Array<{ left: string; right: string }>;
   explanation: string;
   topic: string;
   difficulty: 'beginner' | 'intermediate' | 'advanced';
@@ -23,9 +36,11 @@ export interface PerformanceMetrics {
 
 export interface GenerationContext {
   overNumber: number;
+  totalOvers?: number;
   previousQuestions?: LearnCricketQuestion[];
-  previousAnswers?: number[];
+  previousAnswers?: QuestionAnswer[];
   performance?: PerformanceMetrics;
+  focusTopics?: string[];
 }
 
 export interface Logger {
@@ -37,19 +52,26 @@ export interface Logger {
 
 export interface OpenRouterService {
   callOpenRouterAPI: (params: any) => Promise<any>;
+  requestStructured: (params: any, outputSchema: { name: string; schema: object }) => Promise<{ data: any; response: any; errors: string[] }>;
+}
+
+export interface QuestionHistory {
+  filterNew: (questions: LearnCricketQuestion[]) => Promise<{ questions: LearnCricketQuestion[]; duplicates: any[] }>;
 }
 
 export interface LearnCricketServiceOptions {
   logger?: Logger;
   openRouterService?: OpenRouterService;
   model?: string;
+  questionHistory?: QuestionHistory;
+  formats?: QuestionFormat[]; // Formats an over may mix in besides multiple choice
 }
 
 export declare class LearnCricketService {
   constructor(options?: LearnCricketServiceOptions);
   
   generateOverQuestions(context?: GenerationContext): Promise<LearnCricketQuestion[]>;
-  calculatePerformance(questions: LearnCricketQuestion[], userAnswers: number[]): PerformanceMetrics;
+  calculatePerformance(questions: LearnCricketQuestion[], userAnswers: QuestionAnswer[]): PerformanceMetrics;
   formatQuestionsForDisplay(questions: LearnCricketQuestion[]): any[];
   parseUserAnswers(input: string): number[];
 }
\ No newline at end of file
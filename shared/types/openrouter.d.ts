@@ -33,6 +33,11 @@ export interface OpenRouterRequest {
   }>;
   temperature?: number;
   max_tokens?: number;
+  /** JSON Schema output format; dropped for models that don't support it */
+  response_format?: {
+    type: 'json_schema';
+    json_schema: { name: string; strict: boolean; schema: object };
+  };
 }
 
 export interface OpenRouterResponse {
@@ -43,10 +48,14 @@ export interface OpenRouterResponse {
   }>;
 }
 
+/** Question formats (shared/utils/question-formats.js) */
+export type QuestionFormat = 'multiple_choice' | 'true_false' | 'multi_select' | 'ordering' | 'numeric' | 'match_pairs';
+
 export interface QuestionGenerationRequest {
   category?: string;
   difficulty?: 'easy' | 'medium' | 'hard';
   count?: number;
+  format?: QuestionFormat; // Defaults to multiple_choice
   filters?: {
     era?: string;
     countries?: string[];
@@ -66,12 +75,50 @@ export interface TriviaQuestion {
   id: string;
   question: string;
   options: string[];
-  correctAnswer: number;
+  correctAnswer?: number;  // multiple_choice and true_false
+  format?: QuestionFormat;
+  correctAnswers?: number[];
+  correctOrder?: number[];
+  numericAnswer?: number;
+  tolerance?: number;
+  unit?: string;
+  pairs?: Array<{ left: string; right: string }>;
   explanation: string;
   category: string;
   difficulty: string;
   generatedAt: Date;
   model: string;
+  source?: string;
+  provenance?: Provenance;
+}
+
+/** Raw rubric review from judgeQuestion (scored in shared/utils/question-judging.js) */
+export interface JudgeReview {
+  scores: Record<string, { score: number; reason: string }>;
+  summary: string;
+  model: string;
+  prompt: PromptTemplateRef;
+}
+
+export interface PromptTemplateRef {
+  id: string;
+  version: number;
+}
+
+/** A rendered prompt template (shared/prompts/PromptRegistry.js) */
+export interface RenderedPrompt extends PromptTemplateRef {
+  text: string;
+}
+
+/** Where generated output came from (shared/utils/provenance.js) */
+export interface Provenance {
+  model: string;
+  prompt: PromptTemplateRef | null;
+  filters: Record<string, unknown>;
+  anecdote: { id: string; title: string; model?: string | null; prompt?: PromptTemplateRef | null } | null;
+  sources: string[];
+  validation: Array<{ stage: string; passed: boolean; checkedAt: string; [detail: string]: unknown }>;
+  createdAt: string;
 }
 
 export interface CricketAnecdote {
@@ -80,18 +127,93 @@ export interface CricketAnecdote {
   key_facts: string[];
   search_context?: string;
   quality_score?: number;
+  sources?: string[];
+  provenance?: Provenance;
+}
+
+export type ModelPurpose = 'search' | 'creative' | 'fast';
+
+/** Output schema from shared/schemas/llm-output.js */
+export interface OutputSchema {
+  name: string;
+  schema: object;
+}
+
+export interface StructuredResult<T = any> {
+  data: T;
+  response: OpenRouterResponse;
+  /** Validation errors of whatever had to be dropped */
+  errors: string[];
+  /** The kept answer needed JSON repair */
+  repaired: boolean;
+  /** The kept answer came from the re-ask */
+  reasked: boolean;
+}
+
+export interface RequestPolicy {
+  timeoutMs: number;
+  retryAttempts: number;
+  maxConcurrentRequests: number;
+  backoffBaseMs: number;
+  backoffMaxMs: number;
+  circuitBreaker: {
+    failureThreshold: number;
+    cooldownMs: number;
+  };
+}
+
+export interface ModelUsage {
+  model: string;
+  calls: number;
+  promptTokens: number;
+  completionTokens: number;
+  cost: number;
+}
+
+export interface UsageSummary {
+  calls: number;
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+  cost: number;          // USD
+  maxCost: number | null;
+  budgetExceeded: boolean;
+  estimated: boolean;    // Some token counts were estimated from text length
+  byModel: ModelUsage[];
+}
+
+export interface UsageTracker {
+  readonly totalCost: number;
+  budgetExceeded: boolean;
+  reset(): void;
+  setBudget(maxCost: number | null): void;
+  getSummary(): UsageSummary;
 }
 
 export declare class OpenRouterService {
-  constructor(apiKey: string);
+  constructor(apiKey: string | null, options?: {
+    provider?: any;
+    requestPolicy?: Partial<RequestPolicy>;
+    fallbackChains?: Partial<Record<ModelPurpose, string[]>>;
+  });
   
   models: OpenRouterModels;
   defaultSearchModel: string;
   defaultCreativeModel: string;
   defaultFastModel: string;
+  usage: UsageTracker;
+  /** Structured requests, first answers that needed repair or failed validation, and unrecovered failures */
+  structuredStats: { requests: number; repaired: number; invalid: number; failed: number };
   
   // Main methods
-  callOpenRouterAPI(params: OpenRouterRequest): Promise<OpenRouterResponse>;
+  callOpenRouterAPI(params: OpenRouterRequest, options?: { purpose?: ModelPurpose }): Promise<OpenRouterResponse>;
+  requestStructured<T = any>(
+    params: OpenRouterRequest,
+    outputSchema: OutputSchema,
+    options?: { purpose?: ModelPurpose }
+  ): Promise<StructuredResult<T>>;
+  setRequestPolicy(policy?: Partial<RequestPolicy>): void;
+  getModelChain(model: string, purpose?: ModelPurpose): string[];
   generateQuestions(request: QuestionGenerationRequest): Promise<TriviaQuestion[]>;
   generateAnecdotes(request: AnecdoteGenerationRequest): Promise<CricketAnecdote[]>;
   generateQuestionsFromAnecdotes(request: {
@@ -99,6 +221,8 @@ export declare class OpenRouterService {
     count?: number;
     model?: string;
   }): Promise<TriviaQuestion[]>;
+  extractClaims(question: TriviaQuestion, model?: string | null): Promise<string[]>;
+  judgeQuestion(question: TriviaQuestion, options: { category: string; model?: string | null }): Promise<JudgeReview>;
   
   // Helper methods
   getAvailableModels(): {
@@ -109,10 +233,14 @@ export declare class OpenRouterService {
   testConnection(): Promise<{ success: boolean; model?: string; error?: string }>;
   
   // Internal methods (optional, for completeness)
-  protected buildDirectQuestionPrompt(request: QuestionGenerationRequest): string;
-  protected parseQuestionResponse(content: string): TriviaQuestion[];
-  protected extractJSONFromContent(content: string): any;
+  protected buildDirectQuestionPrompt(request: QuestionGenerationRequest): RenderedPrompt;
+  protected buildClaimExtractionPrompt(question: TriviaQuestion): RenderedPrompt;
+  protected buildJudgePrompt(question: TriviaQuestion, category: string): RenderedPrompt;
+  protected addQuestionMetadata(questions: Omit<TriviaQuestion, 'id' | 'generatedAt' | 'model'>[], provenance: Provenance): TriviaQuestion[];
+  protected createOutputProvenance(result: StructuredResult, prompt: PromptTemplateRef, filters: Record<string, unknown>): Provenance;
+  protected getResponseContent(response: OpenRouterResponse): string;
   protected log(color: string, ...args: any[]): void;
 }
 
-export declare function getOpenRouterService(): OpenRouterService;
\ No newline at end of file
+export declare function getOpenRouterService(): OpenRouterService;
+export declare function setRequestPolicy(policy: Partial<RequestPolicy>): void;
\ No newline at end of file
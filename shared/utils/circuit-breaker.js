@@ -0,0 +1,79 @@
+/**
+ * Circuit Breaker
+ *
+ * Tracks consecutive failures per key (a model id) and opens the circuit once
+ * they reach a threshold, so callers skip that model for a cooldown period.
+ * After the cooldown one trial request is let through (half-open): success
+ * closes the circuit, failure opens it again.
+ */
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open',
+};
+
+class CircuitBreaker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit
+   * @param {number} [options.cooldownMs] - How long an open circuit skips its key
+   * @param {() => number} [options.now] - Clock (ms)
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldownMs = options.cooldownMs || 60000;
+    this.now = options.now || (() => Date.now());
+    this.circuits = new Map();
+  }
+
+  /**
+   * Current state for a key
+   */
+  getState(key) {
+    const circuit = this.circuits.get(key);
+    if (!circuit || circuit.openedAt === null) return CIRCUIT_STATES.CLOSED;
+    return this.now() - circuit.openedAt >= this.cooldownMs
+      ? CIRCUIT_STATES.HALF_OPEN
+      : CIRCUIT_STATES.OPEN;
+  }
+
+  /**
+   * Whether a request for this key may be sent
+   */
+  canRequest(key) {
+    return this.getState(key) !== CIRCUIT_STATES.OPEN;
+  }
+
+  /**
+   * A request succeeded: close the circuit
+   */
+  recordSuccess(key) {
+    this.circuits.delete(key);
+  }
+
+  /**
+   * A request failed: open the circuit at the threshold, or again after a failed trial
+   */
+  recordFailure(key) {
+    const circuit = this.circuits.get(key) || { failures: 0, openedAt: null };
+    const halfOpen = this.getState(key) === CIRCUIT_STATES.HALF_OPEN;
+
+    circuit.failures++;
+    if (halfOpen || circuit.failures >= this.failureThreshold) {
+      circuit.openedAt = this.now();
+    }
+    this.circuits.set(key, circuit);
+  }
+
+  /**
+   * Keys whose circuit is not closed, for diagnostics
+   */
+  getOpenCircuits() {
+    return [...this.circuits.keys()]
+      .map(key => ({ key, state: this.getState(key), failures: this.circuits.get(key).failures }))
+      .filter(circuit => circuit.state !== CIRCUIT_STATES.CLOSED);
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,231 @@
+/**
+ * Cricsheet Match Parsing
+ *
+ * Turns a parsed Cricsheet match file (https://cricsheet.org) into the compact
+ * match record kept by CricketStatsService. Both layouts are read:
+ * - JSON (and newer YAML): `innings[].overs[].deliveries[]` with `batter`, a
+ *   `wickets` list and `info.registry.people` player ids
+ * - legacy YAML: `innings[]["1st innings"].deliveries[]` keyed by "over.ball",
+ *   with `batsman` and a single `wicket`
+ *
+ * Records keep player names; the stats store swaps them for indexes into its
+ * people table. Deliveries are stored as tuples (see DELIVERY_FIELDS) because
+ * they make up almost all of a match's size.
+ */
+
+// Order of the values in a stored delivery tuple
+export const DELIVERY_FIELDS = [
+  'over', 'batter', 'nonStriker', 'bowler', 'batterRuns', 'extras', 'extraType', 'playerOut', 'wicketKind'
+];
+
+// Dismissals credited to the bowler
+const BOWLER_WICKET_KINDS = ['bowled', 'caught', 'caught and bowled', 'lbw', 'stumped', 'hit wicket'];
+
+// Dismissals that don't cost the batting side a wicket
+const NOT_OUT_KINDS = ['retired hurt', 'retired not out'];
+
+const EXTRA_TYPES = ['wides', 'noballs', 'byes', 'legbyes', 'penalty'];
+
+/**
+ * Expand a stored delivery tuple into an object
+ * @param {any[]} tuple
+ * @returns {{ over: number, batter: any, nonStriker: any, bowler: any, batterRuns: number, extras: number, extraType: string | null, playerOut: any, wicketKind: string | null }}
+ */
+export function expandDelivery(tuple) {
+  const delivery = {};
+  DELIVERY_FIELDS.forEach((field, index) => {
+    delivery[field] = tuple[index] ?? null;
+  });
+  return delivery;
+}
+
+/**
+ * Whether a delivery counts towards the over (wides and no-balls are bowled again)
+ */
+export function isLegalDelivery(delivery) {
+  return delivery.extraType !== 'wides' && delivery.extraType !== 'noballs';
+}
+
+/**
+ * Whether a Cricsheet file looks like a match (and not a README or people register)
+ */
+export function isCricsheetMatch(data) {
+  return !!data && typeof data === 'object' && !!data.info && Array.isArray(data.innings);
+}
+
+/**
+ * Normalize one delivery from either layout
+ */
+function readDelivery(raw, over) {
+  const runs = raw.runs || {};
+  const extras = raw.extras || {};
+  const extraType = EXTRA_TYPES.find(type => extras[type]) || null;
+
+  // JSON lists every wicket on the ball; legacy YAML has at most one
+  const wickets = raw.wickets || (raw.wicket ? [raw.wicket] : []);
+  const wicket = wickets[0] || null;
+  const fielders = (wicket?.fielders || []).map(fielder => typeof fielder === 'string' ? fielder : fielder.name).filter(Boolean);
+
+  return {
+    over,
+    batter: raw.batter || raw.batsman,
+    nonStriker: raw.non_striker,
+    bowler: raw.bowler,
+    batterRuns: runs.batter ?? runs.batsman ?? 0,
+    extras: runs.extras ?? 0,
+    extraType,
+    boundary: !runs.non_boundary,
+    playerOut: wicket ? wicket.player_out : null,
+    wicketKind: wicket ? wicket.kind : null,
+    fielders
+  };
+}
+
+/**
+ * Deliveries of one innings in bowling order, from either layout
+ */
+function readInningsDeliveries(innings) {
+  if (Array.isArray(innings.overs)) {
+    return innings.overs.flatMap(over => (over.deliveries || []).map(raw => readDelivery(raw, over.over)));
+  }
+
+  // Legacy: [{ 0.1: {...} }, { 0.2: {...} }, ...]
+  return (innings.deliveries || []).flatMap(entry => Object.entries(entry)
+    .map(([ball, raw]) => readDelivery(raw, Math.floor(parseFloat(ball)))));
+}
+
+/**
+ * Legacy innings are wrapped in a "1st innings" / "2nd innings" key
+ */
+function unwrapInnings(entry) {
+  if (entry.team) return entry;
+  const [name, innings] = Object.entries(entry)[0] || [];
+  return innings ? { ...innings, superOver: /super over/i.test(name) } : null;
+}
+
+/**
+ * Batting and bowling cards for an innings
+ */
+function buildCards(deliveries) {
+  const batting = new Map();
+  const bowling = new Map();
+  const bowlerOvers = new Map();
+
+  const batterCard = name => {
+    if (!batting.has(name)) {
+      batting.set(name, { player: name, position: batting.size + 1, runs: 0, balls: 0, fours: 0, sixes: 0, dismissal: null });
+    }
+    return batting.get(name);
+  };
+  const bowlerCard = name => {
+    if (!bowling.has(name)) {
+      bowling.set(name, { player: name, balls: 0, runs: 0, wickets: 0, maidens: 0 });
+    }
+    return bowling.get(name);
+  };
+
+  deliveries.forEach(delivery => {
+    // Openers go in at 1 and 2 even when the non-striker has not faced yet
+    const batter = batterCard(delivery.batter);
+    if (delivery.nonStriker) batterCard(delivery.nonStriker);
+    const bowler = bowlerCard(delivery.bowler);
+
+    batter.runs += delivery.batterRuns;
+    if (delivery.extraType !== 'wides') batter.balls++;
+    if (delivery.boundary && delivery.batterRuns === 4) batter.fours++;
+    if (delivery.boundary && delivery.batterRuns === 6) batter.sixes++;
+
+    // Byes and leg byes are not charged to the bowler
+    const conceded = delivery.batterRuns +
+      (delivery.extraType === 'wides' || delivery.extraType === 'noballs' ? delivery.extras : 0);
+    bowler.runs += conceded;
+    if (isLegalDelivery(delivery)) bowler.balls++;
+
+    const overKey = `${delivery.bowler}|${delivery.over}`;
+    const over = bowlerOvers.get(overKey) || { bowler: delivery.bowler, balls: 0, runs: 0 };
+    over.balls += isLegalDelivery(delivery) ? 1 : 0;
+    over.runs += conceded;
+    bowlerOvers.set(overKey, over);
+
+    if (delivery.playerOut && !NOT_OUT_KINDS.includes(delivery.wicketKind)) {
+      const credited = BOWLER_WICKET_KINDS.includes(delivery.wicketKind);
+      batterCard(delivery.playerOut).dismissal = {
+        kind: delivery.wicketKind,
+        bowler: credited ? delivery.bowler : null,
+        fielders: delivery.fielders
+      };
+      if (credited) bowler.wickets++;
+    }
+  });
+
+  bowlerOvers.forEach(over => {
+    if (over.balls >= 6 && over.runs === 0) bowling.get(over.bowler).maidens++;
+  });
+
+  return { batting: [...batting.values()], bowling: [...bowling.values()] };
+}
+
+/**
+ * Compact match record from a parsed Cricsheet file
+ * @param {Object} data - Parsed JSON or YAML
+ * @param {string} id - Cricsheet match id (the file name)
+ * @returns {Object} Match record with player names
+ */
+export function parseCricsheetMatch(data, id) {
+  if (!isCricsheetMatch(data)) {
+    throw new Error('Not a Cricsheet match file (no info or innings)');
+  }
+
+  const { info } = data;
+  const dates = (info.dates || []).map(date => (date instanceof Date ? date.toISOString() : String(date)).slice(0, 10));
+  const outcome = info.outcome || {};
+  const event = typeof info.event === 'string' ? { name: info.event } : info.event || null;
+
+  const innings = data.innings
+    .map(unwrapInnings)
+    .filter(Boolean)
+    .map(entry => {
+      const deliveries = readInningsDeliveries(entry);
+      const { batting, bowling } = buildCards(deliveries);
+      return {
+        team: entry.team,
+        superOver: !!(entry.super_over || entry.superOver),
+        runs: deliveries.reduce((sum, delivery) => sum + delivery.batterRuns + delivery.extras, 0),
+        wickets: batting.filter(card => card.dismissal).length,
+        balls: deliveries.filter(isLegalDelivery).length,
+        extras: deliveries.reduce((sum, delivery) => sum + delivery.extras, 0),
+        target: entry.target?.runs ?? null,
+        batting,
+        bowling,
+        deliveries: deliveries.map(delivery => DELIVERY_FIELDS.map(field => delivery[field] ?? null))
+      };
+    });
+
+  return {
+    id: String(id),
+    date: dates[0] || null,
+    season: info.season !== undefined ? String(info.season) : (dates[0] || '').slice(0, 4),
+    matchType: info.match_type || null,
+    gender: info.gender || null,
+    event: event?.name || null,
+    matchNumber: event?.match_number ?? null,
+    stage: event?.stage || null,
+    venue: info.venue || null,
+    city: info.city || null,
+    teams: info.teams || [],
+    toss: info.toss ? { winner: info.toss.winner, decision: info.toss.decision } : null,
+    outcome: {
+      winner: outcome.winner || null,
+      byRuns: outcome.by?.runs ?? null,
+      byWickets: outcome.by?.wickets ?? null,
+      byInnings: !!outcome.by?.innings,
+      result: outcome.result || null,
+      method: outcome.method || null,
+      eliminator: outcome.eliminator || null
+    },
+    playerOfMatch: info.player_of_match || [],
+    // Registry ids (newer files) keep players apart when names repeat
+    playerIds: info.registry?.people || {},
+    innings
+  };
+}
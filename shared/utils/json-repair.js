@@ -0,0 +1,163 @@
+/**
+ * Tolerant JSON Parsing
+ *
+ * Models wrap JSON in prose or code fences and get the syntax slightly wrong.
+ * `parseLooseJSON` finds the JSON in a response and repairs the common faults
+ * before parsing: smart quotes, single-quoted strings, unquoted keys, trailing
+ * commas, raw newlines inside strings and responses cut off mid-array (the
+ * incomplete last element is dropped). Pure JS so it runs in both CLI and UI.
+ */
+
+const SMART_DOUBLE_QUOTES = ['“', '”', '„', '‟'];
+const SMART_SINGLE_QUOTES = ['‘', '’', '‚', '‛'];
+const CLOSING_BRACKETS = { '{': '}', '[': ']' };
+
+/**
+ * Kind of quote a character is, if any
+ */
+function getQuoteKind(char) {
+  if (char === '"' || SMART_DOUBLE_QUOTES.includes(char)) return 'double';
+  if (char === "'" || SMART_SINGLE_QUOTES.includes(char)) return 'single';
+  return null;
+}
+
+/**
+ * Whether a quote closes the current string. A string opened by a plain quote
+ * only closes on the same plain quote (smart quotes inside it are text); one
+ * opened by a smart quote closes on any quote of the same kind.
+ */
+function closesString(char, opener) {
+  if (opener === '"' || opener === "'") return char === opener;
+  return getQuoteKind(char) === getQuoteKind(opener);
+}
+
+/**
+ * Position of the first bracket of the expected root type (any root when not given)
+ */
+function findJSONStart(text, expect) {
+  const opener = expect === 'array' ? '[' : expect === 'object' ? '{' : null;
+  if (opener) return text.indexOf(opener);
+
+  const candidates = [text.indexOf('['), text.indexOf('{')].filter(index => index !== -1);
+  return candidates.length > 0 ? Math.min(...candidates) : -1;
+}
+
+/**
+ * Rewrite near-JSON as valid JSON in one pass
+ * @param {string} text - Text starting at the root bracket
+ * @returns {string}
+ */
+export function repairJSON(text) {
+  let output = '';
+  const stack = [];
+  let opener = null;             // Quote that opened the current string
+  let lastCompleteRootItem = -1; // Output length after the last complete element of the root
+
+  const dropTrailingComma = () => {
+    output = output.replace(/,\s*$/, '');
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (opener) {
+      if (char === '\\' && i + 1 < text.length) {
+        output += char + text[++i];
+      } else if (closesString(char, opener) &&
+        // An apostrophe followed by a letter is part of a word in a single-quoted string (don't)
+        !(getQuoteKind(opener) === 'single' && /[A-Za-z]/.test(text[i + 1] || ''))) {
+        output += '"';
+        opener = null;
+      } else if (char === '"') {
+        output += '\\"';
+      } else if (char === '\n') {
+        output += '\\n';
+      } else if (char === '\r') {
+        output += '\\r';
+      } else if (char === '\t') {
+        output += '\\t';
+      } else if (char < ' ') {
+        // Other control characters are invalid in JSON strings
+      } else {
+        output += char;
+      }
+      continue;
+    }
+
+    if (getQuoteKind(char)) {
+      output += '"';
+      opener = char;
+      continue;
+    }
+
+    if (char === '{' || char === '[') {
+      stack.push(char);
+      output += char;
+    } else if (char === '}' || char === ']') {
+      if (stack.length === 0) break;
+      dropTrailingComma();
+      output += CLOSING_BRACKETS[stack.pop()];
+      if (stack.length === 1) lastCompleteRootItem = output.length;
+      // Anything after the root closes is prose
+      if (stack.length === 0) return output;
+    } else if (char === ',' && stack.length === 1) {
+      output += char;
+      lastCompleteRootItem = output.length - 1;
+    } else if (/[A-Za-z_$]/.test(char) && !/[\d.]$/.test(output)) {
+      // Unquoted key or literal (not the exponent of a number)
+      let word = char;
+      while (i + 1 < text.length && /[\w$]/.test(text[i + 1])) {
+        word += text[++i];
+      }
+      output += ['true', 'false', 'null'].includes(word) ? word : JSON.stringify(word);
+    } else {
+      output += char;
+    }
+  }
+
+  // Truncated response: keep the complete elements of the root and close it
+  if (stack.length > 0) {
+    const root = stack[0];
+    if (root === '[' || lastCompleteRootItem !== -1) {
+      output = lastCompleteRootItem !== -1 ? output.slice(0, lastCompleteRootItem) : root;
+    }
+    dropTrailingComma();
+    output += CLOSING_BRACKETS[root];
+  }
+
+  return output;
+}
+
+/**
+ * Parse the JSON in a model response, repairing it if needed
+ * @param {string} content - Model response text
+ * @param {Object} [options]
+ * @param {'array' | 'object'} [options.expect] - Root type to look for
+ * @returns {{ value: any, repaired: boolean }}
+ */
+export function parseLooseJSON(content, options = {}) {
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new Error('Empty response');
+  }
+
+  const trimmed = content.trim();
+  try {
+    return { value: JSON.parse(trimmed), repaired: false };
+  } catch {
+    // Prose, code fences or broken syntax - repair below
+  }
+
+  const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/);
+  const source = fenced && findJSONStart(fenced[1], options.expect) !== -1 ? fenced[1] : trimmed;
+  const start = findJSONStart(source, options.expect);
+  if (start === -1) {
+    throw new Error(`No JSON ${options.expect || 'value'} found. Content preview: ${trimmed.substring(0, 200)}...`);
+  }
+
+  const repaired = repairJSON(source.slice(start));
+  try {
+    return { value: JSON.parse(repaired), repaired: true };
+  } catch (error) {
+    throw new Error(`Could not repair JSON (${error.message}). Content preview: ${trimmed.substring(0, 200)}...`);
+  }
+}
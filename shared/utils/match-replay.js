@@ -0,0 +1,312 @@
+/**
+ * Match Replay
+ *
+ * Turns an innings from the Cricsheet stats store into a "What happened next?"
+ * replay: the deliveries in order (with player names), the key deliveries the
+ * player predicts before they are bowled, and the scoreboard state after any
+ * number of deliveries, in the shape the app's scorecard components use.
+ *
+ * Key deliveries are a seeded mix of wickets, boundaries, dots and singles, so
+ * predicting "wicket" every time doesn't pay. Deliveries with extras or twos
+ * and threes are never key deliveries: their outcome isn't one of the choices.
+ */
+
+import { expandDelivery, isLegalDelivery } from './cricsheet.js';
+import { createRandom, describeMatch } from './stats-questions.js';
+import { MATCH_FORMATS } from '../config/constants.js';
+
+// What the player can predict for a key delivery
+export const REPLAY_OUTCOMES = ['dot', 'single', 'four', 'six', 'wicket'];
+
+// How the batter is out, asked after a correctly predicted wicket
+export const DISMISSAL_CHOICES = ['bowled', 'caught', 'lbw', 'run out', 'stumped'];
+
+// Share of the key deliveries for each outcome; singles and dots fill the rest
+const KEY_DELIVERY_MIX = { wicket: 0.3, six: 0.15, four: 0.2, dot: 0.2 };
+
+// Dismissals that don't cost the batting side a wicket
+const NOT_OUT_KINDS = ['retired hurt', 'retired not out'];
+
+const BALLS_PER_OVER = 6;
+
+/**
+ * Limited-overs format for a Cricsheet match type (null for multi-day matches)
+ */
+export function replayFormat(matchType) {
+  if (['ODI', 'ODM'].includes(matchType)) return MATCH_FORMATS.odi;
+  if (['T20', 'IT20'].includes(matchType)) return MATCH_FORMATS.t20;
+  return null;
+}
+
+/**
+ * Whether a delivery took a wicket
+ */
+function isWicket(delivery) {
+  return !!delivery.playerOut && !NOT_OUT_KINDS.includes(delivery.wicketKind);
+}
+
+/**
+ * Predictable outcome of a delivery, or null when it isn't one of REPLAY_OUTCOMES
+ * @param {{ batterRuns: number, extras: number, extraType: string | null, playerOut: any, wicketKind: string | null }} delivery
+ * @returns {'dot' | 'single' | 'four' | 'six' | 'wicket' | null}
+ */
+export function deliveryOutcome(delivery) {
+  if (isWicket(delivery)) return 'wicket';
+  if (delivery.extras > 0 || delivery.extraType) return null;
+
+  switch (delivery.batterRuns) {
+    case 0: return 'dot';
+    case 1: return 'single';
+    case 4: return 'four';
+    case 6: return 'six';
+    default: return null;
+  }
+}
+
+/**
+ * Dismissal choice for a wicket kind ("caught and bowled" counts as caught)
+ * @returns {string | null} One of DISMISSAL_CHOICES, or null for rare dismissals
+ */
+export function dismissalChoice(wicketKind) {
+  if (wicketKind === 'caught and bowled') return 'caught';
+  return DISMISSAL_CHOICES.includes(wicketKind) ? wicketKind : null;
+}
+
+/**
+ * Ball tracker symbol for a delivery
+ * @returns {'0' | '1' | '2' | '3' | '4' | '6' | 'W'}
+ */
+export function ballResultFor(delivery) {
+  if (isWicket(delivery)) return 'W';
+  if (delivery.batterRuns === 6) return '6';
+  const runs = delivery.batterRuns + delivery.extras;
+  if (runs >= 4) return '4';
+  return String(runs);
+}
+
+/**
+ * Commentary line for a bowled delivery ("Malinga to Tendulkar, FOUR")
+ */
+export function describeDelivery(delivery) {
+  const prefix = `${delivery.bowler} to ${delivery.batter}`;
+
+  if (isWicket(delivery)) {
+    return `${prefix}, OUT! ${delivery.playerOut} (${delivery.wicketKind})`;
+  }
+  if (delivery.extraType) {
+    const label = { wides: 'wide', noballs: 'no ball', byes: 'byes', legbyes: 'leg byes', penalty: 'penalty runs' }[delivery.extraType];
+    return `${prefix}, ${delivery.extras} ${label}` + (delivery.batterRuns ? ` and ${delivery.batterRuns} off the bat` : '');
+  }
+  if (delivery.batterRuns === 6) return `${prefix}, SIX`;
+  if (delivery.batterRuns === 4) return `${prefix}, FOUR`;
+  if (delivery.batterRuns === 0) return `${prefix}, no run`;
+  return `${prefix}, ${delivery.batterRuns} run${delivery.batterRuns === 1 ? '' : 's'}`;
+}
+
+/**
+ * Pick the key deliveries to predict
+ * @param {Array<Object>} deliveries - Expanded deliveries
+ * @param {{ count?: number, seed?: string | number }} [options]
+ * @returns {number[]} Delivery indexes, in bowling order
+ */
+export function selectKeyDeliveries(deliveries, { count = 12, seed = Date.now() } = {}) {
+  const random = createRandom(seed);
+  const byOutcome = {};
+  deliveries.forEach((delivery, index) => {
+    const outcome = deliveryOutcome(delivery);
+    // The first ball has no build-up to predict from
+    if (outcome && index > 0) {
+      (byOutcome[outcome] = byOutcome[outcome] || []).push(index);
+    }
+  });
+
+  const take = (indexes, quota) => {
+    const pool = [...indexes];
+    const picked = [];
+    while (pool.length > 0 && picked.length < quota) {
+      picked.push(pool.splice(Math.floor(random() * pool.length), 1)[0]);
+    }
+    return picked;
+  };
+
+  const selected = new Set();
+  Object.entries(KEY_DELIVERY_MIX).forEach(([outcome, share]) => {
+    take(byOutcome[outcome] || [], Math.round(count * share)).forEach(index => selected.add(index));
+  });
+
+  // Singles, then anything left, make up the count
+  const remaining = REPLAY_OUTCOMES.flatMap(outcome => byOutcome[outcome] || []).filter(index => !selected.has(index));
+  take((byOutcome.single || []).filter(index => !selected.has(index)), count - selected.size).forEach(index => selected.add(index));
+  take(remaining.filter(index => !selected.has(index)), count - selected.size).forEach(index => selected.add(index));
+
+  return [...selected].sort((a, b) => a - b);
+}
+
+/**
+ * Scoreboard after the first `count` deliveries of an innings
+ * @param {Array<Object>} deliveries - Expanded deliveries
+ * @param {number} count - Deliveries bowled so far
+ * @returns {Object} CricketGameState fields plus overRuns (runs per over)
+ */
+export function replayState(deliveries, count) {
+  const state = {
+    runs: 0,
+    wickets: 0,
+    balls: 0,
+    overs: '0.0',
+    currentOver: 0,
+    currentBall: 0,
+    boundaries: { fours: 0, sixes: 0 },
+    dotBalls: 0,
+    singles: 0,
+    strikeRate: 0,
+    runRate: 0,
+    ballResults: [],
+    overRuns: []
+  };
+
+  deliveries.slice(0, count).forEach(delivery => {
+    const runs = delivery.batterRuns + delivery.extras;
+    const over = Math.floor(state.balls / BALLS_PER_OVER);
+    state.runs += runs;
+    state.overRuns[over] = (state.overRuns[over] || 0) + runs;
+    if (isWicket(delivery)) state.wickets++;
+    if (delivery.batterRuns === 4) state.boundaries.fours++;
+    if (delivery.batterRuns === 6) state.boundaries.sixes++;
+
+    // Wides and no-balls are bowled again, so they don't take a slot in the over
+    if (isLegalDelivery(delivery)) {
+      state.ballResults[state.balls] = ballResultFor(delivery);
+      state.balls++;
+      if (runs === 0 && !isWicket(delivery)) state.dotBalls++;
+      if (runs === 1) state.singles++;
+    }
+  });
+
+  state.overs = `${Math.floor(state.balls / BALLS_PER_OVER)}.${state.balls % BALLS_PER_OVER}`;
+  state.currentOver = Math.floor(state.balls / BALLS_PER_OVER);
+  state.currentBall = state.balls % BALLS_PER_OVER;
+  state.runRate = state.balls > 0 ? (state.runs / state.balls) * BALLS_PER_OVER : 0;
+  state.strikeRate = state.balls > 0 ? (state.runs / state.balls) * 100 : 0;
+  return state;
+}
+
+/**
+ * Innings break summary for a complete innings
+ * @param {Array<Object>} deliveries - Expanded deliveries
+ * @param {{ powerplayOvers?: number, wickets?: number }} [format]
+ * @returns {Object} InningsSummary
+ */
+export function summarizeInnings(deliveries, { powerplayOvers = 0, wickets = 10 } = {}) {
+  const state = replayState(deliveries, deliveries.length);
+  const overRuns = Array.from(state.overRuns, runs => runs || 0);
+  const bestOver = overRuns.reduce((best, runs, index) =>
+    !best || runs > best.runs ? { over: index + 1, runs } : best, null);
+
+  return {
+    runs: state.runs,
+    wickets: state.wickets,
+    overs: state.overs,
+    runRate: state.runRate,
+    strikeRate: state.strikeRate,
+    boundaries: { ...state.boundaries },
+    dotBalls: state.dotBalls,
+    powerplayRuns: overRuns.slice(0, powerplayOvers).reduce((sum, runs) => sum + runs, 0),
+    bestOver,
+    allOut: state.wickets >= wickets,
+    overRuns
+  };
+}
+
+/**
+ * Deliveries of a stored innings with player names
+ */
+function expandInnings(innings, people) {
+  const name = index => (index === null || index === undefined ? null : people[index]?.name ?? 'Unknown');
+  return innings.deliveries.map(tuple => {
+    const delivery = expandDelivery(tuple);
+    return {
+      ...delivery,
+      batter: name(delivery.batter),
+      nonStriker: name(delivery.nonStriker),
+      bowler: name(delivery.bowler),
+      playerOut: name(delivery.playerOut)
+    };
+  });
+}
+
+/**
+ * Matches worth replaying: ball-by-ball data for every innings, knockouts first, then newest
+ * @param {{ matches: Array<Object> }} store - CricketStatsService store
+ * @returns {Array<{ id: string, title: string, date: string | null, result: string, innings: Array<{ index: number, team: string, score: string, superOver: boolean }> }>}
+ */
+export function listReplayMatches(store) {
+  return store.matches
+    .filter(match => match.innings.length > 0 && match.innings.every(innings => innings.deliveries.length > 0))
+    .sort((a, b) => (b.stage ? 1 : 0) - (a.stage ? 1 : 0) || (b.date || '').localeCompare(a.date || ''))
+    .map(match => ({
+      id: match.id,
+      title: describeMatch(match).replace(/^the /, ''),
+      date: match.date,
+      result: describeResult(match),
+      innings: match.innings
+        .map((innings, index) => ({ index, team: innings.team, score: `${innings.runs}/${innings.wickets}`, superOver: innings.superOver }))
+        .filter(innings => !innings.superOver)
+    }));
+}
+
+/**
+ * Result line for a match ("India won by 6 wickets")
+ */
+function describeResult({ outcome }) {
+  if (!outcome.winner) return outcome.result === 'tie' ? 'Match tied' : outcome.result === 'draw' ? 'Match drawn' : 'No result';
+  if (outcome.byInnings) return `${outcome.winner} won by an innings and ${outcome.byRuns} runs`;
+  if (outcome.byWickets) return `${outcome.winner} won by ${outcome.byWickets} wicket${outcome.byWickets === 1 ? '' : 's'}`;
+  if (outcome.byRuns) return `${outcome.winner} won by ${outcome.byRuns} run${outcome.byRuns === 1 ? '' : 's'}`;
+  return `${outcome.winner} won` + (outcome.eliminator ? ' (super over)' : '');
+}
+
+/**
+ * Build the replay of one innings
+ * @param {{ people: Array<{ name: string }>, matches: Array<Object> }} store - CricketStatsService store
+ * @param {string} matchId
+ * @param {number} inningsIndex
+ * @param {{ keyDeliveries?: number, seed?: string | number }} [options]
+ * @returns {Object | null} Replay, or null when the match or innings isn't in the store
+ */
+export function buildReplay(store, matchId, inningsIndex, { keyDeliveries = 12, seed = Date.now() } = {}) {
+  const match = store.matches.find(candidate => candidate.id === matchId);
+  const innings = match?.innings[inningsIndex];
+  if (!innings) return null;
+
+  const format = replayFormat(match.matchType);
+  const deliveries = expandInnings(innings, store.people);
+  const legalBalls = deliveries.filter(isLegalDelivery).length;
+
+  // A limited-overs second innings is a chase of the first
+  let chase = null;
+  if (format && inningsIndex === 1 && !innings.superOver) {
+    const first = match.innings[0];
+    const firstInnings = summarizeInnings(expandInnings(first, store.people), format);
+    chase = {
+      source: 'opposition',
+      teamName: first.team,
+      firstInnings,
+      target: innings.target ?? firstInnings.runs + 1
+    };
+  }
+
+  return {
+    matchId,
+    inningsIndex,
+    title: describeMatch(match).replace(/^the /, ''),
+    result: describeResult(match),
+    team: innings.team,
+    opposition: match.teams.find(team => team !== innings.team) || null,
+    totalOvers: format && !innings.superOver ? format.overs : Math.max(1, Math.ceil(legalBalls / BALLS_PER_OVER)),
+    powerplayOvers: format && !innings.superOver ? format.powerplayOvers : 0,
+    chase,
+    deliveries,
+    keyDeliveries: selectKeyDeliveries(deliveries, { count: keyDeliveries, seed })
+  };
+}
@@ -0,0 +1,159 @@
+/**
+ * Question Provenance
+ *
+ * Every generated question carries a provenance record saying where it came
+ * from: the model that answered, the prompt template (id and version), the
+ * filter and seed values it was generated with, the anecdote it was written
+ * from, the URLs it cites, each validation it went through and when it was made.
+ * Records are plain JSON so they survive the question bank, exports and packs.
+ */
+
+// Filter values worth keeping (EnhancedFilterSystem adds many more prompt-only fields)
+const PROVENANCE_FILTER_KEYS = [
+  'era', 'countries', 'questionStyle', 'matchType', 'conditions', 'tournament',
+  'playerRole', 'searchSeed', 'generationId'
+];
+
+/**
+ * Compact snapshot of the filters and seeds a question was generated with
+ * @param {Object} [filters] - Game filters or EnhancedFilterSystem output
+ * @param {Object} [extra] - Request values such as category and difficulty
+ */
+export function pickFilterValues(filters = {}, extra = {}) {
+  const picked = {};
+
+  PROVENANCE_FILTER_KEYS.forEach(key => {
+    if (filters?.[key] !== undefined && filters[key] !== null) {
+      picked[key] = filters[key];
+    }
+  });
+  Object.entries(extra).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      picked[key] = value;
+    }
+  });
+
+  return picked;
+}
+
+/**
+ * Whether a string looks like a link worth showing as a source
+ */
+function isUrl(value) {
+  return typeof value === 'string' && /^https?:\/\//i.test(value.trim());
+}
+
+/**
+ * Unique cited URLs, in order
+ */
+export function collectSources(...lists) {
+  const urls = lists.flat().filter(isUrl).map(url => url.trim());
+  return [...new Set(urls)];
+}
+
+/**
+ * Create a provenance record
+ * @param {Object} fields
+ * @param {string} fields.model - Model that produced the output
+ * @param {{ id: string, version: number }} fields.prompt - Prompt template used
+ * @param {Object} [fields.filters] - Result of pickFilterValues
+ * @param {{ id: string, title: string } | null} [fields.anecdote] - Source anecdote
+ * @param {string[]} [fields.sources] - Cited URLs
+ * @param {Array<Object>} [fields.validation] - Validation results so far
+ */
+export function createProvenance({ model, prompt, filters = {}, anecdote = null, sources = [], validation = [] }) {
+  return {
+    model: model || 'unknown',
+    prompt: prompt ? { id: prompt.id, version: prompt.version } : null,
+    filters,
+    anecdote,
+    sources: collectSources(sources),
+    validation,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Copy of a question with a validation result appended to its provenance
+ * @template {{ provenance?: Object }} T
+ * @param {T} question
+ * @param {string} stage - e.g. 'schema', 'structure', 'claims', 'validator'
+ * @param {boolean} passed
+ * @param {Object} [details] - Stage-specific results (errors, confidence, ...)
+ * @returns {T}
+ */
+export function withValidation(question, stage, passed, details = {}) {
+  if (!question.provenance) return question;
+
+  return {
+    ...question,
+    provenance: {
+      ...question.provenance,
+      validation: [
+        ...(question.provenance.validation || []),
+        { stage, passed, ...details, checkedAt: new Date().toISOString() }
+      ]
+    }
+  };
+}
+
+/**
+ * Parse a `--prompt` value: "id", "id@3", "v3" or "3"
+ * @returns {{ id?: string, version?: number }}
+ */
+export function parsePromptSelector(value) {
+  if (!value) return {};
+
+  const [idPart, versionPart] = String(value).split('@');
+  const versionOnly = idPart.match(/^v?(\d+)$/i);
+  if (versionOnly && versionPart === undefined) {
+    return { version: parseInt(versionOnly[1], 10) };
+  }
+
+  const selector = { id: idPart };
+  if (versionPart !== undefined) {
+    selector.version = parseInt(versionPart.replace(/^v/i, ''), 10);
+  }
+  return selector;
+}
+
+/**
+ * Whether a question's provenance matches a query
+ * @param {Object} question
+ * @param {Object} query
+ * @param {string} [query.model] - Model id (exact, or a substring such as "sonnet")
+ * @param {string} [query.promptId]
+ * @param {number} [query.promptVersion]
+ * @param {string} [query.anecdote] - Anecdote id or part of its title
+ * @param {string} [query.source] - Part of a cited URL
+ * @param {string|Date} [query.since] - Generated on or after
+ */
+export function matchesProvenance(question, query = {}) {
+  const provenance = question.provenance;
+  if (!provenance) return false;
+
+  if (query.model && !provenance.model.toLowerCase().includes(query.model.toLowerCase())) {
+    return false;
+  }
+  if (query.promptId && provenance.prompt?.id !== query.promptId) {
+    return false;
+  }
+  if (query.promptVersion !== undefined && provenance.prompt?.version !== query.promptVersion) {
+    return false;
+  }
+  if (query.anecdote) {
+    const anecdote = provenance.anecdote;
+    const needle = query.anecdote.toLowerCase();
+    if (!anecdote || (anecdote.id !== query.anecdote && !(anecdote.title || '').toLowerCase().includes(needle))) {
+      return false;
+    }
+  }
+  if (query.source && !provenance.sources.some(url => url.toLowerCase().includes(query.source.toLowerCase()))) {
+    return false;
+  }
+  if (query.since && new Date(provenance.createdAt) < new Date(query.since)) {
+    return false;
+  }
+
+  return true;
+}
@@ -0,0 +1,171 @@
+/**
+ * Question Fingerprinting
+ *
+ * Compact fingerprints for trivia questions so near-duplicates can be spotted
+ * even when the wording changes. A fingerprint holds:
+ * - answer: the normalized correct option (empty for true/false questions)
+ * - entities: capitalized names in the question (players, teams, grounds)
+ * - years: four-digit years in the question
+ * - shingles: hashed word bigrams of the question text
+ *
+ * Two questions are near-duplicates when their wording overlaps heavily, or
+ * when they share an answer and ask about the same names and years.
+ * Pure JS so it runs in both CLI and UI.
+ */
+
+import { hashString } from './request-hash.js';
+import { describeCorrectAnswer, isChoiceFormat, questionFormat } from './question-formats.js';
+
+// Similarity at or above which two questions count as the same question
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.75;
+
+const SHINGLE_SIZE = 2;
+
+// Words that carry no meaning for comparing questions
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'does', 'for', 'from', 'had',
+  'has', 'have', 'he', 'his', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'their',
+  'this', 'to', 'was', 'were', 'what', 'when', 'where', 'which', 'who', 'whom', 'whose', 'why',
+  'how', 'with'
+]);
+
+// Capitalized words that start sentences or questions rather than name things
+const NON_ENTITY_WORDS = new Set([
+  'the', 'in', 'on', 'at', 'during', 'when', 'after', 'before', 'with', 'which', 'who', 'what',
+  'where', 'why', 'how', 'his', 'her', 'their', 'this', 'that', 'only', 'and', 'but', 'for',
+  'name', 'identify'
+]);
+
+/**
+ * Lowercase, strip punctuation and collapse whitespace
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalize an answer so "The Oval" and "oval" compare equal
+ */
+function normalizeAnswer(answer) {
+  return normalizeText(answer).replace(/^(the|a|an) /, '');
+}
+
+function extractYears(text) {
+  return [...new Set(String(text || '').match(/\b(1[89]\d{2}|20\d{2})\b/g) || [])].sort();
+}
+
+function extractEntities(text) {
+  const names = String(text || '').match(/\b[A-Z][a-zA-Z'’-]+\b/g) || [];
+  return [...new Set(names
+    .map(name => normalizeText(name))
+    .filter(name => name && !NON_ENTITY_WORDS.has(name)))].sort();
+}
+
+function buildShingles(text) {
+  const words = normalizeText(text).split(' ').filter(word => word && !STOP_WORDS.has(word));
+  if (words.length < SHINGLE_SIZE) {
+    return words.map(word => hashString(word).slice(0, 8));
+  }
+
+  const shingles = new Set();
+  for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+    shingles.add(hashString(words.slice(i, i + SHINGLE_SIZE).join(' ')).slice(0, 8));
+  }
+  return [...shingles];
+}
+
+/**
+ * The answer that identifies a question's fact. "True" or "False" says nothing
+ * about which fact a statement is about, so true/false questions have none and
+ * are compared on their statement alone.
+ */
+function fingerprintAnswer(question) {
+  if (questionFormat(question) === 'true_false') return '';
+  if (isChoiceFormat(question)) {
+    return Array.isArray(question.options) ? question.options[question.correctAnswer] : '';
+  }
+  return describeCorrectAnswer(question);
+}
+
+/**
+ * Build a question's fingerprint
+ * @param {{ question: string, options?: string[], correctAnswer?: number, format?: string }} question
+ * @returns {{ answer: string, entities: string[], years: string[], shingles: string[] }}
+ */
+export function createFingerprint(question) {
+  return {
+    answer: normalizeAnswer(fingerprintAnswer(question)),
+    entities: extractEntities(question.question),
+    years: extractYears(question.question),
+    shingles: buildShingles(question.question)
+  };
+}
+
+/**
+ * Jaccard similarity of two lists treated as sets
+ */
+function jaccard(a, b) {
+  if (a.length === 0 && b.length === 0) return 0;
+  const setB = new Set(b);
+  const shared = a.filter(item => setB.has(item)).length;
+  return shared / (a.length + b.length - shared);
+}
+
+/**
+ * Share of the smaller list found in the other; `empty` when both are empty
+ */
+function overlap(a, b, empty) {
+  if (a.length === 0 && b.length === 0) return empty;
+  if (a.length === 0 || b.length === 0) return 0;
+  const setB = new Set(b);
+  return a.filter(item => setB.has(item)).length / Math.min(a.length, b.length);
+}
+
+/**
+ * Similarity of two fingerprints (0-1)
+ * @returns {number}
+ */
+export function compareFingerprints(a, b) {
+  const wording = jaccard(a.shingles, b.shingles);
+
+  // Same answer about the same names and years is the same fact, however it is phrased
+  const sameFact = a.answer && a.answer === b.answer
+    ? 0.5 + 0.3 * overlap(a.entities, b.entities, 0.5) + 0.2 * overlap(a.years, b.years, 1)
+    : 0;
+
+  const similarity = Math.max(wording, sameFact);
+
+  // "Who won the 1999 World Cup?" and "Who won the 2003 World Cup?" are different questions
+  const differentYears = a.years.length > 0 && b.years.length > 0 && overlap(a.years, b.years, 1) === 0;
+  return differentYears ? similarity / 2 : similarity;
+}
+
+/**
+ * Find near-duplicate pairs within a set of questions
+ * @param {Array<Object>} questions
+ * @param {number} [threshold]
+ * @returns {Array<{ index: number, duplicateOf: number, similarity: number }>} Later questions that repeat an earlier one
+ */
+export function findNearDuplicates(questions, threshold = DEFAULT_SIMILARITY_THRESHOLD) {
+  const fingerprints = questions.map(createFingerprint);
+  const duplicates = [];
+
+  fingerprints.forEach((fingerprint, index) => {
+    for (let earlier = 0; earlier < index; earlier++) {
+      const similarity = compareFingerprints(fingerprint, fingerprints[earlier]);
+      if (similarity >= threshold) {
+        duplicates.push({ index, duplicateOf: earlier, similarity });
+        break;
+      }
+    }
+  });
+
+  return duplicates;
+}
@@ -0,0 +1,284 @@
+/**
+ * Question Formats
+ *
+ * Answer shapes a question can take besides four-option multiple choice:
+ * true/false, multi-select, ordering ("arrange these captains
+ * chronologically"), numeric closest-guess ("how many runs did...") and
+ * match-the-pairs. Each format knows how to check its own structure, mark a
+ * player's answer and describe the right answer, so the validator, the CLI
+ * and both game screens treat every format the same way.
+ *
+ * Answers by format:
+ * - multiple_choice, true_false: index of the chosen option
+ * - multi_select: indexes of the chosen options
+ * - ordering: option indexes in the order the player arranged them
+ * - numeric: the number guessed
+ * - match_pairs: for each left item, the index of the pair whose right item was matched to it
+ */
+
+const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+/**
+ * Whether a value is a list of distinct option indexes below `count`
+ */
+function isIndexList(value, count) {
+  return Array.isArray(value) &&
+    value.every(index => Number.isInteger(index) && index >= 0 && index < count) &&
+    new Set(value).size === value.length;
+}
+
+/**
+ * Errors for a list of option texts with `min` to `max` entries
+ */
+function optionErrors(options, min, max) {
+  if (!Array.isArray(options) || options.length < min || options.length > max) {
+    return [min === max ? `Question must have exactly ${min} options` : `Question must have ${min} to ${max} options`];
+  }
+
+  return options
+    .map((option, index) => (!option || String(option).trim().length < 2 ? `Option ${index + 1} is too short or empty` : null))
+    .filter(Boolean);
+}
+
+/**
+ * Mark a single-choice answer
+ */
+function scoreChoice(question, answer) {
+  const isCorrect = answer === question.correctAnswer;
+  return { isCorrect, accuracy: isCorrect ? 1 : 0 };
+}
+
+export const QUESTION_FORMATS = {
+  multiple_choice: {
+    label: 'Multiple choice',
+    validate(question) {
+      const errors = optionErrors(question.options, 4, 4);
+      if (!Number.isInteger(question.correctAnswer) || question.correctAnswer < 0 || question.correctAnswer > 3) {
+        errors.push('Correct answer index must be between 0 and 3');
+      }
+      return errors;
+    },
+    score: scoreChoice,
+    describe: question => question.options[question.correctAnswer]
+  },
+
+  true_false: {
+    label: 'True or false',
+    validate(question) {
+      const errors = optionErrors(question.options, 2, 2);
+      if (question.correctAnswer !== 0 && question.correctAnswer !== 1) {
+        errors.push('Correct answer must be 0 (true) or 1 (false)');
+      }
+      return errors;
+    },
+    score: scoreChoice,
+    describe: question => question.options[question.correctAnswer]
+  },
+
+  multi_select: {
+    label: 'Select all that apply',
+    validate(question) {
+      const errors = optionErrors(question.options, 4, 6);
+      const count = question.options?.length || 0;
+      if (!isIndexList(question.correctAnswers, count) || question.correctAnswers.length < 2 ||
+        question.correctAnswers.length >= count) {
+        errors.push('Correct answers must list at least two, but not all, of the options');
+      }
+      return errors;
+    },
+    // Every right pick earns a share, every wrong pick takes one back
+    score(question, answer) {
+      const picks = Array.isArray(answer) ? answer : [];
+      const right = picks.filter(index => question.correctAnswers.includes(index)).length;
+      const wrong = picks.length - right;
+      const isCorrect = wrong === 0 && right === question.correctAnswers.length;
+      return { isCorrect, accuracy: Math.max(0, (right - wrong) / question.correctAnswers.length) };
+    },
+    describe: question => question.correctAnswers.map(index => question.options[index]).join(', ')
+  },
+
+  ordering: {
+    label: 'Put in order',
+    validate(question) {
+      const errors = optionErrors(question.options, 3, 6);
+      const count = question.options?.length || 0;
+      if (!isIndexList(question.correctOrder, count) || question.correctOrder.length !== count) {
+        errors.push('Correct order must list every option exactly once');
+      }
+      return errors;
+    },
+    // Share of items in the right position
+    score(question, answer) {
+      const order = Array.isArray(answer) ? answer : [];
+      const placed = question.correctOrder.filter((index, position) => order[position] === index).length;
+      const accuracy = placed / question.correctOrder.length;
+      return { isCorrect: accuracy === 1, accuracy };
+    },
+    describe: question => question.correctOrder.map(index => question.options[index]).join(' → ')
+  },
+
+  numeric: {
+    label: 'Closest guess',
+    validate(question) {
+      const errors = [];
+      if (typeof question.numericAnswer !== 'number' || !Number.isFinite(question.numericAnswer)) {
+        errors.push('Numeric answer must be a number');
+      }
+      if (typeof question.tolerance !== 'number' || question.tolerance < 0) {
+        errors.push('Tolerance must be zero or more');
+      }
+      return errors;
+    },
+    // Within the tolerance is right; further out, closeness falls off with the size of the answer
+    score(question, answer) {
+      const guess = typeof answer === 'number' && Number.isFinite(answer) ? answer : null;
+      if (guess === null) return { isCorrect: false, accuracy: 0 };
+
+      const error = Math.abs(guess - question.numericAnswer);
+      const isCorrect = error <= question.tolerance;
+      const accuracy = isCorrect ? 1 : Math.max(0, 1 - error / Math.max(Math.abs(question.numericAnswer), 1));
+      return { isCorrect, accuracy };
+    },
+    describe: question => `${question.numericAnswer}${question.unit ? ` ${question.unit}` : ''}` +
+      (question.tolerance > 0 ? ` (±${question.tolerance} accepted)` : '')
+  },
+
+  match_pairs: {
+    label: 'Match the pairs',
+    validate(question) {
+      const pairs = Array.isArray(question.pairs) ? question.pairs : [];
+      if (pairs.length < 3 || pairs.length > 5) {
+        return ['Question must have 3 to 5 pairs'];
+      }
+
+      const errors = [];
+      pairs.forEach((pair, index) => {
+        if (!pair?.left || String(pair.left).trim().length < 2 || !pair?.right || String(pair.right).trim().length < 2) {
+          errors.push(`Pair ${index + 1} is missing a side`);
+        }
+      });
+      if (new Set(pairs.map(pair => pair?.right)).size !== pairs.length) {
+        errors.push('Pairs must have distinct right-hand items');
+      }
+      return errors;
+    },
+    // Share of left items matched to their own right item
+    score(question, answer) {
+      const matches = Array.isArray(answer) ? answer : [];
+      const matched = question.pairs.filter((pair, index) => matches[index] === index).length;
+      const accuracy = matched / question.pairs.length;
+      return { isCorrect: accuracy === 1, accuracy };
+    },
+    describe: question => question.pairs.map(pair => `${pair.left} – ${pair.right}`).join('; ')
+  }
+};
+
+export const QUESTION_FORMAT_IDS = Object.keys(QUESTION_FORMATS);
+
+// Fields holding the answer for formats other than multiple choice
+export const FORMAT_ANSWER_FIELDS = ['correctAnswers', 'correctOrder', 'numericAnswer', 'tolerance', 'unit', 'pairs'];
+
+/**
+ * A question's format (questions without one are multiple choice)
+ * @param {{ format?: string }} question
+ * @returns {string}
+ */
+export function questionFormat(question) {
+  return question.format || 'multiple_choice';
+}
+
+/**
+ * Whether the question is answered by picking one option
+ */
+export function isChoiceFormat(question) {
+  const format = questionFormat(question);
+  return format === 'multiple_choice' || format === 'true_false';
+}
+
+/**
+ * Copy the format and its answer fields from a raw question (model output, pack file)
+ * @param {Object} raw
+ * @returns {Object} Only the fields that are set
+ */
+export function pickFormatFields(raw) {
+  const fields = {};
+  if (raw.format && raw.format !== 'multiple_choice') fields.format = raw.format;
+  FORMAT_ANSWER_FIELDS.forEach(field => {
+    if (raw[field] !== undefined && raw[field] !== null) fields[field] = raw[field];
+  });
+  return fields;
+}
+
+/**
+ * Fill in what a format implies but a model may leave out: true/false
+ * options and an empty options list for formats that have none
+ * @template {Object} T
+ * @param {T} question
+ * @returns {T}
+ */
+export function normalizeFormatQuestion(question) {
+  const format = questionFormat(question);
+  if (format === 'true_false' && !Array.isArray(question.options)) {
+    return { ...question, options: TRUE_FALSE_OPTIONS };
+  }
+  if ((format === 'numeric' || format === 'match_pairs') && !Array.isArray(question.options)) {
+    return { ...question, options: [] };
+  }
+  return question;
+}
+
+/**
+ * Check the answer structure of a question for its format
+ * @param {Object} question
+ * @returns {string[]} Errors (empty when valid)
+ */
+export function validateFormat(question) {
+  const format = QUESTION_FORMATS[questionFormat(question)];
+  if (!format) {
+    return [`Unknown question format: ${question.format}`];
+  }
+  return format.validate(question);
+}
+
+/**
+ * Mark a player's answer
+ * @param {Object} question
+ * @param {number | number[] | null} answer - See the answers by format above
+ * @returns {{ isCorrect: boolean, accuracy: number }} accuracy is the share of the answer that was right (0-1)
+ */
+export function scoreAnswer(question, answer) {
+  if (answer === null || answer === undefined) return { isCorrect: false, accuracy: 0 };
+  return QUESTION_FORMATS[questionFormat(question)].score(question, answer);
+}
+
+/**
+ * Whether a player's answer is right
+ */
+export function isAnswerCorrect(question, answer) {
+  return scoreAnswer(question, answer).isCorrect;
+}
+
+/**
+ * The right answer as text, e.g. "Tendulkar → Dravid → Ganguly"
+ * @param {Object} question
+ * @returns {string}
+ */
+export function describeCorrectAnswer(question) {
+  return String(QUESTION_FORMATS[questionFormat(question)].describe(question));
+}
+
+/**
+ * Template flags selecting the instructions for each format in the
+ * formatted-questions and learn-cricket-over prompts
+ * @param {string[]} formats
+ * @returns {{ trueFalse: boolean, multiSelect: boolean, ordering: boolean, numeric: boolean, matchPairs: boolean }}
+ */
+export function formatPromptFlags(formats) {
+  return {
+    trueFalse: formats.includes('true_false'),
+    multiSelect: formats.includes('multi_select'),
+    ordering: formats.includes('ordering'),
+    numeric: formats.includes('numeric'),
+    matchPairs: formats.includes('match_pairs')
+  };
+}
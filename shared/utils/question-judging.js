@@ -0,0 +1,101 @@
+/**
+ * Question Judging
+ *
+ * Rubric for the LLM judge review of generated questions and the A/B/C ranking
+ * it feeds. Each rubric criterion is scored 1-5 with a reason; the weighted
+ * criteria give a judge score (0-100) that is blended with the heuristic
+ * quality score (QuestionGenerator.calculateQuestionQuality) into the rank.
+ * Questions without a judgement are ranked on the heuristic alone.
+ */
+
+// Rubric criteria, in the order the judge prompt lists them. A question that
+// scores 2 or less on a blocking criterion fails review and ranks C.
+export const JUDGE_CRITERIA = [
+  { key: 'factualPlausibility', label: 'Factual plausibility', weight: 0.3, blocking: true },
+  { key: 'singleCorrectAnswer', label: 'Single correct answer', weight: 0.25, blocking: true },
+  { key: 'distractorPlausibility', label: 'Distractor plausibility', weight: 0.2, blocking: false },
+  { key: 'explanationQuality', label: 'Explanation quality', weight: 0.15, blocking: false },
+  { key: 'categoryFit', label: 'Category fit', weight: 0.1, blocking: false }
+];
+
+// Minimum rank score (0-100) for each grade. Questions ranked on the heuristic
+// alone have lower thresholds, since it rarely scores a question above 60.
+export const GRADE_THRESHOLDS = {
+  judge: { A: 80, B: 60 },
+  heuristic: { A: 55, B: 35 }
+};
+
+// Share of the rank score that comes from the judge when there is a judgement
+export const JUDGE_WEIGHT = 0.8;
+
+const FAILING_CRITERION_SCORE = 2;
+
+/**
+ * Weighted judge score (0-100) from 1-5 criterion scores
+ * @param {Object<string, { score: number }>} scores
+ * @returns {number}
+ */
+export function scoreJudgement(scores) {
+  const total = JUDGE_CRITERIA.reduce((sum, { key, weight }) => {
+    const score = scores[key]?.score ?? 1;
+    return sum + weight * (score - 1) / 4;
+  }, 0);
+  return Math.round(total * 100);
+}
+
+/**
+ * Blocking criteria a judgement fails
+ * @param {Object<string, { score: number }>} scores
+ * @returns {string[]} Criterion keys
+ */
+export function findFailedCriteria(scores) {
+  return JUDGE_CRITERIA
+    .filter(({ key, blocking }) => blocking && (scores[key]?.score ?? 1) <= FAILING_CRITERION_SCORE)
+    .map(({ key }) => key);
+}
+
+/**
+ * Grade for a rank score
+ * @param {number} score - 0-100
+ * @param {'judge' | 'heuristic'} basis - What the score was computed from
+ * @returns {'A' | 'B' | 'C'}
+ */
+export function gradeForScore(score, basis) {
+  const thresholds = GRADE_THRESHOLDS[basis];
+  if (score >= thresholds.A) return 'A';
+  if (score >= thresholds.B) return 'B';
+  return 'C';
+}
+
+/**
+ * Rank a question on its heuristic quality score and, when judged, its judgement
+ * @param {{ qualityScore?: number, judgement?: { score: number, passed: boolean } | null }} question
+ * @returns {{ grade: 'A' | 'B' | 'C', score: number, basis: 'judge' | 'heuristic' }}
+ */
+export function rankQuestion(question) {
+  const heuristic = question.qualityScore || 0;
+  const { judgement } = question;
+
+  if (!judgement) {
+    const score = Math.round(heuristic);
+    return { grade: gradeForScore(score, 'heuristic'), score, basis: 'heuristic' };
+  }
+
+  const score = Math.round(JUDGE_WEIGHT * judgement.score + (1 - JUDGE_WEIGHT) * heuristic);
+  return {
+    grade: judgement.passed ? gradeForScore(score, 'judge') : 'C',
+    score,
+    basis: 'judge'
+  };
+}
+
+/**
+ * Sort questions best first: by grade, then by rank score
+ * @template {{ rank?: { grade: string, score: number } }} T
+ * @param {T[]} questions
+ * @returns {T[]} The same array, sorted
+ */
+export function sortByRank(questions) {
+  return questions.sort((a, b) =>
+    (a.rank?.grade || 'C').localeCompare(b.rank?.grade || 'C') || (b.rank?.score || 0) - (a.rank?.score || 0));
+}
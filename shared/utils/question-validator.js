@@ -0,0 +1,207 @@
+/**
+ * Question Validation
+ *
+ * Validates AI-generated cricket trivia questions for quality,
+ * accuracy, and proper formatting before presenting to users.
+ * Pure JS so the app (src/utils/QuestionValidator.ts) and CLI tools such as
+ * `eval` apply the same rules.
+ */
+
+import { findNearDuplicates } from './question-fingerprint.js';
+import { normalizeFormatQuestion, questionFormat, validateFormat } from './question-formats.js';
+
+// Formats whose question text is a statement or an instruction
+const STATEMENT_FORMATS = ['true_false', 'ordering'];
+
+export class QuestionValidator {
+  
+  /**
+   * Validate a single trivia question
+   * @param {Object} question - Trivia question (question, options, correctAnswer or the answer fields of its format, explanation)
+   * @returns {{ isValid: boolean, errors: string[], suggestions?: string[] }}
+   */
+  static validateQuestion(question) {
+    const errors = [];
+    const suggestions = [];
+
+    // Basic structure validation
+    this.validateBasicStructure(question, errors);
+    
+    // Content quality validation
+    this.validateContentQuality(question, errors, suggestions);
+    
+    // Cricket context validation
+    this.validateCricketContext(question, errors, suggestions);
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      suggestions: suggestions.length > 0 ? suggestions : undefined,
+    };
+  }
+
+  /**
+   * Validate multiple questions for consistency and variety
+   * @param {Array<Object>} questions
+   * @returns {{ isValid: boolean, errors: string[], suggestions?: string[] }}
+   */
+  static validateQuestionSet(questions) {
+    const errors = [];
+    const suggestions = [];
+
+    if (questions.length === 0) {
+      errors.push('Question set cannot be empty');
+      return { isValid: false, errors };
+    }
+
+    // Check for duplicate questions
+    const questionTexts = questions.map(q => q.question.toLowerCase().trim());
+    const duplicates = questionTexts.filter((text, index) => questionTexts.indexOf(text) !== index);
+    if (duplicates.length > 0) {
+      errors.push('Duplicate questions detected');
+    }
+
+    // Check for the same question asked in different words
+    findNearDuplicates(questions)
+      .filter(({ index, duplicateOf }) => questionTexts[index] !== questionTexts[duplicateOf])
+      .forEach(({ index, duplicateOf }) => {
+        errors.push(`Question ${index + 1} repeats question ${duplicateOf + 1} in different words`);
+      });
+
+    // Check for variety in categories and difficulty
+    this.validateQuestionVariety(questions, suggestions);
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      suggestions: suggestions.length > 0 ? suggestions : undefined,
+    };
+  }
+
+  /**
+   * Validate basic question structure. Options and answer are checked
+   * by the question's format (shared/utils/question-formats.js).
+   */
+  static validateBasicStructure(question, errors) {
+    if (!question.question || question.question.trim().length < 10) {
+      errors.push('Question text must be at least 10 characters long');
+    }
+
+    errors.push(...validateFormat(normalizeFormatQuestion(question)));
+
+    if (!question.explanation || question.explanation.trim().length < 20) {
+      errors.push('Explanation must be at least 20 characters long');
+    }
+  }
+
+  /**
+   * Validate content quality and engagement
+   */
+  static validateContentQuality(question, errors, suggestions) {
+    const questionText = question.question.toLowerCase();
+    
+    // Check for boring statistical questions without context
+    const boringPatterns = [
+      /how many.*runs.*scored/,
+      /what.*average.*career/,
+      /when.*born/,
+      /in which year.*debut/
+    ];
+    
+    if (boringPatterns.some(pattern => pattern.test(questionText))) {
+      suggestions.push('Consider adding more context or storytelling to make the question more engaging');
+    }
+
+    // Check for good contextual elements
+    const contextualWords = ['during', 'when', 'after', 'famous', 'memorable', 'historic', 'legendary'];
+    const hasContext = contextualWords.some(word => questionText.includes(word));
+    
+    if (!hasContext) {
+      suggestions.push('Consider adding historical context or storytelling elements');
+    }
+
+    // Validate explanation quality
+    const explanation = question.explanation.toLowerCase();
+    if (explanation.length < 50) {
+      suggestions.push('Explanation could be more detailed to provide better learning value');
+    }
+
+    // Check if explanation adds value beyond just stating the answer
+    if (explanation.includes('the answer is') && !explanation.includes('because')) {
+      suggestions.push('Explanation should explain why the answer is correct, not just state it');
+    }
+  }
+
+  /**
+   * Validate cricket-specific context and accuracy
+   */
+  static validateCricketContext(question, errors, suggestions) {
+    const questionText = question.question.toLowerCase();
+    const cricketTerms = [
+      'cricket', 'bat', 'ball', 'wicket', 'run', 'over', 'innings', 'test', 'odi', 't20',
+      'bowler', 'batsman', 'fielder', 'captain', 'world cup', 'match', 'series'
+    ];
+    
+    const hasCricketContext = cricketTerms.some(term => questionText.includes(term));
+    if (!hasCricketContext) {
+      errors.push('Question must contain clear cricket context');
+    }
+
+    // Check for proper cricket terminology
+    const improperTerms = ['batter']; // Using 'batter' instead of 'batsman' in trivia context
+    improperTerms.forEach(term => {
+      if (questionText.includes(term)) {
+        suggestions.push(`Consider using traditional cricket terminology instead of '${term}'`);
+      }
+    });
+  }
+
+  /**
+   * Validate variety in question set
+   */
+  static validateQuestionVariety(questions, suggestions) {
+    const categories = questions.map(q => q.category);
+    const difficulties = questions.map(q => q.difficulty);
+    
+    const uniqueCategories = new Set(categories).size;
+    const uniqueDifficulties = new Set(difficulties).size;
+    
+    if (questions.length > 3 && uniqueCategories === 1) {
+      suggestions.push('Consider mixing question categories for better variety');
+    }
+    
+    if (questions.length > 5 && uniqueDifficulties === 1) {
+      suggestions.push('Consider varying difficulty levels for better engagement');
+    }
+  }
+
+  /**
+   * Auto-fix common issues in questions
+   * @template {{ question: string, explanation: string, options: string[] }} T
+   * @param {T} question
+   * @returns {T}
+   */
+  static autoFixQuestion(question) {
+    const fixed = { ...normalizeFormatQuestion(question) };
+    
+    // Trim whitespace
+    fixed.question = fixed.question.trim();
+    fixed.explanation = fixed.explanation.trim();
+    fixed.options = fixed.options.map(opt => opt.trim());
+    
+    // Ensure question ends with question mark (true/false statements and
+    // ordering instructions aren't questions)
+    if (!STATEMENT_FORMATS.includes(questionFormat(fixed)) && !fixed.question.endsWith('?')) {
+      fixed.question += '?';
+    }
+    
+    // Capitalize first letter of explanation
+    if (fixed.explanation.length > 0) {
+      fixed.explanation = fixed.explanation.charAt(0).toUpperCase() + fixed.explanation.slice(1);
+    }
+    
+    return fixed;
+  }
+}
+
+export default QuestionValidator;
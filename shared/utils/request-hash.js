@@ -0,0 +1,69 @@
+/**
+ * Request Hashing Utilities
+ *
+ * Deterministic keys for API requests so recorded responses can be looked up
+ * again on replay. Pure JS (no crypto module) so it runs in both CLI and UI.
+ */
+
+/**
+ * JSON.stringify with sorted object keys
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * 64-bit FNV-1a style hash (two 32-bit halves), returned as 16 hex characters
+ */
+export function hashString(text) {
+  let h1 = 0x811c9dc5;
+  let h2 = 0x01000193;
+
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 0x01000193);
+    h2 = Math.imul(h2 ^ code, 0x5bd1e995);
+  }
+
+  const toHex = (n) => (n >>> 0).toString(16).padStart(8, '0');
+  return `${toHex(h1)}${toHex(h2)}`;
+}
+
+/**
+ * Normalize message text so whitespace-only differences hash the same
+ */
+function normalizeContent(content) {
+  return typeof content === 'string' ? content.replace(/\s+/g, ' ').trim() : content;
+}
+
+/**
+ * Build the replay key for a chat completion request (model + messages)
+ * @param {Object} params - OpenAI-style request body
+ * @returns {string}
+ */
+export function hashLLMRequest(params) {
+  const normalized = {
+    model: params.model,
+    messages: (params.messages || []).map(message => ({
+      role: message.role,
+      content: normalizeContent(message.content)
+    }))
+  };
+
+  return hashString(stableStringify(normalized));
+}
+
+export default {
+  stableStringify,
+  hashString,
+  hashLLMRequest,
+};
@@ -0,0 +1,53 @@
+/**
+ * Retry Utilities
+ *
+ * Error classification and exponential backoff with jitter for API requests.
+ * Pure JS (no Node APIs) so it runs in both CLI and UI.
+ */
+
+// Statuses worth retrying on the same model: rate limited or server-side failure
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+
+// Statuses no other model can fix (bad key, no credits)
+const FATAL_STATUS = [401, 402, 403];
+
+/**
+ * Whether a failed request may succeed if sent again (429, 5xx, timeouts, network errors)
+ */
+export function isRetryableError(error) {
+  if (error.timeout) return true;
+  if (typeof error.status === 'number') {
+    return RETRYABLE_STATUS.includes(error.status) || error.status >= 500;
+  }
+  // fetch rejects with a TypeError when the network is unreachable
+  return error.name === 'TypeError';
+}
+
+/**
+ * Whether a failed request would fail on every model, so falling back is pointless
+ */
+export function isFatalError(error) {
+  return FATAL_STATUS.includes(error.status);
+}
+
+/**
+ * Delay before a retry: exponential backoff with full jitter, capped at maxMs.
+ * A Retry-After from the server wins when it is longer.
+ * @param {number} attempt - Retry number (0 for the first retry)
+ * @param {Object} options
+ * @param {number} options.baseMs - Delay ceiling for the first retry
+ * @param {number} options.maxMs - Largest delay ceiling
+ * @param {number} [options.retryAfterMs] - Delay requested by the server
+ * @param {() => number} [options.random] - Random source (0-1)
+ */
+export function getBackoffDelay(attempt, { baseMs, maxMs, retryAfterMs = 0, random = Math.random }) {
+  const ceiling = Math.min(maxMs, baseMs * Math.pow(2, attempt));
+  return Math.max(Math.round(random() * ceiling), Math.min(retryAfterMs, maxMs));
+}
+
+/**
+ * Resolve after the given number of milliseconds
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,111 @@
+/**
+ * Schema Validator
+ *
+ * Validates parsed model output against the JSON Schema subset used in
+ * shared/schemas (type, properties, required, items, enum, minItems/maxItems,
+ * minimum/maximum, minLength). Errors name the field that failed, so they can
+ * be sent back to the model when re-asking.
+ */
+
+/**
+ * JSON Schema type name of a value
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Whether a value has the schema's type (integers are also numbers)
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema
+ * @param {any} value
+ * @param {Object} schema - JSON Schema (subset)
+ * @param {string} [path] - Location of the value, for error messages
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateSchema(value, schema, path = '') {
+  const at = path || 'response';
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${at}: expected ${schema.type}, got ${typeOf(value)}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(schema.minLength === 1 ? `${at}: must not be empty` : `${at}: must be at least ${schema.minLength} characters`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${at}: must be at least ${schema.minimum}, got ${value}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${at}: must be at most ${schema.maximum}, got ${value}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at}: expected at least ${schema.minItems} items, got ${value.length}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${at}: expected at most ${schema.maxItems} items, got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${path ? `${path}.` : ''}${key}: is required`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path ? `${path}.` : ''}${key}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate each element of a list on its own, so one bad element doesn't sink the rest
+ * @param {any[]} items
+ * @param {Object} itemSchema
+ * @returns {{ valid: any[], errors: string[] }} Valid elements and the errors of the others
+ */
+export function validateItems(items, itemSchema) {
+  const valid = [];
+  const errors = [];
+
+  items.forEach((item, index) => {
+    const itemErrors = validateSchema(item, itemSchema, `[${index}]`);
+    if (itemErrors.length === 0) {
+      valid.push(item);
+    } else {
+      errors.push(...itemErrors);
+    }
+  });
+
+  return { valid, errors };
+}
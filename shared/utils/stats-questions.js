@@ -0,0 +1,626 @@
+/**
+ * Stats Question Generator
+ *
+ * Builds verifiable records_stats questions from the Cricsheet stats store
+ * (CricketStatsService) by template - "Which batsman top-scored in the 2011
+ * ICC World Cup final?" - with no LLM call. Answers and explanations are read
+ * from the match data, and distractors are real alternatives from the same
+ * data: the other batsmen in the match, margins and totals from comparable
+ * matches.
+ *
+ * Generation is deterministic: the same store, filters and seed always give
+ * the same questions. Question ids are stable per template and match, so the
+ * question history recognises a repeat however it is drawn.
+ */
+
+import { createProvenance, pickFilterValues } from './provenance.js';
+import { QuestionValidator } from './question-validator.js';
+
+const CRICSHEET_URL = 'https://cricsheet.org';
+
+// Years covered by each game era filter (the eras overlap in their labels; these don't)
+export const ERA_YEARS = {
+  golden_age: [0, 1949],
+  post_war_boom: [1950, 1969],
+  world_cup_era: [1970, 1999],
+  modern_era: [2000, 2009],
+  contemporary: [2010, 2019],
+  post_covid: [2020, 9999]
+};
+
+// How each Cricsheet match type reads in a question
+const MATCH_TYPE_LABELS = {
+  Test: 'Test',
+  ODI: 'ODI',
+  T20: 'T20',
+  IT20: 'T20',
+  ODM: 'one-day match',
+  MDM: 'first-class match'
+};
+
+// Match types with two innings a side
+const MULTI_INNINGS_TYPES = ['Test', 'MDM'];
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+const ORDINALS = ['first', 'second', 'third', 'fourth'];
+
+/**
+ * Seeded random number generator (mulberry32 over a hash of the seed)
+ * @param {string | number} seed
+ * @returns {() => number} Returns numbers in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = 2166136261;
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.charCodeAt(0), 16777619);
+  }
+
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let value = Math.imul(state ^ (state >>> 15), 1 | state);
+    value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Shuffled copy of a list
+ */
+function shuffle(items, random) {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+function matchYear(match) {
+  return parseInt((match.date || match.season || '').slice(0, 4), 10) || null;
+}
+
+/**
+ * Team name for a game country filter ("west_indies" -> "West Indies")
+ */
+function countryTeamName(country) {
+  return country.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Whether a match fits the game's era and country filters
+ * @param {Object} match - Stored match
+ * @param {{ era?: string, countries?: string[] }} [filters]
+ */
+export function matchesFilters(match, filters = {}) {
+  const years = ERA_YEARS[filters.era];
+  if (years) {
+    const year = matchYear(match);
+    if (!year || year < years[0] || year > years[1]) return false;
+  }
+
+  const countries = (filters.countries || []).filter(country => country !== 'all_countries');
+  if (countries.length > 0) {
+    const teams = countries.map(countryTeamName);
+    if (!match.teams.some(team => teams.includes(team))) return false;
+  }
+
+  return true;
+}
+
+function formatDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return `${day} ${MONTHS[month - 1]} ${year}`;
+}
+
+function formatOvers(balls) {
+  return balls % 6 ? `${Math.floor(balls / 6)}.${balls % 6}` : String(balls / 6);
+}
+
+function formatTotal(innings) {
+  return innings.wickets >= 10 ? `${innings.runs} all out` : `${innings.runs}/${innings.wickets}`;
+}
+
+function formatMargin({ byRuns, byWickets, byInnings }) {
+  if (byInnings) return `An innings and ${byRuns} runs`;
+  if (byWickets) return `${byWickets} wicket${byWickets === 1 ? '' : 's'}`;
+  return `${byRuns} run${byRuns === 1 ? '' : 's'}`;
+}
+
+/**
+ * Event name with its year ("2011 ICC World Cup"), unless the name has one
+ */
+function eventTitle(event, year) {
+  return /\b(19|20)\d{2}\b/.test(event) ? event : `${year} ${event}`;
+}
+
+/**
+ * How a question refers to a match: "the 2011 ICC World Cup final", or by
+ * teams, venue and date when it was not a knockout
+ * @param {Object} match
+ * @param {{ withTeams?: boolean }} [options] - Name the teams (false when the question already does)
+ */
+export function describeMatch(match, { withTeams = true } = {}) {
+  const year = matchYear(match);
+  const label = MATCH_TYPE_LABELS[match.matchType] || 'match';
+  const women = match.gender === 'female' && !/women/i.test(match.event || '') ? "women's " : '';
+  const [home, away] = match.teams;
+  const fixture = withTeams ? `the ${home} v ${away} ${women}${label}` : `their ${women}${label}`;
+  const venue = match.venue ? ` at ${match.venue.split(',')[0]}` : '';
+
+  if (match.event && match.stage) {
+    return `the ${eventTitle(match.event, year)} ${match.stage.toLowerCase()}`;
+  }
+  if (match.event) {
+    return `${fixture}${venue} during the ${eventTitle(match.event, year)}`;
+  }
+  return `${fixture}${venue} on ${match.date ? formatDate(match.date) : year}`;
+}
+
+/**
+ * Innings that count for records (super overs don't)
+ */
+function mainInnings(match) {
+  return match.innings.filter(innings => !innings.superOver);
+}
+
+/**
+ * Match totals per player: runs, balls, sixes, wickets and runs conceded
+ */
+function playerTotals(match) {
+  const totals = new Map();
+  const totalsFor = (player, team) => {
+    if (!totals.has(player)) {
+      totals.set(player, { player, team, runs: 0, balls: 0, sixes: 0, innings: 0, notOut: true, wickets: 0, conceded: 0, bowled: 0 });
+    }
+    return totals.get(player);
+  };
+
+  mainInnings(match).forEach(innings => {
+    const fielding = match.teams.find(team => team !== innings.team);
+    innings.batting.forEach(card => {
+      const total = totalsFor(card.player, innings.team);
+      total.runs += card.runs;
+      total.balls += card.balls;
+      total.sixes += card.sixes;
+      total.innings++;
+      total.notOut = total.notOut && !card.dismissal;
+    });
+    innings.bowling.forEach(card => {
+      const total = totalsFor(card.player, fielding);
+      total.wickets += card.wickets;
+      total.conceded += card.runs;
+      total.bowled += card.balls;
+    });
+  });
+
+  return [...totals.values()];
+}
+
+/**
+ * Values closest to the answer, picked at random from the nearest few so the
+ * answer isn't always the middle option; tops up with offsets when the data runs short
+ */
+function nearbyValues(correct, pool, count, random, { min = 1, max = Infinity, offsets = [4, -3, 9, -7, 15, -12, 21] } = {}) {
+  const candidates = [...new Set(pool)]
+    .filter(value => value !== correct && value >= min && value <= max)
+    .sort((a, b) => Math.abs(a - correct) - Math.abs(b - correct) || a - b);
+  const picked = shuffle(candidates.slice(0, count * 2), random).slice(0, count);
+
+  for (const offset of offsets) {
+    if (picked.length >= count) break;
+    const value = correct + offset;
+    if (value >= min && value <= max && value !== correct && !picked.includes(value)) {
+      picked.push(value);
+    }
+  }
+  return picked;
+}
+
+/**
+ * Difficulty from how well-known the match is
+ */
+function matchDifficulty(match) {
+  return match.stage ? 'medium' : 'hard';
+}
+
+// Question templates: a scope ('match' or 'event') and a builder returning
+// { question, answer, distractors, explanation, difficulty } or null when the
+// data can't support an unambiguous question. Templates in other formats
+// (shared/utils/question-formats.js) return a `format` and, instead of answer
+// and distractors: `isTrue` (true_false), `order` - the items in the right
+// order (ordering) - or `numericAnswer`, `tolerance` and `unit` (numeric)
+export const STATS_QUESTION_TEMPLATES = [
+  {
+    id: 'top-scorer',
+    scope: 'match',
+    build({ match, name }) {
+      const batsmen = playerTotals(match).filter(total => total.innings > 0);
+      const scores = mainInnings(match)
+        .flatMap(innings => innings.batting.map(card => ({ ...card, team: innings.team })))
+        .sort((a, b) => b.runs - a.runs);
+      const [top, next] = scores;
+      if (!top || top.runs < 20 || next?.runs === top.runs) return null;
+
+      const multiInnings = MULTI_INNINGS_TYPES.includes(match.matchType);
+      const distractors = batsmen
+        .filter(total => total.player !== top.player)
+        .sort((a, b) => b.runs - a.runs)
+        .slice(0, 3)
+        .map(total => name(total.player));
+
+      return {
+        question: multiInnings
+          ? `Which batsman made the highest individual score in ${describeMatch(match)}?`
+          : `Which batsman top-scored in ${describeMatch(match)}?`,
+        answer: name(top.player),
+        distractors,
+        explanation: `${name(top.player)} made ${top.runs}${top.dismissal ? '' : ' not out'} off ${top.balls} balls for ${top.team}. ` +
+          `The next highest score was ${next.runs} by ${name(next.player)}.`,
+        difficulty: matchDifficulty(match)
+      };
+    }
+  },
+  {
+    id: 'best-bowling',
+    scope: 'match',
+    build({ match, name }) {
+      const bowlers = playerTotals(match)
+        .filter(total => total.bowled > 0)
+        .sort((a, b) => b.wickets - a.wickets || a.conceded - b.conceded);
+      const [top, next] = bowlers;
+      if (!top || top.wickets < 2 || next?.wickets === top.wickets) return null;
+
+      const multiInnings = MULTI_INNINGS_TYPES.includes(match.matchType);
+      return {
+        question: `Which bowler took the most wickets in ${describeMatch(match)}?`,
+        answer: name(top.player),
+        distractors: bowlers.slice(1, 4).map(total => name(total.player)),
+        explanation: `${name(top.player)} took ${top.wickets} wickets for ${top.conceded} runs` +
+          (multiInnings ? ' in the match' : ` in ${formatOvers(top.bowled)} overs`) + ` for ${top.team}. ` +
+          `${name(next.player)} was next with ${next.wickets}.`,
+        difficulty: matchDifficulty(match)
+      };
+    }
+  },
+  {
+    id: 'winning-margin',
+    scope: 'match',
+    build({ match, store, random }) {
+      const { winner, byRuns, byWickets, byInnings, method } = match.outcome;
+      if (!winner || method || !(byRuns || byWickets)) return null;
+      const loser = match.teams.find(team => team !== winner);
+
+      // Margins of the same kind from comparable matches
+      const kind = byInnings ? 'byInnings' : byWickets ? 'byWickets' : 'byRuns';
+      const pool = store.matches
+        .filter(other => other.matchType === match.matchType && !other.outcome.method &&
+          (kind === 'byInnings' ? other.outcome.byInnings : !other.outcome.byInnings && other.outcome[kind]))
+        .map(other => kind === 'byWickets' ? other.outcome.byWickets : other.outcome.byRuns);
+      const correct = byWickets || byRuns;
+      const values = nearbyValues(correct, pool, 3, random, kind === 'byWickets' ? { max: 10, offsets: [1, -1, 2, -2, 3, -3] } : {});
+      const margin = value => formatMargin(kind === 'byWickets' ? { byWickets: value } : { byRuns: value, byInnings });
+
+      const scoreline = mainInnings(match).map(innings => `${innings.team} ${formatTotal(innings)}`).join(', ');
+      return {
+        question: `By how many ${byWickets ? 'wickets' : 'runs'} did ${winner} beat ${loser} in ${describeMatch(match, { withTeams: !match.stage })}?`,
+        answer: margin(correct),
+        distractors: values.map(margin),
+        explanation: `${winner} won by ${margin(correct).toLowerCase()}. Scores: ${scoreline}.`,
+        difficulty: matchDifficulty(match)
+      };
+    }
+  },
+  {
+    id: 'team-total',
+    scope: 'match',
+    build({ match, store, random }) {
+      const innings = mainInnings(match);
+      if (innings.length < 2) return null;
+      const index = Math.floor(random() * innings.length);
+      const chosen = innings[index];
+      if (chosen.runs < 50) return null;
+
+      // Totals from comparable innings, kept with their own wickets
+      const pool = store.matches
+        .filter(other => other.matchType === match.matchType && other.id !== match.id)
+        .flatMap(other => mainInnings(other));
+      const runs = nearbyValues(chosen.runs, pool.map(other => other.runs), 3, random, { min: 20 });
+      const wicketsFor = value => pool.find(other => other.runs === value)?.wickets ?? chosen.wickets;
+      const distractors = runs.map(value => formatTotal({ runs: value, wickets: wicketsFor(value) }));
+
+      const multiInnings = MULTI_INNINGS_TYPES.includes(match.matchType);
+      const teamInnings = innings.filter(other => other.team === chosen.team).indexOf(chosen);
+      const when = multiInnings ? `in their ${ORDINALS[teamInnings]} innings` : index === 0 ? 'batting first' : 'batting second';
+      return {
+        question: `What was ${chosen.team}'s innings total ${when} in ${describeMatch(match)}?`,
+        answer: formatTotal(chosen),
+        distractors,
+        explanation: `${chosen.team} made ${formatTotal(chosen)} in ${formatOvers(chosen.balls)} overs` +
+          (chosen.extras ? `, including ${chosen.extras} extras` : '') + '. ' +
+          (match.outcome.winner ? `${match.outcome.winner} won the match.` : `The match ended in a ${match.outcome.result || 'draw'}.`),
+        difficulty: 'hard'
+      };
+    }
+  },
+  {
+    id: 'player-of-match',
+    scope: 'match',
+    build({ match, name }) {
+      if (match.playerOfMatch.length !== 1) return null;
+      const [award] = match.playerOfMatch;
+
+      const totals = playerTotals(match);
+      const winner = totals.find(total => total.player === award);
+      if (!winner) return null;
+
+      // Other standout performers make the best distractors
+      const impact = total => total.runs + total.wickets * 20;
+      const distractors = totals
+        .filter(total => total.player !== award)
+        .sort((a, b) => impact(b) - impact(a))
+        .slice(0, 3)
+        .map(total => name(total.player));
+
+      const feats = [];
+      if (winner.innings > 0) feats.push(`made ${winner.runs}${winner.notOut && winner.innings === 1 ? ' not out' : ''}`);
+      if (winner.wickets > 0) feats.push(`took ${winner.wickets} wickets for ${winner.conceded} runs`);
+      return {
+        question: `Who was named player of the match in ${describeMatch(match)}?`,
+        answer: name(award),
+        distractors,
+        explanation: feats.length > 0
+          ? `${name(award)} ${feats.join(' and ')} for ${winner.team} to earn the award.`
+          : `${name(award)} of ${winner.team} was named player of the match.`,
+        difficulty: matchDifficulty(match)
+      };
+    }
+  },
+  {
+    id: 'most-sixes',
+    scope: 'match',
+    build({ match, name }) {
+      const hitters = playerTotals(match)
+        .filter(total => total.innings > 0)
+        .sort((a, b) => b.sixes - a.sixes || b.runs - a.runs);
+      const [top, next] = hitters;
+      if (!top || top.sixes < 3 || next?.sixes === top.sixes) return null;
+
+      return {
+        question: `Which batsman hit the most sixes in ${describeMatch(match)}?`,
+        answer: name(top.player),
+        distractors: hitters.slice(1, 4).map(total => name(total.player)),
+        explanation: `${name(top.player)} hit ${top.sixes} sixes for ${top.team} while scoring ${top.runs} runs. ` +
+          `${name(next.player)} managed ${next.sixes}.`,
+        difficulty: 'hard'
+      };
+    }
+  },
+  {
+    id: 'batsman-runs',
+    scope: 'match',
+    format: 'numeric',
+    build({ match, name }) {
+      // One innings each, so "how many runs" has a single answer
+      const [top, next] = playerTotals(match)
+        .filter(total => total.innings === 1)
+        .sort((a, b) => b.runs - a.runs);
+      if (!top || top.runs < 30 || next?.runs === top.runs) return null;
+
+      return {
+        format: 'numeric',
+        question: `How many runs did ${name(top.player)} score for ${top.team} in ${describeMatch(match)}?`,
+        numericAnswer: top.runs,
+        tolerance: Math.max(2, Math.round(top.runs * 0.05)),
+        unit: 'runs',
+        explanation: `${name(top.player)} made ${top.runs}${top.notOut ? ' not out' : ''} off ${top.balls} balls, ` +
+          `the top score of the match. ${name(next.player)} was next with ${next.runs}.`,
+        difficulty: 'hard'
+      };
+    }
+  },
+  {
+    id: 'batting-order',
+    scope: 'match',
+    format: 'ordering',
+    build({ match, name }) {
+      const batsmen = playerTotals(match)
+        .filter(total => total.innings > 0)
+        .sort((a, b) => b.runs - a.runs)
+        .slice(0, 4);
+      // Ties would allow two right orders
+      if (batsmen.length < 4 || new Set(batsmen.map(total => total.runs)).size < 4) return null;
+
+      return {
+        format: 'ordering',
+        question: `Put these batsmen in order of runs scored in ${describeMatch(match)}, highest first`,
+        order: batsmen.map(total => name(total.player)),
+        explanation: `${batsmen.map(total => `${name(total.player)} ${total.runs}`).join(', ')}. ` +
+          `${name(batsmen[0].player)} led the way for ${batsmen[0].team}.`,
+        difficulty: matchDifficulty(match)
+      };
+    }
+  },
+  {
+    id: 'match-result',
+    scope: 'match',
+    format: 'true_false',
+    build({ match, random }) {
+      const { winner, byRuns, byWickets, byInnings, method } = match.outcome;
+      if (!winner || method || !(byRuns || byWickets)) return null;
+      const loser = match.teams.find(team => team !== winner);
+      const margin = formatMargin({ byRuns, byWickets, byInnings }).toLowerCase();
+
+      // Half the statements name the losing side as the winner
+      const isTrue = random() < 0.5;
+      const scoreline = mainInnings(match).map(innings => `${innings.team} ${formatTotal(innings)}`).join(', ');
+      return {
+        format: 'true_false',
+        question: `${isTrue ? winner : loser} beat ${isTrue ? loser : winner} by ${margin} in ${describeMatch(match, { withTeams: false })}.`,
+        isTrue,
+        explanation: `${isTrue ? 'True' : 'False'}: ${winner} beat ${loser} by ${margin}. Scores: ${scoreline}.`,
+        difficulty: matchDifficulty(match) === 'hard' ? 'medium' : 'easy'
+      };
+    }
+  },
+  {
+    id: 'event-top-scorer',
+    scope: 'event',
+    build({ event, name }) {
+      const totals = new Map();
+      event.matches.forEach(match => {
+        playerTotals(match).filter(total => total.innings > 0).forEach(total => {
+          const entry = totals.get(total.player) || { player: total.player, team: total.team, runs: 0, innings: 0 };
+          entry.runs += total.runs;
+          entry.innings += total.innings;
+          totals.set(total.player, entry);
+        });
+      });
+
+      const scorers = [...totals.values()].sort((a, b) => b.runs - a.runs);
+      const [top, next] = scorers;
+      if (!top || next?.runs === top.runs) return null;
+
+      return {
+        question: `Which batsman scored the most runs at the ${event.title}?`,
+        answer: name(top.player),
+        distractors: scorers.slice(1, 4).map(total => name(total.player)),
+        explanation: `${name(top.player)} scored ${top.runs} runs in ${top.innings} innings for ${top.team}, ` +
+          `ahead of ${name(next.player)} with ${next.runs}.`,
+        difficulty: 'medium'
+      };
+    }
+  }
+];
+
+export const STATS_TEMPLATE_IDS = STATS_QUESTION_TEMPLATES.map(template => template.id);
+
+/**
+ * Tournaments with their matches. Only events whose final is in the store count,
+ * as a sign that the whole tournament was ingested.
+ */
+function groupEvents(matches) {
+  const groups = new Map();
+  matches.filter(match => match.event).forEach(match => {
+    const key = `${match.event}|${match.season}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(match);
+  });
+
+  return [...groups.entries()]
+    .map(([key, eventMatches]) => {
+      const final = eventMatches.find(match => (match.stage || '').toLowerCase() === 'final');
+      return final && eventMatches.length >= 4
+        ? { key, title: eventTitle(final.event, matchYear(final)), matches: eventMatches }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Generate stats questions
+ * @param {{ people: Array<{ id: string, name: string }>, matches: Array<Object> }} store - CricketStatsService store
+ * @param {Object} [options]
+ * @param {number} [options.count] - Questions to generate (fewer when the data runs out)
+ * @param {string | number} [options.seed] - Same seed, same questions
+ * @param {{ era?: string, countries?: string[] }} [options.filters] - Game filters
+ * @param {string[]} [options.templates] - Template ids to use (default: all)
+ * @returns {Array<Object>} Valid trivia questions
+ */
+export function generateStatsQuestions(store, options = {}) {
+  const {
+    count = 10,
+    seed = Date.now(),
+    filters = {},
+    templates = STATS_TEMPLATE_IDS
+  } = options;
+
+  const random = createRandom(seed);
+  const name = index => store.people[index]?.name ?? 'Unknown';
+  const matches = store.matches.filter(match => matchesFilters(match, filters));
+  const templatesFor = scope => STATS_QUESTION_TEMPLATES.filter(template => template.scope === scope && templates.includes(template.id));
+
+  // Knockouts and tournaments first - the cricket players remember - then everything else
+  const subjects = [
+    ...shuffle([
+      ...matches.filter(match => match.stage).map(match => ({ match })),
+      ...groupEvents(matches).map(event => ({ event }))
+    ], random),
+    ...shuffle(matches.filter(match => !match.stage).map(match => ({ match })), random)
+  ].map(subject => ({ ...subject, templates: shuffle(templatesFor(subject.event ? 'event' : 'match'), random) }));
+
+  const questions = [];
+  const rounds = Math.max(0, ...subjects.map(subject => subject.templates.length));
+
+  // One question per subject per round, so a small store still spreads across matches
+  for (let round = 0; round < rounds && questions.length < count; round++) {
+    for (const subject of subjects) {
+      if (questions.length >= count) break;
+      const template = subject.templates[round];
+      if (!template) continue;
+
+      const question = buildQuestion(template, subject, { store, name, random, filters });
+      if (question) questions.push(question);
+    }
+  }
+
+  return questions;
+}
+
+/**
+ * Options and answer fields for a template result in its format
+ * @returns {Object | null} null when the options would be ambiguous
+ */
+function answerFields(built, random) {
+  switch (built.format) {
+    case 'true_false':
+      return { format: 'true_false', options: ['True', 'False'], correctAnswer: built.isTrue ? 0 : 1 };
+    case 'ordering': {
+      let options = shuffle(built.order, random);
+      if (options.every((item, index) => item === built.order[index])) options = [...built.order].reverse();
+      return { format: 'ordering', options, correctOrder: built.order.map(item => options.indexOf(item)) };
+    }
+    case 'numeric':
+      return { format: 'numeric', options: [], numericAnswer: built.numericAnswer, tolerance: built.tolerance, unit: built.unit };
+    default: {
+      const options = shuffle([built.answer, ...built.distractors], random);
+      if (new Set(options).size !== 4) return null;
+      return { options, correctAnswer: options.indexOf(built.answer) };
+    }
+  }
+}
+
+/**
+ * Turn a template result into a validated trivia question
+ */
+function buildQuestion(template, subject, { store, name, random, filters }) {
+  const built = template.build({ ...subject, store, name, random });
+  if (!built) return null;
+
+  const fields = answerFields(built, random);
+  if (!fields) return null;
+
+  const subjectId = subject.match ? subject.match.id : subject.event.key.replace(/[^a-zA-Z0-9]+/g, '-').toLowerCase();
+  const question = {
+    id: `stats_${template.id}_${subjectId}`,
+    question: built.question,
+    ...fields,
+    explanation: built.explanation,
+    category: 'records_stats',
+    difficulty: built.difficulty,
+    source: CRICSHEET_URL,
+    generatedAt: new Date().toISOString(),
+    stats: { template: template.id, matchId: subject.match?.id ?? null, event: subject.event?.title ?? null },
+    provenance: createProvenance({
+      model: 'cricsheet',
+      prompt: null,
+      filters: pickFilterValues(filters, { category: 'records_stats', template: template.id }),
+      sources: [CRICSHEET_URL],
+      validation: []
+    })
+  };
+
+  const validation = QuestionValidator.validateQuestion(question);
+  return validation.isValid ? question : null;
+}
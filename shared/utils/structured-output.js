@@ -0,0 +1,101 @@
+/**
+ * Structured Output Helpers
+ *
+ * Turn an output schema (see shared/schemas/llm-output.js) into a
+ * `response_format`, parse and validate a model's answer against it, and
+ * build the follow-up message that re-asks with the validation errors.
+ */
+
+import { parseLooseJSON } from './json-repair.js';
+import { validateSchema, validateItems } from './schema-validator.js';
+
+// Validation errors quoted back to the model when re-asking
+const MAX_REASK_ERRORS = 10;
+
+/**
+ * Whether an output schema describes a list
+ */
+export function isListOutput(outputSchema) {
+  return outputSchema.schema.type === 'array';
+}
+
+/**
+ * `response_format` for an output schema. Structured outputs need an object
+ * root, so lists are wrapped as `{ "items": [...] }`.
+ */
+export function toResponseFormat(outputSchema) {
+  const schema = isListOutput(outputSchema)
+    ? { type: 'object', properties: { items: outputSchema.schema }, required: ['items'] }
+    : outputSchema.schema;
+
+  return {
+    type: 'json_schema',
+    json_schema: { name: outputSchema.name, strict: false, schema },
+  };
+}
+
+/**
+ * A list answer may come back wrapped in an object (response_format, or a
+ * model's own habit): use its only array property
+ */
+function unwrapList(value) {
+  if (Array.isArray(value) || !value || typeof value !== 'object') return value;
+
+  const arrays = Object.values(value).filter(Array.isArray);
+  return arrays.length === 1 ? arrays[0] : value;
+}
+
+/**
+ * Parse (repairing if needed) and validate a model's answer
+ * @param {string} content - Model response text
+ * @param {{ name: string, schema: Object }} outputSchema
+ * @returns {{ data: any, errors: string[], repaired: boolean }} For lists `data` holds
+ *   the valid elements; for objects it is null unless the whole answer is valid
+ */
+export function parseStructuredOutput(content, outputSchema) {
+  const list = isListOutput(outputSchema);
+
+  let parsed;
+  try {
+    parsed = parseLooseJSON(content, { expect: list ? 'array' : 'object' });
+  } catch (error) {
+    return { data: list ? [] : null, errors: [error.message], repaired: false };
+  }
+
+  if (!list) {
+    const errors = validateSchema(parsed.value, outputSchema.schema);
+    return { data: errors.length === 0 ? parsed.value : null, errors, repaired: parsed.repaired };
+  }
+
+  const items = unwrapList(parsed.value);
+  if (!Array.isArray(items)) {
+    return { data: [], errors: validateSchema(items, outputSchema.schema), repaired: parsed.repaired };
+  }
+
+  const { valid, errors } = validateItems(items, outputSchema.schema.items);
+  return { data: valid, errors, repaired: parsed.repaired };
+}
+
+/**
+ * How much usable data a parse produced (elements for lists, 0 or 1 for objects)
+ */
+export function countStructuredData(result) {
+  if (Array.isArray(result.data)) return result.data.length;
+  return result.data ? 1 : 0;
+}
+
+/**
+ * Follow-up message asking the model to fix the specific validation errors
+ */
+export function buildReaskMessage(outputSchema, errors) {
+  const listed = errors.slice(0, MAX_REASK_ERRORS).map(error => `- ${error}`).join('\n');
+  const more = errors.length > MAX_REASK_ERRORS ? `\n- ...and ${errors.length - MAX_REASK_ERRORS} more` : '';
+
+  return `Your previous response could not be used. It must be valid JSON matching this schema:
+${JSON.stringify(outputSchema.schema)}
+
+Problems found:
+${listed}${more}
+
+Return the complete corrected JSON ${isListOutput(outputSchema) ? 'array' : 'object'} only, with no other text.`;
+}
@@ -0,0 +1,149 @@
+/**
+ * Usage Tracker
+ *
+ * Records the tokens and cost of every model call and enforces an optional
+ * spending budget. A request that could push the total over the budget is
+ * refused before it is sent; requests in flight hold their worst-case cost
+ * so concurrent calls can't overspend together.
+ */
+
+import { estimateCost } from '../config/ai-models.js';
+
+// Completion length assumed for requests without max_tokens
+const DEFAULT_COMPLETION_TOKENS = 1000;
+
+/**
+ * Rough token count for text (about 4 characters per token)
+ */
+export function estimateTokens(text = '') {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Rough prompt token count for a chat request
+ */
+function estimatePromptTokens(params) {
+  return (params.messages || []).reduce((sum, message) => sum + estimateTokens(message.content || ''), 0);
+}
+
+class UsageTracker {
+  constructor() {
+    this.maxCost = null;
+    this.reset();
+  }
+
+  /**
+   * Forget every recorded call (the budget is kept)
+   */
+  reset() {
+    this.calls = [];
+    this.reserved = 0;
+    this.budgetExceeded = false;
+  }
+
+  /**
+   * Set the spending limit in USD (null for no limit)
+   */
+  setBudget(maxCost) {
+    this.maxCost = maxCost;
+  }
+
+  /**
+   * Total cost so far in USD
+   */
+  get totalCost() {
+    return this.calls.reduce((sum, call) => sum + call.cost, 0);
+  }
+
+  /**
+   * Reserve a request's worst-case cost (max_tokens of completion), throwing
+   * if it could take the total over the budget. Release it once the request ends.
+   * @param {Object} params - Chat request about to be sent
+   * @returns {number} Amount reserved
+   */
+  reserve(params) {
+    if (this.maxCost === null) return 0;
+
+    const committed = this.totalCost + this.reserved;
+    const worstCase = estimateCost(
+      params.model,
+      estimatePromptTokens(params),
+      params.max_tokens || DEFAULT_COMPLETION_TOKENS
+    );
+
+    if (committed + worstCase > this.maxCost) {
+      const error = new Error(
+        `Budget of $${this.maxCost.toFixed(2)} reached: $${committed.toFixed(4)} spent or in flight, ` +
+        `next ${params.model} request could cost up to $${worstCase.toFixed(4)}`
+      );
+      error.budgetExceeded = true;
+      this.budgetExceeded = true;
+      throw error;
+    }
+
+    this.reserved += worstCase;
+    return worstCase;
+  }
+
+  /**
+   * Release a reservation made by reserve()
+   */
+  release(amount) {
+    this.reserved = Math.max(0, this.reserved - amount);
+  }
+
+  /**
+   * Record a completed call from the response's `usage` (estimated from the text when missing)
+   * @param {Object} params - Chat request that was sent
+   * @param {Object} response - OpenAI-style response
+   */
+  recordResponse(params, response) {
+    const usage = response.usage;
+    const estimated = !usage || typeof usage.prompt_tokens !== 'number';
+    const promptTokens = estimated ? estimatePromptTokens(params) : usage.prompt_tokens;
+    const completionTokens = estimated
+      ? estimateTokens(response.choices?.[0]?.message?.content || '')
+      : usage.completion_tokens || 0;
+
+    this.calls.push({
+      model: params.model,
+      promptTokens,
+      completionTokens,
+      cost: estimateCost(params.model, promptTokens, completionTokens),
+      estimated,
+    });
+  }
+
+  /**
+   * Totals for the run, overall and per model (most expensive first)
+   */
+  getSummary() {
+    const byModel = {};
+    this.calls.forEach(call => {
+      const total = byModel[call.model] || (byModel[call.model] = {
+        model: call.model, calls: 0, promptTokens: 0, completionTokens: 0, cost: 0
+      });
+      total.calls++;
+      total.promptTokens += call.promptTokens;
+      total.completionTokens += call.completionTokens;
+      total.cost += call.cost;
+    });
+
+    const promptTokens = this.calls.reduce((sum, call) => sum + call.promptTokens, 0);
+    const completionTokens = this.calls.reduce((sum, call) => sum + call.completionTokens, 0);
+
+    return {
+      calls: this.calls.length,
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      cost: this.totalCost,
+      maxCost: this.maxCost,
+      budgetExceeded: this.budgetExceeded,
+      estimated: this.calls.some(call => call.estimated),
+      byModel: Object.values(byModel).sort((a, b) => b.cost - a.cost),
+    };
+  }
+}
+
+export default UsageTracker;
@@ -0,0 +1,109 @@
+/**
+ * Achievement Toast
+ *
+ * Celebration banner that slides in whenever an achievement is unlocked.
+ * Unlocks that arrive together are shown one after another.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Animated, Text, StyleSheet } from 'react-native';
+import { getAchievementService } from '../services/AchievementService';
+import { Achievement } from '../types/Game';
+
+// How long each toast stays on screen (ms)
+const TOAST_DURATION = 3000;
+
+export const AchievementToast: React.FC = () => {
+  const [queue, setQueue] = useState<Achievement[]>([]);
+  const slide = useRef(new Animated.Value(0)).current;
+
+  const current = queue[0];
+
+  /**
+   * Queue every unlock
+   */
+  useEffect(() => getAchievementService().addUnlockListener(achievement => {
+    setQueue(prev => [...prev, achievement]);
+  }), []);
+
+  /**
+   * Slide the current toast in, hold it, then slide it out and show the next
+   */
+  useEffect(() => {
+    if (!current) return;
+
+    slide.setValue(0);
+    const animation = Animated.sequence([
+      Animated.spring(slide, { toValue: 1, friction: 6, useNativeDriver: true }),
+      Animated.delay(TOAST_DURATION),
+      Animated.timing(slide, { toValue: 0, duration: 300, useNativeDriver: true }),
+    ]);
+    animation.start(() => setQueue(prev => prev.slice(1)));
+
+    return () => animation.stop();
+  }, [current]);
+
+  if (!current) return null;
+
+  return (
+    <Animated.View
+      pointerEvents="none"
+      style={[
+        styles.toast,
+        {
+          opacity: slide,
+          transform: [{ translateY: slide.interpolate({ inputRange: [0, 1], outputRange: [-80, 0] }) }],
+        },
+      ]}
+    >
+      <Text style={styles.icon}>{current.icon || '🏆'}</Text>
+      <Animated.View style={styles.textContainer}>
+        <Text style={styles.title}>Achievement Unlocked!</Text>
+        <Text style={styles.name}>{current.name}</Text>
+        <Text style={styles.description}>{current.description}</Text>
+      </Animated.View>
+    </Animated.View>
+  );
+};
+
+const styles = StyleSheet.create({
+  toast: {
+    position: 'absolute',
+    top: 60,
+    left: 20,
+    right: 20,
+    zIndex: 1000,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#ffd700',
+    borderRadius: 15,
+    padding: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.3,
+    shadowRadius: 4,
+    elevation: 6,
+  },
+  icon: {
+    fontSize: 32,
+    marginRight: 12,
+  },
+  textContainer: {
+    flex: 1,
+  },
+  title: {
+    color: '#1a472a',
+    fontSize: 12,
+    fontWeight: 'bold',
+    textTransform: 'uppercase',
+  },
+  name: {
+    color: '#1a472a',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  description: {
+    color: '#1a472a',
+    fontSize: 13,
+  },
+});
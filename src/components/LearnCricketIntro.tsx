@@ -1,11 +1,13 @@
 /**
  * Learn Cricket Introduction Popup
  * 
- * Modal that explains the game rules when entering Learn Cricket mode.
+ * Modal that explains the game rules when entering Learn Cricket mode
+ * and lets the player pick a match format, and whether to bat first or
+ * chase a target.
  * Includes "Don't show again" option stored in AsyncStorage.
  */
 
-import React from 'react';
+import React, { useState } from 'react';
 import {
   Modal,
   View,
@@ -16,13 +18,26 @@ import {
   Dimensions,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import { MATCH_FORMATS } from '../../shared/config/constants';
+import { CRICKET_TIMING_THRESHOLDS } from '../services/ScoringService';
+import { MatchFormat, ChaseTargetSource, CRICKET_CONSTANTS } from '../types/Cricket';
 
 interface LearnCricketIntroProps {
   visible: boolean;
   onDismiss: () => void;
-  onStartGame: () => void;
+  onStartGame: (format: MatchFormat, chaseSource: ChaseTargetSource | null) => void;
 }
 
+const FORMATS = Object.values(MATCH_FORMATS) as MatchFormat[];
+const THRESHOLDS = CRICKET_TIMING_THRESHOLDS.standard;
+const POWERPLAY_THRESHOLDS = CRICKET_TIMING_THRESHOLDS.powerplay;
+
+const MATCH_TYPES: { source: ChaseTargetSource | null; name: string; description: string }[] = [
+  { source: null, name: 'Bat First', description: 'Set the highest score you can' },
+  { source: 'opposition', name: 'Chase the AI XI', description: 'Chase a target set by a simulated opposition innings' },
+  { source: 'previous', name: 'Chase Your Last Score', description: 'Beat your last innings in this format' },
+];
+
 const DONT_SHOW_KEY = 'learn_cricket_intro_dont_show';
 
 export const LearnCricketIntro: React.FC<LearnCricketIntroProps> = ({
@@ -30,6 +45,8 @@ export const LearnCricketIntro: React.FC<LearnCricketIntroProps> = ({
   onDismiss,
   onStartGame,
 }) => {
+  const [format, setFormat] = useState<MatchFormat>(FORMATS[0]);
+  const [chaseSource, setChaseSource] = useState<ChaseTargetSource | null>(null);
 
   return (
     <Modal
@@ -57,45 +74,92 @@ export const LearnCricketIntro: React.FC<LearnCricketIntroProps> = ({
               Welcome to Learn Cricket - an adaptive learning experience!
             </Text>
 
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Match Format</Text>
+              {FORMATS.map(option => (
+                <TouchableOpacity
+                  key={option.id}
+                  style={[styles.formatOption, option.id === format.id && styles.formatOptionSelected]}
+                  onPress={() => setFormat(option)}
+                >
+                  <Text style={[styles.formatName, option.id === format.id && styles.formatNameSelected]}>
+                    {option.name}
+                  </Text>
+                  <Text style={styles.formatDescription}>{option.description}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Match Type</Text>
+              {MATCH_TYPES.map(option => (
+                <TouchableOpacity
+                  key={option.name}
+                  style={[styles.formatOption, option.source === chaseSource && styles.formatOptionSelected]}
+                  onPress={() => setChaseSource(option.source)}
+                >
+                  <Text style={[styles.formatName, option.source === chaseSource && styles.formatNameSelected]}>
+                    {option.name}
+                  </Text>
+                  <Text style={styles.formatDescription}>{option.description}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
             <View style={styles.section}>
               <Text style={styles.sectionTitle}>How to Play</Text>
               <Text style={styles.rule}>
-                • You have 2 overs (12 questions) to score runs
+                • You have {format.overs} overs ({format.overs * CRICKET_CONSTANTS.BALLS_PER_OVER} questions) to score runs
               </Text>
               <Text style={styles.rule}>
                 • Answer quickly to score more runs:
               </Text>
               <View style={styles.scoringTable}>
                 <View style={styles.scoringRow}>
-                  <Text style={styles.scoringTime}>Under 3 seconds</Text>
+                  <Text style={styles.scoringTime}>Under {THRESHOLDS.six} seconds</Text>
                   <Text style={styles.scoringRuns}>SIX! (6 runs)</Text>
                 </View>
                 <View style={styles.scoringRow}>
-                  <Text style={styles.scoringTime}>Under 5 seconds</Text>
+                  <Text style={styles.scoringTime}>Under {THRESHOLDS.four} seconds</Text>
                   <Text style={styles.scoringRuns}>FOUR! (4 runs)</Text>
                 </View>
                 <View style={styles.scoringRow}>
-                  <Text style={styles.scoringTime}>Under 10 seconds</Text>
+                  <Text style={styles.scoringTime}>Under {THRESHOLDS.double} seconds</Text>
+                  <Text style={styles.scoringRuns}>Double (2 runs)</Text>
+                </View>
+                <View style={styles.scoringRow}>
+                  <Text style={styles.scoringTime}>Under {THRESHOLDS.single} seconds</Text>
                   <Text style={styles.scoringRuns}>Single (1 run)</Text>
                 </View>
                 <View style={styles.scoringRow}>
-                  <Text style={styles.scoringTime}>Over 10 seconds</Text>
+                  <Text style={styles.scoringTime}>{THRESHOLDS.single} seconds or more</Text>
                   <Text style={styles.scoringRuns}>Dot Ball (0 runs)</Text>
                 </View>
               </View>
+              {format.powerplayOvers > 0 && (
+                <Text style={styles.rule}>
+                  • Powerplay (first {format.powerplayOvers} {format.powerplayOvers === 1 ? 'over' : 'overs'}):
+                  sixes under {POWERPLAY_THRESHOLDS.six}s, fours under {POWERPLAY_THRESHOLDS.four}s, doubles under {POWERPLAY_THRESHOLDS.double}s
+                </Text>
+              )}
             </View>
 
             <View style={styles.section}>
               <Text style={styles.sectionTitle}>Wickets System</Text>
               <Text style={styles.rule}>
-                • You start with 5 wickets (lives)
+                • You start with {format.wickets} wickets (lives)
               </Text>
               <Text style={styles.rule}>
                 • Each wrong answer costs 1 wicket
               </Text>
               <Text style={styles.rule}>
-                • Game ends when you lose all wickets or complete 2 overs
+                • Game ends when you lose all wickets or complete {format.overs} overs
               </Text>
+              {chaseSource && (
+                <Text style={styles.rule}>
+                  • Chasing: reach the target to win straight away; finish one run short for a tie
+                </Text>
+              )}
             </View>
 
             <View style={styles.section}>
@@ -131,7 +195,7 @@ export const LearnCricketIntro: React.FC<LearnCricketIntroProps> = ({
               
               <TouchableOpacity 
                 style={styles.startButton} 
-                onPress={onStartGame}
+                onPress={() => onStartGame(format, chaseSource)}
               >
                 <Text style={styles.startButtonText}>Start Game</Text>
               </TouchableOpacity>
@@ -203,6 +267,31 @@ const styles = StyleSheet.create({
     marginBottom: 8,
     paddingLeft: 10,
   },
+  formatOption: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 8,
+  },
+  formatOptionSelected: {
+    borderColor: '#1a472a',
+    borderWidth: 2,
+    backgroundColor: '#eef7ee',
+  },
+  formatName: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  formatNameSelected: {
+    color: '#1a472a',
+  },
+  formatDescription: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
   scoringTable: {
     marginTop: 10,
     backgroundColor: '#f8f8f8',
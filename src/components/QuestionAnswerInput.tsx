@@ -0,0 +1,337 @@
+/**
+ * Question Answer Input Component
+ *
+ * Answer controls for the question formats beyond picking one option:
+ * multi-select, ordering, numeric closest-guess and match-the-pairs.
+ * Multiple choice and true/false questions keep each screen's own option
+ * buttons. Give it `key={question.id}` so a new question starts a fresh answer.
+ */
+
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { QuestionAnswer, TriviaQuestion } from '../types/Question';
+
+interface QuestionAnswerInputProps {
+  question: TriviaQuestion;
+  answer: QuestionAnswer | null; // Submitted answer, null while answering
+  revealed: boolean;             // Show the right answer
+  disabled?: boolean;
+  onSubmit: (answer: QuestionAnswer) => void;
+}
+
+const optionLetter = (index: number) => String.fromCharCode(65 + index);
+
+export const QuestionAnswerInput: React.FC<QuestionAnswerInputProps> = ({
+  question,
+  answer,
+  revealed,
+  disabled = false,
+  onSubmit,
+}) => {
+  const [picks, setPicks] = useState<number[]>([]);
+  const [guess, setGuess] = useState('');
+  const [activeLeft, setActiveLeft] = useState<number | null>(null);
+  const [matches, setMatches] = useState<Array<number | null>>(() => (question.pairs || []).map(() => null));
+
+  const locked = disabled || answer !== null;
+  const submitted = Array.isArray(answer) ? answer : [];
+
+  const renderSubmit = (ready: boolean, submit: () => void) => {
+    if (answer !== null) return null;
+    return (
+      <TouchableOpacity
+        style={[styles.submitButton, (!ready || locked) && styles.submitButtonDisabled]}
+        onPress={submit}
+        disabled={!ready || locked}
+      >
+        <Text style={styles.submitButtonText}>Submit Answer</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderMultiSelect = () => {
+    const chosen = answer === null ? picks : submitted;
+    const correct = question.correctAnswers || [];
+    const togglePick = (index: number) => {
+      setPicks(prev => (prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index]));
+    };
+
+    return (
+      <>
+        <Text style={styles.hintText}>Select every correct answer</Text>
+        {question.options.map((option, index) => (
+          <TouchableOpacity
+            key={index}
+            style={[
+              styles.itemButton,
+              chosen.includes(index) && styles.selectedItem,
+              revealed && correct.includes(index) && styles.correctItem,
+              revealed && chosen.includes(index) && !correct.includes(index) && styles.incorrectItem,
+            ]}
+            onPress={() => togglePick(index)}
+            disabled={locked}
+          >
+            <Text style={[styles.itemText, chosen.includes(index) && styles.selectedItemText]}>
+              {chosen.includes(index) ? '☑' : '☐'} {optionLetter(index)}. {option}
+            </Text>
+          </TouchableOpacity>
+        ))}
+        {renderSubmit(picks.length > 0, () => onSubmit([...picks].sort((a, b) => a - b)))}
+      </>
+    );
+  };
+
+  const renderOrdering = () => {
+    const order = answer === null ? picks : submitted;
+    const correctOrder = question.correctOrder || [];
+    const togglePlace = (index: number) => {
+      setPicks(prev => (prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index]));
+    };
+
+    return (
+      <>
+        <Text style={styles.hintText}>Tap the items in order (tap again to take one back)</Text>
+        {question.options.map((option, index) => {
+          const position = order.indexOf(index);
+          const correctPosition = correctOrder.indexOf(index);
+          return (
+            <TouchableOpacity
+              key={index}
+              style={[
+                styles.itemButton,
+                position >= 0 && styles.selectedItem,
+                revealed && position === correctPosition && styles.correctItem,
+                revealed && position !== correctPosition && styles.incorrectItem,
+              ]}
+              onPress={() => togglePlace(index)}
+              disabled={locked}
+            >
+              <View style={styles.itemRow}>
+                <Text style={styles.positionBadge}>{position >= 0 ? position + 1 : '·'}</Text>
+                <Text style={[styles.itemText, styles.itemTextFill]}>{option}</Text>
+                {revealed && position !== correctPosition && (
+                  <Text style={styles.revealText}>#{correctPosition + 1}</Text>
+                )}
+              </View>
+            </TouchableOpacity>
+          );
+        })}
+        {renderSubmit(picks.length === question.options.length, () => onSubmit(picks))}
+      </>
+    );
+  };
+
+  const renderNumeric = () => {
+    const value = guess.trim() === '' ? NaN : Number(guess);
+
+    return (
+      <>
+        <Text style={styles.hintText}>
+          Your closest guess{question.unit ? ` (${question.unit})` : ''}
+        </Text>
+        <TextInput
+          style={[styles.numberInput, locked && styles.numberInputLocked]}
+          value={answer === null ? guess : String(answer)}
+          onChangeText={setGuess}
+          keyboardType="numeric"
+          placeholder="0"
+          placeholderTextColor="rgba(255, 255, 255, 0.4)"
+          editable={!locked}
+          onSubmitEditing={() => Number.isFinite(value) && !locked && onSubmit(value)}
+        />
+        {revealed && (
+          <Text style={styles.revealText}>
+            Answer: {question.numericAnswer}{question.unit ? ` ${question.unit}` : ''}
+            {question.tolerance ? ` (within ${question.tolerance} counts)` : ''}
+          </Text>
+        )}
+        {renderSubmit(Number.isFinite(value), () => onSubmit(value))}
+      </>
+    );
+  };
+
+  const renderMatchPairs = () => {
+    const pairs = question.pairs || [];
+    const chosen = answer === null ? matches : submitted;
+    // Right-hand items in a fixed order that doesn't give the pairing away
+    const rights = pairs
+      .map((pair, index) => ({ text: pair.right, index }))
+      .sort((a, b) => a.text.localeCompare(b.text));
+
+    const handleLeft = (leftIndex: number) => {
+      if (matches[leftIndex] !== null) {
+        setMatches(prev => prev.map((match, i) => (i === leftIndex ? null : match)));
+      }
+      setActiveLeft(leftIndex);
+    };
+
+    const handleRight = (pairIndex: number) => {
+      if (activeLeft === null) return;
+      setMatches(prev => prev.map((match, i) => {
+        if (i === activeLeft) return pairIndex;
+        return match === pairIndex ? null : match;
+      }));
+      setActiveLeft(null);
+    };
+
+    return (
+      <>
+        <Text style={styles.hintText}>Tap an item on the left, then its match on the right</Text>
+        <View style={styles.pairColumns}>
+          <View style={styles.pairColumn}>
+            {pairs.map((pair, leftIndex) => {
+              const match = chosen[leftIndex];
+              const matchedRight = match !== null && match !== undefined ? pairs[match]?.right : null;
+              return (
+                <TouchableOpacity
+                  key={leftIndex}
+                  style={[
+                    styles.itemButton,
+                    activeLeft === leftIndex && styles.selectedItem,
+                    revealed && match === leftIndex && styles.correctItem,
+                    revealed && match !== leftIndex && styles.incorrectItem,
+                  ]}
+                  onPress={() => handleLeft(leftIndex)}
+                  disabled={locked}
+                >
+                  <Text style={[styles.itemText, styles.selectedItemText]}>{pair.left}</Text>
+                  <Text style={styles.matchText}>→ {matchedRight ?? '?'}</Text>
+                  {revealed && match !== leftIndex && (
+                    <Text style={styles.revealText}>{pair.right}</Text>
+                  )}
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          <View style={styles.pairColumn}>
+            {rights.map(({ text, index }) => (
+              <TouchableOpacity
+                key={index}
+                style={[styles.itemButton, chosen.includes(index) && styles.usedItem]}
+                onPress={() => handleRight(index)}
+                disabled={locked || activeLeft === null}
+              >
+                <Text style={styles.itemText}>{text}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+        {renderSubmit(matches.every(match => match !== null), () => onSubmit(matches as number[]))}
+      </>
+    );
+  };
+
+  switch (question.format) {
+    case 'multi_select':
+      return <View style={styles.container}>{renderMultiSelect()}</View>;
+    case 'ordering':
+      return <View style={styles.container}>{renderOrdering()}</View>;
+    case 'numeric':
+      return <View style={styles.container}>{renderNumeric()}</View>;
+    case 'match_pairs':
+      return <View style={styles.container}>{renderMatchPairs()}</View>;
+    default:
+      return null;
+  }
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 15,
+  },
+  hintText: {
+    color: '#ccc',
+    fontSize: 13,
+    marginBottom: 8,
+  },
+  itemButton: {
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    padding: 12,
+    borderRadius: 10,
+    marginBottom: 8,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  selectedItem: {
+    borderColor: '#90ee90',
+    backgroundColor: 'rgba(144, 238, 144, 0.2)',
+  },
+  usedItem: {
+    opacity: 0.5,
+  },
+  correctItem: {
+    borderColor: '#4caf50',
+    backgroundColor: 'rgba(76, 175, 80, 0.2)',
+  },
+  incorrectItem: {
+    borderColor: '#f44336',
+    backgroundColor: 'rgba(244, 67, 54, 0.2)',
+  },
+  itemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  itemText: {
+    color: '#fff',
+    fontSize: 16,
+  },
+  itemTextFill: {
+    flex: 1,
+  },
+  selectedItemText: {
+    fontWeight: 'bold',
+  },
+  positionBadge: {
+    color: '#90ee90',
+    fontSize: 16,
+    fontWeight: 'bold',
+    width: 24,
+  },
+  matchText: {
+    color: '#90ee90',
+    fontSize: 14,
+    marginTop: 4,
+  },
+  revealText: {
+    color: '#4caf50',
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginTop: 4,
+  },
+  pairColumns: {
+    flexDirection: 'row',
+    marginHorizontal: -4,
+  },
+  pairColumn: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  numberInput: {
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    color: '#fff',
+    fontSize: 22,
+    padding: 12,
+    borderRadius: 10,
+    borderWidth: 2,
+    borderColor: '#90ee90',
+    textAlign: 'center',
+  },
+  numberInputLocked: {
+    borderColor: 'transparent',
+  },
+  submitButton: {
+    backgroundColor: '#4caf50',
+    padding: 14,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  submitButtonDisabled: {
+    backgroundColor: 'rgba(76, 175, 80, 0.3)',
+  },
+  submitButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
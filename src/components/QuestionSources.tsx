@@ -0,0 +1,75 @@
+/**
+ * Question Sources
+ *
+ * "Sources" block shown under a question's explanation: the URLs the question
+ * cites (tap to open) and a short line saying how it was generated.
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet, Linking } from 'react-native';
+import { TriviaQuestion } from '../types/Question';
+
+interface QuestionSourcesProps {
+  question: TriviaQuestion;
+}
+
+export const QuestionSources: React.FC<QuestionSourcesProps> = ({ question }) => {
+  const { provenance } = question;
+  const sources = provenance?.sources.length
+    ? provenance.sources
+    : [question.source].filter((source): source is string => !!source);
+
+  if (sources.length === 0 && !provenance) return null;
+
+  const details = provenance && [
+    provenance.model,
+    provenance.prompt && `prompt ${provenance.prompt.id} v${provenance.prompt.version}`,
+    provenance.anecdote && `from "${provenance.anecdote.title}"`,
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Sources</Text>
+      {sources.length === 0 && <Text style={styles.detail}>No sources cited</Text>}
+      {sources.map(source => (
+        <Text
+          key={source}
+          style={styles.link}
+          numberOfLines={1}
+          onPress={() => Linking.openURL(source).catch(() => {})}
+        >
+          {source}
+        </Text>
+      ))}
+      {details ? <Text style={styles.detail}>{details}</Text> : null}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 15,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(255, 255, 255, 0.15)',
+  },
+  title: {
+    color: '#90ee90',
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginBottom: 6,
+  },
+  link: {
+    color: '#87ceeb',
+    fontSize: 13,
+    textDecorationLine: 'underline',
+    marginBottom: 4,
+  },
+  detail: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 12,
+    marginTop: 4,
+  },
+});
+
+export default QuestionSources;
@@ -3,9 +3,12 @@
  * 
  * Main game interface for cricket trivia questions.
  * Handles question display, user interaction, scoring, and AI question generation.
+ * In unlimited overs (survival) games the player bats until the fifth wicket,
+ * scoring runs by answer speed, while more questions (AI, offline bank or match
+ * stats) are fetched ahead of play and get harder as the score climbs.
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -15,25 +18,122 @@ import {
   ActivityIndicator,
   Alert,
 } from 'react-native';
-import { TriviaQuestion, QuestionCategory, DifficultyLevel, GameFilters } from '../types/Question';
+import {
+  TriviaQuestion,
+  QuestionCategory,
+  DifficultyLevel,
+  GameFilters,
+  GameMode,
+  QuestionAnswer,
+  QuestionFormat,
+} from '../types/Question';
+import { CRICKET_CONSTANTS } from '../types/Cricket';
 import { getOpenRouterService } from '../../shared/services/OpenRouterService';
 import { QuestionValidator } from '../utils/QuestionValidator';
+import { withValidation } from '../../shared/utils/provenance';
+import { QuestionSources } from './QuestionSources';
+import { QuestionAnswerInput } from './QuestionAnswerInput';
+import { LifelineBar } from './cricket/LifelineBar';
+import { getQuestionBankUIService } from '../services/QuestionBankUIAdapter';
+import { getCricketStatsUIService } from '../services/CricketStatsUIAdapter';
+import { getQuestionPackService } from '../services/QuestionPackService';
+import { getQuestionHistoryUIService } from '../services/QuestionHistoryUIAdapter';
+import { getAchievementService } from '../services/AchievementService';
+import { getCareerStatsService } from '../services/CareerStatsService';
+import { useGameStats } from '../hooks/useGameStats';
+import { useLifelines } from '../hooks/useLifelines';
+import { createScoringService } from '../services/ScoringService';
+import { isChoiceFormat, scoreAnswer } from '../../shared/utils/question-formats';
+
+// Categories served in game mode (tutorial questions are kept separate)
+const GAME_CATEGORIES: QuestionCategory[] = [
+  'legendary_moments', 'player_stories', 'records_stats', 'rules_formats', 'cultural_impact'
+];
+
+// Formats mixed into AI game mode alongside multiple choice
+const GAME_FORMATS: QuestionFormat[] = ['true_false', 'multi_select', 'ordering', 'numeric', 'match_pairs'];
+
+// Unlimited overs: the innings ends on this wicket
+const SURVIVAL_WICKETS = CRICKET_CONSTANTS.DEFAULT_WICKETS;
+
+// Unlimited overs: questions generated per top-up, and how few unanswered
+// questions are left when the next top-up starts in the background
+const SURVIVAL_REFILL_COUNT = 3;
+const SURVIVAL_REFILL_AT = 2;
+
+// Unlimited overs: question difficulty once the innings reaches these runs
+const SURVIVAL_DIFFICULTY_RAMP: Array<{ runs: number; difficulty: DifficultyLevel }> = [
+  { runs: 60, difficulty: 'hard' },
+  { runs: 20, difficulty: 'medium' },
+  { runs: 0, difficulty: 'easy' },
+];
+
+/**
+ * Difficulty for the next unlimited overs questions at this score
+ */
+const getSurvivalDifficulty = (runs: number): DifficultyLevel =>
+  SURVIVAL_DIFFICULTY_RAMP.find(step => runs >= step.runs)!.difficulty;
 
 interface TriviaGameProps {
   mode: 'tutorial' | 'game';
   onExit: () => void;
   filters?: GameFilters;
+  onGameStart?: (totalQuestions: number, gameMode: GameMode) => void;
+  onUpdateGameStats?: (correct: boolean, points: number, totalQuestions: number, wicket: boolean) => void; // Status bar
+  onUpdateStats?: (correct: boolean, points: number) => void; // Lifetime profile
 }
 
-export const TriviaGame: React.FC<TriviaGameProps> = ({ mode, onExit, filters }) => {
+export const TriviaGame: React.FC<TriviaGameProps> = ({
+  mode,
+  onExit,
+  filters,
+  onGameStart,
+  onUpdateGameStats,
+  onUpdateStats,
+}) => {
   const [questions, setQuestions] = useState<TriviaQuestion[]>([]);
   const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
-  const [selectedAnswer, setSelectedAnswer] = useState<number | null>(null);
+  const [selectedAnswer, setSelectedAnswer] = useState<QuestionAnswer | null>(null);
+  const [answerLabel, setAnswerLabel] = useState('');
   const [showExplanation, setShowExplanation] = useState(false);
   const [score, setScore] = useState(0);
+  const [points, setPoints] = useState(0);
+  const [wickets, setWickets] = useState(0);
   const [loading, setLoading] = useState(true);
+  const [waitingForQuestions, setWaitingForQuestions] = useState(false);
+  const [inningsOver, setInningsOver] = useState(false);
   const [error, setError] = useState<string | null>(null);
 
+  const questionBank = getQuestionBankUIService();
+  const questionHistory = getQuestionHistoryUIService();
+  const achievements = getAchievementService();
+  const isOfflineGame = filters?.questionSource === 'offline_bank';
+  const isPackGame = filters?.questionSource === 'question_pack';
+  const isStatsGame = filters?.questionSource === 'cricsheet_stats';
+  const isAiGame = !isOfflineGame && !isPackGame && !isStatsGame;
+  // A pack is a fixed set of questions, so pack games always play through it once
+  const isSurvivalGame = mode === 'game' && filters?.gameMode === 'unlimited' && !isPackGame;
+
+  // Survival games score runs by answer speed, like Learn Cricket
+  const scoringService = useRef(createScoringService(isSurvivalGame ? 'cricket' : 'standard'));
+  const gameStartedAt = useRef(Date.now());
+  const questionShownAt = useRef(Date.now());
+  const stats = useGameStats({
+    onAnswer: record => achievements.recordEvent({
+      type: 'answer',
+      isCorrect: record.isCorrect,
+      category: record.category,
+      responseTime: record.responseTime,
+      era: filters?.era,
+    }),
+  });
+  const lifelines = useLifelines({ onUse: stats.recordLifeline });
+
+  // Survival question top-ups run in the background against the latest questions
+  const questionsRef = useRef<TriviaQuestion[]>([]);
+  const pendingRefillRef = useRef<Promise<number> | null>(null);
+  const inningsIdRef = useRef(0);
+
   const currentQuestion = questions[currentQuestionIndex];
   const isLastQuestion = currentQuestionIndex === questions.length - 1;
 
@@ -44,14 +144,66 @@ export const TriviaGame: React.FC<TriviaGameProps> = ({ mode, onExit, filters })
     generateInitialQuestions();
   }, []);
 
+  /**
+   * Time each answer from when its question appears
+   */
+  useEffect(() => {
+    questionShownAt.current = Date.now();
+  }, [currentQuestion?.id]);
+
+  useEffect(() => {
+    questionsRef.current = questions;
+  }, [questions]);
+
+  /**
+   * Tell the app a game has started once its questions are ready
+   */
+  useEffect(() => {
+    if (!loading && !error) {
+      onGameStart?.(questions.length, isSurvivalGame ? 'unlimited' : 'fixed');
+    }
+  }, [loading]);
+
   /**
    * Generate initial set of questions using Gemini AI
    */
   const generateInitialQuestions = async () => {
+    gameStartedAt.current = Date.now();
+    achievements.recordEvent({ type: 'game_start', mode, era: filters?.era });
+    
     try {
       setLoading(true);
       setError(null);
       
+      if (isOfflineGame) {
+        const bankQuestions = await loadQuestionsFromBank();
+        if (bankQuestions.length === 0) {
+          // Matching questions may all have been played in the last few games
+          const savedCount = await questionBank.countQuestions(filters);
+          throw new Error(savedCount === 0
+            ? 'No saved questions match your filters yet. Play an AI-generated game online to fill the question bank.'
+            : `All ${savedCount} saved questions for your filters were played in your last few games. Try different filters, or play an AI-generated game online to add more.`);
+        }
+        setQuestions(bankQuestions);
+        return;
+      }
+      
+      if (isPackGame) {
+        // Pack questions were validated when the pack was loaded
+        const packQuestions = await getQuestionPackService().getPackQuestions(filters?.packId ?? '');
+        if (packQuestions.length === 0) {
+          throw new Error('This question pack has no playable questions.');
+        }
+        setQuestions(packQuestions);
+        return;
+      }
+      
+      if (isStatsGame) {
+        const statsQuestions = await loadStatsQuestions();
+        setQuestions(statsQuestions);
+        return;
+      }
+      
       const openRouterService = getOpenRouterService();
       let allQuestions: TriviaQuestion[] = [];
       
@@ -66,17 +218,19 @@ export const TriviaGame: React.FC<TriviaGameProps> = ({ mode, onExit, filters })
         allQuestions = tutorialQuestions;
       } else {
         // Generate a mix of questions for game mode using different models
+        // (survival games open easy and ramp up as runs come)
+        const storyDifficulty = isSurvivalGame ? getSurvivalDifficulty(0) : 'medium';
         const questionPromises = [
           openRouterService.generateQuestions({
             category: 'legendary_moments',
-            difficulty: 'medium',
+            difficulty: storyDifficulty,
             count: 2,
             filters: filters,
             model: openRouterService.models.creative.claude3Sonnet, // High quality for stories
           }),
           openRouterService.generateQuestions({
             category: 'player_stories',
-            difficulty: 'medium',
+            difficulty: storyDifficulty,
             count: 2,
             filters: filters,
             model: openRouterService.models.creative.claude3Sonnet,
@@ -88,6 +242,14 @@ export const TriviaGame: React.FC<TriviaGameProps> = ({ mode, onExit, filters })
             filters: filters,
             model: openRouterService.models.fast.gpt35Turbo, // Fast model for stats
           }),
+          openRouterService.generateQuestions({
+            category: getRandomCategory(),
+            difficulty: storyDifficulty,
+            count: 1,
+            format: getRandomFormat(),
+            filters: filters,
+            model: openRouterService.models.creative.claude3Sonnet,
+          }),
         ];
 
         const questionSets = await Promise.all(questionPromises);
@@ -108,12 +270,34 @@ export const TriviaGame: React.FC<TriviaGameProps> = ({ mode, onExit, filters })
         throw new Error('No valid questions generated');
       }
 
-      // Auto-fix common issues
-      const fixedQuestions = validQuestions.map(QuestionValidator.autoFixQuestion);
+      // Auto-fix common issues and record the check in each question's provenance
+      const fixedQuestions = validQuestions
+        .map(QuestionValidator.autoFixQuestion)
+        .map(question => withValidation(question, 'validator', true));
+
+      // Skip questions the player has already seen, however they are worded
+      const unseenQuestions = await questionHistory.filterUnseen(fixedQuestions);
+      if (unseenQuestions.length === 0) {
+        throw new Error('Every generated question repeats one you have already played');
+      }
+      
+      setQuestions(unseenQuestions);
       
-      setQuestions(fixedQuestions);
+      // Save validated questions for offline replay
+      questionBank.saveQuestions(unseenQuestions, filters);
     } catch (err) {
       console.error('Error generating questions:', err);
+      
+      // Serve saved questions before falling back to the sample question
+      if (!isOfflineGame && !isPackGame && !isStatsGame) {
+        const bankQuestions = await loadQuestionsFromBank().catch(() => []);
+        if (bankQuestions.length > 0) {
+          console.warn(`Question generation failed, serving ${bankQuestions.length} questions from the offline bank`);
+          setQuestions(bankQuestions);
+          return;
+        }
+      }
+      
       setError(err instanceof Error ? err.message : 'Failed to generate questions');
       
       // Fallback to sample question for development
@@ -124,16 +308,86 @@ export const TriviaGame: React.FC<TriviaGameProps> = ({ mode, onExit, filters })
   };
 
   /**
-   * Handle answer selection
+   * Draw a game's worth of questions from the offline question bank
+   */
+  const loadQuestionsFromBank = async (): Promise<TriviaQuestion[]> => {
+    const categories: QuestionCategory[] = mode === 'tutorial' ? ['tutorial'] : GAME_CATEGORIES;
+    const count = mode === 'tutorial' ? 10 : 5;
+    
+    const bankQuestions = await questionBank.drawQuestions(filters, count, categories);
+    return bankQuestions.filter(q => QuestionValidator.validateQuestion(q).isValid);
+  };
+
+  /**
+   * Build a game's worth of unseen questions from the bundled Cricsheet match data
+   */
+  const loadStatsQuestions = async (): Promise<TriviaQuestion[]> => {
+    const statsService = getCricketStatsUIService();
+    if (await statsService.countMatches() === 0) {
+      throw new Error('No match data is bundled with the app yet. Run `ingest-cricsheet <dir> --bundle` from the CLI to add Cricsheet matches.');
+    }
+
+    // Generate extra so there is enough left once seen questions are skipped
+    const count = 10;
+    const statsQuestions = await statsService.generateQuestions(filters, count * 3);
+    const unseenQuestions = await questionHistory.filterUnseen(statsQuestions);
+    if (unseenQuestions.length === 0) {
+      throw new Error(statsQuestions.length === 0
+        ? 'No stats questions could be built from matches in this era and these countries.'
+        : 'You have played every stats question for these filters. Bundle more matches for new ones.');
+    }
+    return unseenQuestions.slice(0, count);
+  };
+
+  /**
+   * Handle an answer: an option index, or the answer from QuestionAnswerInput
    */
-  const handleAnswerSelect = (answerIndex: number) => {
+  const handleAnswerSelect = (answer: QuestionAnswer) => {
     if (selectedAnswer !== null) return; // Prevent multiple selections
     
-    setSelectedAnswer(answerIndex);
+    setSelectedAnswer(answer);
+    const responseTime = (Date.now() - questionShownAt.current) / 1000;
     
-    if (answerIndex === currentQuestion.correctAnswer) {
+    const { isCorrect, accuracy } = scoreAnswer(currentQuestion, answer);
+    if (isCorrect) {
       setScore(score + 1);
     }
+    // Mostly-right answers in the other formats are marked "Partly right" (survival
+    // games score runs by speed instead), and the lifelines in play can double
+    // the points or save the wicket
+    const scoreResult = scoringService.current.calculateScore({
+      isCorrect,
+      accuracy,
+      responseTime,
+      format: currentQuestion.format,
+      difficulty: currentQuestion.difficulty,
+      ...lifelines.ballContext,
+    });
+    const totalPoints = scoringService.current.getTotalScore();
+    const wicketsDown = wickets + (scoreResult.wicket ? 1 : 0);
+    setAnswerLabel(scoreResult.label || (isCorrect ? 'Correct!' : 'Incorrect'));
+    setPoints(totalPoints);
+    setWickets(wicketsDown);
+    
+    const ballPoints = scoreResult.points + (scoreResult.bonus || 0);
+    onUpdateGameStats?.(isCorrect, ballPoints, questions.length, !!scoreResult.wicket);
+    onUpdateStats?.(isCorrect, ballPoints);
+    
+    if (isSurvivalGame && wicketsDown >= SURVIVAL_WICKETS) {
+      setInningsOver(true);
+    } else if (isSurvivalGame) {
+      prefetchSurvivalQuestions(currentQuestionIndex + 1, totalPoints);
+    }
+    
+    stats.recordAnswer({
+      questionId: currentQuestion.id,
+      isCorrect,
+      responseTime,
+      category: currentQuestion.category,
+      difficulty: currentQuestion.difficulty,
+      lifelines: lifelines.activeLifelines,
+    });
+    lifelines.settleBall(isCorrect);
     
     setShowExplanation(true);
   };
@@ -142,18 +396,36 @@ export const TriviaGame: React.FC<TriviaGameProps> = ({ mode, onExit, filters })
    * Move to next question or end game
    */
   const handleNextQuestion = async () => {
-    if (isLastQuestion) {
+    if (isSurvivalGame && inningsOver) {
+      handleGameEnd();
+      return;
+    }
+
+    // Survival games bat on while their question source keeps coming up with more
+    if (isLastQuestion && isSurvivalGame) {
+      setWaitingForQuestions(true);
+      const added = await waitForSurvivalQuestions();
+      setWaitingForQuestions(false);
+      if (added === 0) {
+        handleGameEnd();
+        return;
+      }
+    } else if (isLastQuestion) {
       handleGameEnd();
       return;
     }
 
     setCurrentQuestionIndex(currentQuestionIndex + 1);
     setSelectedAnswer(null);
+    setAnswerLabel('');
     setShowExplanation(false);
+    lifelines.nextBall();
 
     // In tutorial mode, don't generate additional questions (fixed 10 questions)
     // In game mode, generate more questions as needed
-    if (mode === 'game' && currentQuestionIndex >= questions.length - 2) {
+    // Offline, pack and stats games are limited to the questions they started with,
+    // and survival games top up in the background instead
+    if (mode === 'game' && isAiGame && !isSurvivalGame && currentQuestionIndex >= questions.length - 2) {
       try {
         const openRouterService = getOpenRouterService();
         const category = getRandomCategory();
@@ -172,21 +444,170 @@ export const TriviaGame: React.FC<TriviaGameProps> = ({ mode, onExit, filters })
         
         const validNewQuestions = newQuestions
           .filter(q => QuestionValidator.validateQuestion(q).isValid)
-          .map(QuestionValidator.autoFixQuestion);
+          .map(QuestionValidator.autoFixQuestion)
+          .map((q: TriviaQuestion) => withValidation(q, 'validator', true));
+
+        // Checked against this game's questions as well as earlier sessions
+        const unseenQuestions = await questionHistory.filterUnseen([...questions, ...validNewQuestions]);
+        const unseenNewQuestions = unseenQuestions.filter(q => validNewQuestions.includes(q));
           
-        setQuestions([...questions, ...validNewQuestions]);
+        setQuestions([...questions, ...unseenNewQuestions]);
+        questionBank.saveQuestions(unseenNewQuestions, filters);
       } catch (err) {
         console.warn('Failed to generate additional questions:', err);
       }
     }
   };
 
+  /**
+   * New questions from a batch, checked against this innings' questions as
+   * well as earlier sessions
+   */
+  const filterUnseenInInnings = async (newQuestions: TriviaQuestion[]): Promise<TriviaQuestion[]> => {
+    const unseenQuestions = await questionHistory.filterUnseen([...questionsRef.current, ...newQuestions]);
+    return unseenQuestions.filter(q => newQuestions.includes(q));
+  };
+
+  /**
+   * Next survival questions from the game's question source, at (or, for the
+   * bank and match stats, as close as they have to) the given difficulty
+   */
+  const fetchSurvivalQuestions = async (difficulty: DifficultyLevel): Promise<TriviaQuestion[]> => {
+    if (isOfflineGame) {
+      // Bank questions were played before, so only this innings' are left out
+      const bankQuestions = await questionBank.drawQuestions(filters, SURVIVAL_REFILL_COUNT * 3, GAME_CATEGORIES, {
+        excludeIds: questionsRef.current.map(q => q.id),
+      });
+      return preferDifficulty(bankQuestions.filter(q => QuestionValidator.validateQuestion(q).isValid), difficulty);
+    }
+    
+    if (isStatsGame) {
+      const statsQuestions = await getCricketStatsUIService().generateQuestions(filters, SURVIVAL_REFILL_COUNT * 3);
+      return preferDifficulty(await filterUnseenInInnings(statsQuestions), difficulty);
+    }
+    
+    const openRouterService = getOpenRouterService();
+    const category = getRandomCategory();
+    const newQuestions = await openRouterService.generateQuestions({
+      category,
+      difficulty,
+      count: SURVIVAL_REFILL_COUNT,
+      filters: filters,
+      model: category === 'records_stats'
+        ? openRouterService.models.fast.gpt35Turbo
+        : openRouterService.models.creative.claude3Sonnet,
+    });
+    
+    const validNewQuestions = newQuestions
+      .filter((q: TriviaQuestion) => QuestionValidator.validateQuestion(q).isValid)
+      .map(QuestionValidator.autoFixQuestion)
+      .map((q: TriviaQuestion) => withValidation(q, 'validator', true));
+    return filterUnseenInInnings(validNewQuestions);
+  };
+
+  /**
+   * Add survival questions at the difficulty for the current score.
+   * Resolves to the number of questions added (0 once the source runs dry).
+   */
+  const requestSurvivalQuestions = async (runs: number): Promise<number> => {
+    const inningsId = inningsIdRef.current;
+    const newQuestions = await fetchSurvivalQuestions(getSurvivalDifficulty(runs));
+    
+    // Ignore questions that arrive after the game was restarted
+    if (inningsId !== inningsIdRef.current) return 0;
+    
+    setQuestions(prev => [...prev, ...newQuestions]);
+    if (isAiGame) {
+      questionBank.saveQuestions(newQuestions, filters);
+    }
+    return newQuestions.length;
+  };
+
+  /**
+   * Top up the survival questions in the background when few are left, so
+   * the next ball is ready before the player gets to it
+   */
+  const prefetchSurvivalQuestions = (answeredCount: number, runs: number) => {
+    const remaining = questions.length - answeredCount;
+    if (pendingRefillRef.current || remaining > SURVIVAL_REFILL_AT) {
+      return;
+    }
+    
+    const request = requestSurvivalQuestions(runs)
+      .catch(error => {
+        console.warn('Failed to top up survival questions:', error);
+        return 0;
+      })
+      .finally(() => {
+        if (pendingRefillRef.current === request) {
+          pendingRefillRef.current = null;
+        }
+      });
+    pendingRefillRef.current = request;
+  };
+
+  /**
+   * Make sure there is a next question, generating one now if the top-up failed
+   */
+  const waitForSurvivalQuestions = async (): Promise<number> => {
+    if (pendingRefillRef.current) {
+      const added = await pendingRefillRef.current;
+      if (added > 0) return added;
+    }
+    
+    try {
+      return await requestSurvivalQuestions(points);
+    } catch (err) {
+      console.warn('Failed to generate more survival questions:', err);
+      return 0;
+    }
+  };
+
   /**
    * Handle game completion
    */
   const handleGameEnd = () => {
-    const percentage = Math.round((score / questions.length) * 100);
-    let message = `Game Complete!\n\nScore: ${score}/${questions.length} (${percentage}%)`;
+    // Survival games end with questions still waiting in the buffer
+    const playedQuestions = isSurvivalGame ? questions.slice(0, currentQuestionIndex + 1) : questions;
+    
+    // Keep these questions out of rotation for the next few games
+    questionBank.recordGame(playedQuestions);
+    questionHistory.markSeen(playedQuestions);
+    
+    const percentage = Math.round((score / playedQuestions.length) * 100);
+    const shots = scoringService.current.getHistory();
+    getCareerStatsService().recordGame({
+      mode,
+      questionsAnswered: stats.stats.questionsAnswered,
+      correctAnswers: stats.stats.correctAnswers,
+      categoryPerformance: stats.stats.categoryPerformance,
+      era: filters?.era,
+      // A survival game is an innings in the career batting figures
+      innings: isSurvivalGame ? {
+        formatId: 'unlimited',
+        runs: points,
+        balls: playedQuestions.length,
+        wickets,
+        allOut: wickets >= SURVIVAL_WICKETS,
+        fours: shots.filter(shot => shot.points === 4).length,
+        sixes: shots.filter(shot => shot.points === 6).length,
+      } : undefined,
+    });
+    achievements.recordEvent({
+      type: 'game_complete',
+      result: {
+        mode,
+        finalScore: isSurvivalGame ? points : score,
+        questionsAnswered: playedQuestions.length,
+        correctAnswers: score,
+        accuracy: percentage,
+        timePlayed: Math.round((Date.now() - gameStartedAt.current) / 1000),
+      },
+      era: filters?.era,
+    });
+    let message = isSurvivalGame
+      ? `${wickets >= SURVIVAL_WICKETS ? 'All out' : 'Innings closed'} for ${points}/${wickets} off ${playedQuestions.length} balls\n\nCorrect: ${score}/${playedQuestions.length} (${percentage}%)`
+      : `Game Complete!\n\nScore: ${score}/${questions.length} (${percentage}%)\nPoints: ${points} · Wickets: ${wickets}`;
     
     if (percentage >= 80) {
       message += '\n\nExcellent! You know your cricket well!';
@@ -196,32 +617,58 @@ export const TriviaGame: React.FC<TriviaGameProps> = ({ mode, onExit, filters })
       message += '\n\nKeep practicing to improve your cricket knowledge.';
     }
 
-    Alert.alert('Game Over', message, [
+    Alert.alert(isSurvivalGame ? 'Innings Over' : 'Game Over', message, [
       { text: 'Play Again', onPress: () => resetGame() },
       { text: 'Exit', onPress: onExit },
     ]);
   };
 
+  /**
+   * Exit mid-game, recording the questions already served
+   */
+  const handleExit = () => {
+    questionBank.recordGame(questions.slice(0, currentQuestionIndex + 1));
+    questionHistory.markSeen(questions.slice(0, currentQuestionIndex + 1));
+    onExit();
+  };
+
   /**
    * Reset game for replay
    */
   const resetGame = () => {
+    inningsIdRef.current++;
+    pendingRefillRef.current = null;
+    setInningsOver(false);
+    setWaitingForQuestions(false);
     setCurrentQuestionIndex(0);
     setSelectedAnswer(null);
+    setAnswerLabel('');
     setShowExplanation(false);
     setScore(0);
+    setPoints(0);
+    setWickets(0);
     setQuestions([]);
+    stats.reset();
+    lifelines.reset();
+    scoringService.current.reset();
     generateInitialQuestions();
   };
 
+  /**
+   * Up to a refill's worth of questions, those at the wanted difficulty first
+   */
+  const preferDifficulty = (candidates: TriviaQuestion[], difficulty: DifficultyLevel): TriviaQuestion[] => {
+    return [
+      ...candidates.filter(q => q.difficulty === difficulty),
+      ...candidates.filter(q => q.difficulty !== difficulty),
+    ].slice(0, SURVIVAL_REFILL_COUNT);
+  };
+
   /**
    * Get random category for question generation
    */
   const getRandomCategory = (): QuestionCategory => {
-    const categories: QuestionCategory[] = [
-      'legendary_moments', 'player_stories', 'records_stats', 'rules_formats', 'cultural_impact'
-    ];
-    return categories[Math.floor(Math.random() * categories.length)];
+    return GAME_CATEGORIES[Math.floor(Math.random() * GAME_CATEGORIES.length)];
   };
 
   /**
@@ -232,6 +679,13 @@ export const TriviaGame: React.FC<TriviaGameProps> = ({ mode, onExit, filters })
     return difficulties[Math.floor(Math.random() * difficulties.length)];
   };
 
+  /**
+   * Get a random format other than multiple choice for question generation
+   */
+  const getRandomFormat = (): QuestionFormat => {
+    return GAME_FORMATS[Math.floor(Math.random() * GAME_FORMATS.length)];
+  };
+
   /**
    * Create sample question for fallback
    */
@@ -250,8 +704,14 @@ export const TriviaGame: React.FC<TriviaGameProps> = ({ mode, onExit, filters })
     return (
       <View style={styles.loadingContainer}>
         <ActivityIndicator size="large" color="#fff" />
-        <Text style={styles.loadingText}>Generating cricket trivia questions...</Text>
-        <Text style={styles.loadingSubtext}>AI is crafting engaging questions for you</Text>
+        <Text style={styles.loadingText}>
+          {isOfflineGame ? 'Loading saved cricket trivia...' : 'Generating cricket trivia questions...'}
+        </Text>
+        <Text style={styles.loadingSubtext}>
+          {isOfflineGame
+            ? 'Picking questions from your offline bank'
+            : isStatsGame ? 'Building questions from real match scorecards' : 'AI is crafting engaging questions for you'}
+        </Text>
       </View>
     );
   }
@@ -271,6 +731,18 @@ export const TriviaGame: React.FC<TriviaGameProps> = ({ mode, onExit, filters })
     );
   }
 
+  if (waitingForQuestions) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#fff" />
+        <Text style={styles.loadingText}>Preparing the next delivery...</Text>
+        <Text style={styles.loadingSubtext}>
+          {`${getSurvivalDifficulty(points).replace(/^./, letter => letter.toUpperCase())} questions at ${points} runs`}
+        </Text>
+      </View>
+    );
+  }
+
   if (!currentQuestion) {
     return (
       <View style={styles.errorContainer}>
@@ -286,11 +758,27 @@ export const TriviaGame: React.FC<TriviaGameProps> = ({ mode, onExit, filters })
     <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
       {/* Header */}
       <View style={styles.header}>
-        <Text style={styles.modeText}>{mode === 'tutorial' ? 'Cricket Tutorial' : 'Game Mode'}</Text>
-        <Text style={styles.scoreText}>Score: {score}/{currentQuestionIndex + 1}</Text>
-        <Text style={styles.progressText}>
-          Question {currentQuestionIndex + 1} of {questions.length}
+        <Text style={styles.modeText}>
+          {mode === 'tutorial' ? 'Cricket Tutorial' : isSurvivalGame ? 'Unlimited Overs' : 'Game Mode'}
         </Text>
+        {isSurvivalGame ? (
+          <>
+            <Text style={styles.scoreText}>{points}/{wickets}</Text>
+            <Text style={styles.progressText}>
+              Ball {currentQuestionIndex + 1} · {SURVIVAL_WICKETS - wickets} wicket{SURVIVAL_WICKETS - wickets === 1 ? '' : 's'} left
+            </Text>
+          </>
+        ) : (
+          <>
+            <Text style={styles.scoreText}>Score: {score}/{currentQuestionIndex + 1}</Text>
+            <Text style={styles.progressText}>
+              Question {currentQuestionIndex + 1} of {questions.length}
+            </Text>
+            <Text style={styles.progressText}>
+              {points} pts · {wickets} wkt{wickets === 1 ? '' : 's'}
+            </Text>
+          </>
+        )}
       </View>
 
       {/* Question */}
@@ -299,38 +787,57 @@ export const TriviaGame: React.FC<TriviaGameProps> = ({ mode, onExit, filters })
         <Text style={styles.questionText}>{currentQuestion.question}</Text>
       </View>
 
+      {/* Lifelines */}
+      {mode === 'game' && (
+        <LifelineBar
+          lifelines={lifelines}
+          question={currentQuestion}
+          disabled={selectedAnswer !== null}
+        />
+      )}
+
       {/* Options */}
-      <View style={styles.optionsContainer}>
-        {currentQuestion.options.map((option, index) => (
-          <TouchableOpacity
-            key={index}
-            style={[
-              styles.optionButton,
-              selectedAnswer === index && styles.selectedOption,
-              showExplanation && index === currentQuestion.correctAnswer && styles.correctOption,
-              showExplanation && selectedAnswer === index && index !== currentQuestion.correctAnswer && styles.incorrectOption,
-            ]}
-            onPress={() => handleAnswerSelect(index)}
-            disabled={selectedAnswer !== null}
-          >
-            <Text style={[
-              styles.optionText,
-              selectedAnswer === index && styles.selectedOptionText,
-              showExplanation && index === currentQuestion.correctAnswer && styles.correctOptionText,
-            ]}>
-              {String.fromCharCode(65 + index)}. {option}
-            </Text>
-          </TouchableOpacity>
-        ))}
-      </View>
+      {isChoiceFormat(currentQuestion) ? (
+        <View style={styles.optionsContainer}>
+          {currentQuestion.options.map((option, index) => (
+            <TouchableOpacity
+              key={index}
+              style={[
+                styles.optionButton,
+                lifelines.eliminated.includes(index) && styles.eliminatedOption,
+                selectedAnswer === index && styles.selectedOption,
+                showExplanation && index === currentQuestion.correctAnswer && styles.correctOption,
+                showExplanation && selectedAnswer === index && index !== currentQuestion.correctAnswer && styles.incorrectOption,
+              ]}
+              onPress={() => handleAnswerSelect(index)}
+              disabled={selectedAnswer !== null || lifelines.eliminated.includes(index)}
+            >
+              <Text style={[
+                styles.optionText,
+                selectedAnswer === index && styles.selectedOptionText,
+                showExplanation && index === currentQuestion.correctAnswer && styles.correctOptionText,
+              ]}>
+                {String.fromCharCode(65 + index)}. {option}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      ) : (
+        <QuestionAnswerInput
+          key={currentQuestion.id}
+          question={currentQuestion}
+          answer={selectedAnswer}
+          revealed={showExplanation}
+          onSubmit={handleAnswerSelect}
+        />
+      )}
 
       {/* Explanation */}
       {showExplanation && (
         <View style={styles.explanationContainer}>
-          <Text style={styles.explanationTitle}>
-            {selectedAnswer === currentQuestion.correctAnswer ? 'Correct!' : 'Incorrect'}
-          </Text>
+          <Text style={styles.explanationTitle}>{answerLabel}</Text>
           <Text style={styles.explanationText}>{currentQuestion.explanation}</Text>
+          <QuestionSources question={currentQuestion} />
         </View>
       )}
 
@@ -339,12 +846,14 @@ export const TriviaGame: React.FC<TriviaGameProps> = ({ mode, onExit, filters })
         {showExplanation && (
           <TouchableOpacity style={styles.nextButton} onPress={handleNextQuestion}>
             <Text style={styles.nextButtonText}>
-              {isLastQuestion ? 'Finish Game' : 'Next Question'}
+              {isSurvivalGame
+                ? (inningsOver ? 'End Innings' : 'Next Ball')
+                : (isLastQuestion ? 'Finish Game' : 'Next Question')}
             </Text>
           </TouchableOpacity>
         )}
         
-        <TouchableOpacity style={styles.exitButton} onPress={onExit}>
+        <TouchableOpacity style={styles.exitButton} onPress={handleExit}>
           <Text style={styles.exitButtonText}>Exit Game</Text>
         </TouchableOpacity>
       </View>
@@ -470,6 +979,9 @@ const styles = StyleSheet.create({
     borderColor: '#f44336',
     backgroundColor: 'rgba(244, 67, 54, 0.2)',
   },
+  eliminatedOption: {
+    opacity: 0.3,
+  },
   optionText: {
     color: '#fff',
     fontSize: 16,
@@ -1,7 +1,7 @@
 /**
  * Ball Tracker Component
  * 
- * Displays ball-by-ball results for each over in a cricket match.
+ * Displays ball-by-ball results for the most recent overs in a cricket match.
  */
 
 import React from 'react';
@@ -12,12 +12,17 @@ interface BallTrackerProps {
   ballResults: BallResult[];
   currentBall: number;
   totalOvers: number;
+  powerplayOvers?: number;
 }
 
+// Long innings only show the latest overs
+const MAX_VISIBLE_OVERS = 3;
+
 export const BallTracker: React.FC<BallTrackerProps> = ({
   ballResults,
   currentBall,
   totalOvers,
+  powerplayOvers = 0,
 }) => {
   /**
    * Get style for ball based on result
@@ -28,6 +33,8 @@ export const BallTracker: React.FC<BallTrackerProps> = ({
         return styles.six;
       case '4':
         return styles.four;
+      case '3':
+      case '2':
       case '1':
         return styles.single;
       case '0':
@@ -60,8 +67,11 @@ export const BallTracker: React.FC<BallTrackerProps> = ({
   const renderOvers = () => {
     const overs = [];
     const ballsPerOver = 6;
+    const currentOver = Math.min(Math.floor(currentBall / ballsPerOver), totalOvers - 1);
+    const firstOver = Math.max(0, Math.min(currentOver - 1, totalOvers - MAX_VISIBLE_OVERS));
+    const lastOver = Math.min(totalOvers, firstOver + MAX_VISIBLE_OVERS);
     
-    for (let over = 0; over < totalOvers; over++) {
+    for (let over = firstOver; over < lastOver; over++) {
       const overBalls = [];
       
       for (let ball = 0; ball < ballsPerOver; ball++) {
@@ -90,7 +100,9 @@ export const BallTracker: React.FC<BallTrackerProps> = ({
       
       overs.push(
         <View key={over} style={styles.over}>
-          <Text style={styles.overLabel}>Over {over + 1}</Text>
+          <Text style={styles.overLabel}>
+            Over {over + 1}{over < powerplayOvers ? ' · Powerplay' : ''}
+          </Text>
           <View style={styles.ballsContainer}>
             {overBalls}
           </View>
@@ -3,11 +3,14 @@
  * 
  * Displays the current game state in cricket format with
  * runs, wickets, overs, and additional statistics.
+ * Shows a powerplay badge during powerplay overs and the innings
+ * break summary once the innings is complete. In Chase mode it also shows
+ * the target, the required run rate and the result of the chase.
  */
 
 import React from 'react';
 import { View, Text, StyleSheet } from 'react-native';
-import { CricketGameState } from '../../types/Cricket';
+import { CricketGameState, InningsSummary, ChaseTarget, ChaseResult, CRICKET_CONSTANTS } from '../../types/Cricket';
 import { Ionicons } from '@expo/vector-icons';
 import { BallTracker } from './BallTracker';
 
@@ -15,13 +18,31 @@ interface CricketScorecardProps {
   gameState: CricketGameState;
   totalWickets: number;
   totalOvers?: number;
+  powerplayOvers?: number;
+  inningsSummary?: InningsSummary | null;
+  chase?: ChaseTarget | null;
+  chaseResult?: ChaseResult | null;
 }
 
 export const CricketScorecard: React.FC<CricketScorecardProps> = ({
   gameState,
   totalWickets,
   totalOvers = 2,
+  powerplayOvers = 0,
+  inningsSummary = null,
+  chase = null,
+  chaseResult = null,
 }) => {
+  const inPowerplay = !inningsSummary && gameState.currentOver < powerplayOvers;
+
+  // Chase equation
+  const ballsRemaining = Math.max(0, totalOvers * CRICKET_CONSTANTS.BALLS_PER_OVER - gameState.balls);
+  const runsRequired = chase ? Math.max(0, chase.target - gameState.runs) : 0;
+  const requiredRunRate = ballsRemaining > 0 ? (runsRequired / ballsRemaining) * CRICKET_CONSTANTS.BALLS_PER_OVER : 0;
+  const firstInningsAtThisStage = chase
+    ? (chase.firstInnings.overRuns || []).slice(0, gameState.currentOver).reduce((sum, runs) => sum + (runs || 0), 0)
+    : 0;
+
   /**
    * Render wickets as cricket stumps
    */
@@ -33,7 +54,7 @@ export const CricketScorecard: React.FC<CricketScorecardProps> = ({
         <View key={i} style={styles.wicketContainer}>
           <Ionicons 
             name={isLost ? "close-circle" : "radio-button-on"} 
-            size={24} 
+            size={totalWickets > 5 ? 18 : 24} 
             color={isLost ? "#f44336" : "#4caf50"} 
           />
         </View>
@@ -42,6 +63,46 @@ export const CricketScorecard: React.FC<CricketScorecardProps> = ({
     return wickets;
   };
 
+  /**
+   * Innings break block for a completed innings
+   */
+  const renderInningsSummary = (title: string, summary: InningsSummary, footer?: string) => (
+    <View style={styles.inningsBreak}>
+      <Text style={styles.inningsBreakTitle}>{title}</Text>
+      <Text style={styles.inningsBreakScore}>
+        {summary.runs}/{summary.wickets} in {summary.overs} overs
+        {summary.allOut ? ' (all out)' : ''}
+      </Text>
+      <View style={styles.inningsBreakRow}>
+        <Text style={styles.inningsBreakStat}>Run rate {summary.runRate.toFixed(2)}</Text>
+        <Text style={styles.inningsBreakStat}>Strike rate {summary.strikeRate.toFixed(1)}</Text>
+      </View>
+      <View style={styles.inningsBreakRow}>
+        {powerplayOvers > 0 && (
+          <Text style={styles.inningsBreakStat}>Powerplay {summary.powerplayRuns} runs</Text>
+        )}
+        {summary.bestOver && (
+          <Text style={styles.inningsBreakStat}>
+            Best over {summary.bestOver.over} ({summary.bestOver.runs} runs)
+          </Text>
+        )}
+      </View>
+      {footer && <Text style={styles.inningsBreakFooter}>{footer}</Text>}
+    </View>
+  );
+
+  /**
+   * Colour for the chase result banner
+   */
+  const getResultColor = () => {
+    switch (chaseResult?.outcome) {
+      case 'won': return '#4caf50';
+      case 'lost': return '#f44336';
+      case 'tied': return '#ffd700';
+      default: return '#9e9e9e';
+    }
+  };
+
   /**
    * Format strike rate with appropriate color
    */
@@ -58,9 +119,49 @@ export const CricketScorecard: React.FC<CricketScorecardProps> = ({
         <Text style={styles.runs}>{gameState.runs}</Text>
         <Text style={styles.separator}>/</Text>
         <Text style={styles.wickets}>{gameState.wickets}</Text>
-        <Text style={styles.overs}>({gameState.overs} overs)</Text>
+        <Text style={styles.overs}>({gameState.overs}/{totalOvers} overs)</Text>
       </View>
 
+      {inPowerplay && (
+        <View style={styles.powerplayBadge}>
+          <Text style={styles.powerplayText}>
+            POWERPLAY · Over {gameState.currentOver + 1} of {powerplayOvers}
+          </Text>
+        </View>
+      )}
+
+      {/* First innings to chase, shown until the first ball is bowled */}
+      {chase && gameState.balls === 0 && !chaseResult &&
+        renderInningsSummary(`Innings Break · ${chase.teamName}`, chase.firstInnings, `Target: ${chase.target}`)}
+
+      {/* Chase Equation */}
+      {chase && gameState.balls > 0 && !chaseResult && (
+        <View style={styles.chaseRow}>
+          <Text style={styles.chaseText}>
+            Need {runsRequired} from {ballsRemaining} {ballsRemaining === 1 ? 'ball' : 'balls'}
+          </Text>
+          <Text style={styles.chaseStat}>
+            Target {chase.target} · RRR {requiredRunRate.toFixed(2)}
+            {gameState.currentOver > 0 ? ` · ${chase.teamName}: ${firstInningsAtThisStage} after ${gameState.currentOver}` : ''}
+          </Text>
+        </View>
+      )}
+
+      {/* Chase Result */}
+      {chaseResult && (
+        <View style={[styles.resultBanner, { borderColor: getResultColor() }]}>
+          <Text style={[styles.resultText, { color: getResultColor() }]}>{chaseResult.margin}</Text>
+          {chase && (
+            <Text style={styles.chaseStat}>
+              {chase.teamName} {chase.firstInnings.runs}/{chase.firstInnings.wickets} ({chase.firstInnings.overs})
+            </Text>
+          )}
+        </View>
+      )}
+
+      {/* Innings Break Summary */}
+      {inningsSummary && renderInningsSummary(chase ? 'Second Innings' : 'Innings Break', inningsSummary)}
+
       {/* Wickets Visual */}
       <View style={styles.wicketsRow}>
         {renderWickets()}
@@ -106,6 +207,7 @@ export const CricketScorecard: React.FC<CricketScorecardProps> = ({
         ballResults={gameState.ballResults}
         currentBall={gameState.balls}
         totalOvers={totalOvers}
+        powerplayOvers={powerplayOvers}
       />
     </View>
   );
@@ -145,10 +247,85 @@ const styles = StyleSheet.create({
     marginLeft: 10,
   },
   wicketsRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginBottom: 10,
+  },
+  powerplayBadge: {
+    alignSelf: 'center',
+    backgroundColor: '#ffd700',
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+    borderRadius: 12,
+    marginBottom: 10,
+  },
+  powerplayText: {
+    color: '#1a472a',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  inningsBreak: {
+    backgroundColor: 'rgba(0, 0, 0, 0.2)',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 10,
+    alignItems: 'center',
+  },
+  inningsBreakTitle: {
+    color: '#ffd700',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  inningsBreakScore: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 6,
+  },
+  inningsBreakRow: {
     flexDirection: 'row',
     justifyContent: 'center',
+    flexWrap: 'wrap',
+  },
+  inningsBreakStat: {
+    color: '#90ee90',
+    fontSize: 13,
+    marginHorizontal: 8,
+    marginBottom: 2,
+  },
+  inningsBreakFooter: {
+    color: '#ffd700',
+    fontSize: 15,
+    fontWeight: 'bold',
+    marginTop: 6,
+  },
+  chaseRow: {
+    alignItems: 'center',
     marginBottom: 10,
   },
+  chaseText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  chaseStat: {
+    color: '#90ee90',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  resultBanner: {
+    alignItems: 'center',
+    borderWidth: 2,
+    borderRadius: 10,
+    padding: 10,
+    marginBottom: 10,
+  },
+  resultText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
   wicketContainer: {
     marginHorizontal: 5,
   },
@@ -0,0 +1,116 @@
+/**
+ * Lifeline Bar Component
+ *
+ * Buttons for the cricket lifelines (DRS review, Free Hit, Batting Powerplay)
+ * from useLifelines, with how many of each are left and which are in play.
+ */
+
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { LIFELINES, LifelineId, Lifelines } from '../../hooks/useLifelines';
+import { TriviaQuestion } from '../../types/Question';
+
+interface LifelineBarProps {
+  lifelines: Lifelines;
+  question: TriviaQuestion;
+  disabled?: boolean; // e.g. once the question is answered
+}
+
+export const LifelineBar: React.FC<LifelineBarProps> = ({
+  lifelines,
+  question,
+  disabled = false,
+}) => {
+  const buttons: Array<{ id: LifelineId; available: boolean; active: boolean; status: string; onPress: () => void }> = [
+    {
+      id: 'drs',
+      available: lifelines.canReview(question),
+      active: lifelines.ballContext.review,
+      status: lifelines.ballContext.review ? 'Under review' : `${lifelines.remaining.drs} left`,
+      onPress: () => lifelines.takeReview(question),
+    },
+    {
+      id: 'freeHit',
+      available: lifelines.canTakeFreeHit,
+      active: lifelines.freeHitActive,
+      status: lifelines.freeHitActive ? 'On' : `${lifelines.remaining.freeHit} left`,
+      onPress: lifelines.takeFreeHit,
+    },
+    {
+      id: 'battingPowerplay',
+      available: lifelines.canTakePowerplay,
+      active: lifelines.powerplayBallsLeft > 0,
+      status: lifelines.powerplayBallsLeft > 0
+        ? `${lifelines.powerplayBallsLeft} ball${lifelines.powerplayBallsLeft === 1 ? '' : 's'}`
+        : `${lifelines.remaining.battingPowerplay} left`,
+      onPress: lifelines.takePowerplay,
+    },
+  ];
+
+  return (
+    <View style={styles.container}>
+      {buttons.map(button => {
+        const lifeline = LIFELINES[button.id];
+        return (
+          <TouchableOpacity
+            key={button.id}
+            style={[
+              styles.button,
+              button.active && styles.activeButton,
+              !button.active && (disabled || !button.available) && styles.unavailableButton,
+            ]}
+            onPress={button.onPress}
+            disabled={disabled || !button.available}
+            accessibilityLabel={`${lifeline.label}: ${lifeline.description}`}
+          >
+            <Text style={styles.icon}>{lifeline.icon}</Text>
+            <Text style={styles.label}>{lifeline.label}</Text>
+            <Text style={[styles.status, button.active && styles.activeStatus]}>{button.status}</Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    marginHorizontal: -4,
+    marginBottom: 15,
+  },
+  button: {
+    flex: 1,
+    alignItems: 'center',
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    borderRadius: 10,
+    borderWidth: 2,
+    borderColor: 'transparent',
+    paddingVertical: 8,
+    marginHorizontal: 4,
+  },
+  activeButton: {
+    borderColor: '#ffd700',
+    backgroundColor: 'rgba(255, 215, 0, 0.15)',
+  },
+  unavailableButton: {
+    opacity: 0.4,
+  },
+  icon: {
+    fontSize: 18,
+  },
+  label: {
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: 'bold',
+    marginTop: 2,
+  },
+  status: {
+    color: '#90ee90',
+    fontSize: 11,
+    marginTop: 2,
+  },
+  activeStatus: {
+    color: '#ffd700',
+  },
+});
@@ -0,0 +1,11 @@
+/**
+ * Bundled Cricket Stats
+ *
+ * Cricsheet match data shipped with the app for the Match Stats game. The
+ * store is written by the CLI (`ingest-cricsheet <dir> --bundle`); it ships
+ * empty until matches are ingested.
+ */
+
+import stats from './stats.json';
+
+export const BUNDLED_CRICKET_STATS: object = stats;
@@ -0,0 +1,15 @@
+/**
+ * Bundled Question Packs
+ *
+ * Packs shipped with the app. They are validated like imported packs each
+ * time they are loaded. To add one, drop a pack JSON file in this folder
+ * and list it below.
+ */
+
+import ashesClassics from './ashes-classics.json';
+import worldCupMoments from './world-cup-moments.json';
+
+export const BUNDLED_QUESTION_PACKS: unknown[] = [
+  ashesClassics,
+  worldCupMoments,
+];
@@ -6,6 +6,7 @@
  */
 
 import { useState, useCallback } from 'react';
+import { LifelineId } from './useLifelines';
 
 export interface GameStats {
   questionsAnswered: number;
@@ -23,6 +24,9 @@ export interface GameStats {
     attempted: number;
     correct: number;
   }>;
+  lifelinesUsed: Record<LifelineId, number>;
+  reviewsRetained: number; // DRS reviews followed by a right answer
+  wicketsSaved: number;    // Wrong answers a free hit kept from costing a wicket
 }
 
 export interface AnswerRecord {
@@ -31,6 +35,7 @@ export interface AnswerRecord {
   responseTime: number;
   category?: string;
   difficulty?: string;
+  lifelines?: LifelineId[]; // Lifelines in play for this answer
   timestamp: Date;
 }
 
@@ -44,9 +49,17 @@ const initialStats: GameStats = {
   averageResponseTime: 0,
   categoryPerformance: {},
   difficultyPerformance: {},
+  lifelinesUsed: { drs: 0, freeHit: 0, battingPowerplay: 0 },
+  reviewsRetained: 0,
+  wicketsSaved: 0,
 };
 
-export const useGameStats = () => {
+export interface UseGameStatsOptions {
+  onAnswer?: (record: AnswerRecord) => void; // Called for every recorded answer (e.g. for achievements)
+}
+
+export const useGameStats = (options: UseGameStatsOptions = {}) => {
+  const { onAnswer } = options;
   const [stats, setStats] = useState<GameStats>(initialStats);
   const [answerHistory, setAnswerHistory] = useState<AnswerRecord[]>([]);
 
@@ -60,9 +73,15 @@ export const useGameStats = () => {
     };
 
     setAnswerHistory(prev => [...prev, fullRecord]);
+    onAnswer?.(fullRecord);
 
     setStats(prev => {
-      const newStats = { ...prev };
+      // Copy the nested records too, so initialStats and earlier states are never mutated
+      const newStats = {
+        ...prev,
+        categoryPerformance: { ...prev.categoryPerformance },
+        difficultyPerformance: { ...prev.difficultyPerformance },
+      };
 
       // Update basic counts
       newStats.questionsAnswered++;
@@ -75,15 +94,23 @@ export const useGameStats = () => {
         newStats.currentStreak = 0;
       }
 
+      // Update lifeline outcomes
+      if (record.lifelines?.includes('drs') && record.isCorrect) {
+        newStats.reviewsRetained++;
+      }
+      if (record.lifelines?.includes('freeHit') && !record.isCorrect) {
+        newStats.wicketsSaved++;
+      }
+
       // Update time stats
       newStats.totalTimePlayed += record.responseTime;
       newStats.averageResponseTime = newStats.totalTimePlayed / newStats.questionsAnswered;
 
       // Update category performance
       if (record.category) {
-        if (!newStats.categoryPerformance[record.category]) {
-          newStats.categoryPerformance[record.category] = { attempted: 0, correct: 0 };
-        }
+        newStats.categoryPerformance[record.category] = {
+          ...(newStats.categoryPerformance[record.category] || { attempted: 0, correct: 0 }),
+        };
         newStats.categoryPerformance[record.category].attempted++;
         if (record.isCorrect) {
           newStats.categoryPerformance[record.category].correct++;
@@ -92,9 +119,9 @@ export const useGameStats = () => {
 
       // Update difficulty performance
       if (record.difficulty) {
-        if (!newStats.difficultyPerformance[record.difficulty]) {
-          newStats.difficultyPerformance[record.difficulty] = { attempted: 0, correct: 0 };
-        }
+        newStats.difficultyPerformance[record.difficulty] = {
+          ...(newStats.difficultyPerformance[record.difficulty] || { attempted: 0, correct: 0 }),
+        };
         newStats.difficultyPerformance[record.difficulty].attempted++;
         if (record.isCorrect) {
           newStats.difficultyPerformance[record.difficulty].correct++;
@@ -103,6 +130,16 @@ export const useGameStats = () => {
 
       return newStats;
     });
+  }, [onAnswer]);
+
+  /**
+   * Record a lifeline being played (useLifelines onUse)
+   */
+  const recordLifeline = useCallback((lifeline: LifelineId) => {
+    setStats(prev => ({
+      ...prev,
+      lifelinesUsed: { ...prev.lifelinesUsed, [lifeline]: prev.lifelinesUsed[lifeline] + 1 },
+    }));
   }, []);
 
   /**
@@ -184,6 +221,7 @@ export const useGameStats = () => {
     stats,
     answerHistory,
     recordAnswer,
+    recordLifeline,
     getAccuracy,
     getCategoryAccuracy,
     getDifficultyAccuracy,
@@ -0,0 +1,167 @@
+/**
+ * Cricket Lifelines Hook
+ *
+ * In-game power-ups named after cricket:
+ * - DRS review: takes two wrong options out of a multiple choice question.
+ *   Reviews are limited per innings, and a review is kept when the answer is right.
+ * - Free Hit: the next wrong answer doesn't cost a wicket
+ * - Batting Powerplay: runs are doubled for the next over (six answers)
+ *
+ * Pass `ballContext` into the scoring context of each answer, then call
+ * `settleBall` with the result and `nextBall` when the next question appears.
+ */
+
+import { useState, useCallback } from 'react';
+import { TriviaQuestion } from '../types/Question';
+import { CRICKET_CONSTANTS } from '../types/Cricket';
+
+export type LifelineId = 'drs' | 'freeHit' | 'battingPowerplay';
+
+export type LifelineAllowance = Record<LifelineId, number>;
+
+export const DEFAULT_LIFELINE_ALLOWANCE: LifelineAllowance = {
+  drs: 2,
+  freeHit: 1,
+  battingPowerplay: 1,
+};
+
+export const LIFELINES: Record<LifelineId, { label: string; icon: string; description: string }> = {
+  drs: { label: 'DRS', icon: '📺', description: 'Take out two wrong options - kept if you get it right' },
+  freeHit: { label: 'Free Hit', icon: '🆓', description: "Your next wrong answer doesn't cost a wicket" },
+  battingPowerplay: { label: 'Powerplay', icon: '⚡', description: 'Double runs for the next over' },
+};
+
+// Options a DRS review takes out
+const REVIEW_ELIMINATES = 2;
+
+export interface UseLifelinesOptions {
+  allowance?: LifelineAllowance;
+  onUse?: (lifeline: LifelineId) => void; // Called when a lifeline is played (e.g. useGameStats recordLifeline)
+}
+
+/**
+ * Wrong options of a multiple choice question (other formats can't be reviewed)
+ */
+const wrongOptions = (question: TriviaQuestion): number[] => {
+  if ((question.format || 'multiple_choice') !== 'multiple_choice') return [];
+  return question.options
+    .map((_, index) => index)
+    .filter(index => index !== question.correctAnswer);
+};
+
+export const useLifelines = (options: UseLifelinesOptions = {}) => {
+  const { allowance = DEFAULT_LIFELINE_ALLOWANCE, onUse } = options;
+  const [remaining, setRemaining] = useState<LifelineAllowance>(allowance);
+  const [eliminated, setEliminated] = useState<number[]>([]);
+  const [freeHitActive, setFreeHitActive] = useState(false);
+  const [powerplayBallsLeft, setPowerplayBallsLeft] = useState(0);
+
+  const canReview = useCallback((question: TriviaQuestion) => {
+    return remaining.drs > 0 && eliminated.length === 0 && wrongOptions(question).length > REVIEW_ELIMINATES;
+  }, [remaining, eliminated]);
+
+  const canTakeFreeHit = remaining.freeHit > 0 && !freeHitActive;
+  const canTakePowerplay = remaining.battingPowerplay > 0 && powerplayBallsLeft === 0;
+
+  /**
+   * Review the current question: two of its wrong options are taken out
+   */
+  const takeReview = useCallback((question: TriviaQuestion) => {
+    if (!canReview(question)) return;
+
+    const wrong = wrongOptions(question);
+    const picked: number[] = [];
+    while (picked.length < REVIEW_ELIMINATES) {
+      const index = wrong[Math.floor(Math.random() * wrong.length)];
+      if (!picked.includes(index)) picked.push(index);
+    }
+    setEliminated(picked);
+    onUse?.('drs');
+  }, [canReview, onUse]);
+
+  /**
+   * Take a free hit for the next wrong answer
+   */
+  const takeFreeHit = useCallback(() => {
+    if (!canTakeFreeHit) return;
+    setRemaining(prev => ({ ...prev, freeHit: prev.freeHit - 1 }));
+    setFreeHitActive(true);
+    onUse?.('freeHit');
+  }, [canTakeFreeHit, onUse]);
+
+  /**
+   * Take the batting powerplay for the next over
+   */
+  const takePowerplay = useCallback(() => {
+    if (!canTakePowerplay) return;
+    setRemaining(prev => ({ ...prev, battingPowerplay: prev.battingPowerplay - 1 }));
+    setPowerplayBallsLeft(CRICKET_CONSTANTS.BALLS_PER_OVER);
+    onUse?.('battingPowerplay');
+  }, [canTakePowerplay, onUse]);
+
+  // Lifelines in play for the current answer, for the ScoringService context
+  const ballContext = {
+    review: eliminated.length > 0,
+    freeHit: freeHitActive,
+    battingPowerplay: powerplayBallsLeft > 0,
+  };
+
+  const activeLifelines = ([
+    ['drs', ballContext.review],
+    ['freeHit', ballContext.freeHit],
+    ['battingPowerplay', ballContext.battingPowerplay],
+  ] as Array<[LifelineId, boolean]>)
+    .filter(([, active]) => active)
+    .map(([lifeline]) => lifeline);
+
+  /**
+   * Use up lifelines after an answer: an unsuccessful review is lost, a
+   * free hit is spent on a wrong answer and the powerplay counts down
+   */
+  const settleBall = useCallback((isCorrect: boolean) => {
+    if (eliminated.length > 0 && !isCorrect) {
+      setRemaining(prev => ({ ...prev, drs: prev.drs - 1 }));
+    }
+    if (freeHitActive && !isCorrect) {
+      setFreeHitActive(false);
+    }
+    setPowerplayBallsLeft(prev => Math.max(prev - 1, 0));
+  }, [eliminated, freeHitActive]);
+
+  /**
+   * Clear the last question's review before the next one
+   */
+  const nextBall = useCallback(() => {
+    setEliminated([]);
+  }, []);
+
+  /**
+   * Restore the full allowance for a new innings
+   */
+  const reset = useCallback(() => {
+    setRemaining(allowance);
+    setEliminated([]);
+    setFreeHitActive(false);
+    setPowerplayBallsLeft(0);
+  }, [allowance]);
+
+  return {
+    remaining,
+    eliminated,
+    freeHitActive,
+    powerplayBallsLeft,
+    canReview,
+    canTakeFreeHit,
+    canTakePowerplay,
+    takeReview,
+    takeFreeHit,
+    takePowerplay,
+    ballContext,
+    activeLifelines,
+    settleBall,
+    nextBall,
+    reset,
+  };
+};
+
+export type Lifelines = ReturnType<typeof useLifelines>;
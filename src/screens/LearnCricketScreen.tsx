@@ -2,7 +2,8 @@
  * Learn Cricket Screen
  * 
  * Main game screen for the Learn Cricket mode with adaptive AI,
- * time-based scoring, and cricket-style gameplay.
+ * time-based scoring, and cricket-style gameplay. In Chase mode the
+ * player bats second against a target from a first innings.
  */
 
 import React, { useState, useEffect, useCallback, useRef } from 'react';
@@ -19,29 +20,68 @@ import {
 import { LearnCricketIntro } from '../components/LearnCricketIntro';
 import { CricketScorecard } from '../components/cricket/CricketScorecard';
 import { TimerBar } from '../components/cricket/TimerBar';
+import { LifelineBar } from '../components/cricket/LifelineBar';
+import { QuestionAnswerInput } from '../components/QuestionAnswerInput';
 import { useGameTimer } from '../hooks/useGameTimer';
 import { useGameStats } from '../hooks/useGameStats';
-import { createScoringService } from '../services/ScoringService';
+import { useLifelines } from '../hooks/useLifelines';
+import { createScoringService, ScoringResult } from '../services/ScoringService';
 import { getLearnCricketUIService } from '../services/LearnCricketUIAdapter';
 import { getLearningContextService } from '../services/LearningContextService';
-import { TriviaQuestion } from '../types/Question';
-import { CricketGameState, CRICKET_CONSTANTS, BallResult } from '../types/Cricket';
+import { getChaseService } from '../services/ChaseService';
+import { getAchievementService } from '../services/AchievementService';
+import { getCareerStatsService } from '../services/CareerStatsService';
+import { QuestionAnswer, TriviaQuestion } from '../types/Question';
+import { isAnswerCorrect, isChoiceFormat, scoreAnswer } from '../../shared/utils/question-formats';
+import {
+  CricketGameState,
+  CRICKET_CONSTANTS,
+  BallResult,
+  MatchFormat,
+  InningsSummary,
+  ChaseTarget,
+  ChaseTargetSource,
+  ChaseResult,
+} from '../types/Cricket';
+import { MATCH_FORMATS } from '../../shared/config/constants';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
 const INTRO_SHOWN_KEY = 'learn_cricket_intro_shown';
 
+// Start generating the next over once this many questions are left
+const PREFETCH_REMAINING_BALLS = 3;
+
+/**
+ * Fresh scoreboard for an innings in the given format
+ */
+const createInitialCricketState = (format: MatchFormat): CricketGameState => ({
+  runs: 0,
+  wickets: 0,
+  balls: 0,
+  overs: '0.0',
+  currentOver: 0,
+  currentBall: 0,
+  boundaries: { fours: 0, sixes: 0 },
+  dotBalls: 0,
+  singles: 0,
+  strikeRate: 0,
+  runRate: 0,
+  ballResults: Array(format.overs * CRICKET_CONSTANTS.BALLS_PER_OVER).fill('-'),
+});
+
 interface LearnCricketScreenProps {
   onExit: () => void;
+  onChaseComplete?: (result: ChaseResult) => void;
 }
 
-export const LearnCricketScreen: React.FC<LearnCricketScreenProps> = ({ onExit }) => {
+export const LearnCricketScreen: React.FC<LearnCricketScreenProps> = ({ onExit, onChaseComplete }) => {
   
   // Game state
   const [showIntro, setShowIntro] = useState(false);
   const [loading, setLoading] = useState(true);
   const [questions, setQuestions] = useState<TriviaQuestion[]>([]);
   const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
-  const [selectedAnswer, setSelectedAnswer] = useState<number | null>(null);
+  const [selectedAnswer, setSelectedAnswer] = useState<QuestionAnswer | null>(null);
   const [showExplanation, setShowExplanation] = useState(false);
   const [gameComplete, setGameComplete] = useState(false);
   const [showOverSummary, setShowOverSummary] = useState(false);
@@ -51,27 +91,32 @@ export const LearnCricketScreen: React.FC<LearnCricketScreenProps> = ({ onExit }
   const [isTransitioning, setIsTransitioning] = useState(false);
   
   // Cricket-specific state
-  const [cricketState, setCricketState] = useState<CricketGameState>({
-    runs: 0,
-    wickets: 0,
-    balls: 0,
-    overs: '0.0',
-    currentOver: 0,
-    currentBall: 0,
-    boundaries: { fours: 0, sixes: 0 },
-    dotBalls: 0,
-    singles: 0,
-    strikeRate: 0,
-    runRate: 0,
-    ballResults: Array(CRICKET_CONSTANTS.DEFAULT_OVERS * CRICKET_CONSTANTS.BALLS_PER_OVER).fill('-'),
-  });
+  const [format, setFormat] = useState<MatchFormat>(MATCH_FORMATS.learn as MatchFormat);
+  const [cricketState, setCricketState] = useState<CricketGameState>(() => createInitialCricketState(format));
+  const [chase, setChase] = useState<ChaseTarget | null>(null);
+  const [chaseResult, setChaseResult] = useState<ChaseResult | null>(null);
 
   // Services
+  const achievements = useRef(getAchievementService());
   const timer = useGameTimer({ mode: 'countup' });
-  const stats = useGameStats();
+  const stats = useGameStats({
+    onAnswer: record => achievements.current.recordEvent({
+      type: 'answer',
+      isCorrect: record.isCorrect,
+      category: record.category,
+      responseTime: record.responseTime,
+    }),
+  });
+  const lifelines = useLifelines({ onUse: stats.recordLifeline });
   const scoringService = useRef(createScoringService('cricket'));
   const aiService = useRef(getLearnCricketUIService());
   const learningContext = useRef(getLearningContextService());
+  const chaseService = useRef(getChaseService());
+  
+  // Over-by-over question streaming
+  const answersRef = useRef<QuestionAnswer[]>([]);
+  const pendingOverRef = useRef<Promise<number> | null>(null);
+  const inningsIdRef = useRef(0);
   
   // Animation values
   const scoreAnimation = useRef(new Animated.Value(1)).current;
@@ -84,6 +129,65 @@ export const LearnCricketScreen: React.FC<LearnCricketScreenProps> = ({ onExit }
     initializeGame();
   }, []);
 
+  /**
+   * Report every ball's runs to the achievements engine
+   */
+  useEffect(() => scoringService.current.addListener((result, context) => {
+    achievements.current.recordEvent({
+      type: 'score',
+      points: result.points,
+      label: result.label,
+      isCorrect: !!context.isCorrect,
+    });
+  }), []);
+
+  /**
+   * Settle the innings once it ends: remember it as the next target to chase
+   * and decide the chase
+   */
+  useEffect(() => {
+    if (!gameComplete) return;
+    
+    if (isInningsComplete()) {
+      chaseService.current.saveInnings(format.id, buildInningsSummary());
+    }
+    
+    const result = chase ? chaseService.current.getChaseResult(chase, cricketState, format) : null;
+    if (result) {
+      setChaseResult(result);
+      onChaseComplete?.(result);
+    }
+    
+    getCareerStatsService().recordGame({
+      mode: 'learn_cricket',
+      questionsAnswered: stats.stats.questionsAnswered,
+      correctAnswers: stats.stats.correctAnswers,
+      categoryPerformance: stats.stats.categoryPerformance,
+      innings: {
+        formatId: format.id,
+        runs: cricketState.runs,
+        balls: cricketState.balls,
+        wickets: cricketState.wickets,
+        allOut: cricketState.wickets >= format.wickets,
+        fours: cricketState.boundaries.fours,
+        sixes: cricketState.boundaries.sixes,
+      },
+    });
+    
+    achievements.current.recordEvent({
+      type: 'game_complete',
+      result: {
+        mode: 'learn_cricket',
+        finalScore: cricketState.runs,
+        questionsAnswered: stats.stats.questionsAnswered,
+        correctAnswers: stats.stats.correctAnswers,
+        accuracy: stats.getAccuracy(),
+        timePlayed: stats.stats.totalTimePlayed,
+      },
+      chaseOutcome: result?.outcome,
+    });
+  }, [gameComplete]);
+
   /**
    * Initialize game and show intro
    */
@@ -104,13 +208,27 @@ export const LearnCricketScreen: React.FC<LearnCricketScreenProps> = ({ onExit }
   /**
    * Start the game after intro
    */
-  const startGame = async () => {
+  const startGame = async (selectedFormat: MatchFormat, chaseSource: ChaseTargetSource | null) => {
     setLoading(true);
     setShowIntro(false);
+    setFormat(selectedFormat);
+    setCricketState(createInitialCricketState(selectedFormat));
+    setChase(null);
+    setChaseResult(null);
+    achievements.current.recordEvent({ type: 'game_start', mode: 'learn_cricket' });
     
     try {
+      // Set the target before the questions so the innings break shows straight away
+      if (chaseSource) {
+        const target = await chaseService.current.createTarget(selectedFormat, chaseSource);
+        setChase(target);
+        if (target.source !== chaseSource) {
+          Alert.alert('No Previous Innings', `You haven't played a ${selectedFormat.name} innings yet, so the ${target.teamName} will set your target.`);
+        }
+      }
+      
       // Generate initial questions
-      await generateInitialQuestions();
+      await generateInitialQuestions(selectedFormat);
     } catch (error) {
       console.error('Failed to start game:', error);
       Alert.alert('Error', 'Failed to start game. Please try again.');
@@ -122,16 +240,18 @@ export const LearnCricketScreen: React.FC<LearnCricketScreenProps> = ({ onExit }
   /**
    * Generate initial set of questions
    */
-  const generateInitialQuestions = async () => {
+  const generateInitialQuestions = async (matchFormat: MatchFormat = format) => {
     try {
       setIsTransitioning(true);
       
-      // Generate 6 questions for the first over using shared service
+      // Generate 6 questions for the first over using shared service;
+      // later overs are generated while the innings is in progress
       const initialQuestions = await aiService.current.generateOverQuestions(
         1, // overNumber
         [], // previousQuestions
         [], // previousAnswers
-        null // performance
+        undefined, // performance
+        matchFormat.overs
       );
       
       setQuestions(initialQuestions);
@@ -161,26 +281,32 @@ export const LearnCricketScreen: React.FC<LearnCricketScreenProps> = ({ onExit }
   };
 
   /**
-   * Handle answer selection
+   * Handle an answer: an option index, or the answer from QuestionAnswerInput
    */
-  const handleAnswerSelect = async (answerIndex: number) => {
+  const handleAnswerSelect = async (answer: QuestionAnswer) => {
     if (selectedAnswer !== null || !gameStarted) return;
     
     // Stop timer and get response time
     timer.stop();
     const responseTime = timer.elapsed;
     
-    setSelectedAnswer(answerIndex);
-    const isCorrect = answerIndex === questions[currentQuestionIndex].correctAnswer;
+    setSelectedAnswer(answer);
+    answersRef.current[currentQuestionIndex] = answer;
+    const { isCorrect } = scoreAnswer(questions[currentQuestionIndex], answer);
     
-    // Calculate score
+    // Calculate score (powerplay overs score more generously, slower formats get more time,
+    // and the lifelines in play can double the runs or save the wicket)
     const scoreResult = scoringService.current.calculateScore({
       responseTime,
       isCorrect,
+      powerplay: cricketState.currentOver < format.powerplayOvers,
+      format: questions[currentQuestionIndex].format,
+      ...lifelines.ballContext,
     });
     
     // Update cricket state
-    updateCricketState(scoreResult.points, isCorrect);
+    updateCricketState(scoreResult);
+    const runs = scoreResult.points + (scoreResult.bonus || 0);
     
     // Show feedback animation
     animateScoreFeedback(scoreResult.label || '');
@@ -193,26 +319,35 @@ export const LearnCricketScreen: React.FC<LearnCricketScreenProps> = ({ onExit }
       responseTime,
       category: currentQuestion.category,
       difficulty: currentQuestion.difficulty,
+      lifelines: lifelines.activeLifelines,
     });
+    lifelines.settleBall(isCorrect);
     
     await learningContext.current.recordQuestionAttempt(
       currentQuestion.id,
-      currentQuestion.category,
+      currentQuestion.topic || currentQuestion.category,
       isCorrect,
       responseTime,
-      currentQuestion.difficulty
+      currentQuestion.difficulty,
+      currentQuestion
     );
+    aiService.current.markSeen([currentQuestion]);
     
     setShowExplanation(true);
     
-    // Check game end conditions
-    checkGameEnd();
+    // Check game end conditions, otherwise get the next over ready
+    if (!checkGameEnd(!!scoreResult.wicket, runs)) {
+      prefetchNextOver(currentQuestionIndex + 1);
+    }
   };
 
   /**
-   * Update cricket-specific game state
+   * Update cricket-specific game state from a ball's scoring result
+   * (a powerplay lifeline's extra runs come as its bonus)
    */
-  const updateCricketState = (runs: number, isCorrect: boolean) => {
+  const updateCricketState = (result: ScoringResult) => {
+    const runs = result.points;
+    const extraRuns = result.bonus || 0;
     setCricketState(prev => {
       const newState = { ...prev };
       
@@ -230,9 +365,9 @@ export const LearnCricketScreen: React.FC<LearnCricketScreenProps> = ({ onExit }
       
       // Update runs and wickets
       let ballResult: BallResult = '-';
-      if (isCorrect) {
-        newState.runs += runs;
-        overStats[currentOverIndex].runs += runs;
+      if (!result.wicket) {
+        newState.runs += runs + extraRuns;
+        overStats[currentOverIndex].runs += runs + extraRuns;
         
         // Track boundaries and dots
         if (runs === 6) {
@@ -241,6 +376,8 @@ export const LearnCricketScreen: React.FC<LearnCricketScreenProps> = ({ onExit }
         } else if (runs === 4) {
           newState.boundaries.fours++;
           ballResult = '4';
+        } else if (runs === 2) {
+          ballResult = '2';
         } else if (runs === 1) {
           newState.singles++;
           ballResult = '1';
@@ -300,15 +437,20 @@ export const LearnCricketScreen: React.FC<LearnCricketScreenProps> = ({ onExit }
   };
 
   /**
-   * Check if game should end
+   * Check if the innings is over after this ball (all out, overs complete
+   * or the chase target reached)
    */
-  const checkGameEnd = () => {
-    const totalBalls = CRICKET_CONSTANTS.DEFAULT_OVERS * CRICKET_CONSTANTS.BALLS_PER_OVER;
+  const checkGameEnd = (wicket: boolean, runs: number): boolean => {
+    const totalBalls = format.overs * CRICKET_CONSTANTS.BALLS_PER_OVER;
+    const wickets = cricketState.wickets + (wicket ? 1 : 0);
+    const balls = cricketState.balls + 1;
+    const targetReached = chase !== null && cricketState.runs + runs >= chase.target;
     
-    if (cricketState.wickets >= CRICKET_CONSTANTS.DEFAULT_WICKETS - 1 || 
-        cricketState.balls >= totalBalls - 1) {
+    const inningsOver = wickets >= format.wickets || balls >= totalBalls || targetReached;
+    if (inningsOver) {
       setGameComplete(true);
     }
+    return inningsOver;
   };
 
   /**
@@ -324,9 +466,12 @@ export const LearnCricketScreen: React.FC<LearnCricketScreenProps> = ({ onExit }
     if (showOverSummary) {
       const lastOverIndex = Math.floor((cricketState.balls - 1) / CRICKET_CONSTANTS.BALLS_PER_OVER);
       const overStat = overStats[lastOverIndex];
+      const powerplayNote = lastOverIndex + 1 === format.powerplayOvers
+        ? `\n\nPowerplay complete: ${getPowerplayRuns()} runs`
+        : '';
       Alert.alert(
         `Over ${lastOverIndex + 1} Complete!`,
-        `Runs: ${overStat.runs}\nWickets: ${overStat.wickets}\nDot Balls: ${overStat.dots}\n\nTotal: ${cricketState.runs}/${cricketState.wickets} (${cricketState.overs} overs)`,
+        `Runs: ${overStat.runs}\nWickets: ${overStat.wickets}\nDot Balls: ${overStat.dots}\n\nTotal: ${cricketState.runs}/${cricketState.wickets} (${cricketState.overs} overs)${powerplayNote}`,
         [{ 
           text: 'Continue', 
           onPress: () => {
@@ -342,9 +487,12 @@ export const LearnCricketScreen: React.FC<LearnCricketScreenProps> = ({ onExit }
     // Start transition
     setIsTransitioning(true);
     
-    // Generate more questions if needed
-    if (currentQuestionIndex >= questions.length - 2) {
-      await generateMoreQuestions();
+    // Wait for the next over if it is still being generated
+    if (currentQuestionIndex + 1 >= questions.length && !(await waitForNextOver())) {
+      setIsTransitioning(false);
+      setGameComplete(true);
+      Alert.alert('Rain Stopped Play', 'The next over could not be loaded, so your innings ends here.');
+      return;
     }
     
     // Move to next question
@@ -352,6 +500,7 @@ export const LearnCricketScreen: React.FC<LearnCricketScreenProps> = ({ onExit }
     setSelectedAnswer(null);
     setShowExplanation(false);
     setGameStarted(false);
+    lifelines.nextBall();
     
     // Reset timer for new question
     timer.reset();
@@ -374,46 +523,123 @@ export const LearnCricketScreen: React.FC<LearnCricketScreenProps> = ({ onExit }
   };
 
   /**
-   * Generate additional questions based on performance
+   * Generate the next over, adapting to the most recent over's worth of answers.
+   * Resolves to the number of questions added.
    */
-  const generateMoreQuestions = async () => {
-    try {
-      // Calculate performance from current over
-      const overQuestions = questions.slice(0, CRICKET_CONSTANTS.BALLS_PER_OVER);
-      const overAnswers = overQuestions.map((_, i) => {
-        // Get user's answers for performance calculation
-        // This is a simplified approach - you might need to track answers differently
-        return 0; // Placeholder - need to track actual answers
+  const requestNextOver = async (answeredCount: number): Promise<number> => {
+    const inningsId = inningsIdRef.current;
+    const overNumber = Math.floor(questions.length / CRICKET_CONSTANTS.BALLS_PER_OVER) + 1;
+    
+    const recentStart = Math.max(0, answeredCount - CRICKET_CONSTANTS.BALLS_PER_OVER);
+    const recentQuestions = questions.slice(recentStart, answeredCount);
+    const recentAnswers = answersRef.current.slice(recentStart, answeredCount);
+    const performance = recentQuestions.length > 0
+      ? aiService.current.calculatePerformance(recentQuestions, recentAnswers)
+      : undefined;
+    
+    const newQuestions = await aiService.current.generateOverQuestions(
+      overNumber,
+      recentQuestions,
+      recentAnswers,
+      performance,
+      format.overs
+    );
+    
+    // Ignore overs that arrive after the game was restarted
+    if (inningsId !== inningsIdRef.current) return 0;
+    
+    setQuestions(prev => [...prev, ...newQuestions]);
+    return newQuestions.length;
+  };
+
+  /**
+   * Start generating the next over in the background when the current one is
+   * nearly bowled, so only one over is ever generated ahead of play
+   */
+  const prefetchNextOver = (answeredCount: number) => {
+    const totalBalls = format.overs * CRICKET_CONSTANTS.BALLS_PER_OVER;
+    const remaining = questions.length - answeredCount;
+    if (pendingOverRef.current || questions.length >= totalBalls || remaining > PREFETCH_REMAINING_BALLS) {
+      return;
+    }
+    
+    const request = requestNextOver(answeredCount)
+      .catch(error => {
+        console.error('Failed to prefetch the next over:', error);
+        return 0;
+      })
+      .finally(() => {
+        if (pendingOverRef.current === request) {
+          pendingOverRef.current = null;
+        }
       });
-      
-      const performance = aiService.current.calculatePerformance(
-        overQuestions,
-        overAnswers
-      );
-      
-      // Generate questions for the second over
-      const newQuestions = await aiService.current.generateOverQuestions(
-        2, // overNumber
-        overQuestions, // previousQuestions
-        overAnswers, // previousAnswers
-        performance // performance from over 1
-      );
-      
-      setQuestions(prev => [...prev, ...newQuestions]);
+    pendingOverRef.current = request;
+  };
+
+  /**
+   * Make sure the next over is loaded, generating it now if prefetching failed
+   */
+  const waitForNextOver = async (): Promise<boolean> => {
+    if (pendingOverRef.current && (await pendingOverRef.current) > 0) {
+      return true;
+    }
+    
+    try {
+      return (await requestNextOver(currentQuestionIndex + 1)) > 0;
     } catch (error) {
       console.error('Failed to generate more questions:', error);
+      return false;
     }
   };
 
+  /**
+   * Whether the innings ended in play rather than being cut short
+   */
+  const isInningsComplete = (): boolean =>
+    cricketState.wickets >= format.wickets ||
+    cricketState.balls >= format.overs * CRICKET_CONSTANTS.BALLS_PER_OVER ||
+    (chase !== null && cricketState.runs >= chase.target);
+
+  /**
+   * Runs scored in the powerplay overs
+   */
+  const getPowerplayRuns = (): number =>
+    overStats.slice(0, format.powerplayOvers).reduce((sum, over) => sum + (over?.runs || 0), 0);
+
+  /**
+   * Summary of the completed innings for the innings break
+   */
+  const buildInningsSummary = (): InningsSummary => {
+    const bestOver = overStats.reduce<InningsSummary['bestOver']>((best, over, index) =>
+      over && (!best || over.runs > best.runs) ? { over: index + 1, runs: over.runs } : best, null);
+    
+    return {
+      runs: cricketState.runs,
+      wickets: cricketState.wickets,
+      overs: cricketState.overs,
+      runRate: cricketState.runRate,
+      strikeRate: cricketState.strikeRate,
+      boundaries: { ...cricketState.boundaries },
+      dotBalls: cricketState.dotBalls,
+      powerplayRuns: getPowerplayRuns(),
+      bestOver,
+      allOut: cricketState.wickets >= format.wickets,
+      overRuns: overStats.map(over => over?.runs || 0),
+    };
+  };
+
   /**
    * Show game summary
    */
   const showGameSummary = () => {
     const summary = learningContext.current.getLearningSummary();
+    const chaseLine = chase && chaseResult
+      ? `${chaseResult.margin}\n${chase.teamName}: ${chase.firstInnings.runs}/${chase.firstInnings.wickets} (${chase.firstInnings.overs} overs)\n\n`
+      : '';
     const message = `
-Match Complete!
+${format.name} ${chase ? 'Chase' : 'Innings'} Complete!
 
-Score: ${cricketState.runs}/${cricketState.wickets} (${cricketState.overs} overs)
+${chaseLine}Score: ${cricketState.runs}/${cricketState.wickets} (${cricketState.overs} overs)
 Strike Rate: ${cricketState.strikeRate.toFixed(1)}
 Boundaries: ${cricketState.boundaries.fours} fours, ${cricketState.boundaries.sixes} sixes
 
@@ -429,34 +655,27 @@ Topics Mastered: ${summary.strongTopics.join(', ') || 'Keep practicing!'}
   };
 
   /**
-   * Reset game for replay
+   * Reset game for replay (a chase is replayed against the same target)
    */
   const resetGame = () => {
-    setCricketState({
-      runs: 0,
-      wickets: 0,
-      balls: 0,
-      overs: '0.0',
-      currentOver: 0,
-      currentBall: 0,
-      boundaries: { fours: 0, sixes: 0 },
-      dotBalls: 0,
-      singles: 0,
-      strikeRate: 0,
-      runRate: 0,
-      ballResults: Array(CRICKET_CONSTANTS.DEFAULT_OVERS * CRICKET_CONSTANTS.BALLS_PER_OVER).fill('-'),
-    });
+    inningsIdRef.current++;
+    answersRef.current = [];
+    pendingOverRef.current = null;
+    setCricketState(createInitialCricketState(format));
     setCurrentQuestionIndex(0);
     setSelectedAnswer(null);
     setShowExplanation(false);
     setGameComplete(false);
+    setChaseResult(null);
     setGameStarted(false);
     setNeedsOverStart(false);
     setQuestions([]);
     setOverStats([]);
     stats.reset();
+    lifelines.reset();
     scoringService.current.reset();
     timer.stop();
+    achievements.current.recordEvent({ type: 'game_start', mode: 'learn_cricket' });
     
     generateInitialQuestions();
   };
@@ -496,7 +715,12 @@ Topics Mastered: ${summary.strongTopics.join(', ') || 'Keep practicing!'}
         {/* Cricket Scorecard */}
         <CricketScorecard 
           gameState={cricketState} 
-          totalWickets={CRICKET_CONSTANTS.DEFAULT_WICKETS}
+          totalWickets={format.wickets}
+          totalOvers={format.overs}
+          powerplayOvers={format.powerplayOvers}
+          inningsSummary={gameComplete ? buildInningsSummary() : null}
+          chase={chase}
+          chaseResult={chaseResult}
         />
 
       {/* Timer Bar or Start Prompt */}
@@ -548,29 +772,47 @@ Topics Mastered: ${summary.strongTopics.join(', ') || 'Keep practicing!'}
             <Text style={styles.questionText}>{currentQuestion.question}</Text>
           </View>
 
+          {/* Lifelines */}
+          <LifelineBar
+            lifelines={lifelines}
+            question={currentQuestion}
+            disabled={selectedAnswer !== null}
+          />
+
           {/* Options */}
-          <View style={styles.optionsContainer}>
-            {currentQuestion.options.map((option, index) => (
-              <TouchableOpacity
-                key={index}
-                style={[
-                  styles.optionButton,
-                  selectedAnswer === index && styles.selectedOption,
-                  showExplanation && index === currentQuestion.correctAnswer && styles.correctOption,
-                  showExplanation && selectedAnswer === index && index !== currentQuestion.correctAnswer && styles.incorrectOption,
-                ]}
-                onPress={() => handleAnswerSelect(index)}
-                disabled={selectedAnswer !== null}
-              >
-                <Text style={[
-                  styles.optionText,
-                  selectedAnswer === index && styles.selectedOptionText,
-                ]}>
-                  {String.fromCharCode(65 + index)}. {option}
-                </Text>
-              </TouchableOpacity>
-            ))}
-          </View>
+          {isChoiceFormat(currentQuestion) ? (
+            <View style={styles.optionsContainer}>
+              {currentQuestion.options.map((option, index) => (
+                <TouchableOpacity
+                  key={index}
+                  style={[
+                    styles.optionButton,
+                    lifelines.eliminated.includes(index) && styles.eliminatedOption,
+                    selectedAnswer === index && styles.selectedOption,
+                    showExplanation && index === currentQuestion.correctAnswer && styles.correctOption,
+                    showExplanation && selectedAnswer === index && index !== currentQuestion.correctAnswer && styles.incorrectOption,
+                  ]}
+                  onPress={() => handleAnswerSelect(index)}
+                  disabled={selectedAnswer !== null || lifelines.eliminated.includes(index)}
+                >
+                  <Text style={[
+                    styles.optionText,
+                    selectedAnswer === index && styles.selectedOptionText,
+                  ]}>
+                    {String.fromCharCode(65 + index)}. {option}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          ) : (
+            <QuestionAnswerInput
+              key={currentQuestion.id}
+              question={currentQuestion}
+              answer={selectedAnswer}
+              revealed={showExplanation}
+              onSubmit={handleAnswerSelect}
+            />
+          )}
         </>
       ) : (
         <View style={styles.waitingContainer}>
@@ -582,7 +824,7 @@ Topics Mastered: ${summary.strongTopics.join(', ') || 'Keep practicing!'}
       {showExplanation && (
         <View style={styles.explanationContainer}>
           <Text style={styles.explanationTitle}>
-            {selectedAnswer === currentQuestion.correctAnswer ? '✓ Correct!' : '✗ Incorrect'}
+            {isAnswerCorrect(currentQuestion, selectedAnswer) ? '✓ Correct!' : '✗ Incorrect'}
           </Text>
           <Text style={styles.explanationText}>{currentQuestion.explanation}</Text>
         </View>
@@ -722,6 +964,9 @@ const styles = StyleSheet.create({
     borderColor: '#f44336',
     backgroundColor: 'rgba(244, 67, 54, 0.2)',
   },
+  eliminatedOption: {
+    opacity: 0.3,
+  },
   optionText: {
     color: '#fff',
     fontSize: 16,
@@ -0,0 +1,540 @@
+/**
+ * Match Replay Screen
+ *
+ * "What happened next?": replays an innings from the bundled Cricsheet
+ * ball-by-ball data over by over on the scorecard. Before each key delivery
+ * the player predicts the outcome (dot, single, four, six or wicket), and
+ * names the dismissal when they call a wicket correctly.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { CricketScorecard } from '../components/cricket/CricketScorecard';
+import { getCricketStatsUIService } from '../services/CricketStatsUIAdapter';
+import { getCareerStatsService } from '../services/CareerStatsService';
+import { getAchievementService } from '../services/AchievementService';
+import {
+  REPLAY_OUTCOMES,
+  DISMISSAL_CHOICES,
+  deliveryOutcome,
+  dismissalChoice,
+  describeDelivery,
+  replayState,
+} from '../../shared/utils/match-replay';
+import { CricketGameState, MatchReplay, ReplayMatchSummary, ReplayOutcome } from '../types/Cricket';
+
+interface MatchReplayScreenProps {
+  onExit: () => void;
+}
+
+interface Prediction {
+  deliveryIndex: number;
+  predicted: ReplayOutcome;
+  actual: ReplayOutcome;
+  dismissal?: { guess: string; actual: string | null };
+}
+
+const OUTCOME_LABELS: Record<ReplayOutcome, string> = {
+  dot: 'Dot ball',
+  single: 'Single',
+  four: 'Four',
+  six: 'Six',
+  wicket: 'Wicket',
+};
+
+// Commentary lines shown under the scorecard
+const COMMENTARY_LINES = 6;
+
+export const MatchReplayScreen: React.FC<MatchReplayScreenProps> = ({ onExit }) => {
+  const [matches, setMatches] = useState<ReplayMatchSummary[]>([]);
+  const [replay, setReplay] = useState<MatchReplay | null>(null);
+  const [bowled, setBowled] = useState(0);
+  const [predictions, setPredictions] = useState<Prediction[]>([]);
+  const [pendingWicket, setPendingWicket] = useState<Prediction | null>(null);
+  const [loading, setLoading] = useState(true);
+
+  const statsService = getCricketStatsUIService();
+  const achievements = getAchievementService();
+  const replayStartedAt = useRef(Date.now());
+  const recorded = useRef(false);
+
+  useEffect(() => {
+    statsService.getReplayMatches()
+      .then(setMatches)
+      .catch(error => console.error('Error loading replay matches:', error))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const deliveries = replay?.deliveries ?? [];
+  const nextKey = replay?.keyDeliveries.find(index => index >= bowled);
+  const awaitingPrediction = nextKey !== undefined && nextKey === bowled;
+  const replayComplete = !!replay && bowled >= deliveries.length;
+  const lastPrediction = predictions[predictions.length - 1];
+  const showLastPrediction = !!lastPrediction && lastPrediction.deliveryIndex === bowled - 1;
+  const correctCount = predictions.filter(prediction => prediction.predicted === prediction.actual).length;
+  const dismissalsNamed = predictions.filter(prediction =>
+    prediction.dismissal && prediction.dismissal.guess === prediction.dismissal.actual).length;
+
+  /**
+   * Record the finished replay once
+   */
+  useEffect(() => {
+    if (!replayComplete || recorded.current) return;
+    recorded.current = true;
+
+    getCareerStatsService().recordGame({
+      mode: 'match_replay',
+      questionsAnswered: predictions.length,
+      correctAnswers: correctCount,
+      categoryPerformance: {},
+    });
+    achievements.recordEvent({
+      type: 'game_complete',
+      result: {
+        mode: 'match_replay',
+        finalScore: correctCount + dismissalsNamed,
+        questionsAnswered: predictions.length,
+        correctAnswers: correctCount,
+        accuracy: predictions.length > 0 ? Math.round((correctCount / predictions.length) * 100) : 0,
+        timePlayed: Math.round((Date.now() - replayStartedAt.current) / 1000),
+      },
+    });
+  }, [replayComplete]);
+
+  /**
+   * Load an innings and start the replay from its first ball
+   */
+  const startReplay = async (matchId: string, inningsIndex: number) => {
+    try {
+      setLoading(true);
+      const loaded = await statsService.getReplay(matchId, inningsIndex);
+      if (!loaded) return;
+
+      setReplay(loaded);
+      setBowled(0);
+      setPredictions([]);
+      setPendingWicket(null);
+      recorded.current = false;
+      replayStartedAt.current = Date.now();
+      achievements.recordEvent({ type: 'game_start', mode: 'match_replay' });
+    } catch (error) {
+      console.error('Error loading replay:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Bowl deliveries up to (not including) an index, stopping at the next key delivery
+   */
+  const playTo = (index: number) => {
+    setBowled(Math.min(index, nextKey ?? deliveries.length, deliveries.length));
+  };
+
+  /**
+   * Bowl the rest of the current over
+   */
+  const playOver = () => {
+    const over = deliveries[bowled]?.over;
+    const overEnd = deliveries.findIndex((delivery, index) => index > bowled && delivery.over !== over);
+    playTo(overEnd === -1 ? deliveries.length : overEnd);
+  };
+
+  /**
+   * Lock in a prediction for the key delivery; a correct wicket call goes on to the dismissal
+   */
+  const handlePredict = (predicted: ReplayOutcome) => {
+    const delivery = deliveries[bowled];
+    const actual = deliveryOutcome(delivery) as ReplayOutcome;
+    const prediction: Prediction = { deliveryIndex: bowled, predicted, actual };
+
+    if (predicted === 'wicket' && actual === 'wicket' && dismissalChoice(delivery.wicketKind)) {
+      setPendingWicket(prediction);
+      return;
+    }
+    revealKeyDelivery(prediction);
+  };
+
+  /**
+   * Name the dismissal after calling the wicket
+   */
+  const handleDismissal = (guess: string) => {
+    if (!pendingWicket) return;
+    const actual = dismissalChoice(deliveries[bowled].wicketKind);
+    setPendingWicket(null);
+    revealKeyDelivery({ ...pendingWicket, dismissal: { guess, actual } });
+  };
+
+  const revealKeyDelivery = (prediction: Prediction) => {
+    setPredictions(prev => [...prev, prediction]);
+    setBowled(prev => prev + 1);
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centerContainer}>
+        <ActivityIndicator size="large" color="#fff" />
+        <Text style={styles.loadingText}>Rolling back the tape...</Text>
+      </View>
+    );
+  }
+
+  if (!replay) {
+    return (
+      <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+        <Text style={styles.title}>What Happened Next?</Text>
+        <Text style={styles.subtitle}>Replay a real innings ball by ball and call each key delivery</Text>
+
+        {matches.length === 0 ? (
+          <Text style={styles.emptyText}>
+            No ball-by-ball match data is bundled yet. Run `ingest-cricsheet &lt;dir&gt; --bundle` from the CLI to add Cricsheet matches.
+          </Text>
+        ) : matches.map(match => (
+          <View key={match.id} style={styles.matchCard}>
+            <Text style={styles.matchTitle}>{match.title}</Text>
+            <Text style={styles.matchResult}>{match.result}</Text>
+            <View style={styles.inningsRow}>
+              {match.innings.map(innings => (
+                <TouchableOpacity
+                  key={innings.index}
+                  style={styles.inningsButton}
+                  onPress={() => startReplay(match.id, innings.index)}
+                >
+                  <Text style={styles.inningsButtonText}>{innings.team} {innings.score}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+        ))}
+
+        <TouchableOpacity style={styles.exitButton} onPress={onExit}>
+          <Text style={styles.exitButtonText}>Back</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    );
+  }
+
+  const gameState = replayState(deliveries, bowled) as CricketGameState;
+  const commentary = deliveries.slice(Math.max(0, bowled - COMMENTARY_LINES), bowled).reverse();
+  const upNext = deliveries[bowled];
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      {/* Header */}
+      <View style={styles.header}>
+        <Text style={styles.modeText}>{replay.title}</Text>
+        <Text style={styles.progressText}>
+          {replay.team} batting · {correctCount}/{predictions.length} called
+          {dismissalsNamed > 0 ? ` · ${dismissalsNamed} dismissals named` : ''}
+        </Text>
+      </View>
+
+      <CricketScorecard
+        gameState={gameState}
+        totalWickets={10}
+        totalOvers={replay.totalOvers}
+        powerplayOvers={replay.powerplayOvers}
+        chase={replay.chase}
+      />
+
+      {/* Result of the last prediction */}
+      {showLastPrediction && (
+        <View style={styles.feedbackContainer}>
+          <Text style={[
+            styles.feedbackTitle,
+            { color: lastPrediction.predicted === lastPrediction.actual ? '#4caf50' : '#f44336' },
+          ]}>
+            {lastPrediction.predicted === lastPrediction.actual
+              ? 'Called it!'
+              : `You said ${OUTCOME_LABELS[lastPrediction.predicted].toLowerCase()} - it was ${OUTCOME_LABELS[lastPrediction.actual].toLowerCase()}`}
+          </Text>
+          {lastPrediction.dismissal && (
+            <Text style={styles.feedbackText}>
+              {lastPrediction.dismissal.guess === lastPrediction.dismissal.actual
+                ? `And ${lastPrediction.dismissal.actual} is right!`
+                : `Out ${lastPrediction.dismissal.actual}, not ${lastPrediction.dismissal.guess}`}
+            </Text>
+          )}
+        </View>
+      )}
+
+      {/* Prediction */}
+      {awaitingPrediction && upNext && (
+        <View style={styles.predictContainer}>
+          <Text style={styles.predictTitle}>
+            {pendingWicket ? 'How is the batsman out?' : 'What happens next?'}
+          </Text>
+          <Text style={styles.predictText}>
+            Over {gameState.currentOver + 1}: {upNext.bowler} to {upNext.batter}
+          </Text>
+          <View style={styles.choicesRow}>
+            {pendingWicket
+              ? DISMISSAL_CHOICES.map(choice => (
+                <TouchableOpacity key={choice} style={styles.choiceButton} onPress={() => handleDismissal(choice)}>
+                  <Text style={styles.choiceText}>{choice}</Text>
+                </TouchableOpacity>
+              ))
+              : REPLAY_OUTCOMES.map(outcome => (
+                <TouchableOpacity key={outcome} style={styles.choiceButton} onPress={() => handlePredict(outcome as ReplayOutcome)}>
+                  <Text style={styles.choiceText}>{OUTCOME_LABELS[outcome as ReplayOutcome]}</Text>
+                </TouchableOpacity>
+              ))}
+          </View>
+        </View>
+      )}
+
+      {/* Replay controls */}
+      {!awaitingPrediction && !replayComplete && (
+        <View style={styles.controlsRow}>
+          <TouchableOpacity style={styles.nextButton} onPress={playOver}>
+            <Text style={styles.nextButtonText}>Next Over</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.skipButton} onPress={() => playTo(deliveries.length)}>
+            <Text style={styles.skipButtonText}>
+              {nextKey === undefined ? 'To the End' : 'To Key Ball'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {replayComplete && (
+        <View style={styles.feedbackContainer}>
+          <Text style={styles.feedbackTitle}>Innings Complete</Text>
+          <Text style={styles.feedbackText}>{replay.result}</Text>
+          <Text style={styles.feedbackText}>
+            You called {correctCount} of {predictions.length} key deliveries
+            {dismissalsNamed > 0 ? ` and named ${dismissalsNamed} dismissals` : ''}.
+          </Text>
+        </View>
+      )}
+
+      {/* Commentary */}
+      {commentary.length > 0 && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Commentary</Text>
+          {commentary.map((delivery, index) => (
+            <Text key={bowled - index} style={styles.commentaryText}>
+              {describeDelivery(delivery)}
+            </Text>
+          ))}
+        </View>
+      )}
+
+      <TouchableOpacity style={styles.exitButton} onPress={replayComplete ? () => setReplay(null) : onExit}>
+        <Text style={styles.exitButtonText}>{replayComplete ? 'Pick Another Match' : 'Leave Replay'}</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#1a472a',
+  },
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#1a472a',
+    padding: 20,
+  },
+  loadingText: {
+    color: '#fff',
+    fontSize: 16,
+    marginTop: 20,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#fff',
+    textAlign: 'center',
+    marginBottom: 5,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#90ee90',
+    textAlign: 'center',
+    marginBottom: 25,
+  },
+  emptyText: {
+    color: '#fff',
+    fontSize: 16,
+    textAlign: 'center',
+    marginBottom: 25,
+  },
+  matchCard: {
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    padding: 15,
+    borderRadius: 10,
+    marginBottom: 12,
+  },
+  matchTitle: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  matchResult: {
+    color: '#90ee90',
+    fontSize: 13,
+    marginTop: 2,
+    marginBottom: 10,
+  },
+  inningsRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  inningsButton: {
+    borderWidth: 1,
+    borderColor: '#ffd700',
+    borderRadius: 15,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 6,
+  },
+  inningsButtonText: {
+    color: '#ffd700',
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  modeText: {
+    color: '#90ee90',
+    fontSize: 16,
+    marginBottom: 5,
+    textAlign: 'center',
+  },
+  progressText: {
+    color: '#fff',
+    fontSize: 14,
+  },
+  feedbackContainer: {
+    backgroundColor: 'rgba(144, 238, 144, 0.1)',
+    padding: 15,
+    borderRadius: 15,
+    marginBottom: 15,
+  },
+  feedbackTitle: {
+    color: '#90ee90',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 5,
+  },
+  feedbackText: {
+    color: '#fff',
+    fontSize: 15,
+    lineHeight: 22,
+  },
+  predictContainer: {
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    padding: 15,
+    borderRadius: 15,
+    marginBottom: 15,
+  },
+  predictTitle: {
+    color: '#ffd700',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 5,
+  },
+  predictText: {
+    color: '#fff',
+    fontSize: 15,
+    marginBottom: 12,
+  },
+  choicesRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  choiceButton: {
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    borderWidth: 2,
+    borderColor: '#90ee90',
+    borderRadius: 10,
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  choiceText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: 'bold',
+    textTransform: 'capitalize',
+  },
+  controlsRow: {
+    flexDirection: 'row',
+    marginBottom: 15,
+  },
+  nextButton: {
+    flex: 1,
+    backgroundColor: '#fff',
+    paddingVertical: 15,
+    borderRadius: 25,
+    alignItems: 'center',
+    marginRight: 10,
+  },
+  nextButtonText: {
+    color: '#1a472a',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  skipButton: {
+    flex: 1,
+    borderWidth: 2,
+    borderColor: '#ffd700',
+    paddingVertical: 15,
+    borderRadius: 25,
+    alignItems: 'center',
+  },
+  skipButtonText: {
+    color: '#ffd700',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  section: {
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    padding: 15,
+    borderRadius: 10,
+    marginBottom: 15,
+  },
+  sectionTitle: {
+    color: '#ffd700',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 10,
+  },
+  commentaryText: {
+    color: '#fff',
+    fontSize: 14,
+    marginBottom: 6,
+  },
+  exitButton: {
+    borderWidth: 2,
+    borderColor: '#fff',
+    paddingVertical: 15,
+    paddingHorizontal: 40,
+    borderRadius: 25,
+    alignItems: 'center',
+  },
+  exitButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,465 @@
+/**
+ * Nets Practice Screen
+ *
+ * Spaced-repetition revision: questions the player got wrong come back
+ * after 1, 3, 7 and 21 days, topped up with fresh questions on weak topics
+ * that are due. Every answer reschedules the review.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { getLearningContextService } from '../services/LearningContextService';
+import { getLearnCricketUIService } from '../services/LearnCricketUIAdapter';
+import { QuestionAnswerInput } from '../components/QuestionAnswerInput';
+import { QuestionAnswer, TriviaQuestion } from '../types/Question';
+import { isAnswerCorrect, isChoiceFormat } from '../../shared/utils/question-formats';
+import { ReviewOutcome } from '../types/Game';
+
+interface NetsPracticeScreenProps {
+  onExit: () => void;
+}
+
+// Most missed questions reviewed in one session
+const MAX_SESSION_QUESTIONS = 10;
+
+interface NetsBall {
+  question: TriviaQuestion;
+  topic: string;
+  kind: 'question' | 'topic'; // Scheduled missed question, or generated for a weak topic
+}
+
+/**
+ * When the review comes back, for the feedback after an answer
+ */
+const describeOutcome = (outcome: ReviewOutcome): string => {
+  if (outcome.mastered) return 'Mastered - no more reviews needed';
+  if (outcome.intervalDays === null) return '';
+  if (outcome.intervalDays <= 1) return 'Back in the nets tomorrow';
+  return `Next review in ${outcome.intervalDays} days`;
+};
+
+export const NetsPracticeScreen: React.FC<NetsPracticeScreenProps> = ({ onExit }) => {
+  const [balls, setBalls] = useState<NetsBall[]>([]);
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [selectedAnswer, setSelectedAnswer] = useState<QuestionAnswer | null>(null);
+  const [outcome, setOutcome] = useState<ReviewOutcome | null>(null);
+  const [correctCount, setCorrectCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [sessionComplete, setSessionComplete] = useState(false);
+  const [topicResults, setTopicResults] = useState<Record<string, { correct: number; total: number }>>({});
+  const [topicOutcomes, setTopicOutcomes] = useState<Record<string, ReviewOutcome>>({});
+  const [nextDueAt, setNextDueAt] = useState<string | null>(null);
+
+  const learningContext = useRef(getLearningContextService());
+  const questionShownAt = useRef(Date.now());
+
+  const currentBall = balls[currentIndex];
+  const isLastBall = currentIndex === balls.length - 1;
+
+  useEffect(() => {
+    loadSession();
+  }, []);
+
+  /**
+   * Time each answer from when its question appears
+   */
+  useEffect(() => {
+    questionShownAt.current = Date.now();
+  }, [currentBall?.question.id]);
+
+  /**
+   * Build the session from due question reviews plus generated questions for due topics
+   */
+  const loadSession = async () => {
+    try {
+      setLoading(true);
+      await learningContext.current.loadProgress();
+
+      const due = learningContext.current.getDueReviews();
+      const sessionBalls: NetsBall[] = due.questions
+        .slice(0, MAX_SESSION_QUESTIONS)
+        .map(review => ({ question: review.question, topic: review.topic, kind: 'question' as const }));
+
+      const dueTopics = due.topics.map(review => review.topic);
+      if (dueTopics.length > 0) {
+        try {
+          const generated = await getLearnCricketUIService().generateReviewQuestions(dueTopics);
+          generated.forEach((question, index) => {
+            // Questions that don't name a due topic are shared out between them
+            const topic = question.topic && dueTopics.includes(question.topic)
+              ? question.topic
+              : dueTopics[index % dueTopics.length];
+            sessionBalls.push({ question, topic, kind: 'topic' });
+          });
+        } catch (error) {
+          console.error('Error generating topic review questions:', error);
+        }
+      }
+
+      setBalls(sessionBalls);
+      setNextDueAt(learningContext.current.getReviewSummary().nextDueAt);
+    } catch (error) {
+      console.error('Error loading nets practice:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Grade the answer and reschedule the review
+   */
+  const handleAnswerSelect = async (answer: QuestionAnswer) => {
+    if (selectedAnswer !== null || !currentBall) return;
+
+    const responseTime = (Date.now() - questionShownAt.current) / 1000;
+    const isCorrect = isAnswerCorrect(currentBall.question, answer);
+
+    setSelectedAnswer(answer);
+    if (isCorrect) {
+      setCorrectCount(prev => prev + 1);
+    }
+
+    if (currentBall.kind === 'question') {
+      setOutcome(await learningContext.current.recordQuestionReview(currentBall.question.id, isCorrect, responseTime));
+    } else {
+      // Topic reviews are rescheduled once the session's results are in
+      setTopicResults(prev => {
+        const result = prev[currentBall.topic] || { correct: 0, total: 0 };
+        return {
+          ...prev,
+          [currentBall.topic]: { correct: result.correct + (isCorrect ? 1 : 0), total: result.total + 1 },
+        };
+      });
+    }
+  };
+
+  /**
+   * Move to the next ball, or reschedule topic reviews and finish
+   */
+  const handleNext = async () => {
+    if (!isLastBall) {
+      setCurrentIndex(prev => prev + 1);
+      setSelectedAnswer(null);
+      setOutcome(null);
+      return;
+    }
+
+    const outcomes: Record<string, ReviewOutcome> = {};
+    for (const [topic, result] of Object.entries(topicResults)) {
+      outcomes[topic] = await learningContext.current.recordTopicReview(topic, result.correct, result.total);
+    }
+    setTopicOutcomes(outcomes);
+    setNextDueAt(learningContext.current.getReviewSummary().nextDueAt);
+    setSessionComplete(true);
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centerContainer}>
+        <ActivityIndicator size="large" color="#fff" />
+        <Text style={styles.loadingText}>Setting up the nets...</Text>
+      </View>
+    );
+  }
+
+  if (balls.length === 0) {
+    return (
+      <View style={styles.centerContainer}>
+        <Text style={styles.title}>Nets Practice</Text>
+        <Text style={styles.emptyText}>Nothing due for review. Well batted!</Text>
+        <Text style={styles.emptySubtext}>
+          {nextDueAt
+            ? `Next review due ${new Date(nextDueAt).toLocaleDateString()}`
+            : 'Questions you miss in Learn Cricket will come back here for revision.'}
+        </Text>
+        <TouchableOpacity style={styles.exitButton} onPress={onExit}>
+          <Text style={styles.exitButtonText}>Back</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  if (sessionComplete) {
+    return (
+      <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+        <Text style={styles.title}>Session Complete</Text>
+        <Text style={styles.subtitle}>{correctCount} of {balls.length} correct</Text>
+
+        {Object.keys(topicOutcomes).length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Topics Revised</Text>
+            {Object.entries(topicOutcomes).map(([topic, topicOutcome]) => (
+              <View key={topic} style={styles.topicRow}>
+                <Text style={styles.topicName}>
+                  {topic} ({topicResults[topic].correct}/{topicResults[topic].total})
+                </Text>
+                <Text style={styles.topicOutcome}>{describeOutcome(topicOutcome)}</Text>
+              </View>
+            ))}
+          </View>
+        )}
+
+        {nextDueAt && (
+          <Text style={styles.emptySubtext}>Next review due {new Date(nextDueAt).toLocaleDateString()}</Text>
+        )}
+
+        <TouchableOpacity style={styles.exitButton} onPress={onExit}>
+          <Text style={styles.exitButtonText}>Back</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    );
+  }
+
+  const { question } = currentBall;
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      {/* Header */}
+      <View style={styles.header}>
+        <Text style={styles.modeText}>Nets Practice</Text>
+        <Text style={styles.progressText}>
+          Ball {currentIndex + 1} of {balls.length}
+        </Text>
+      </View>
+
+      {/* Question */}
+      <View style={styles.questionContainer}>
+        <Text style={styles.topicText}>
+          {currentBall.kind === 'question' ? 'MISSED QUESTION' : 'WEAK TOPIC'} · {currentBall.topic.replace(/_/g, ' ').toUpperCase()}
+        </Text>
+        <Text style={styles.questionText}>{question.question}</Text>
+      </View>
+
+      {/* Options */}
+      {isChoiceFormat(question) ? (
+        <View style={styles.optionsContainer}>
+          {question.options.map((option, index) => (
+            <TouchableOpacity
+              key={index}
+              style={[
+                styles.optionButton,
+                selectedAnswer !== null && index === question.correctAnswer && styles.correctOption,
+                selectedAnswer === index && index !== question.correctAnswer && styles.incorrectOption,
+              ]}
+              onPress={() => handleAnswerSelect(index)}
+              disabled={selectedAnswer !== null}
+            >
+              <Text style={styles.optionText}>
+                {String.fromCharCode(65 + index)}. {option}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      ) : (
+        <QuestionAnswerInput
+          key={question.id}
+          question={question}
+          answer={selectedAnswer}
+          revealed={selectedAnswer !== null}
+          onSubmit={handleAnswerSelect}
+        />
+      )}
+
+      {/* Explanation */}
+      {selectedAnswer !== null && (
+        <View style={styles.explanationContainer}>
+          <Text style={styles.explanationTitle}>
+            {isAnswerCorrect(question, selectedAnswer) ? 'Correct!' : 'Incorrect'}
+          </Text>
+          <Text style={styles.explanationText}>{question.explanation}</Text>
+          {outcome && <Text style={styles.scheduleText}>{describeOutcome(outcome)}</Text>}
+        </View>
+      )}
+
+      {selectedAnswer !== null && (
+        <TouchableOpacity style={styles.nextButton} onPress={handleNext}>
+          <Text style={styles.nextButtonText}>{isLastBall ? 'Finish Session' : 'Next Ball'}</Text>
+        </TouchableOpacity>
+      )}
+
+      <TouchableOpacity style={styles.exitButton} onPress={onExit}>
+        <Text style={styles.exitButtonText}>Leave the Nets</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#1a472a',
+  },
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#1a472a',
+    padding: 20,
+  },
+  loadingText: {
+    color: '#fff',
+    fontSize: 16,
+    marginTop: 20,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#fff',
+    textAlign: 'center',
+    marginBottom: 5,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#90ee90',
+    textAlign: 'center',
+    marginBottom: 25,
+  },
+  emptyText: {
+    color: '#fff',
+    fontSize: 18,
+    textAlign: 'center',
+    marginTop: 15,
+    marginBottom: 10,
+  },
+  emptySubtext: {
+    color: '#90ee90',
+    fontSize: 14,
+    textAlign: 'center',
+    marginBottom: 25,
+  },
+  section: {
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    padding: 15,
+    borderRadius: 10,
+    marginBottom: 15,
+  },
+  sectionTitle: {
+    color: '#ffd700',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 10,
+  },
+  topicRow: {
+    marginBottom: 10,
+  },
+  topicName: {
+    color: '#fff',
+    fontSize: 15,
+  },
+  topicOutcome: {
+    color: '#90ee90',
+    fontSize: 13,
+    marginTop: 2,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: 30,
+  },
+  modeText: {
+    color: '#90ee90',
+    fontSize: 16,
+    marginBottom: 5,
+  },
+  progressText: {
+    color: '#fff',
+    fontSize: 14,
+  },
+  questionContainer: {
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    padding: 20,
+    borderRadius: 15,
+    marginBottom: 30,
+  },
+  topicText: {
+    color: '#90ee90',
+    fontSize: 12,
+    fontWeight: 'bold',
+    marginBottom: 10,
+  },
+  questionText: {
+    color: '#fff',
+    fontSize: 18,
+    lineHeight: 26,
+  },
+  optionsContainer: {
+    marginBottom: 30,
+  },
+  optionButton: {
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    padding: 15,
+    borderRadius: 10,
+    marginBottom: 10,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  correctOption: {
+    borderColor: '#4caf50',
+    backgroundColor: 'rgba(76, 175, 80, 0.2)',
+  },
+  incorrectOption: {
+    borderColor: '#f44336',
+    backgroundColor: 'rgba(244, 67, 54, 0.2)',
+  },
+  optionText: {
+    color: '#fff',
+    fontSize: 16,
+  },
+  explanationContainer: {
+    backgroundColor: 'rgba(144, 238, 144, 0.1)',
+    padding: 20,
+    borderRadius: 15,
+    marginBottom: 30,
+  },
+  explanationTitle: {
+    color: '#90ee90',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+  },
+  explanationText: {
+    color: '#fff',
+    fontSize: 16,
+    lineHeight: 24,
+  },
+  scheduleText: {
+    color: '#ffd700',
+    fontSize: 14,
+    marginTop: 10,
+  },
+  nextButton: {
+    backgroundColor: '#fff',
+    paddingVertical: 15,
+    borderRadius: 25,
+    marginBottom: 15,
+    alignItems: 'center',
+  },
+  nextButtonText: {
+    color: '#1a472a',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  exitButton: {
+    borderWidth: 2,
+    borderColor: '#fff',
+    paddingVertical: 15,
+    paddingHorizontal: 40,
+    borderRadius: 25,
+    alignItems: 'center',
+  },
+  exitButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,354 @@
+/**
+ * Profile Screen
+ *
+ * Career statistics shown when the profile bar is tapped: batting figures
+ * from Learn Cricket and Unlimited Overs innings, recent form, accuracy by
+ * category and era, and the Chase mode record. Opens as a modal so a game in progress
+ * is not interrupted.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { getCareerStatsService, RECENT_FORM_INNINGS } from '../services/CareerStatsService';
+import { CareerStats, AccuracyBreakdown } from '../types/Game';
+import { ChaseRecord } from '../types/Cricket';
+
+interface ProfileScreenProps {
+  visible: boolean;
+  onClose: () => void;
+  level: number;
+  totalScore: number;
+  chaseRecord: ChaseRecord;
+  achievementCount: number;
+}
+
+// Height of the tallest bar in the recent form sparkline
+const SPARKLINE_HEIGHT = 60;
+
+/**
+ * "records_stats" -> "Records Stats"
+ */
+const formatLabel = (key: string): string =>
+  key.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+
+/**
+ * One batting figure
+ */
+const StatCell: React.FC<{ label: string; value: string | number }> = ({ label, value }) => (
+  <View style={styles.statCell}>
+    <Text style={styles.statValue}>{value}</Text>
+    <Text style={styles.statLabel}>{label}</Text>
+  </View>
+);
+
+/**
+ * Runs in the most recent innings as bars, oldest on the left
+ */
+const FormSparkline: React.FC<{ runs: number[] }> = ({ runs }) => {
+  const maxRuns = Math.max(...runs, 1);
+
+  return (
+    <View style={styles.sparkline}>
+      {runs.map((inningsRuns, index) => (
+        <View key={index} style={styles.sparklineColumn}>
+          <Text style={styles.sparklineValue}>{inningsRuns}</Text>
+          <View
+            style={[
+              styles.sparklineBar,
+              { height: Math.max(2, (inningsRuns / maxRuns) * SPARKLINE_HEIGHT) },
+              index === runs.length - 1 && styles.sparklineBarLatest,
+            ]}
+          />
+        </View>
+      ))}
+    </View>
+  );
+};
+
+/**
+ * Accuracy rows with a bar per category or era
+ */
+const AccuracyList: React.FC<{ rows: AccuracyBreakdown[]; emptyText: string }> = ({ rows, emptyText }) => {
+  if (rows.length === 0) {
+    return <Text style={styles.emptyText}>{emptyText}</Text>;
+  }
+
+  return (
+    <>
+      {rows.map(row => (
+        <View key={row.key} style={styles.accuracyRow}>
+          <View style={styles.accuracyHeader}>
+            <Text style={styles.accuracyLabel}>{formatLabel(row.key)}</Text>
+            <Text style={styles.accuracyValue}>
+              {Math.round(row.accuracy)}% ({row.correct}/{row.attempted})
+            </Text>
+          </View>
+          <View style={styles.accuracyTrack}>
+            <View style={[styles.accuracyFill, { width: `${row.accuracy}%` }]} />
+          </View>
+        </View>
+      ))}
+    </>
+  );
+};
+
+export const ProfileScreen: React.FC<ProfileScreenProps> = ({
+  visible,
+  onClose,
+  level,
+  totalScore,
+  chaseRecord,
+  achievementCount,
+}) => {
+  const [career, setCareer] = useState<CareerStats | null>(null);
+
+  /**
+   * Reload the figures every time the profile is opened
+   */
+  useEffect(() => {
+    if (!visible) return;
+    getCareerStatsService().getCareerStats()
+      .then(setCareer)
+      .catch(error => console.error('Error loading career stats:', error));
+  }, [visible]);
+
+  const batting = career?.batting;
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={false}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        {!career || !batting ? (
+          <View style={styles.loadingContainer}>
+            <ActivityIndicator size="large" color="#fff" />
+            <Text style={styles.loadingText}>Loading career stats...</Text>
+          </View>
+        ) : (
+          <ScrollView contentContainerStyle={styles.content}>
+            <Text style={styles.title}>🏏 Cricket Profile</Text>
+            <Text style={styles.subtitle}>
+              Level {level} Cricket Fan · {totalScore} points · {career.gamesPlayed} games
+            </Text>
+
+            {/* Career Batting */}
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Career Batting</Text>
+              {batting.innings === 0 ? (
+                <Text style={styles.emptyText}>Play Learn Cricket or Unlimited Overs to start your batting career.</Text>
+              ) : (
+                <View style={styles.statGrid}>
+                  <StatCell label="Innings" value={batting.innings} />
+                  <StatCell label="Not Outs" value={batting.notOuts} />
+                  <StatCell label="Runs" value={batting.runs} />
+                  <StatCell
+                    label="Highest"
+                    value={batting.highestScore ? `${batting.highestScore.runs}${batting.highestScore.notOut ? '*' : ''}` : '-'}
+                  />
+                  <StatCell label="Average" value={batting.average !== null ? batting.average.toFixed(2) : '-'} />
+                  <StatCell label="Strike Rate" value={batting.strikeRate.toFixed(1)} />
+                  <StatCell label="50s" value={batting.fifties} />
+                  <StatCell label="100s" value={batting.hundreds} />
+                  <StatCell label="Ducks" value={batting.ducks} />
+                  <StatCell label="4s" value={batting.fours} />
+                  <StatCell label="6s" value={batting.sixes} />
+                  <StatCell label="Balls" value={batting.balls} />
+                </View>
+              )}
+            </View>
+
+            {/* Recent Form */}
+            {career.recentForm.length > 0 && (
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Recent Form (last {RECENT_FORM_INNINGS} innings)</Text>
+                <FormSparkline runs={career.recentForm} />
+              </View>
+            )}
+
+            {/* Chase Record */}
+            {chaseRecord.played > 0 && (
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Chases</Text>
+                <View style={styles.statGrid}>
+                  <StatCell label="Played" value={chaseRecord.played} />
+                  <StatCell label="Won" value={chaseRecord.won} />
+                  <StatCell label="Lost" value={chaseRecord.lost} />
+                  <StatCell label="Tied" value={chaseRecord.tied} />
+                  <StatCell label="Best Chase" value={chaseRecord.highestChase || '-'} />
+                </View>
+              </View>
+            )}
+
+            {/* Accuracy */}
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Accuracy by Category</Text>
+              <AccuracyList rows={career.categoryAccuracy} emptyText="No questions answered yet." />
+            </View>
+
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Accuracy by Era</Text>
+              <AccuracyList rows={career.eraAccuracy} emptyText="Play a trivia game to track your eras." />
+            </View>
+
+            <Text style={styles.achievementsText}>🏆 {achievementCount} achievements unlocked</Text>
+
+            <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+              <Text style={styles.closeButtonText}>Close</Text>
+            </TouchableOpacity>
+          </ScrollView>
+        )}
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#1a472a',
+  },
+  content: {
+    padding: 20,
+    paddingTop: 50,
+    paddingBottom: 40,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  loadingText: {
+    color: '#fff',
+    fontSize: 16,
+    marginTop: 20,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#fff',
+    textAlign: 'center',
+    marginBottom: 5,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#90ee90',
+    textAlign: 'center',
+    marginBottom: 25,
+  },
+  section: {
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    padding: 15,
+    borderRadius: 10,
+    marginBottom: 15,
+  },
+  sectionTitle: {
+    color: '#ffd700',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 10,
+  },
+  emptyText: {
+    color: '#ccc',
+    fontSize: 14,
+  },
+  statGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  statCell: {
+    width: '25%',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  statValue: {
+    color: '#fff',
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  statLabel: {
+    color: '#90ee90',
+    fontSize: 11,
+    marginTop: 2,
+  },
+  sparkline: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    justifyContent: 'space-between',
+    height: SPARKLINE_HEIGHT + 20,
+  },
+  sparklineColumn: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+  },
+  sparklineValue: {
+    color: '#ccc',
+    fontSize: 10,
+    marginBottom: 2,
+  },
+  sparklineBar: {
+    width: '60%',
+    backgroundColor: '#90ee90',
+    borderTopLeftRadius: 3,
+    borderTopRightRadius: 3,
+  },
+  sparklineBarLatest: {
+    backgroundColor: '#ffd700',
+  },
+  accuracyRow: {
+    marginBottom: 10,
+  },
+  accuracyHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  accuracyLabel: {
+    color: '#fff',
+    fontSize: 14,
+  },
+  accuracyValue: {
+    color: '#90ee90',
+    fontSize: 13,
+  },
+  accuracyTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: 'rgba(255, 255, 255, 0.15)',
+    overflow: 'hidden',
+  },
+  accuracyFill: {
+    height: 6,
+    backgroundColor: '#90ee90',
+  },
+  achievementsText: {
+    color: '#ffd700',
+    fontSize: 14,
+    textAlign: 'center',
+    marginVertical: 10,
+  },
+  closeButton: {
+    borderWidth: 2,
+    borderColor: '#fff',
+    paddingVertical: 15,
+    borderRadius: 25,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  closeButtonText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,344 @@
+/**
+ * Question Packs Screen
+ *
+ * Lists bundled and imported question packs with their validation reports,
+ * imports new packs from a JSON file (web) and starts a game with a pack.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+  Platform,
+} from 'react-native';
+import { getQuestionPackService } from '../services/QuestionPackService';
+import { QuestionPack, QuestionPackReport } from '../types/Question';
+
+interface QuestionPacksScreenProps {
+  onPlayPack: (packId: string) => void;
+  onBack: () => void;
+}
+
+/**
+ * Let the user choose a JSON file in the browser
+ */
+const pickJsonFile = (): Promise<{ name: string; text: string } | null> =>
+  new Promise(resolve => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.onchange = async () => {
+      const file = input.files?.[0];
+      resolve(file ? { name: file.name, text: await file.text() } : null);
+    };
+    input.click();
+  });
+
+/**
+ * Validation report for one pack: pack-level errors, rejected questions and suggestions
+ */
+const PackReport: React.FC<{ report: QuestionPackReport }> = ({ report }) => (
+  <View style={styles.report}>
+    <Text style={styles.reportSummary}>
+      {report.accepted} of {report.total} questions accepted
+      {report.rejected.length > 0 ? `, ${report.rejected.length} rejected` : ''}
+    </Text>
+
+    {report.errors.map((error, i) => (
+      <Text key={`error-${i}`} style={styles.reportError}>✗ {error}</Text>
+    ))}
+
+    {report.rejected.map(rejection => (
+      <View key={`rejected-${rejection.index}`} style={styles.rejection}>
+        <Text style={styles.rejectionTitle} numberOfLines={2}>
+          Question {rejection.index + 1}{rejection.question ? `: ${rejection.question}` : ''}
+        </Text>
+        {rejection.errors.map((error, i) => (
+          <Text key={i} style={styles.reportError}>• {error}</Text>
+        ))}
+      </View>
+    ))}
+
+    {report.warnings.map((warning, i) => (
+      <Text key={`warning-${i}`} style={styles.reportWarning}>⚠️ {warning}</Text>
+    ))}
+  </View>
+);
+
+export const QuestionPacksScreen: React.FC<QuestionPacksScreenProps> = ({ onPlayPack, onBack }) => {
+  const [packs, setPacks] = useState<QuestionPack[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [importing, setImporting] = useState(false);
+  const [importReport, setImportReport] = useState<QuestionPackReport | null>(null);
+  const [expandedPackId, setExpandedPackId] = useState<string | null>(null);
+
+  const packService = getQuestionPackService();
+
+  useEffect(() => {
+    loadPacks();
+  }, []);
+
+  const loadPacks = async () => {
+    try {
+      setLoading(true);
+      setPacks(await packService.getPacks());
+    } catch (error) {
+      console.error('Error loading question packs:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    const file = await pickJsonFile();
+    if (!file) return;
+
+    try {
+      setImporting(true);
+      const pack = await packService.importPackFile(file.text, file.name);
+      setImportReport(pack.report);
+      await loadPacks();
+    } catch (error) {
+      console.error('Error importing question pack:', error);
+      Alert.alert('Import Failed', error instanceof Error ? error.message : 'Could not import the pack');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleRemove = async (pack: QuestionPack) => {
+    await packService.removePack(pack.id);
+    if (importReport?.packId === pack.id) {
+      setImportReport(null);
+    }
+    await loadPacks();
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#fff" />
+        <Text style={styles.loadingText}>Loading question packs...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.title}>Question Packs</Text>
+
+      {/* Import */}
+      <View style={styles.section}>
+        {Platform.OS === 'web' ? (
+          <TouchableOpacity style={styles.importButton} onPress={handleImport} disabled={importing}>
+            <Text style={styles.importButtonText}>{importing ? 'Importing...' : 'Import Pack (JSON)'}</Text>
+          </TouchableOpacity>
+        ) : (
+          <Text style={styles.hint}>Open the web app to import your own packs from a JSON file.</Text>
+        )}
+
+        {importReport && (
+          <View style={styles.importResult}>
+            <Text style={styles.packName}>
+              {importReport.errors.length > 0 ? 'Not imported' : 'Imported'}: {importReport.packName}
+            </Text>
+            <PackReport report={importReport} />
+          </View>
+        )}
+      </View>
+
+      {/* Pack list */}
+      {packs.map(pack => {
+        const expanded = expandedPackId === pack.id;
+        const hasIssues = pack.report.rejected.length > 0 || pack.report.warnings.length > 0;
+
+        return (
+          <View key={pack.id} style={styles.packCard}>
+            <Text style={styles.packName}>{pack.name}</Text>
+            {pack.description && <Text style={styles.packDescription}>{pack.description}</Text>}
+            <Text style={styles.packMeta}>
+              {pack.questions.length} questions · {pack.origin === 'bundled' ? 'Bundled' : 'Imported'}
+              {pack.author ? ` · ${pack.author}` : ''}
+            </Text>
+
+            {hasIssues && (
+              <TouchableOpacity onPress={() => setExpandedPackId(expanded ? null : pack.id)}>
+                <Text style={styles.reportToggle}>
+                  {expanded ? 'Hide report' : `View report (${pack.report.rejected.length} rejected)`}
+                </Text>
+              </TouchableOpacity>
+            )}
+            {expanded && <PackReport report={pack.report} />}
+
+            <View style={styles.packActions}>
+              <TouchableOpacity style={styles.playButton} onPress={() => onPlayPack(pack.id)}>
+                <Text style={styles.playButtonText}>Play</Text>
+              </TouchableOpacity>
+              {pack.origin === 'imported' && (
+                <TouchableOpacity style={styles.removeButton} onPress={() => handleRemove(pack)}>
+                  <Text style={styles.removeButtonText}>Remove</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          </View>
+        );
+      })}
+
+      <TouchableOpacity style={styles.backButton} onPress={onBack}>
+        <Text style={styles.backButtonText}>Back</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#1a472a',
+  },
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#1a472a',
+  },
+  loadingText: {
+    color: '#fff',
+    fontSize: 16,
+    marginTop: 20,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#fff',
+    textAlign: 'center',
+    marginBottom: 30,
+  },
+  section: {
+    marginBottom: 20,
+  },
+  hint: {
+    color: '#ccc',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  importButton: {
+    borderWidth: 2,
+    borderColor: '#90ee90',
+    paddingVertical: 12,
+    borderRadius: 25,
+    alignItems: 'center',
+  },
+  importButtonText: {
+    color: '#90ee90',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  importResult: {
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    padding: 15,
+    borderRadius: 10,
+    marginTop: 15,
+  },
+  packCard: {
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    padding: 15,
+    borderRadius: 10,
+    marginBottom: 15,
+  },
+  packName: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 5,
+  },
+  packDescription: {
+    color: '#ccc',
+    fontSize: 14,
+    marginBottom: 5,
+  },
+  packMeta: {
+    color: '#90ee90',
+    fontSize: 12,
+  },
+  reportToggle: {
+    color: '#ffd700',
+    fontSize: 14,
+    marginTop: 10,
+  },
+  report: {
+    marginTop: 10,
+  },
+  reportSummary: {
+    color: '#fff',
+    fontSize: 14,
+    marginBottom: 5,
+  },
+  reportError: {
+    color: '#ff9999',
+    fontSize: 13,
+    marginLeft: 5,
+  },
+  reportWarning: {
+    color: '#ffd700',
+    fontSize: 13,
+    marginTop: 5,
+  },
+  rejection: {
+    marginTop: 8,
+  },
+  rejectionTitle: {
+    color: '#ccc',
+    fontSize: 13,
+    fontStyle: 'italic',
+  },
+  packActions: {
+    flexDirection: 'row',
+    marginTop: 15,
+  },
+  playButton: {
+    backgroundColor: '#fff',
+    paddingHorizontal: 30,
+    paddingVertical: 10,
+    borderRadius: 20,
+    marginRight: 10,
+  },
+  playButtonText: {
+    color: '#1a472a',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  removeButton: {
+    borderWidth: 1,
+    borderColor: '#ff9999',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 20,
+  },
+  removeButtonText: {
+    color: '#ff9999',
+    fontSize: 16,
+  },
+  backButton: {
+    borderWidth: 2,
+    borderColor: '#fff',
+    paddingVertical: 15,
+    borderRadius: 25,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  backButtonText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,171 @@
+/**
+ * Trophy Cabinet Screen
+ *
+ * Lists every achievement: unlocked ones with the date they were earned,
+ * locked ones with what it takes to earn them.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { getAchievementService, AchievementStatus } from '../services/AchievementService';
+
+interface TrophyCabinetScreenProps {
+  onBack: () => void;
+}
+
+export const TrophyCabinetScreen: React.FC<TrophyCabinetScreenProps> = ({ onBack }) => {
+  const [achievements, setAchievements] = useState<AchievementStatus[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadAchievements();
+  }, []);
+
+  const loadAchievements = async () => {
+    try {
+      setLoading(true);
+      setAchievements(await getAchievementService().getAchievements());
+    } catch (error) {
+      console.error('Error loading achievements:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#fff" />
+        <Text style={styles.loadingText}>Opening the trophy cabinet...</Text>
+      </View>
+    );
+  }
+
+  const unlockedCount = achievements.filter(achievement => achievement.unlockedAt).length;
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.title}>Trophy Cabinet</Text>
+      <Text style={styles.subtitle}>{unlockedCount} of {achievements.length} unlocked</Text>
+
+      {achievements.map(achievement => {
+        const unlocked = achievement.unlockedAt !== null;
+
+        return (
+          <View key={achievement.id} style={[styles.trophyCard, !unlocked && styles.trophyCardLocked]}>
+            <Text style={[styles.trophyIcon, !unlocked && styles.trophyIconLocked]}>
+              {unlocked ? achievement.icon : '🔒'}
+            </Text>
+            <View style={styles.trophyDetails}>
+              <Text style={styles.trophyName}>{achievement.name}</Text>
+              <Text style={styles.trophyDescription}>{achievement.description}</Text>
+              {achievement.unlockedAt && (
+                <Text style={styles.trophyDate}>
+                  Unlocked {achievement.unlockedAt.toLocaleDateString()}
+                </Text>
+              )}
+            </View>
+          </View>
+        );
+      })}
+
+      <TouchableOpacity style={styles.backButton} onPress={onBack}>
+        <Text style={styles.backButtonText}>Back</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#1a472a',
+  },
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#1a472a',
+  },
+  loadingText: {
+    color: '#fff',
+    fontSize: 16,
+    marginTop: 20,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#fff',
+    textAlign: 'center',
+    marginBottom: 5,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#90ee90',
+    textAlign: 'center',
+    marginBottom: 25,
+  },
+  trophyCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    padding: 15,
+    borderRadius: 10,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: '#ffd700',
+  },
+  trophyCardLocked: {
+    borderColor: 'transparent',
+    opacity: 0.6,
+  },
+  trophyIcon: {
+    fontSize: 32,
+    marginRight: 15,
+  },
+  trophyIconLocked: {
+    opacity: 0.7,
+  },
+  trophyDetails: {
+    flex: 1,
+  },
+  trophyName: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 3,
+  },
+  trophyDescription: {
+    color: '#ccc',
+    fontSize: 14,
+  },
+  trophyDate: {
+    color: '#ffd700',
+    fontSize: 12,
+    marginTop: 5,
+  },
+  backButton: {
+    borderWidth: 2,
+    borderColor: '#fff',
+    paddingVertical: 15,
+    borderRadius: 25,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  backButtonText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+});
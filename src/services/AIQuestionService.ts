@@ -2,11 +2,15 @@
  * AI Question Service
  * 
  * Abstracted AI service that can use different providers.
- * Currently implements OpenRouter for fast, adaptive question generation.
+ * Sends requests through the shared LLM provider layer (OpenRouter or offline fixtures)
+ * for fast, adaptive question generation.
  */
 
 import { TriviaQuestion, QuestionCategory, DifficultyLevel } from '../types/Question';
 import { PlayerProgress } from '../types/Game';
+import { getLLMProvider, OpenRouterProvider } from '../../shared/providers/LLMProvider';
+import type { LLMProvider } from '../../shared/providers/LLMProvider';
+import { renderPrompt } from '../../shared/prompts/PromptRegistry';
 
 export interface QuestionContext {
   category?: QuestionCategory;
@@ -24,12 +28,11 @@ export interface AIProvider {
 }
 
 /**
- * OpenRouter Provider Implementation
+ * Question provider backed by the shared LLM provider layer
  */
-export class OpenRouterProvider implements AIProvider {
-  name = 'OpenRouter';
-  private apiKey: string;
-  private baseUrl = 'https://openrouter.ai/api/v1/chat/completions';
+export class LLMQuestionProvider implements AIProvider {
+  name: string;
+  private llm: LLMProvider;
   
   // Fast, affordable models for real-time generation
   private models = {
@@ -40,18 +43,19 @@ export class OpenRouterProvider implements AIProvider {
   
   private selectedModel: string;
 
-  constructor(apiKey: string, modelPreference: 'fast' | 'free' | 'balanced' = 'fast') {
-    this.apiKey = apiKey;
+  constructor(llm: LLMProvider, modelPreference: 'fast' | 'free' | 'balanced' = 'fast') {
+    this.llm = llm;
+    this.name = llm.name;
     this.selectedModel = this.models[modelPreference];
   }
 
   async generateQuestions(context: QuestionContext): Promise<TriviaQuestion[]> {
     try {
       const prompt = this.buildAdaptivePrompt(context);
-      const response = await this.callOpenRouter(prompt);
+      const response = await this.callModel(prompt);
       return this.parseResponse(response, context);
     } catch (error) {
-      console.error('OpenRouter generation error:', error);
+      console.error(`${this.name} generation error:`, error);
       throw new Error('Failed to generate questions');
     }
   }
@@ -66,45 +70,17 @@ export class OpenRouterProvider implements AIProvider {
       focusAreas = []
     } = context;
 
-    let prompt = `Generate ${count} cricket trivia question(s) with these requirements:\n\n`;
-
-    // Add adaptive elements based on player progress
-    if (playerProgress) {
-      if (playerProgress.knowledgeLevel === 'beginner') {
-        prompt += 'PLAYER LEVEL: Beginner - Use simple language, provide more context, focus on fundamentals\n';
-      } else if (playerProgress.knowledgeLevel === 'advanced') {
-        prompt += 'PLAYER LEVEL: Advanced - Include nuanced details, lesser-known facts\n';
-      }
-
-      if (playerProgress.weakAreas.length > 0) {
-        prompt += `FOCUS AREAS: Emphasize these topics where player needs improvement: ${playerProgress.weakAreas.join(', ')}\n`;
-      }
-    }
-
-    // Add focus areas if specified
-    if (focusAreas.length > 0) {
-      prompt += `TOPICS TO EMPHASIZE: ${focusAreas.join(', ')}\n`;
-    }
-
-    // Core requirements
-    prompt += `
-CATEGORY: ${this.getCategoryDescription(category)}
-DIFFICULTY: ${difficulty}
-
-AVOID REPETITION: Do not create questions similar to these recent ones:
-${previousQuestions.slice(-5).map((q, i) => `${i + 1}. ${q}`).join('\n')}
-
-FORMAT: Return ONLY a JSON array:
-[{
-  "question": "Engaging question with context",
-  "options": ["A", "B", "C", "D"],
-  "correctAnswer": 0,
-  "explanation": "Educational explanation"
-}]
-
-Make questions educational and engaging for learning cricket.`;
-
-    return prompt;
+    // Adaptive elements come from player progress and the requested focus areas
+    return renderPrompt('adaptive-question', {
+      count,
+      categoryDescription: this.getCategoryDescription(category),
+      difficulty,
+      beginner: playerProgress?.knowledgeLevel === 'beginner',
+      advanced: playerProgress?.knowledgeLevel === 'advanced',
+      weakAreas: playerProgress?.weakAreas || [],
+      focusAreas,
+      previousQuestions: previousQuestions.slice(-5),
+    }).text;
   }
 
   private getCategoryDescription(category: QuestionCategory): string {
@@ -119,38 +95,22 @@ Make questions educational and engaging for learning cricket.`;
     return descriptions[category] || 'General cricket knowledge';
   }
 
-  private async callOpenRouter(prompt: string): Promise<any> {
-    const response = await fetch(this.baseUrl, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': 'https://cricket-trivia-app.com',
-        'X-Title': 'Cricket Trivia Learn Mode'
-      },
-      body: JSON.stringify({
-        model: this.selectedModel,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a cricket education expert creating adaptive learning questions.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.7,
-        max_tokens: 1000,
-      })
+  private async callModel(prompt: string): Promise<any> {
+    return this.llm.complete({
+      model: this.selectedModel,
+      messages: [
+        {
+          role: 'system',
+          content: renderPrompt('adaptive-question-system').text
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: 0.7,
+      max_tokens: 1000,
     });
-
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`OpenRouter API error: ${response.status} - ${error}`);
-    }
-
-    return response.json();
   }
 
   private parseResponse(response: any, context: QuestionContext): TriviaQuestion[] {
@@ -182,23 +142,7 @@ Make questions educational and engaging for learning cricket.`;
   }
 
   async isAvailable(): Promise<boolean> {
-    try {
-      const response = await fetch(this.baseUrl, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          model: this.selectedModel,
-          messages: [{ role: 'user', content: 'test' }],
-          max_tokens: 1
-        })
-      });
-      return response.ok;
-    } catch {
-      return false;
-    }
+    return this.llm.isAvailable();
   }
 }
 
@@ -290,16 +234,16 @@ export class AIQuestionService {
 
 /**
  * Factory function to create AI Question Service
+ * Uses the active shared LLM provider unless an explicit OpenRouter key is given.
  */
 export const createAIQuestionService = (
   apiKey?: string,
   modelPreference: 'fast' | 'free' | 'balanced' = 'fast'
 ): AIQuestionService => {
-  const key = apiKey || process.env.EXPO_PUBLIC_OPENROUTER_API_KEY || '';
-  if (!key) {
-    throw new Error('OpenRouter API key is required');
-  }
+  const llm: LLMProvider = apiKey
+    ? new OpenRouterProvider({ apiKey, title: 'Cricket Trivia Learn Mode' })
+    : getLLMProvider();
   
-  const provider = new OpenRouterProvider(key, modelPreference);
+  const provider = new LLMQuestionProvider(llm, modelPreference);
   return new AIQuestionService(provider);
 };
\ No newline at end of file
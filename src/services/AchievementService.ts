@@ -0,0 +1,378 @@
+/**
+ * Achievement Service
+ *
+ * Rules-driven achievements engine. Game screens report gameplay events
+ * (answers from useGameStats, runs from ScoringService and game completion),
+ * every locked rule is checked against the event, and unlocks are persisted
+ * with timestamps and announced to listeners (the celebration toast and the
+ * profile).
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Achievement, AchievementEvent } from '../types/Game';
+
+interface BallRecord {
+  points: number;
+  isCorrect: boolean;
+}
+
+/**
+ * The game in progress
+ */
+interface AchievementSession {
+  mode: string | null;
+  runs: number;
+  balls: BallRecord[];
+  streak: number;
+}
+
+/**
+ * Lifetime counters kept alongside the unlocks
+ */
+interface AchievementProgress {
+  gamesPlayed: number;
+  correctByEra: Record<string, number>;
+}
+
+interface StoredAchievements {
+  unlocked: Record<string, string>; // Achievement id -> ISO unlock time
+  progress: AchievementProgress;
+}
+
+export interface AchievementRuleContext {
+  event: AchievementEvent;
+  session: AchievementSession;
+  progress: AchievementProgress;
+}
+
+export interface AchievementRule {
+  id: string;
+  name: string;
+  description: string;
+  icon: string;
+  check: (context: AchievementRuleContext) => boolean;
+}
+
+export type AchievementStatus = Omit<Achievement, 'unlockedAt'> & { unlockedAt: Date | null };
+
+export type AchievementUnlockListener = (achievement: Achievement) => void;
+
+const BALLS_PER_OVER = 6;
+
+/**
+ * The last over, if the latest ball completed one
+ */
+const getCompletedOver = (session: AchievementSession): BallRecord[] | null => {
+  const { balls } = session;
+  if (balls.length === 0 || balls.length % BALLS_PER_OVER !== 0) return null;
+  return balls.slice(-BALLS_PER_OVER);
+};
+
+/**
+ * Achievement rules in the order they are listed in the trophy cabinet
+ */
+export const ACHIEVEMENT_RULES: AchievementRule[] = [
+  {
+    id: 'debut',
+    name: 'Debut',
+    description: 'Complete your first game',
+    icon: '🧢',
+    check: ({ event, progress }) => event.type === 'game_complete' && progress.gamesPlayed >= 1,
+  },
+  {
+    id: 'first_fifty',
+    name: 'First Fifty',
+    description: 'Score 50 runs in a Learn Cricket innings',
+    icon: '🏏',
+    check: ({ event, session }) => event.type === 'score' && session.runs >= 50,
+  },
+  {
+    id: 'century',
+    name: 'Centurion',
+    description: 'Score 100 runs in a Learn Cricket innings',
+    icon: '💯',
+    check: ({ event, session }) => event.type === 'score' && session.runs >= 100,
+  },
+  {
+    id: 'maiden_over',
+    name: 'Maiden Over',
+    description: 'Survive an over of six dot balls',
+    icon: '🧱',
+    check: ({ event, session }) => {
+      const over = event.type === 'score' ? getCompletedOver(session) : null;
+      return !!over && over.every(ball => ball.isCorrect && ball.points === 0);
+    },
+  },
+  {
+    id: 'perfect_over',
+    name: 'Perfect Over',
+    description: 'Answer every ball of an over correctly',
+    icon: '✨',
+    check: ({ event, session }) => {
+      const over = event.type === 'score' ? getCompletedOver(session) : null;
+      return !!over && over.every(ball => ball.isCorrect);
+    },
+  },
+  {
+    id: 'hat_trick_sixes',
+    name: 'Hat-trick of Sixes',
+    description: 'Hit three sixes in a row',
+    icon: '🎯',
+    check: ({ event, session }) =>
+      event.type === 'score' &&
+      session.balls.length >= 3 &&
+      session.balls.slice(-3).every(ball => ball.points === 6),
+  },
+  {
+    id: 'six_sixes',
+    name: 'Six Sixes',
+    description: 'Hit a six off every ball of an over',
+    icon: '🚀',
+    check: ({ event, session }) => {
+      const over = event.type === 'score' ? getCompletedOver(session) : null;
+      return !!over && over.every(ball => ball.points === 6);
+    },
+  },
+  {
+    id: 'in_the_zone',
+    name: 'In the Zone',
+    description: 'Answer 10 questions in a row correctly',
+    icon: '🔥',
+    check: ({ event, session }) => event.type === 'answer' && session.streak >= 10,
+  },
+  {
+    id: 'era_specialist',
+    name: 'Era Specialist',
+    description: 'Answer 25 questions correctly from a single era',
+    icon: '📜',
+    check: ({ event, progress }) =>
+      event.type === 'answer' &&
+      !!event.era &&
+      event.era !== 'all_eras' &&
+      (progress.correctByEra[event.era] || 0) >= 25,
+  },
+  {
+    id: 'full_marks',
+    name: 'Full Marks',
+    description: 'Finish a game of 10 or more questions without a wrong answer',
+    icon: '🎓',
+    check: ({ event }) =>
+      event.type === 'game_complete' &&
+      event.result.questionsAnswered >= 10 &&
+      event.result.correctAnswers === event.result.questionsAnswered,
+  },
+  {
+    id: 'chase_master',
+    name: 'Chase Master',
+    description: 'Win a chase in Learn Cricket',
+    icon: '🏆',
+    check: ({ event }) => event.type === 'game_complete' && event.chaseOutcome === 'won',
+  },
+  {
+    id: 'honours_even',
+    name: 'Honours Even',
+    description: 'Tie a chase',
+    icon: '🤝',
+    check: ({ event }) => event.type === 'game_complete' && event.chaseOutcome === 'tied',
+  },
+  {
+    id: 'ten_games',
+    name: 'Double Figures',
+    description: 'Play 10 games',
+    icon: '🔟',
+    check: ({ event, progress }) => event.type === 'game_complete' && progress.gamesPlayed >= 10,
+  },
+  {
+    id: 'fifty_games',
+    name: 'Veteran',
+    description: 'Play 50 games',
+    icon: '🎖️',
+    check: ({ event, progress }) => event.type === 'game_complete' && progress.gamesPlayed >= 50,
+  },
+];
+
+/**
+ * Display name for an achievement id
+ */
+export const getAchievementName = (id: string): string =>
+  ACHIEVEMENT_RULES.find(rule => rule.id === id)?.name || id;
+
+const createSession = (mode: string | null): AchievementSession => ({
+  mode,
+  runs: 0,
+  balls: [],
+  streak: 0,
+});
+
+const createEmptyState = (): StoredAchievements => ({
+  unlocked: {},
+  progress: {
+    gamesPlayed: 0,
+    correctByEra: {},
+  },
+});
+
+export class AchievementService {
+  private static STORAGE_KEY = 'cricket_achievements';
+  private state: StoredAchievements = createEmptyState();
+  private loading: Promise<void> | null = null;
+  private session: AchievementSession = createSession(null);
+  private listeners = new Set<AchievementUnlockListener>();
+  private queue: Promise<unknown> = Promise.resolve();
+
+  /**
+   * Load unlocks and progress from storage (only once). Callers that arrive
+   * while it is loading wait for the same read.
+   */
+  private load(): Promise<void> {
+    if (!this.loading) {
+      this.loading = this.readFromStorage();
+    }
+    return this.loading;
+  }
+
+  private async readFromStorage(): Promise<void> {
+    try {
+      const stored = await AsyncStorage.getItem(AchievementService.STORAGE_KEY);
+      if (stored) {
+        const parsed = JSON.parse(stored);
+        const empty = createEmptyState();
+        this.state = {
+          unlocked: parsed.unlocked || {},
+          progress: { ...empty.progress, ...parsed.progress },
+        };
+      }
+    } catch (error) {
+      console.error('Failed to load achievements:', error);
+    }
+  }
+
+  /**
+   * Persist unlocks and progress
+   */
+  private async save(): Promise<void> {
+    try {
+      await AsyncStorage.setItem(AchievementService.STORAGE_KEY, JSON.stringify(this.state));
+    } catch (error) {
+      console.error('Failed to save achievements:', error);
+    }
+  }
+
+  /**
+   * Evaluate a gameplay event. Events are processed one at a time in the
+   * order they are recorded. Resolves to the achievements it unlocked.
+   */
+  recordEvent(event: AchievementEvent): Promise<Achievement[]> {
+    const run = this.queue.then(() => this.processEvent(event));
+    this.queue = run.catch(() => undefined);
+    return run;
+  }
+
+  private async processEvent(event: AchievementEvent): Promise<Achievement[]> {
+    await this.load();
+    const progressChanged = this.applyEvent(event);
+
+    const context: AchievementRuleContext = {
+      event,
+      session: this.session,
+      progress: this.state.progress,
+    };
+    const now = new Date();
+    const unlocked: Achievement[] = ACHIEVEMENT_RULES
+      .filter(rule => !this.state.unlocked[rule.id] && rule.check(context))
+      .map(rule => ({
+        id: rule.id,
+        name: rule.name,
+        description: rule.description,
+        icon: rule.icon,
+        unlockedAt: now,
+      }));
+
+    unlocked.forEach(achievement => {
+      this.state.unlocked[achievement.id] = now.toISOString();
+    });
+
+    if (progressChanged || unlocked.length > 0) {
+      await this.save();
+    }
+
+    unlocked.forEach(achievement => {
+      this.listeners.forEach(listener => listener(achievement));
+    });
+    return unlocked;
+  }
+
+  /**
+   * Update the session and lifetime progress for an event.
+   * Returns whether lifetime progress changed.
+   */
+  private applyEvent(event: AchievementEvent): boolean {
+    switch (event.type) {
+      case 'game_start':
+        this.session = createSession(event.mode);
+        return false;
+
+      case 'answer':
+        this.session.streak = event.isCorrect ? this.session.streak + 1 : 0;
+        if (event.isCorrect && event.era) {
+          const { correctByEra } = this.state.progress;
+          correctByEra[event.era] = (correctByEra[event.era] || 0) + 1;
+          return true;
+        }
+        return false;
+
+      case 'score':
+        this.session.runs += event.points;
+        this.session.balls.push({ points: event.points, isCorrect: event.isCorrect });
+        return false;
+
+      case 'game_complete':
+        this.state.progress.gamesPlayed++;
+        return true;
+    }
+  }
+
+  /**
+   * Every achievement, with when it was unlocked (null while locked)
+   */
+  async getAchievements(): Promise<AchievementStatus[]> {
+    // Wait for events already recorded so their unlocks are included
+    await this.queue;
+    await this.load();
+    return ACHIEVEMENT_RULES.map(rule => {
+      const unlockedAt = this.state.unlocked[rule.id];
+      return {
+        id: rule.id,
+        name: rule.name,
+        description: rule.description,
+        icon: rule.icon,
+        unlockedAt: unlockedAt ? new Date(unlockedAt) : null,
+      };
+    });
+  }
+
+  /**
+   * Be told about every new unlock. Returns an unsubscribe function.
+   */
+  addUnlockListener(listener: AchievementUnlockListener): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+}
+
+// Singleton instance
+let achievementServiceInstance: AchievementService | null = null;
+
+/**
+ * Get or create Achievement service instance
+ */
+export const getAchievementService = (): AchievementService => {
+  if (!achievementServiceInstance) {
+    achievementServiceInstance = new AchievementService();
+  }
+  return achievementServiceInstance;
+};
+
+export default AchievementService;
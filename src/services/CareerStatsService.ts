@@ -0,0 +1,149 @@
+/**
+ * Career Stats Service
+ *
+ * Persists a record of every completed game and turns them into
+ * career statistics for the profile screen: batting figures from
+ * Learn Cricket and unlimited overs innings, accuracy by category and era
+ * from every game, and recent form.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { GameRecord, CareerStats, AccuracyBreakdown } from '../types/Game';
+
+// Oldest records are dropped beyond this many games
+const MAX_RECORDS = 500;
+
+// Innings shown in the recent form sparkline
+export const RECENT_FORM_INNINGS = 10;
+
+/**
+ * Accuracy per key, most attempted first
+ */
+const toBreakdown = (totals: Record<string, { attempted: number; correct: number }>): AccuracyBreakdown[] =>
+  Object.entries(totals)
+    .filter(([, total]) => total.attempted > 0)
+    .map(([key, total]) => ({
+      key,
+      attempted: total.attempted,
+      correct: total.correct,
+      accuracy: (total.correct / total.attempted) * 100,
+    }))
+    .sort((a, b) => b.attempted - a.attempted);
+
+/**
+ * Compute career statistics from game records (oldest first)
+ */
+export const calculateCareerStats = (records: GameRecord[]): CareerStats => {
+  const innings = records.filter(record => record.innings).map(record => record.innings!);
+
+  const runs = innings.reduce((sum, entry) => sum + entry.runs, 0);
+  const balls = innings.reduce((sum, entry) => sum + entry.balls, 0);
+  const wickets = innings.reduce((sum, entry) => sum + entry.wickets, 0);
+
+  const highestScore = innings.reduce<CareerStats['batting']['highestScore']>((best, entry) =>
+    !best || entry.runs > best.runs ? { runs: entry.runs, notOut: !entry.allOut } : best, null);
+
+  const categoryTotals: Record<string, { attempted: number; correct: number }> = {};
+  const eraTotals: Record<string, { attempted: number; correct: number }> = {};
+
+  records.forEach(record => {
+    Object.entries(record.categoryPerformance || {}).forEach(([category, performance]) => {
+      const total = categoryTotals[category] || (categoryTotals[category] = { attempted: 0, correct: 0 });
+      total.attempted += performance.attempted;
+      total.correct += performance.correct;
+    });
+
+    if (record.era) {
+      const total = eraTotals[record.era] || (eraTotals[record.era] = { attempted: 0, correct: 0 });
+      total.attempted += record.questionsAnswered;
+      total.correct += record.correctAnswers;
+    }
+  });
+
+  return {
+    gamesPlayed: records.length,
+    batting: {
+      innings: innings.length,
+      notOuts: innings.filter(entry => !entry.allOut).length,
+      runs,
+      balls,
+      highestScore,
+      // Every wrong answer is a wicket, so average is runs per wicket
+      average: wickets > 0 ? runs / wickets : null,
+      strikeRate: balls > 0 ? (runs / balls) * 100 : 0,
+      fifties: innings.filter(entry => entry.runs >= 50 && entry.runs < 100).length,
+      hundreds: innings.filter(entry => entry.runs >= 100).length,
+      ducks: innings.filter(entry => entry.runs === 0).length,
+      fours: innings.reduce((sum, entry) => sum + entry.fours, 0),
+      sixes: innings.reduce((sum, entry) => sum + entry.sixes, 0),
+    },
+    recentForm: innings.slice(-RECENT_FORM_INNINGS).map(entry => entry.runs),
+    categoryAccuracy: toBreakdown(categoryTotals),
+    eraAccuracy: toBreakdown(eraTotals),
+  };
+};
+
+export class CareerStatsService {
+  private static STORAGE_KEY = 'cricket_career_records';
+  private records: GameRecord[] | null = null;
+
+  /**
+   * Load game records from storage
+   */
+  async getRecords(): Promise<GameRecord[]> {
+    if (this.records) return this.records;
+
+    try {
+      const stored = await AsyncStorage.getItem(CareerStatsService.STORAGE_KEY);
+      this.records = stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('Failed to load career records:', error);
+      this.records = [];
+    }
+    return this.records!;
+  }
+
+  /**
+   * Record a completed game
+   */
+  async recordGame(record: Omit<GameRecord, 'id' | 'playedAt'>): Promise<GameRecord> {
+    const records = await this.getRecords();
+    const playedAt = new Date().toISOString();
+    const gameRecord: GameRecord = {
+      ...record,
+      id: `game_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      playedAt,
+    };
+
+    this.records = [...records, gameRecord].slice(-MAX_RECORDS);
+
+    try {
+      await AsyncStorage.setItem(CareerStatsService.STORAGE_KEY, JSON.stringify(this.records));
+    } catch (error) {
+      console.error('Failed to save career records:', error);
+    }
+    return gameRecord;
+  }
+
+  /**
+   * Career statistics from every recorded game
+   */
+  async getCareerStats(): Promise<CareerStats> {
+    return calculateCareerStats(await this.getRecords());
+  }
+}
+
+// Singleton instance
+let careerStatsInstance: CareerStatsService | null = null;
+
+/**
+ * Get or create Career Stats service instance
+ */
+export const getCareerStatsService = (): CareerStatsService => {
+  if (!careerStatsInstance) {
+    careerStatsInstance = new CareerStatsService();
+  }
+  return careerStatsInstance;
+};
+
+export default CareerStatsService;
@@ -0,0 +1,253 @@
+/**
+ * Chase Service
+ *
+ * Sets targets for Chase mode and decides the result of a chase.
+ * A target comes either from the player's last innings in the same format
+ * or from an "AI opposition" innings simulated ball by ball along a
+ * powerplay / middle overs / death overs score curve.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  CricketGameState,
+  MatchFormat,
+  MatchFormatId,
+  InningsSummary,
+  ChaseTarget,
+  ChaseTargetSource,
+  ChaseResult,
+  CRICKET_CONSTANTS,
+} from '../types/Cricket';
+
+type InningsPhase = 'powerplay' | 'middle' | 'death';
+
+interface BallOdds {
+  runs: number;
+  wicket?: boolean;
+  weight: number;
+}
+
+// Relative chance of each ball outcome for the AI opposition in each phase.
+// Tuned to the quiz's scoring (a wrong answer is a wicket) rather than real cricket.
+const OPPOSITION_BALL_ODDS: Record<InningsPhase, BallOdds[]> = {
+  powerplay: [
+    { runs: 0, wicket: true, weight: 10 },
+    { runs: 0, weight: 24 },
+    { runs: 1, weight: 26 },
+    { runs: 2, weight: 14 },
+    { runs: 4, weight: 16 },
+    { runs: 6, weight: 10 },
+  ],
+  middle: [
+    { runs: 0, wicket: true, weight: 12 },
+    { runs: 0, weight: 26 },
+    { runs: 1, weight: 30 },
+    { runs: 2, weight: 14 },
+    { runs: 4, weight: 11 },
+    { runs: 6, weight: 7 },
+  ],
+  death: [
+    { runs: 0, wicket: true, weight: 16 },
+    { runs: 0, weight: 20 },
+    { runs: 1, weight: 22 },
+    { runs: 2, weight: 12 },
+    { runs: 4, weight: 16 },
+    { runs: 6, weight: 14 },
+  ],
+};
+
+// Share of the innings (at the end) bowled as death overs
+const DEATH_OVERS_SHARE = 0.2;
+
+const OPPOSITION_TEAM_NAME = 'AI XI';
+
+/**
+ * Pick a ball outcome by weight
+ */
+const pickOutcome = (odds: BallOdds[], random: () => number): BallOdds => {
+  const total = odds.reduce((sum, outcome) => sum + outcome.weight, 0);
+  let roll = random() * total;
+  for (const outcome of odds) {
+    roll -= outcome.weight;
+    if (roll < 0) return outcome;
+  }
+  return odds[odds.length - 1];
+};
+
+export class ChaseService {
+  private static STORAGE_KEY = 'learn_cricket_last_innings';
+  private lastInnings: Partial<Record<MatchFormatId, InningsSummary>> | null = null;
+
+  /**
+   * Load the player's last innings per format from storage
+   */
+  private async loadLastInnings(): Promise<Partial<Record<MatchFormatId, InningsSummary>>> {
+    if (this.lastInnings) return this.lastInnings;
+
+    try {
+      const stored = await AsyncStorage.getItem(ChaseService.STORAGE_KEY);
+      this.lastInnings = stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.error('Failed to load last innings:', error);
+      this.lastInnings = {};
+    }
+    return this.lastInnings!;
+  }
+
+  /**
+   * The player's most recent innings in a format, if any
+   */
+  async getPreviousInnings(formatId: MatchFormatId): Promise<InningsSummary | null> {
+    const lastInnings = await this.loadLastInnings();
+    return lastInnings[formatId] || null;
+  }
+
+  /**
+   * Remember the player's innings so it can be chased next time
+   */
+  async saveInnings(formatId: MatchFormatId, summary: InningsSummary): Promise<void> {
+    const lastInnings = await this.loadLastInnings();
+    lastInnings[formatId] = summary;
+
+    try {
+      await AsyncStorage.setItem(ChaseService.STORAGE_KEY, JSON.stringify(lastInnings));
+    } catch (error) {
+      console.error('Failed to save last innings:', error);
+    }
+  }
+
+  /**
+   * Set the target for a chase. Falls back to the AI opposition when there is
+   * no previous innings in this format to chase.
+   */
+  async createTarget(format: MatchFormat, source: ChaseTargetSource): Promise<ChaseTarget> {
+    const previous = source === 'previous' ? await this.getPreviousInnings(format.id) : null;
+
+    const firstInnings = previous || this.simulateOppositionInnings(format);
+    return {
+      source: previous ? 'previous' : 'opposition',
+      teamName: previous ? `Your last ${format.name}` : OPPOSITION_TEAM_NAME,
+      firstInnings,
+      target: firstInnings.runs + 1,
+    };
+  }
+
+  /**
+   * Phase of the innings an over (0-based) falls in
+   */
+  private getPhase(over: number, format: MatchFormat): InningsPhase {
+    if (over < format.powerplayOvers) return 'powerplay';
+    const deathOvers = Math.ceil(format.overs * DEATH_OVERS_SHARE);
+    return over >= format.overs - deathOvers ? 'death' : 'middle';
+  }
+
+  /**
+   * Simulate the AI opposition's innings ball by ball
+   */
+  simulateOppositionInnings(format: MatchFormat, random: () => number = Math.random): InningsSummary {
+    const totalBalls = format.overs * CRICKET_CONSTANTS.BALLS_PER_OVER;
+    const overRuns: number[] = [];
+    let runs = 0;
+    let wickets = 0;
+    let balls = 0;
+    let fours = 0;
+    let sixes = 0;
+    let dotBalls = 0;
+
+    while (balls < totalBalls && wickets < format.wickets) {
+      const over = Math.floor(balls / CRICKET_CONSTANTS.BALLS_PER_OVER);
+      const outcome = pickOutcome(OPPOSITION_BALL_ODDS[this.getPhase(over, format)], random);
+      balls++;
+
+      overRuns[over] = (overRuns[over] || 0) + outcome.runs;
+      runs += outcome.runs;
+      if (outcome.wicket) wickets++;
+      if (outcome.runs === 0) dotBalls++;
+      if (outcome.runs === 4) fours++;
+      if (outcome.runs === 6) sixes++;
+    }
+
+    const bestOver = overRuns.reduce<InningsSummary['bestOver']>((best, overTotal, index) =>
+      !best || overTotal > best.runs ? { over: index + 1, runs: overTotal } : best, null);
+
+    return {
+      runs,
+      wickets,
+      overs: `${Math.floor(balls / CRICKET_CONSTANTS.BALLS_PER_OVER)}.${balls % CRICKET_CONSTANTS.BALLS_PER_OVER}`,
+      runRate: balls > 0 ? (runs / balls) * CRICKET_CONSTANTS.BALLS_PER_OVER : 0,
+      strikeRate: balls > 0 ? (runs / balls) * 100 : 0,
+      boundaries: { fours, sixes },
+      dotBalls,
+      powerplayRuns: overRuns.slice(0, format.powerplayOvers).reduce((sum, overTotal) => sum + overTotal, 0),
+      bestOver,
+      allOut: wickets >= format.wickets,
+      overRuns,
+    };
+  }
+
+  /**
+   * Runs the first innings had scored after the given number of overs
+   */
+  getScoreAtOver(chase: ChaseTarget, overs: number): number {
+    return (chase.firstInnings.overRuns || [])
+      .slice(0, overs)
+      .reduce((sum, overTotal) => sum + (overTotal || 0), 0);
+  }
+
+  /**
+   * Decide the chase once the second innings has ended
+   */
+  getChaseResult(chase: ChaseTarget, state: CricketGameState, format: MatchFormat): ChaseResult {
+    const totalBalls = format.overs * CRICKET_CONSTANTS.BALLS_PER_OVER;
+    const ballsLeft = Math.max(0, totalBalls - state.balls);
+    const inningsComplete = state.wickets >= format.wickets || ballsLeft === 0;
+    const result = {
+      formatId: format.id,
+      target: chase.target,
+      runs: state.runs,
+      wickets: state.wickets,
+      overs: state.overs,
+    };
+
+    if (state.runs >= chase.target) {
+      const wicketsLeft = format.wickets - state.wickets;
+      return {
+        ...result,
+        outcome: 'won',
+        margin: `Won by ${wicketsLeft} ${wicketsLeft === 1 ? 'wicket' : 'wickets'}` +
+          (ballsLeft > 0 ? ` (${ballsLeft} ${ballsLeft === 1 ? 'ball' : 'balls'} left)` : ''),
+      };
+    }
+
+    // An innings cut short (e.g. the next over failed to load) cannot be decided
+    if (!inningsComplete) {
+      return { ...result, outcome: 'no_result', margin: 'No result' };
+    }
+
+    if (state.runs === chase.target - 1) {
+      return { ...result, outcome: 'tied', margin: 'Match tied' };
+    }
+
+    const runsShort = chase.target - 1 - state.runs;
+    return {
+      ...result,
+      outcome: 'lost',
+      margin: `Lost by ${runsShort} ${runsShort === 1 ? 'run' : 'runs'}`,
+    };
+  }
+}
+
+// Singleton instance
+let chaseServiceInstance: ChaseService | null = null;
+
+/**
+ * Get or create Chase service instance
+ */
+export const getChaseService = (): ChaseService => {
+  if (!chaseServiceInstance) {
+    chaseServiceInstance = new ChaseService();
+  }
+  return chaseServiceInstance;
+};
+
+export default ChaseService;
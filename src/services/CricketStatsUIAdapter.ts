@@ -0,0 +1,83 @@
+/**
+ * UI Adapter for Cricket Stats Service
+ *
+ * Serves the shared CricketStatsService from the Cricsheet store bundled with
+ * the app, so stats questions and match replays are built on the device with
+ * no network calls.
+ */
+
+import CricketStatsService from '../../shared/services/CricketStatsService';
+import { BUNDLED_CRICKET_STATS } from '../data/cricketStats';
+import { TriviaQuestion, GameFilters } from '../types/Question';
+import { MatchReplay, ReplayMatchSummary } from '../types/Cricket';
+
+// UI-specific logger (no colors, just console)
+const uiLogger = {
+  info: (msg: string) => console.log(`[Cricket Stats] ${msg}`),
+  warn: (msg: string) => console.warn(`[Cricket Stats] ${msg}`),
+  error: (msg: string, error?: any) => console.error(`[Cricket Stats] ${msg}`, error || ''),
+  success: (msg: string) => console.log(`[Cricket Stats] ✓ ${msg}`),
+};
+
+/**
+ * UI-specific Cricket Stats Service
+ */
+export class CricketStatsUIService {
+  private service: CricketStatsService;
+
+  constructor() {
+    this.service = new CricketStatsService({
+      store: BUNDLED_CRICKET_STATS,
+      logger: uiLogger,
+    });
+  }
+
+  /**
+   * Generate stats questions from the bundled matches that fit the game filters
+   */
+  async generateQuestions(filters: GameFilters | undefined, count: number): Promise<TriviaQuestion[]> {
+    const questions = await this.service.generateQuestions({
+      count,
+      filters: { era: filters?.era, countries: filters?.countries },
+    });
+    return questions as TriviaQuestion[];
+  }
+
+  /**
+   * Bundled matches with ball-by-ball data, knockouts first
+   */
+  async getReplayMatches(): Promise<ReplayMatchSummary[]> {
+    return this.service.getReplayMatches();
+  }
+
+  /**
+   * Replay of one innings with its key deliveries to predict
+   */
+  async getReplay(matchId: string, inningsIndex: number): Promise<MatchReplay | null> {
+    const replay = await this.service.getReplay(matchId, inningsIndex);
+    return replay as MatchReplay | null;
+  }
+
+  /**
+   * Number of bundled matches
+   */
+  async countMatches(): Promise<number> {
+    const summary = await this.service.getSummary();
+    return summary.matches;
+  }
+}
+
+// Singleton instance
+let cricketStatsUIServiceInstance: CricketStatsUIService | null = null;
+
+/**
+ * Get or create Cricket Stats UI service instance
+ */
+export function getCricketStatsUIService(): CricketStatsUIService {
+  if (!cricketStatsUIServiceInstance) {
+    cricketStatsUIServiceInstance = new CricketStatsUIService();
+  }
+  return cricketStatsUIServiceInstance;
+}
+
+export default CricketStatsUIService;
@@ -6,8 +6,13 @@
 
 import LearnCricketService from '../../shared/services/LearnCricketService';
 import { getOpenRouterService } from '../../shared/services/OpenRouterService';
-import { TriviaQuestion } from '../types/Question';
+import { getQuestionHistoryUIService } from './QuestionHistoryUIAdapter';
+import { QuestionAnswer, QuestionFormat, TriviaQuestion } from '../types/Question';
 import { LearnCricketQuestion, PerformanceMetrics } from '../../shared/types/learn-cricket';
+import { pickFormatFields } from '../../shared/utils/question-formats';
+
+// Formats an over may mix in besides multiple choice (answered with QuestionAnswerInput)
+const LEARN_CRICKET_FORMATS: QuestionFormat[] = ['true_false', 'multi_select', 'ordering', 'numeric', 'match_pairs'];
 
 // UI-specific logger (no colors, just console)
 const uiLogger = {
@@ -26,6 +31,7 @@ function convertToTriviaQuestion(question: LearnCricketQuestion): TriviaQuestion
     question: question.question,
     options: question.options,
     correctAnswer: question.correctAnswer,
+    ...pickFormatFields(question),
     explanation: question.explanation,
     category: 'tutorial' as const,
     difficulty: question.difficulty === 'beginner' ? 'easy' : 
@@ -50,6 +56,9 @@ export class LearnCricketUIService {
     this.service = new LearnCricketService({
       logger: uiLogger,
       openRouterService: openRouterService as any,
+      // Questions from earlier sessions are replaced rather than repeated
+      questionHistory: getQuestionHistoryUIService().sharedService,
+      formats: LEARN_CRICKET_FORMATS,
       // Model will be picked from shared config/environment
     });
   }
@@ -60,8 +69,9 @@ export class LearnCricketUIService {
   async generateOverQuestions(
     overNumber: number = 1,
     previousQuestions?: TriviaQuestion[],
-    previousAnswers?: number[],
-    performance?: PerformanceMetrics
+    previousAnswers?: QuestionAnswer[],
+    performance?: PerformanceMetrics,
+    totalOvers?: number
   ): Promise<TriviaQuestion[]> {
     try {
       // Convert UI questions back to shared format if needed
@@ -70,6 +80,7 @@ export class LearnCricketUIService {
         question: q.question,
         options: q.options,
         correctAnswer: q.correctAnswer,
+        ...pickFormatFields(q),
         explanation: q.explanation,
         topic: q.topic || 'general',
         difficulty: 'beginner' as const,
@@ -79,6 +90,7 @@ export class LearnCricketUIService {
       // Call shared service
       const questions = await this.service.generateOverQuestions({
         overNumber,
+        totalOvers,
         previousQuestions: sharedPreviousQuestions,
         previousAnswers,
         performance,
@@ -92,16 +104,40 @@ export class LearnCricketUIService {
     }
   }
   
+  /**
+   * Generate Nets Practice questions that revise the given weak topics
+   */
+  async generateReviewQuestions(focusTopics: string[]): Promise<TriviaQuestion[]> {
+    try {
+      const questions = await this.service.generateOverQuestions({
+        overNumber: 1,
+        focusTopics,
+      });
+      return questions.map(convertToTriviaQuestion);
+    } catch (error) {
+      console.error('Failed to generate review questions:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Remember questions the player has answered so later sessions don't repeat them
+   */
+  async markSeen(questions: TriviaQuestion[]): Promise<void> {
+    await getQuestionHistoryUIService().markSeen(questions);
+  }
+  
   /**
    * Calculate performance (delegates to shared service)
    */
-  calculatePerformance(questions: TriviaQuestion[], userAnswers: number[]): PerformanceMetrics {
+  calculatePerformance(questions: TriviaQuestion[], userAnswers: QuestionAnswer[]): PerformanceMetrics {
     // Convert to shared format for calculation
     const sharedQuestions = questions.map(q => ({
       id: q.id,
       question: q.question,
       options: q.options,
       correctAnswer: q.correctAnswer,
+      ...pickFormatFields(q),
       explanation: q.explanation,
       topic: q.topic || 'general',
       difficulty: 'beginner' as const,
@@ -3,11 +3,104 @@
  * 
  * Tracks and analyzes player learning progress to enable
  * adaptive question generation and personalized learning paths.
+ * Missed questions and weak topics are scheduled for Nets Practice
+ * on an SM-2 style spaced-repetition schedule.
  */
 
-import { PlayerProgress, QuestionProgress } from '../types/Game';
+import {
+  PlayerProgress,
+  QuestionProgress,
+  QuestionReview,
+  TopicReview,
+  ReviewSchedule,
+  ReviewOutcome,
+} from '../types/Game';
+import { TriviaQuestion } from '../types/Question';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
+// Days before a review resurfaces after each successful review (at the default ease)
+export const REVIEW_INTERVAL_DAYS = [1, 3, 7, 21];
+
+const DEFAULT_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+const MAX_QUESTION_REVIEWS = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * SM-2 quality grade (0-5) for a review answer
+ */
+const gradeAnswer = (wasCorrect: boolean, responseTime: number): number => {
+  if (!wasCorrect) return 1;
+  if (responseTime < 5) return 5;
+  if (responseTime < 10) return 4;
+  return 3;
+};
+
+/**
+ * SM-2 quality grade (0-5) for a topic's accuracy in a review session
+ */
+const gradeAccuracy = (accuracy: number): number => {
+  if (accuracy >= 0.8) return 5;
+  if (accuracy >= 0.65) return 4;
+  if (accuracy >= 0.5) return 3;
+  return 1;
+};
+
+const addDays = (date: Date, days: number): string =>
+  new Date(date.getTime() + days * DAY_MS).toISOString();
+
+/**
+ * First schedule for a new review: back tomorrow
+ */
+const createSchedule = (now: Date): ReviewSchedule => ({
+  step: 0,
+  easeFactor: DEFAULT_EASE_FACTOR,
+  dueAt: addDays(now, REVIEW_INTERVAL_DAYS[0]),
+  reviews: 0,
+  lapses: 0,
+});
+
+/**
+ * Apply a graded review to a schedule. A pass moves to the next interval
+ * (1, 3, 7, 21 days, stretched or shrunk by the ease factor); a fail starts
+ * again from 1 day. Returns null once the last interval has been passed.
+ */
+export const advanceSchedule = <T extends ReviewSchedule>(schedule: T, quality: number, now: Date): T | null => {
+  const easeFactor = Math.max(
+    MIN_EASE_FACTOR,
+    schedule.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+  const passed = quality >= 3;
+  const step = passed ? schedule.step + 1 : 0;
+
+  if (step >= REVIEW_INTERVAL_DAYS.length) return null;
+
+  const intervalDays = passed
+    ? Math.max(1, Math.round(REVIEW_INTERVAL_DAYS[step] * easeFactor / DEFAULT_EASE_FACTOR))
+    : REVIEW_INTERVAL_DAYS[0];
+
+  return {
+    ...schedule,
+    step,
+    easeFactor,
+    dueAt: addDays(now, intervalDays),
+    reviews: schedule.reviews + 1,
+    lapses: schedule.lapses + (passed ? 0 : 1),
+    lastReviewedAt: now.toISOString(),
+  };
+};
+
+/**
+ * Days between now and a schedule's due date, for display
+ */
+const toOutcome = (schedule: ReviewSchedule | null, now: Date): ReviewOutcome => schedule
+  ? {
+    mastered: false,
+    dueAt: schedule.dueAt,
+    intervalDays: Math.round((new Date(schedule.dueAt).getTime() - now.getTime()) / DAY_MS),
+  }
+  : { mastered: true, dueAt: null, intervalDays: null };
+
 export interface LearningMetrics {
   overallAccuracy: number;
   recentAccuracy: number; // Last 10 questions
@@ -41,7 +134,11 @@ export class LearningContextService {
       currentStreak: 0,
       weakAreas: [],
       strongAreas: [],
-      knowledgeLevel: 'beginner'
+      knowledgeLevel: 'beginner',
+      questionReviews: [],
+      topicReviews: [],
+      masteredReviews: 0,
+      masteredTopics: []
     };
   }
 
@@ -52,7 +149,8 @@ export class LearningContextService {
     try {
       const stored = await AsyncStorage.getItem(LearningContextService.STORAGE_KEY);
       if (stored) {
-        this.progress = JSON.parse(stored);
+        // Progress saved before Nets Practice has no review schedules
+        this.progress = { ...this.createInitialProgress(), ...JSON.parse(stored) };
       }
     } catch (error) {
       console.error('Failed to load learning progress:', error);
@@ -74,14 +172,16 @@ export class LearningContextService {
   }
 
   /**
-   * Record a question attempt and update progress
+   * Record a question attempt and update progress.
+   * Pass the question to schedule it for Nets Practice if it was missed.
    */
   async recordQuestionAttempt(
     questionId: string,
     topic: string,
     wasCorrect: boolean,
     responseTime: number,
-    difficulty: string
+    difficulty: string,
+    question?: TriviaQuestion
   ): Promise<void> {
     const questionProgress: QuestionProgress = {
       questionId,
@@ -112,10 +212,128 @@ export class LearningContextService {
     // Update knowledge level
     this.updateKnowledgeLevel();
 
+    // Missed questions come back in Nets Practice, and a miss puts a mastered topic back in play
+    if (!wasCorrect) {
+      this.progress.masteredTopics = this.progress.masteredTopics.filter(mastered => mastered !== topic);
+      if (question) {
+        this.scheduleQuestionReview(question, topic);
+      }
+    }
+    this.scheduleTopicReviews();
+
     // Save to storage
     await this.saveProgress();
   }
 
+  /**
+   * Put a missed question on the review schedule (starting again if it was already there)
+   */
+  private scheduleQuestionReview(question: TriviaQuestion, topic: string): void {
+    const now = new Date();
+    const existing = this.progress.questionReviews.find(review => review.question.id === question.id);
+
+    const review: QuestionReview = existing
+      ? { ...existing, step: 0, dueAt: addDays(now, REVIEW_INTERVAL_DAYS[0]), lapses: existing.lapses + 1 }
+      : { ...createSchedule(now), question, topic };
+
+    this.progress.questionReviews = [
+      ...this.progress.questionReviews.filter(entry => entry.question.id !== question.id),
+      review,
+    ].slice(-MAX_QUESTION_REVIEWS);
+  }
+
+  /**
+   * Put newly weak topics on the review schedule. Mastered topics stay weak in
+   * the answer history for a while, so they wait until they are missed again.
+   */
+  private scheduleTopicReviews(): void {
+    const now = new Date();
+    const scheduled = new Set(this.progress.topicReviews.map(review => review.topic));
+    const mastered = new Set(this.progress.masteredTopics);
+
+    this.progress.weakAreas
+      .filter(topic => !scheduled.has(topic) && !mastered.has(topic))
+      .forEach(topic => {
+        this.progress.topicReviews.push({ ...createSchedule(now), topic });
+      });
+  }
+
+  /**
+   * Question and topic reviews that are due, most overdue first
+   */
+  getDueReviews(now: Date = new Date()): { questions: QuestionReview[]; topics: TopicReview[] } {
+    const isDue = (review: ReviewSchedule) => new Date(review.dueAt).getTime() <= now.getTime();
+    const byDueDate = (a: ReviewSchedule, b: ReviewSchedule) => a.dueAt.localeCompare(b.dueAt);
+
+    return {
+      questions: this.progress.questionReviews.filter(isDue).sort(byDueDate),
+      topics: this.progress.topicReviews.filter(isDue).sort(byDueDate),
+    };
+  }
+
+  /**
+   * Counts for the Nets Practice entry point
+   */
+  getReviewSummary(now: Date = new Date()) {
+    const due = this.getDueReviews(now);
+    const upcoming = [...this.progress.questionReviews, ...this.progress.topicReviews]
+      .map(review => review.dueAt)
+      .sort();
+
+    return {
+      dueQuestions: due.questions.length,
+      dueTopics: due.topics.length,
+      scheduled: this.progress.questionReviews.length + this.progress.topicReviews.length,
+      mastered: this.progress.masteredReviews,
+      nextDueAt: upcoming.length > 0 ? upcoming[0] : null,
+    };
+  }
+
+  /**
+   * Record the outcome of reviewing a scheduled question and reschedule it
+   */
+  async recordQuestionReview(questionId: string, wasCorrect: boolean, responseTime: number): Promise<ReviewOutcome> {
+    const now = new Date();
+    const review = this.progress.questionReviews.find(entry => entry.question.id === questionId);
+    if (!review) {
+      return { mastered: false, dueAt: null, intervalDays: null };
+    }
+
+    const next = advanceSchedule(review, gradeAnswer(wasCorrect, responseTime), now);
+    this.progress.questionReviews = this.progress.questionReviews
+      .map(entry => entry.question.id === questionId ? next : entry)
+      .filter((entry): entry is QuestionReview => entry !== null);
+    if (!next) {
+      this.progress.masteredReviews++;
+    }
+
+    await this.saveProgress();
+    return toOutcome(next, now);
+  }
+
+  /**
+   * Record how a weak topic went in a review session and reschedule it
+   */
+  async recordTopicReview(topic: string, correct: number, total: number): Promise<ReviewOutcome> {
+    const now = new Date();
+    const review = this.progress.topicReviews.find(entry => entry.topic === topic);
+    if (!review || total === 0) {
+      return { mastered: false, dueAt: review?.dueAt ?? null, intervalDays: null };
+    }
+
+    const next = advanceSchedule(review, gradeAccuracy(correct / total), now);
+    this.progress.topicReviews = this.progress.topicReviews
+      .map(entry => entry.topic === topic ? next : entry)
+      .filter((entry): entry is TopicReview => entry !== null);
+    if (!next) {
+      this.progress.masteredReviews++;
+      this.progress.masteredTopics = [...this.progress.masteredTopics, topic];
+    }
+
+    await this.saveProgress();
+    return toOutcome(next, now);
+  }
+
   /**
    * Analyze performance and identify weak/strong areas
    */
@@ -0,0 +1,81 @@
+/**
+ * UI Adapter for Question Bank Service
+ *
+ * Integrates the shared QuestionBankService with AsyncStorage so validated
+ * questions can be replayed offline in the React Native UI.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import QuestionBankService from '../../shared/services/QuestionBankService';
+import { TriviaQuestion, GameFilters, QuestionCategory } from '../types/Question';
+
+// UI-specific logger (no colors, just console)
+const uiLogger = {
+  info: (msg: string) => console.log(`[Question Bank] ${msg}`),
+  warn: (msg: string) => console.warn(`[Question Bank] ${msg}`),
+  error: (msg: string, error?: any) => console.error(`[Question Bank] ${msg}`, error || ''),
+  success: (msg: string) => console.log(`[Question Bank] ✓ ${msg}`),
+};
+
+/**
+ * UI-specific Question Bank Service
+ */
+export class QuestionBankUIService {
+  private service: QuestionBankService;
+
+  constructor() {
+    this.service = new QuestionBankService({
+      storage: AsyncStorage,
+      logger: uiLogger,
+    });
+  }
+
+  /**
+   * Save validated questions along with the filters they were generated for
+   */
+  async saveQuestions(questions: TriviaQuestion[], filters?: GameFilters): Promise<number> {
+    return this.service.addQuestions(questions, filters, { source: 'app' });
+  }
+
+  /**
+   * Draw questions for a new game from the bank
+   */
+  async drawQuestions(
+    filters: GameFilters | undefined,
+    count: number,
+    categories?: QuestionCategory[],
+    options: { excludeIds?: string[] } = {}
+  ): Promise<TriviaQuestion[]> {
+    const questions = await this.service.drawQuestions(filters, count, { categories, excludeIds: options.excludeIds });
+    return questions as TriviaQuestion[];
+  }
+
+  /**
+   * Record the questions served in a game so they are not repeated too soon
+   */
+  async recordGame(questions: TriviaQuestion[]): Promise<void> {
+    await this.service.recordGame(questions.map(q => q.id));
+  }
+
+  /**
+   * Count questions available for the given filters
+   */
+  async countQuestions(filters?: GameFilters): Promise<number> {
+    return this.service.countQuestions(filters);
+  }
+}
+
+// Singleton instance
+let questionBankUIServiceInstance: QuestionBankUIService | null = null;
+
+/**
+ * Get or create Question Bank UI service instance
+ */
+export function getQuestionBankUIService(): QuestionBankUIService {
+  if (!questionBankUIServiceInstance) {
+    questionBankUIServiceInstance = new QuestionBankUIService();
+  }
+  return questionBankUIServiceInstance;
+}
+
+export default QuestionBankUIService;
@@ -0,0 +1,80 @@
+/**
+ * UI Adapter for Question History Service
+ *
+ * Integrates the shared QuestionHistoryService with AsyncStorage so questions
+ * the player has already seen are not served again in later sessions, even
+ * when a model rephrases them.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import QuestionHistoryService from '../../shared/services/QuestionHistoryService';
+import { TriviaQuestion } from '../types/Question';
+
+const STORAGE_KEY = 'cricket_seen_questions';
+
+// UI-specific logger (no colors, just console)
+const uiLogger = {
+  info: (msg: string) => console.log(`[Question History] ${msg}`),
+  warn: (msg: string) => console.warn(`[Question History] ${msg}`),
+  error: (msg: string, error?: any) => console.error(`[Question History] ${msg}`, error || ''),
+  success: (msg: string) => console.log(`[Question History] ✓ ${msg}`),
+};
+
+/**
+ * UI-specific Question History Service
+ */
+export class QuestionHistoryUIService {
+  private service: QuestionHistoryService;
+
+  constructor() {
+    this.service = new QuestionHistoryService({
+      storage: AsyncStorage,
+      storageKey: STORAGE_KEY,
+      logger: uiLogger,
+    });
+  }
+
+  /**
+   * Shared service instance (for injecting into other shared services)
+   */
+  get sharedService(): QuestionHistoryService {
+    return this.service;
+  }
+
+  /**
+   * Drop questions the player has seen before, and near-duplicates within the list
+   */
+  async filterUnseen(questions: TriviaQuestion[]): Promise<TriviaQuestion[]> {
+    const { questions: unseen } = await this.service.filterNew(questions);
+    return unseen as TriviaQuestion[];
+  }
+
+  /**
+   * Remember questions the player has been shown
+   */
+  async markSeen(questions: TriviaQuestion[]): Promise<void> {
+    await this.service.remember(questions, { source: 'app' });
+  }
+
+  /**
+   * Forget every question the player has seen
+   */
+  async clear(): Promise<void> {
+    await this.service.clear();
+  }
+}
+
+// Singleton instance
+let questionHistoryUIServiceInstance: QuestionHistoryUIService | null = null;
+
+/**
+ * Get or create Question History UI service instance
+ */
+export function getQuestionHistoryUIService(): QuestionHistoryUIService {
+  if (!questionHistoryUIServiceInstance) {
+    questionHistoryUIServiceInstance = new QuestionHistoryUIService();
+  }
+  return questionHistoryUIServiceInstance;
+}
+
+export default QuestionHistoryUIService;
@@ -0,0 +1,369 @@
+/**
+ * Question Pack Service
+ *
+ * Loads curated question packs - bundled with the app or imported from a JSON
+ * file - so they can be played through TriviaGame alongside AI-generated
+ * questions. Each question is checked with QuestionValidator; invalid ones are
+ * rejected and listed in the pack's report while the rest of the pack loads.
+ *
+ * Pack file format:
+ * {
+ *   "id": "ashes-classics",
+ *   "name": "Ashes Classics",
+ *   "description": "...",
+ *   "category": "legendary_moments",   // default for questions without a category
+ *   "difficulty": "medium",            // default for questions without a difficulty
+ *   "questions": [{ "question", "options", "correctAnswer", "explanation", "category"?, "difficulty"?, "source"? }]
+ * }
+ *
+ * Questions in other formats set "format" and that format's answer fields
+ * instead of "correctAnswer" (see shared/utils/question-formats.js), e.g.
+ * { "format": "numeric", "question", "numericAnswer": 375, "tolerance": 10, "unit": "runs", "explanation" }
+ *
+ * A bare array of questions (e.g. `search-generate --format json` output) is also accepted.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { QuestionValidator } from '../utils/QuestionValidator';
+import { BUNDLED_QUESTION_PACKS } from '../data/questionPacks';
+import {
+  createFingerprint,
+  compareFingerprints,
+  DEFAULT_SIMILARITY_THRESHOLD,
+} from '../../shared/utils/question-fingerprint';
+import {
+  QUESTION_FORMAT_IDS,
+  isChoiceFormat,
+  normalizeFormatQuestion,
+  pickFormatFields,
+} from '../../shared/utils/question-formats';
+import {
+  TriviaQuestion,
+  QuestionCategory,
+  DifficultyLevel,
+  QuestionPack,
+  QuestionPackOrigin,
+  QuestionPackRejection,
+} from '../types/Question';
+
+const STORAGE_KEY = 'cricket_question_packs';
+
+const QUESTION_CATEGORIES: QuestionCategory[] = [
+  'legendary_moments', 'player_stories', 'records_stats', 'rules_formats', 'cultural_impact', 'tutorial'
+];
+const DIFFICULTY_LEVELS: DifficultyLevel[] = ['easy', 'medium', 'hard'];
+
+// UI-specific logger (no colors, just console)
+const uiLogger = {
+  info: (msg: string) => console.log(`[Question Packs] ${msg}`),
+  warn: (msg: string) => console.warn(`[Question Packs] ${msg}`),
+  error: (msg: string, error?: any) => console.error(`[Question Packs] ${msg}`, error || ''),
+  success: (msg: string) => console.log(`[Question Packs] ✓ ${msg}`),
+};
+
+interface PackDefaults {
+  packId: string;
+  category: QuestionCategory;
+  difficulty: DifficultyLevel;
+}
+
+const isRecord = (value: unknown): value is Record<string, any> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const slugify = (text: string): string =>
+  text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'pack';
+
+/**
+ * Question pack loading, validation and storage
+ */
+export class QuestionPackService {
+  private bundledPacks: QuestionPack[] | null = null;
+
+  /**
+   * Validate a raw pack and build its report.
+   * Invalid questions are rejected one by one; the pack as a whole is only
+   * rejected when it is malformed or has no valid questions left.
+   */
+  loadPack(raw: unknown, origin: QuestionPackOrigin, fallbackName: string = 'Untitled pack'): QuestionPack {
+    const meta = isRecord(raw) ? raw : {};
+    const name = typeof meta.name === 'string' && meta.name.trim() ? meta.name.trim() : fallbackName;
+    const id = typeof meta.id === 'string' && meta.id.trim() ? slugify(meta.id) : slugify(name);
+    const rawQuestions: unknown = Array.isArray(raw) ? raw : meta.questions;
+
+    const pack: QuestionPack = {
+      id,
+      name,
+      description: typeof meta.description === 'string' ? meta.description : undefined,
+      author: typeof meta.author === 'string' ? meta.author : undefined,
+      version: meta.version !== undefined ? String(meta.version) : undefined,
+      origin,
+      questions: [],
+      report: {
+        packId: id,
+        packName: name,
+        total: 0,
+        accepted: 0,
+        rejected: [],
+        errors: [],
+        warnings: [],
+        checkedAt: new Date().toISOString(),
+      },
+    };
+    const report = pack.report;
+
+    if (!Array.isArray(rawQuestions)) {
+      report.errors.push('Pack must be a list of questions or an object with a "questions" list');
+      return pack;
+    }
+
+    const defaults: PackDefaults = {
+      packId: id,
+      category: QUESTION_CATEGORIES.includes(meta.category) ? meta.category : 'legendary_moments',
+      difficulty: DIFFICULTY_LEVELS.includes(meta.difficulty) ? meta.difficulty : 'medium',
+    };
+    const acceptedFingerprints: { index: number; text: string; fingerprint: ReturnType<typeof createFingerprint> }[] = [];
+    report.total = rawQuestions.length;
+
+    rawQuestions.forEach((rawQuestion, index) => {
+      const { question, errors } = this.normalizeQuestion(rawQuestion, index, defaults);
+
+      if (question) {
+        const validation = QuestionValidator.validateQuestion(question);
+        errors.push(...validation.errors);
+
+        const text = question.question.toLowerCase().trim();
+        const fingerprint = createFingerprint(question);
+        const original = acceptedFingerprints.find(accepted =>
+          compareFingerprints(fingerprint, accepted.fingerprint) >= DEFAULT_SIMILARITY_THRESHOLD);
+        if (original) {
+          errors.push(original.text === text
+            ? `Duplicate of question ${original.index + 1}`
+            : `Near-duplicate of question ${original.index + 1}`);
+        } else if (errors.length === 0) {
+          acceptedFingerprints.push({ index, text, fingerprint });
+        }
+      }
+
+      if (!question || errors.length > 0) {
+        const rejection: QuestionPackRejection = { index, question: question?.question, errors };
+        report.rejected.push(rejection);
+        return;
+      }
+
+      pack.questions.push(QuestionValidator.autoFixQuestion(question));
+    });
+
+    report.accepted = pack.questions.length;
+
+    // Set-level checks (empty pack, duplicates, variety)
+    const setValidation = QuestionValidator.validateQuestionSet(pack.questions);
+    report.errors.push(...setValidation.errors);
+    report.warnings.push(...(setValidation.suggestions || []));
+
+    if (report.rejected.length > 0) {
+      uiLogger.warn(`"${name}": rejected ${report.rejected.length} of ${report.total} questions`);
+    }
+
+    return pack;
+  }
+
+  /**
+   * Validate an imported pack and save it when it has playable questions.
+   * The returned pack carries the report either way.
+   */
+  async importPack(raw: unknown, fallbackName?: string): Promise<QuestionPack> {
+    const pack = this.loadPack(raw, 'imported', fallbackName);
+
+    const bundled = await this.getBundledPacks();
+    if (bundled.some(p => p.id === pack.id)) {
+      pack.report.errors.push(`Pack id "${pack.id}" is already used by a bundled pack`);
+    }
+
+    if (pack.report.errors.length > 0) {
+      uiLogger.warn(`Pack "${pack.name}" was not imported: ${pack.report.errors.join('; ')}`);
+      return pack;
+    }
+
+    // Re-importing a pack replaces the previous copy
+    const imported = (await this.getImportedPacks()).filter(p => p.id !== pack.id);
+    await this.saveImportedPacks([...imported, pack]);
+
+    uiLogger.success(`Imported "${pack.name}" (${pack.report.accepted}/${pack.report.total} questions)`);
+    return pack;
+  }
+
+  /**
+   * Import a pack from the text of a JSON file
+   */
+  async importPackFile(text: string, fileName: string): Promise<QuestionPack> {
+    const fallbackName = fileName.replace(/\.json$/i, '');
+
+    try {
+      return await this.importPack(JSON.parse(text), fallbackName);
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+
+      const pack = this.loadPack(null, 'imported', fallbackName);
+      pack.report.errors = [`${fileName} is not valid JSON: ${error.message}`];
+      return pack;
+    }
+  }
+
+  /**
+   * All playable packs, bundled first
+   */
+  async getPacks(): Promise<QuestionPack[]> {
+    const bundled = await this.getBundledPacks();
+    const imported = await this.getImportedPacks();
+    return [...bundled.filter(p => p.report.errors.length === 0), ...imported];
+  }
+
+  /**
+   * Get a pack by id
+   */
+  async getPack(packId: string): Promise<QuestionPack | null> {
+    const packs = await this.getPacks();
+    return packs.find(p => p.id === packId) || null;
+  }
+
+  /**
+   * Questions of a pack in random order, ready for a game
+   */
+  async getPackQuestions(packId: string): Promise<TriviaQuestion[]> {
+    const pack = await this.getPack(packId);
+    if (!pack) {
+      throw new Error(`Question pack not found: ${packId}`);
+    }
+
+    const questions = [...pack.questions];
+    for (let i = questions.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [questions[i], questions[j]] = [questions[j], questions[i]];
+    }
+    return questions;
+  }
+
+  /**
+   * Remove an imported pack (bundled packs cannot be removed)
+   */
+  async removePack(packId: string): Promise<boolean> {
+    const imported = await this.getImportedPacks();
+    const remaining = imported.filter(p => p.id !== packId);
+    if (remaining.length === imported.length) return false;
+
+    await this.saveImportedPacks(remaining);
+    uiLogger.info(`Removed pack ${packId}`);
+    return true;
+  }
+
+  /**
+   * Build a game question from a raw pack entry, collecting structural errors
+   */
+  private normalizeQuestion(
+    raw: unknown,
+    index: number,
+    defaults: PackDefaults
+  ): { question?: TriviaQuestion; errors: string[] } {
+    const errors: string[] = [];
+
+    if (!isRecord(raw)) {
+      return { errors: ['Question must be an object'] };
+    }
+
+    if (typeof raw.question !== 'string') {
+      errors.push('Question text is missing');
+    }
+    if (raw.format !== undefined && !QUESTION_FORMAT_IDS.includes(raw.format)) {
+      errors.push(`Unknown format "${raw.format}"`);
+    }
+    // Numeric and match-the-pairs questions have no options, and true/false ones may leave them out
+    const optionsOptional = ['true_false', 'numeric', 'match_pairs'].includes(raw.format);
+    if ((raw.options !== undefined || !optionsOptional) &&
+      (!Array.isArray(raw.options) || !raw.options.every((option: unknown) => typeof option === 'string'))) {
+      errors.push('Options must be a list of strings');
+    }
+    if (isChoiceFormat(raw) && !Number.isInteger(raw.correctAnswer)) {
+      errors.push('Correct answer must be an option index (0-3)');
+    }
+    if (typeof raw.explanation !== 'string') {
+      errors.push('Explanation is missing');
+    }
+    if (raw.category !== undefined && !QUESTION_CATEGORIES.includes(raw.category)) {
+      errors.push(`Unknown category "${raw.category}"`);
+    }
+    if (raw.difficulty !== undefined && !DIFFICULTY_LEVELS.includes(raw.difficulty)) {
+      errors.push(`Unknown difficulty "${raw.difficulty}"`);
+    }
+
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    const generatedAt = raw.generatedAt ? new Date(raw.generatedAt) : new Date();
+
+    return {
+      question: normalizeFormatQuestion({
+        id: `${defaults.packId}:${raw.id ?? index + 1}`,
+        question: raw.question,
+        options: raw.options,
+        correctAnswer: raw.correctAnswer,
+        ...pickFormatFields(raw),
+        explanation: raw.explanation,
+        category: raw.category ?? defaults.category,
+        difficulty: raw.difficulty ?? defaults.difficulty,
+        source: typeof raw.source === 'string' ? raw.source : undefined,
+        generatedAt: isNaN(generatedAt.getTime()) ? new Date() : generatedAt,
+      }),
+      errors,
+    };
+  }
+
+  /**
+   * Validate the bundled packs once per session
+   */
+  private async getBundledPacks(): Promise<QuestionPack[]> {
+    if (!this.bundledPacks) {
+      this.bundledPacks = BUNDLED_QUESTION_PACKS.map(raw => this.loadPack(raw, 'bundled'));
+      this.bundledPacks
+        .filter(p => p.report.errors.length > 0)
+        .forEach(p => uiLogger.error(`Bundled pack "${p.name}" failed validation: ${p.report.errors.join('; ')}`));
+    }
+    return this.bundledPacks;
+  }
+
+  private async getImportedPacks(): Promise<QuestionPack[]> {
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEY);
+      if (!data) return [];
+
+      const packs: QuestionPack[] = JSON.parse(data).packs || [];
+      // Dates come back from storage as strings
+      return packs.map(pack => ({
+        ...pack,
+        questions: pack.questions.map(q => ({ ...q, generatedAt: new Date(q.generatedAt) })),
+      }));
+    } catch (error) {
+      uiLogger.error('Failed to load imported packs', error);
+      return [];
+    }
+  }
+
+  private async saveImportedPacks(packs: QuestionPack[]): Promise<void> {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify({ version: 1, packs }));
+  }
+}
+
+// Singleton instance
+let questionPackServiceInstance: QuestionPackService | null = null;
+
+/**
+ * Get or create Question Pack service instance
+ */
+export function getQuestionPackService(): QuestionPackService {
+  if (!questionPackServiceInstance) {
+    questionPackServiceInstance = new QuestionPackService();
+  }
+  return questionPackServiceInstance;
+}
+
+export default QuestionPackService;
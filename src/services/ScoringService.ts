@@ -5,11 +5,19 @@
  * for various game modes. Easily extensible for new scoring rules.
  */
 
+import { QuestionFormat } from '../types/Question';
+
 export interface ScoringContext {
   responseTime?: number; // in seconds
   isCorrect?: boolean;
   streak?: number;
   difficulty?: 'easy' | 'medium' | 'hard';
+  powerplay?: boolean; // Cricket: ball bowled during powerplay overs
+  format?: QuestionFormat; // Defaults to 'multiple_choice'
+  accuracy?: number; // Share of the answer that was right (0-1), from scoreAnswer
+  review?: boolean; // Lifeline: a DRS review took out two wrong options
+  freeHit?: boolean; // Lifeline: a wrong answer costs no wicket
+  battingPowerplay?: boolean; // Lifeline: runs are doubled
   [key: string]: any; // Allow custom context properties
 }
 
@@ -18,15 +26,54 @@ export interface ScoringResult {
   label?: string; // e.g., "Six!", "Four!", "Single", "Dot Ball"
   bonus?: number;
   explanation?: string;
+  wicket?: boolean; // Cricket: the answer cost a wicket
+  reviewRetained?: boolean; // A DRS review was used and is kept (the answer was right)
 }
 
 export type ScoringStrategy = (context: ScoringContext) => ScoringResult;
 
+export type ScoringListener = (result: ScoringResult, context: ScoringContext) => void;
+
 /**
- * Cricket-style time-based scoring for Learn Cricket mode
+ * Response time limits (seconds) for each scoring shot in Learn Cricket mode
  */
-export const cricketTimeScoringStrategy: ScoringStrategy = (context) => {
-  const { responseTime = 0, isCorrect = false } = context;
+export const CRICKET_TIMING_THRESHOLDS = {
+  standard: { six: 2, four: 3, double: 5, single: 8 },
+  // Fielding restrictions in the powerplay make boundaries easier to find
+  powerplay: { six: 3, four: 5, double: 6, single: 8 },
+};
+
+/**
+ * Apply the lifelines in play to a result: a wrong answer is a wicket unless
+ * it was a free hit, the batting powerplay doubles the points (as a bonus, so
+ * a six is still a six) and a DRS review is kept when the answer is right
+ */
+const applyLifelines = (result: ScoringResult, context: ScoringContext): ScoringResult => {
+  const { isCorrect = false, review = false, freeHit = false, battingPowerplay = false } = context;
+  const applied: ScoringResult = { ...result, wicket: !isCorrect && !freeHit };
+  if (review) {
+    applied.reviewRetained = isCorrect;
+  }
+
+  if (!isCorrect && freeHit && result.points > 0) {
+    applied.explanation = [result.explanation, 'No wicket off the free hit'].filter(Boolean).join(' - ');
+  } else if (!isCorrect && freeHit) {
+    applied.label = 'Free Hit!';
+    applied.explanation = "Wrong answer - but you can't be out off a free hit";
+  }
+  if (battingPowerplay && result.points > 0) {
+    applied.bonus = (result.bonus || 0) + result.points;
+    applied.explanation = [result.explanation, 'Doubled in the powerplay'].filter(Boolean).join(' - ');
+  }
+  return applied;
+};
+
+/**
+ * Runs for an answer by response time
+ */
+const cricketShot = (context: ScoringContext): ScoringResult => {
+  const { responseTime = 0, isCorrect = false, powerplay = false } = context;
+  const thresholds = powerplay ? CRICKET_TIMING_THRESHOLDS.powerplay : CRICKET_TIMING_THRESHOLDS.standard;
   
   if (!isCorrect) {
     return {
@@ -36,25 +83,25 @@ export const cricketTimeScoringStrategy: ScoringStrategy = (context) => {
     };
   }
 
-  if (responseTime < 2) {
+  if (responseTime < thresholds.six) {
     return {
       points: 6,
       label: 'Six!',
       explanation: 'Lightning fast response!'
     };
-  } else if (responseTime < 3) {
+  } else if (responseTime < thresholds.four) {
     return {
       points: 4,
       label: 'Four!',
       explanation: 'Quick thinking!'
     };
-  } else if (responseTime < 5) {
+  } else if (responseTime < thresholds.double) {
     return {
       points: 2,
       label: 'Double',
       explanation: 'Good timing'
     };
-  } else if (responseTime < 8) {
+  } else if (responseTime < thresholds.single) {
     return {
       points: 1,
       label: 'Single',
@@ -69,6 +116,15 @@ export const cricketTimeScoringStrategy: ScoringStrategy = (context) => {
   }
 };
 
+/**
+ * Cricket-style time-based scoring for Learn Cricket mode.
+ * Pass `powerplay: true` in the context during powerplay overs, and the
+ * lifelines in play (`review`, `freeHit`, `battingPowerplay`) from useLifelines.
+ */
+export const cricketTimeScoringStrategy: ScoringStrategy = (context) => {
+  return applyLifelines(cricketShot(context), context);
+};
+
 /**
  * Standard accuracy-based scoring for regular game mode
  */
@@ -111,6 +167,69 @@ export const streakScoringStrategy: ScoringStrategy = (context) => {
   };
 };
 
+/**
+ * How long each question format takes to answer compared with multiple choice.
+ * Response times are divided by it before time-based scoring.
+ */
+export const FORMAT_TIME_ALLOWANCE: Record<QuestionFormat, number> = {
+  multiple_choice: 1,
+  true_false: 0.75,
+  multi_select: 1.5,
+  ordering: 2,
+  numeric: 1.5,
+  match_pairs: 2,
+};
+
+// Share of an answer that must be right for partial credit
+export const PARTIAL_CREDIT_THRESHOLD = 0.5;
+
+/**
+ * Give formats that take longer to answer (ordering, match the pairs) more
+ * time under a time-based strategy
+ */
+export const formatTimedScoringStrategy = (
+  strategy: ScoringStrategy
+): ScoringStrategy => {
+  return (context) => {
+    const { responseTime = 0, format = 'multiple_choice' } = context;
+    return strategy({ ...context, responseTime: responseTime / FORMAT_TIME_ALLOWANCE[format] });
+  };
+};
+
+/**
+ * Partial credit for wrong answers that are mostly right - three of four
+ * items in order, a guess near the figure - worth the points for a right
+ * answer scaled by accuracy
+ */
+export const partialCreditScoringStrategy = (
+  strategy: ScoringStrategy,
+  threshold: number = PARTIAL_CREDIT_THRESHOLD
+): ScoringStrategy => {
+  return (context) => {
+    const { isCorrect = false, accuracy = 0 } = context;
+    if (isCorrect || accuracy < threshold) {
+      return strategy(context);
+    }
+
+    const full = strategy({ ...context, isCorrect: true });
+    return {
+      points: Math.floor(full.points * accuracy),
+      label: 'Partly right',
+      explanation: `${Math.round(accuracy * 100)}% right`,
+    };
+  };
+};
+
+/**
+ * Lifelines (DRS review, free hit, batting powerplay) for strategies that
+ * don't handle them themselves
+ */
+export const lifelineScoringStrategy = (
+  strategy: ScoringStrategy
+): ScoringStrategy => {
+  return (context) => applyLifelines(strategy(context), context);
+};
+
 /**
  * Combined scoring strategy that uses multiple strategies
  */
@@ -139,6 +258,7 @@ export class ScoringService {
   private strategy: ScoringStrategy;
   private totalScore: number = 0;
   private history: ScoringResult[] = [];
+  private listeners = new Set<ScoringListener>();
 
   constructor(strategy: ScoringStrategy = standardScoringStrategy) {
     this.strategy = strategy;
@@ -151,9 +271,21 @@ export class ScoringService {
     const result = this.strategy(context);
     this.totalScore += result.points + (result.bonus || 0);
     this.history.push(result);
+    this.listeners.forEach(listener => listener(result, context));
     return result;
   }
 
+  /**
+   * Be told about every scored action (e.g. for achievements).
+   * Returns an unsubscribe function.
+   */
+  addListener(listener: ScoringListener): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
   /**
    * Get current total score
    */
@@ -208,15 +340,15 @@ export class ScoringService {
 export const createScoringService = (mode: 'cricket' | 'standard' | 'streak' | 'combined') => {
   switch (mode) {
     case 'cricket':
-      return new ScoringService(cricketTimeScoringStrategy);
+      return new ScoringService(formatTimedScoringStrategy(cricketTimeScoringStrategy));
     case 'standard':
-      return new ScoringService(standardScoringStrategy);
+      return new ScoringService(lifelineScoringStrategy(partialCreditScoringStrategy(standardScoringStrategy)));
     case 'streak':
-      return new ScoringService(streakScoringStrategy);
+      return new ScoringService(lifelineScoringStrategy(streakScoringStrategy));
     case 'combined':
-      return new ScoringService(
-        combinedScoringStrategy([standardScoringStrategy, streakScoringStrategy])
-      );
+      return new ScoringService(lifelineScoringStrategy(
+        combinedScoringStrategy([partialCreditScoringStrategy(standardScoringStrategy), streakScoringStrategy])
+      ));
     default:
       return new ScoringService();
   }
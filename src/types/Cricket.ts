@@ -4,7 +4,7 @@
  * Types specific to cricket-themed game modes
  */
 
-export type BallResult = '6' | '4' | '1' | '0' | 'W' | '-';
+export type BallResult = '6' | '4' | '3' | '2' | '1' | '0' | 'W' | '-';
 
 export interface CricketGameState {
   runs: number;
@@ -24,6 +24,120 @@ export interface CricketGameState {
   ballResults: BallResult[]; // Track each ball's result
 }
 
+export type MatchFormatId = 'learn' | 'sprint' | 't20' | 'odi';
+
+/**
+ * Match format (see MATCH_FORMATS in shared/config/constants.js)
+ */
+export interface MatchFormat {
+  id: MatchFormatId;
+  name: string;
+  description: string;
+  overs: number;
+  wickets: number;
+  powerplayOvers: number; // Overs at the start of the innings with easier scoring
+}
+
+/**
+ * End-of-innings summary shown at the innings break
+ */
+export interface InningsSummary {
+  runs: number;
+  wickets: number;
+  overs: string;
+  runRate: number;
+  strikeRate: number;
+  boundaries: {
+    fours: number;
+    sixes: number;
+  };
+  dotBalls: number;
+  powerplayRuns: number;
+  bestOver: { over: number; runs: number } | null;
+  allOut: boolean;
+  overRuns: number[]; // Runs scored in each over, used as the score curve when chasing
+}
+
+export type ChaseTargetSource = 'previous' | 'opposition';
+
+/**
+ * First innings the player has to chase down in Chase mode
+ */
+export interface ChaseTarget {
+  source: ChaseTargetSource;
+  teamName: string;
+  firstInnings: InningsSummary;
+  target: number; // firstInnings.runs + 1
+}
+
+export type ChaseOutcome = 'won' | 'lost' | 'tied' | 'no_result';
+
+export interface ChaseResult {
+  outcome: ChaseOutcome;
+  formatId: MatchFormatId;
+  target: number;
+  runs: number;
+  wickets: number;
+  overs: string;
+  margin: string; // e.g. "Won by 3 wickets (4 balls left)"
+}
+
+/**
+ * Lifetime Chase mode record (no results count as played only)
+ */
+export interface ChaseRecord {
+  played: number;
+  won: number;
+  lost: number;
+  tied: number;
+  highestChase: number; // Most runs scored in a winning chase
+}
+
+export type ReplayOutcome = 'dot' | 'single' | 'four' | 'six' | 'wicket';
+
+/**
+ * A delivery from Cricsheet ball-by-ball data (see shared/utils/match-replay.js)
+ */
+export interface ReplayDelivery {
+  over: number;
+  batter: string;
+  nonStriker: string | null;
+  bowler: string;
+  batterRuns: number;
+  extras: number;
+  extraType: string | null;
+  playerOut: string | null;
+  wicketKind: string | null;
+}
+
+/**
+ * A match that can be replayed in the "What happened next?" game
+ */
+export interface ReplayMatchSummary {
+  id: string;
+  title: string;  // e.g. "2011 ICC World Cup final"
+  date: string | null;
+  result: string; // e.g. "India won by 6 wickets"
+  innings: Array<{ index: number; team: string; score: string; superOver: boolean }>;
+}
+
+/**
+ * Ball-by-ball replay of one innings
+ */
+export interface MatchReplay {
+  matchId: string;
+  inningsIndex: number;
+  title: string;
+  result: string;
+  team: string;
+  opposition: string | null;
+  totalOvers: number;
+  powerplayOvers: number;
+  chase: ChaseTarget | null;     // Limited-overs second innings
+  deliveries: ReplayDelivery[];
+  keyDeliveries: number[];       // Indexes of the deliveries to predict
+}
+
 export interface CricketScoring {
   type: 'six' | 'four' | 'single' | 'dot' | 'wicket';
   runs: number;
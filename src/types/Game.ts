@@ -4,6 +4,8 @@
  * Shared types that can be used across different game modes
  */
 
+import { TriviaQuestion } from './Question';
+
 export interface GameMode {
   id: string;
   name: string;
@@ -47,12 +49,52 @@ export interface Achievement {
   unlockedAt: Date;
 }
 
+/**
+ * Gameplay events the achievements engine evaluates its rules against
+ */
+export type AchievementEvent =
+  | { type: 'game_start'; mode: string; era?: string }
+  | { type: 'answer'; isCorrect: boolean; category?: string; responseTime?: number; era?: string }
+  | { type: 'score'; points: number; label?: string; isCorrect: boolean }
+  | { type: 'game_complete'; result: GameResult; era?: string; chaseOutcome?: 'won' | 'lost' | 'tied' | 'no_result' };
+
 export interface PlayerProgress {
   questionsHistory: QuestionProgress[];
   currentStreak: number;
   weakAreas: string[];
   strongAreas: string[];
   knowledgeLevel: 'beginner' | 'intermediate' | 'advanced';
+  questionReviews: QuestionReview[]; // Missed questions scheduled for Nets Practice
+  topicReviews: TopicReview[];       // Weak topics scheduled for Nets Practice
+  masteredReviews: number;           // Reviews that completed every interval
+  masteredTopics: string[];          // Topics whose reviews completed every interval, not rescheduled until missed again
+}
+
+/**
+ * Spaced-repetition schedule (SM-2 style) for a Nets Practice review
+ */
+export interface ReviewSchedule {
+  step: number;       // Index into REVIEW_INTERVAL_DAYS of the interval being waited out
+  easeFactor: number; // SM-2 ease; lower means the review comes back sooner
+  dueAt: string;      // ISO timestamp
+  reviews: number;
+  lapses: number;     // Times the review was failed
+  lastReviewedAt?: string;
+}
+
+export interface QuestionReview extends ReviewSchedule {
+  question: TriviaQuestion;
+  topic: string;
+}
+
+export interface TopicReview extends ReviewSchedule {
+  topic: string;
+}
+
+export interface ReviewOutcome {
+  mastered: boolean;         // Passed the last interval and left the schedule
+  dueAt: string | null;
+  intervalDays: number | null;
 }
 
 export interface QuestionProgress {
@@ -61,4 +103,59 @@ export interface QuestionProgress {
   wasCorrect: boolean;
   responseTime: number;
   difficulty: string;
-}
\ No newline at end of file
+}
+/**
+ * One completed game, persisted for career statistics
+ */
+export interface GameRecord {
+  id: string;
+  mode: string;
+  playedAt: string; // ISO timestamp
+  questionsAnswered: number;
+  correctAnswers: number;
+  categoryPerformance: Record<string, {
+    attempted: number;
+    correct: number;
+  }>;
+  era?: string;
+  innings?: { // Learn Cricket and unlimited overs games only
+    formatId: string;
+    runs: number;
+    balls: number;
+    wickets: number;
+    allOut: boolean;
+    fours: number;
+    sixes: number;
+  };
+}
+
+export interface AccuracyBreakdown {
+  key: string;
+  attempted: number;
+  correct: number;
+  accuracy: number; // Percentage
+}
+
+/**
+ * Career statistics computed from game records
+ */
+export interface CareerStats {
+  gamesPlayed: number;
+  batting: {
+    innings: number;
+    notOuts: number;
+    runs: number;
+    balls: number;
+    highestScore: { runs: number; notOut: boolean } | null;
+    average: number | null; // Runs per wicket; null before the first wicket
+    strikeRate: number;
+    fifties: number;
+    hundreds: number;
+    ducks: number;
+    fours: number;
+    sixes: number;
+  };
+  recentForm: number[]; // Runs in the last innings, oldest first
+  categoryAccuracy: AccuracyBreakdown[];
+  eraAccuracy: AccuracyBreakdown[];
+}
@@ -37,22 +37,116 @@ export type GameMode =
   | 'fixed'           // Fixed number of questions (e.g., 10)
   | 'unlimited';      // Play until 5 wrong answers (5 wickets)
 
+export type QuestionSource = 
+  | 'ai'              // Generate fresh questions with AI (saved to the question bank)
+  | 'offline_bank'    // Serve previously saved questions with no network calls
+  | 'question_pack'    // Play a curated question pack (bundled or imported)
+  | 'cricsheet_stats'; // Template questions from bundled Cricsheet match data
+
 export interface GameFilters {
   era: CricketEra;
   countries: CricketCountry[];
   questionStyle: QuestionStyle;
   gameMode: GameMode;
+  questionSource?: QuestionSource; // Defaults to 'ai'
+  packId?: string;                 // Pack to play when questionSource is 'question_pack'
+}
+
+export interface ProvenanceValidation {
+  stage: string;      // 'schema' | 'claims' | 'validator' | ...
+  passed: boolean;
+  checkedAt: string;
+  [detail: string]: unknown; // Stage results (confidence, repaired, reasked, ...)
+}
+
+/**
+ * Where a generated question came from (see shared/utils/provenance.js)
+ */
+export interface QuestionProvenance {
+  model: string;                                  // Model that wrote the question
+  prompt: { id: string; version: number } | null; // Prompt template used
+  filters: Record<string, unknown>;               // Filter and seed values
+  anecdote: {                                     // Source anecdote (search pipeline)
+    id: string;
+    title: string;
+    model?: string | null;
+    prompt?: { id: string; version: number } | null;
+  } | null;
+  sources: string[];                              // Cited URLs
+  validation: ProvenanceValidation[];
+  createdAt: string;
+}
+
+/**
+ * Judge model review against the rubric (see shared/utils/question-judging.js)
+ */
+export interface QuestionJudgement {
+  score: number;                // Weighted rubric score (0-100)
+  passed: boolean;              // No blocking criterion scored 2 or less
+  failedCriteria: string[];
+  scores: Record<string, { score: number; reason: string }>; // 1-5 per criterion
+  summary: string;
+  model: string;
+  prompt: { id: string; version: number };
+  judgedAt: string;
+}
+
+export interface QuestionRank {
+  grade: 'A' | 'B' | 'C';
+  score: number;                // 0-100
+  basis: 'judge' | 'heuristic';
+}
+
+/**
+ * How a question is answered (see shared/utils/question-formats.js)
+ */
+export type QuestionFormat =
+  | 'multiple_choice' // One of four options
+  | 'true_false'      // One of "True" and "False"
+  | 'multi_select'    // Every correct option (correctAnswers)
+  | 'ordering'        // Options arranged in order (correctOrder)
+  | 'numeric'         // A number within the tolerance (numericAnswer)
+  | 'match_pairs';    // Each left item matched to its right item (pairs)
+
+/**
+ * A player's answer: an option index for multiple_choice and true_false, the
+ * chosen or arranged option indexes for multi_select and ordering, the guess
+ * for numeric and, for match_pairs, the pair index matched to each left item
+ */
+export type QuestionAnswer = number | number[];
+
+export interface MatchPair {
+  left: string;
+  right: string;
+}
+
+export interface StatsQuestionInfo {
+  template: string;        // Stats question template (e.g. 'top-scorer')
+  matchId: string | null;  // Cricsheet match id
+  event: string | null;    // Tournament, for event-wide questions
 }
 
 export interface TriviaQuestion {
   id: string;
   question: string;
-  options: string[];
-  correctAnswer: number; // Index of correct option (0-3)
+  options: string[];      // Empty for numeric and match_pairs questions
+  correctAnswer?: number; // Index of correct option (multiple_choice and true_false)
+  format?: QuestionFormat; // Defaults to 'multiple_choice'
+  correctAnswers?: number[]; // multi_select: indexes of every correct option
+  correctOrder?: number[];   // ordering: option indexes in the right order
+  numericAnswer?: number;    // numeric: the exact figure
+  tolerance?: number;        // numeric: how far off a guess still counts as right
+  unit?: string;             // numeric: e.g. "runs"
+  pairs?: MatchPair[];       // match_pairs: the right pairing
   explanation: string;
   category: QuestionCategory;
   difficulty: DifficultyLevel;
   source?: string; // Optional source reference
+  topic?: string; // Learn Cricket topic (e.g. "LBW rule")
+  provenance?: QuestionProvenance;
+  judgement?: QuestionJudgement | null; // Search pipeline with --judge
+  rank?: QuestionRank;                  // Search pipeline A/B/C ranking
+  stats?: StatsQuestionInfo;            // Generated from Cricsheet match data
   generatedAt: Date;
 }
 
@@ -60,6 +154,7 @@ export interface QuestionGenerationRequest {
   category: QuestionCategory;
   difficulty: DifficultyLevel;
   count?: number;
+  format?: QuestionFormat; // Defaults to 'multiple_choice'
   includeExplanation?: boolean;
   filters?: GameFilters;
   /**
@@ -78,6 +173,41 @@ export interface QuestionValidationResult {
   suggestions?: string[];
 }
 
+export type QuestionPackOrigin = 
+  | 'bundled'         // Shipped with the app
+  | 'imported';       // Loaded by the user from a file
+
+export interface QuestionPackRejection {
+  index: number;      // Position of the question in the pack file (0-based)
+  question?: string;  // Question text, when there was one
+  errors: string[];
+}
+
+/**
+ * Validation report produced every time a pack is loaded
+ */
+export interface QuestionPackReport {
+  packId: string;
+  packName: string;
+  total: number;      // Questions in the pack file
+  accepted: number;   // Questions that passed validation
+  rejected: QuestionPackRejection[];
+  errors: string[];   // Pack-level problems (the pack could not be loaded)
+  warnings: string[]; // Question set suggestions (variety, balance)
+  checkedAt: string;
+}
+
+export interface QuestionPack {
+  id: string;
+  name: string;
+  description?: string;
+  author?: string;
+  version?: string;
+  origin: QuestionPackOrigin;
+  questions: TriviaQuestion[]; // Accepted questions only
+  report: QuestionPackReport;
+}
+
 export interface GameSession {
   id: string;
   mode: 'tutorial' | 'game';